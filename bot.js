@@ -13,31 +13,68 @@
  *   8.  Micro-behavior: proportional reading pause
  *   9.  Optional scroll-past behavior (20% of runs)
  *  10.  Post comment
- *  11.  Save to CSV
+ *  11.  Save to the data store (SQLite)
  *  12.  Browser stays open → user presses Enter to close
+ *
+ * With --review (or REVIEW_MODE=true) steps 8–11 are replaced by queueing
+ * the comment as a draft; `node review.js` approves / edits / regenerates /
+ * rejects drafts, and every run (review mode or not) posts the approved
+ * ones first (step 4b).
+ *
+ * The bot only starts inside the schedule window (config.schedule,
+ * src/schedule.js) and stops when it closes; --ignore-schedule runs anyway.
+ * The console output of every run is kept in data/logs/ (runLog.js). With
+ * --dashboard the local dashboard (npm run dashboard) is served while the
+ * run lasts. Steps 4b–11 are runCommentSession(), which daemon.js also runs,
+ * several times a day on one browser.
+ *
+ * With --non-interactive (systemd, cron, CI) nothing waits for the keyboard:
+ * step 12 closes the browser, an expired login fails instead of prompting,
+ * and the exit status says how the run went (src/exitCodes.js).
+ *
+ * --login (npm run login) only opens the browser, logs in if the saved
+ * session is gone and exits: no schedule check, no AI, nothing posted.
  */
 
 require('dotenv').config();
 const chalk    = require('chalk');
 const readline = require('readline');
-const path     = require('path');
-const fs       = require('fs');
 
 const { createSession }         = require('./src/browser/session');
 const { getFeedPostsBatch, parseEngagement } = require('./src/linkedin/feed');
 const { shouldSkip, compositeScore } = require('./src/linkedin/filters');
 const { postComment }            = require('./src/linkedin/commenter');
 const { generateComment }        = require('./src/ai/gemini');
+const { formatViolations }       = require('./src/ai/commentRules');
+const { suggestBannedPhrases }   = require('./src/ai/repetition');
+const { formatCandidate }        = require('./src/ai/ranker');
+const { measureOverlap }         = require('./src/ai/postOverlap');
+const { loadPersona, describePersona } = require('./src/ai/persona');
+const { availableProviders, describeProviders, formatProviderStats } = require('./src/ai/providers');
 const { pickRandomStyle, getStyleMemory } = require('./src/ai/commentStyles');
+const { postIdentity, findSeen, rememberIdentity } = require('./src/data/postIdentity');
+const { acquireRunLock } = require('./src/data/lock');
+const { startRunLog } = require('./src/data/runLog');
+const { startDashboard } = require('./src/dashboard/server');
+const { EXIT, exitCodeFor } = require('./src/exitCodes');
 const {
-  extractPostId,
-  readCommentedPosts,
-  writeCommentedPost,
-  ensureDataFiles,
-} = require('./src/data/csv');
+  validateSchedule, isOpen, closesAt, nextStart, createWindowGuard, formatLocal, describeSchedule,
+} = require('./src/schedule');
+const {
+  openStore, getCommentedPostKeys, queueDraft, listDrafts, setDraftStatus, markDraftPosted, markDraftFailed, getQueuedPostKeys,
+} = require('./src/data/store');
+const { loadAuthorTiers, checkAuthorCooldown, describeTiers } = require('./src/data/authors');
 const { logCommentPerformance, getSummary: getLearningStats } = require('./src/data/learning');
+const { isBudgetExceeded, getBudgetStatus, formatRunUsage } = require('./src/data/usage');
+const { assignArms, formatExperimentReport } = require('./src/data/experiments');
 const config = require('./src/config');
 
+const FEED_URL = `${config.linkedin.baseUrl}/feed/`;
+const REVIEW   = process.argv.includes('--review') || config.bot.reviewMode;
+const IGNORE_SCHEDULE = process.argv.includes('--ignore-schedule');
+const NON_INTERACTIVE = process.argv.includes('--non-interactive');
+const LOGIN    = process.argv.includes('--login');
+
 // ─────────────────────────────────────────────────────────────────
 //  UTILITIES
 // ─────────────────────────────────────────────────────────────────
@@ -72,345 +109,630 @@ function readingPause(postText) {
   return new Promise((r) => setTimeout(r, Math.round(seconds * 1000)));
 }
 
-// ─────────────────────────────────────────────────────────────────
-//  AUTHOR DEDUP — skip same author commented within 7 days
-// ─────────────────────────────────────────────────────────────────
-
-async function loadRecentAuthors() {
-  try {
-    const filePath = config.data.commentedPostsPath;
-    if (!fs.existsSync(filePath)) return new Set();
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const lines   = content.trim().split('\n').slice(1); // skip header
-    const sevenDaysAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
-    const recentAuthors = new Set();
-
-    for (const line of lines) {
-      const cols = line.split(',');
-      const author    = (cols[1] || '').replace(/^"|"$/g, '').trim();
-      const timestamp = (cols[3] || '').replace(/^"|"$/g, '').trim();
-      if (!author || !timestamp) continue;
-      if (new Date(timestamp).getTime() > sevenDaysAgo) {
-        recentAuthors.add(author.toLowerCase());
-      }
-    }
-    return recentAuthors;
-  } catch { return new Set(); }
+/** Minutes-long pause between two posted comments (INTER_COMMENT_BREAK_*) */
+async function interCommentBreak() {
+  log(`   Taking a break before continuing the hunt...`);
+  const breakMinMin = config.bot.interCommentBreakMinMin;
+  const breakMaxMin = config.bot.interCommentBreakMaxMin;
+  const range = Math.max(1, breakMaxMin - breakMinMin);
+  const minutesToWait = breakMinMin + Math.floor(Math.random() * (range + 1));
+  const breakMs = minutesToWait * 60 * 1000 + Math.floor(Math.random() * 30000);
+  log(`   Pausing for ~${minutesToWait} min (range ${breakMinMin}–${breakMaxMin} from .env) to seem human.`);
+  await new Promise(r => setTimeout(r, breakMs));
 }
 
 // ─────────────────────────────────────────────────────────────────
-//  MAIN
+//  REVIEW QUEUE
 // ─────────────────────────────────────────────────────────────────
 
-async function main() {
-  console.log('');
-  console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
-  console.log(chalk.bold.white('  🤖  LinkedIn Comment Bot  —  Powered by AI'));
-  console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
-  console.log(`  Started: ${new Date().toLocaleString('en-PK', { timeZone: 'Asia/Karachi' })} (PKT)`);
-  console.log('');
+/**
+ * Post the drafts approved in review.js, oldest first. A draft whose post was
+ * commented on meanwhile is dropped; one whose author is still in their
+ * cooldown waits for a later run. A failed attempt is retried next run.
+ *
+ * @returns {Promise<number>} comments posted
+ */
+async function postApprovedDrafts(page, { limit, tiers, inWindow }) {
+  let posted = 0;
+  for (const draft of listDrafts(['approved'])) {
+    if (posted >= limit || !inWindow.open()) break;
+    const { post } = draft;
+
+    if (findSeen(postIdentity(post), getCommentedPostKeys())) {
+      setDraftStatus(draft.id, 'failed', 'post already commented on');
+      warn(`  Draft #${draft.id}: post already commented on — dropped.`);
+      continue;
+    }
+    const cooldown = checkAuthorCooldown(post, { tiers });
+    if (cooldown) {
+      log(`  Draft #${draft.id}: ${post.authorName} in cooldown until ${cooldown.until.slice(0, 10)} — kept for a later run.`);
+      continue;
+    }
 
-  // ── Step 1: Validate AI API key ──────────────────────────────────
-  logStep(1, 'Validating AI API key');
-  const hasOpenAI = !!(config.openaiApiKey?.startsWith('sk-') && config.openaiApiKey.length > 20);
-  const hasGemini = !!(config.geminiApiKey && config.geminiApiKey.length > 20);
+    if (posted > 0) {
+      await interCommentBreak();
+      if (!inWindow.open()) break;
+    }
+    log(`  Draft #${draft.id} → ${post.authorName}`);
+    console.log(chalk.italic(`   "${draft.comment}"\n`));
+    let ok    = false;
+    let error = 'comment was not submitted';
+    try {
+      ok = await postComment(page, post.postUrl, draft.comment);
+    } catch (e) {
+      error = e.message.slice(0, 100);
+    }
 
-  if (!hasOpenAI && !hasGemini) {
-    warn('No valid AI key found. Set OPENAI_API_KEY or GEMINI_API_KEY in .env');
-    process.exit(1);
+    if (ok) {
+      // The draft may have been edited since it was generated, so measure what was posted
+      const overlap   = measureOverlap(draft.comment, post.commentsData || []);
+      posted++;
+      let commentId = null;
+      try {
+        commentId = logCommentPerformance({
+          ...post,
+          comment: draft.comment,
+          style: draft.style,
+          type: draft.type,
+          score: draft.score,
+          bestAngle: draft.bestAngle,
+          existingCommentCount: post.commentsData.length,
+          existingOverlap: overlap ? overlap.score : null,
+          authorCountry: '',
+          postFormat: post.postFormat || 'text',
+          promptVersion: draft.promptVersion,
+          experiments: draft.experiments,
+          candidates: draft.candidates,
+        });
+      } catch (storeErr) {
+        warn(`   [!] Draft #${draft.id} posted, but saving the comment to the data store failed: ${storeErr.message.slice(0, 80)}`);
+      }
+      // Marked posted even without its comment row, so no later run posts it twice
+      markDraftPosted(draft.id, commentId);
+      success(`   Draft #${draft.id} posted!${commentId === null ? '' : ' Saved to the data store.'}`);
+    } else {
+      const status = markDraftFailed(draft.id, error);
+      warn(`   [!] Draft #${draft.id} not posted (${error}) — ${status === 'failed' ? 'giving up on it' : 'will retry next run'}.`);
+    }
+
+    try {
+      if (!page.url().startsWith(`${config.linkedin.baseUrl}/feed`)) {
+        await page.goto(FEED_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      }
+    } catch { /* next navigation recovers */ }
   }
-  if (hasOpenAI) success('AI provider: OpenAI (primary)');
-  else           success('AI provider: Gemini');
+  return posted;
+}
 
-  // ── Step 2: Prepare data files ───────────────────────────────────
-  logStep(2, 'Preparing data files');
-  ensureDataFiles();
-  let { ids: commentedIds, urls: commentedFullUrls } = await readCommentedPosts();
-  const recentAuthors = await loadRecentAuthors();
-  success(`Loaded ${commentedIds.size} previously commented post(s) for deduplication.`);
-  success(`Loaded ${recentAuthors.size} recently contacted author(s) (7-day cooldown).`);
-  try { success(`Learning: ${getLearningStats()}`); } catch { /* first run */ }
+// ─────────────────────────────────────────────────────────────────
+//  SESSION
+// ─────────────────────────────────────────────────────────────────
 
-  // ── Step 3: Natural inactivity check ────────────────────────────
-  logStep(3, 'Natural inactivity check');
-  // 25% chance to skip for the day — humans don't comment every day
-  if (Math.random() < 0.25) {
-    log('Skipping this run — natural inactivity day. (25% chance)');
-    log('Re-run to try again, or this is normal. Humans are inconsistent.');
-    console.log('');
-    process.exit(0);
+/**
+ * One comment session on an open page: post the approved drafts (step 4b),
+ * then work the feed (step 5) until MAX_COMMENTS comments — or drafts, in
+ * review mode — are made, or the time limit, the AI budget or the schedule
+ * window stops it. main() runs one per run; daemon.js several a day.
+ *
+ * @param {object}   page
+ * @param {object}   opts
+ * @param {object}   opts.inWindow                   - createWindowGuard() from src/schedule.js
+ * @param {object}   opts.authorTiers                - loadAuthorTiers()
+ * @param {object}   [opts.arms={}]                  - assignArms(), saved on every comment
+ * @param {number}   [opts.limit]                    - MAX_COMMENTS; default MAX_COMMENTS_PER_RUN
+ * @param {number}   [opts.maxRuntimeMs=3600000]
+ * @returns {Promise<{ commentsMade: number, draftsQueued: number, made: number, budgetReached: boolean }>}
+ */
+async function runCommentSession(page, {
+  inWindow, authorTiers, arms = {}, limit = config.bot.maxCommentsPerRun || 3, maxRuntimeMs = 60 * 60 * 1000,
+}) {
+  const MAX_COMMENTS = limit;
+  const startTime = Date.now();
+  let commented = getCommentedPostKeys();
+  // Posts waiting in the review queue are not drafted twice
+  let queued    = getQueuedPostKeys();
+  let commentsMade = 0;
+  let draftsQueued = 0;
+  // The loop stops at MAX_COMMENTS comments — or drafts, in review mode
+  const made = () => (REVIEW ? draftsQueued : commentsMade);
+
+  // ── Step 4b: Post the drafts approved in review.js ──────────────
+  if (listDrafts(['approved']).length > 0) {
+    logStep('4b', 'Posting approved drafts from the review queue');
+    commentsMade = await postApprovedDrafts(page, { limit: MAX_COMMENTS, tiers: authorTiers, inWindow });
+    success(`Posted ${commentsMade} approved draft(s).`);
+    commented = getCommentedPostKeys();
+    if (!REVIEW && commentsMade > 0 && commentsMade < MAX_COMMENTS) await interCommentBreak();
   }
-  success('Active today — proceeding.');
 
-  // ── Step 4: Launch browser & restore session ─────────────────────
-  logStep(4, 'Launching browser & restoring session');
-  let browser, page;
-  try {
-    ({ browser, page } = await createSession());
-  } catch (err) {
-    warn(`Browser launch failed: ${err.message}`);
-    process.exit(1);
-  }
+  logStep(5, `Starting Continuous Engagement Loop (Max ${MAX_COMMENTS} ${REVIEW ? 'drafts' : 'comments'}, ${Math.round(maxRuntimeMs / 60000)} min limit)`);
+  log(`Threshold: SCORE >= ${config.bot.minInterestScore}`);
+  log('Filters active:');
+  log('  • Skip OTW / job-seeking authors');
+  log('  • Skip students, interns, freshers');
+  log('  • Skip job advertisement posts');
+  log('  • Skip grief / tragedy posts');
+  log(`  • Skip authors still in their cooldown (${describeTiers(authorTiers)})`);
+
+  // track seen across batches so we don't evaluate same posts
+  const runSeen = { ids: new Set(), fingerprints: new Set() };
+  let   consecutiveEmptyBatches = 0;   // batches where nothing new was actionable
+  let   scrollPasses            = 5;   // start moderate; ramp up when stuck
+  let   budgetReached           = false;
+
+  while (made() < MAX_COMMENTS && (Date.now() - startTime) < maxRuntimeMs && !budgetReached && inWindow.open()) {
+    log(`\n⏳ Time elapsed: ${Math.round((Date.now() - startTime) / 1000 / 60)} min / ${Math.round(maxRuntimeMs / 60000)} min limit. ${REVIEW ? 'Drafts' : 'Comments'}: ${made()}/${MAX_COMMENTS}`);
+    log("Scrolling feed and collecting batch of posts...");
+
+    // ── When stuck, reload the feed so the DOM gets a completely fresh set ──
+    if (consecutiveEmptyBatches >= 3) {
+      log('  ↺ Reloading LinkedIn feed to fetch fresh posts...');
+      try {
+        await page.goto(FEED_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await new Promise(r => setTimeout(r, 4000));
+      } catch (e) { warn(`  Feed reload error: ${e.message}`); }
+      consecutiveEmptyBatches = 0;
+      scrollPasses = 5;  // reset scroll depth after reload
+
+      // ── IMPORTANT: clear the run-level seen-URL cache ──
+      // After a full page reload LinkedIn shows a fresh set of posts.
+      // Keep only IDs that are permanently commented (commented.ids) so
+      // we don't skip whatever new posts appear after the reload.
+      const toRemove = [...runSeen.ids].filter(id => !commented.ids.has(id));
+      toRemove.forEach(id => runSeen.ids.delete(id));
+      runSeen.fingerprints.clear();
+      log(`  ↺ Cleared ${toRemove.length} temporary seen-IDs (${runSeen.ids.size} permanent remain).`);
+    }
+    
+    const postsBatch = await getFeedPostsBatch(page, scrollPasses);
+    // Ramp up scroll passes each empty round so we dig deeper
+    scrollPasses = Math.min(scrollPasses + 2, 18);
+    
+    if (!postsBatch || postsBatch.length === 0) {
+      warn('No posts found in this batch. Trying again in 5s...');
+      consecutiveEmptyBatches++;
+      await delay(5000, 8000);
+      continue;
+    }
+    
+    log(`Found ${postsBatch.length} posts in batch. Evaluating...`);
+    
+    // evaluate posts sequentially
+    log(`  Evaluating ${postsBatch.length} post(s) from batch...`);
+    let skippedNoUrl    = 0;
+    let newActionable   = 0;   // posts that passed all filters and were scored
+    for (let i = 0; i < postsBatch.length; i++) {
+      if (made() >= MAX_COMMENTS || (Date.now() - startTime) > maxRuntimeMs || !inWindow.open()) break;
+      
+      const post = postsBatch[i];
+      if (!post.postUrl) {
+        skippedNoUrl++;
+        // Log every 4th no-URL skip to avoid spam
+        if (skippedNoUrl <= 2 || skippedNoUrl % 4 === 0) {
+          console.log(`  [SKIP] No URL (author: ${post.authorName || 'unknown'}, textLen: ${post.postText?.length || 0})`);
+        }
+        continue;
+      }
+      
+      // dedup within run — any of the post's ids (activity / ugcPost / share), or the same text
+      const postId   = post.postId;
+      const identity = { aliases: post.postAliases, fingerprint: post.fingerprint };
+      const seenInRun = findSeen(identity, runSeen);
+      if (seenInRun) {
+        console.log(`  [SKIP] Seen this run (${seenInRun}): ${postId}`);
+        continue;
+      }
+      rememberIdentity(identity, runSeen);
 
-  try {
-    // ── Step 5: Continuous Evaluation Loop ──────────────────────────
-    const MAX_RUNTIME_MS = 60 * 60 * 1000;
-    const startTime = Date.now();
-    const MAX_COMMENTS = config.bot.maxCommentsPerRun || 3;
-    let commentsMade = 0;
-
-    logStep(5, `Starting Continuous Engagement Loop (Max ${MAX_COMMENTS} comments, 60 min limit)`);
-    log(`Threshold: SCORE >= ${config.bot.minInterestScore}`);
-    log('Filters active:');
-    log('  • Skip OTW / job-seeking authors');
-    log('  • Skip students, interns, freshers');
-    log('  • Skip job advertisement posts');
-    log('  • Skip grief / tragedy posts');
-    log('  • Skip authors commented on in the last 7 days');
-
-    // track seen across batches so we don't evaluate same posts
-    const runSeenUrls  = new Set();
-    const runSeenTexts = new Set();
-    let   consecutiveEmptyBatches = 0;   // batches where nothing new was actionable
-    let   scrollPasses            = 5;   // start moderate; ramp up when stuck
-
-    while (commentsMade < MAX_COMMENTS && (Date.now() - startTime) < MAX_RUNTIME_MS) {
-      log(`\n⏳ Time elapsed: ${Math.round((Date.now() - startTime) / 1000 / 60)} min / 60 min limit. Comments: ${commentsMade}/${MAX_COMMENTS}`);
-      log("Scrolling feed and collecting batch of posts...");
-
-      // ── When stuck, reload the feed so the DOM gets a completely fresh set ──
-      if (consecutiveEmptyBatches >= 3) {
-        log('  ↺ Reloading LinkedIn feed to fetch fresh posts...');
-        try {
-          await page.goto('https://www.linkedin.com/feed/', { waitUntil: 'domcontentloaded', timeout: 30000 });
-          await new Promise(r => setTimeout(r, 4000));
-        } catch (e) { warn(`  Feed reload error: ${e.message}`); }
-        consecutiveEmptyBatches = 0;
-        scrollPasses = 5;  // reset scroll depth after reload
-
-        // ── IMPORTANT: clear the run-level seen-URL cache ──
-        // After a full page reload LinkedIn shows a fresh set of posts.
-        // Keep only IDs that are permanently commented (commentedIds) so
-        // we don't skip whatever new posts appear after the reload.
-        const toRemove = [...runSeenUrls].filter(id => !commentedIds.has(id));
-        toRemove.forEach(id => runSeenUrls.delete(id));
-        runSeenTexts.clear();
-        log(`  ↺ Cleared ${toRemove.length} temporary seen-IDs (${runSeenUrls.size} permanent remain).`);
+      // dedup globally — reshares and copies of a commented post match by text
+      const commentedAs = findSeen(identity, commented);
+      if (commentedAs) {
+        console.log(`  [SKIP] Already commented (${commentedAs}): ${postId}`);
+        continue;
+      }
+      const queuedAs = findSeen(identity, queued);
+      if (queuedAs) {
+        console.log(`  [SKIP] Already in the review queue (${queuedAs}): ${postId}`);
+        continue;
       }
       
-      const postsBatch = await getFeedPostsBatch(page, scrollPasses);
-      // Ramp up scroll passes each empty round so we dig deeper
-      scrollPasses = Math.min(scrollPasses + 2, 18);
+      // hard filters
+      const { skip, reason } = shouldSkip(post.authorName, post.authorHeadline, post.postText);
+      if (skip) {
+        console.log(`  [SKIP] filter (${reason}): ${post.authorName}`);
+        continue;
+      }
       
-      if (!postsBatch || postsBatch.length === 0) {
-        warn('No posts found in this batch. Trying again in 5s...');
-        consecutiveEmptyBatches++;
-        await delay(5000, 8000);
+      // author cooldown — same person (by profile URL), tier-specific length
+      const cooldown = checkAuthorCooldown(post, { tiers: authorTiers });
+      if (cooldown) {
+        console.log(`  [SKIP] Author cooldown (${cooldown.tier}, ${cooldown.cooldownDays}d, until ${cooldown.until.slice(0, 10)}): ${post.authorName}`);
         continue;
       }
       
-      log(`Found ${postsBatch.length} posts in batch. Evaluating...`);
+      // Engagement and Score
+      const { reactionCount, commentCount } = parseEngagement(post.cardText || '');
+      const { total: score, breakdown } = compositeScore({
+        postText:       post.postText,
+        authorHeadline: post.authorHeadline,
+        reactionCount,
+        commentCount,
+        positionIndex:  i,
+        totalPosts:     postsBatch.length,
+        isConnection:   post.isConnection,
+        postFormat:     post.postFormat,
+        commentsData:   post.commentsData,
+        authorReplied:  post.authorReplied,
+        postAge:        post.postAge
+      });
       
-      // evaluate posts sequentially
-      log(`  Evaluating ${postsBatch.length} post(s) from batch...`);
-      let skippedNoUrl    = 0;
-      let newActionable   = 0;   // posts that passed all filters and were scored
-      for (let i = 0; i < postsBatch.length; i++) {
-        if (commentsMade >= MAX_COMMENTS || (Date.now() - startTime) > MAX_RUNTIME_MS) break;
+      const nameStr = (post.authorName || 'Unknown').slice(0, 20).padEnd(20);
+      const engStr  = reactionCount ? `${reactionCount}👍 ${commentCount}💬` : 'no data';
+      const isGood  = score >= config.bot.minInterestScore;
+      const mark    = isGood ? '[✓]' : '[✗]';
+      
+      newActionable++;
+      log(`  ${mark} ${nameStr} | score:${score} (H:${breakdown.heuristic} E:${breakdown.engagement} V:${breakdown.visibility}) | ${engStr}`);
+      
+      if (isGood) {
+        log(`\n🏆 Found target post by "${post.authorName}" (Score: ${score})`);
+        log(`   Breakdown: H${breakdown.heuristic} E${breakdown.engagement} V${breakdown.visibility} S${breakdown.seniority} N${breakdown.niche} R${breakdown.recency}`);
         
-        const post = postsBatch[i];
-        if (!post.postUrl) {
-          skippedNoUrl++;
-          // Log every 4th no-URL skip to avoid spam
-          if (skippedNoUrl <= 2 || skippedNoUrl % 4 === 0) {
-            console.log(`  [SKIP] No URL (author: ${post.authorName || 'unknown'}, textLen: ${post.postText?.length || 0})`);
-          }
-          continue;
+        if (isBudgetExceeded()) {
+          warn(`Monthly AI budget reached (${getBudgetStatus()}) — stopping this run.`);
+          budgetReached = true;
+          break;
         }
+
+        // Step 6: Style
+        logStep(6, 'Picking comment style');
+        const style = pickRandomStyle();
+        success(`Style: "${style.label}"`);
         
-        // dedup within run
-        const postId = extractPostId(post.postUrl);
-        const normalizedUrl = post.postUrl.replace(/\/+$/, '');
-        if (runSeenUrls.has(postId)) {
-          console.log(`  [SKIP] runSeenUrls: ${postId}`);
+        // Step 7: Generate
+        logStep(7, 'Generating comment with AI...');
+        await delay(2000, 4000);
+        let result;
+        try {
+          result = await generateComment(post.postText, post.authorName, style, {
+            existingComments: post.commentsData || [],
+            authorHeadline: post.authorHeadline || '',
+          });
+        } catch (e) {
+          // A post can take several AI calls, so the budget may run out mid-post
+          if (e.code === 'AI_BUDGET_EXCEEDED') {
+            warn(`Monthly AI budget reached (${getBudgetStatus()}) — stopping this run.`);
+            budgetReached = true;
+            break;
+          }
+          warn(`   [!] AI could not write a comment (${e.message.slice(0, 100)}) — skipping.`);
           continue;
         }
-        runSeenUrls.add(postId);
         
-        const textKey = post.postText.slice(0, 60);
-        if (runSeenTexts.has(textKey)) {
-          console.log(`  [SKIP] runSeenTexts: ${textKey.replace(/\n/g, ' ')}`);
+        log(`   AI Target Angle: ${result.bestAngle}`);
+        if (result.existingOverlap !== null && result.existingOverlap !== undefined) {
+          log(`   Overlap with the post's comments: ${Math.round(result.existingOverlap * 100)}%`);
+        }
+        if (result.candidates && result.candidates.length > 1) {
+          log(`   ${result.candidates.length} candidates (${result.candidates[0].ranker} ranker):`);
+          for (const c of result.candidates) log(`   ${c.chosen ? '→' : ' '} ${formatCandidate(c)}`);
+        }
+        console.log(chalk.italic(`   "${result.comment}"\n`));
+        const violations = result.ruleViolations || [];
+        if (violations.some((v) => v.rule === 'repetition')) {
+          warn(`   [!] Too close to our earlier comments even after a rewrite — skipping. ${formatViolations(violations.filter((v) => v.rule === 'repetition'))}`);
           continue;
         }
-        runSeenTexts.add(textKey);
-
-        // dedup globally — check both activity ID and full URL
-        if (commentedIds.has(postId) || commentedFullUrls.has(normalizedUrl)) {
-          console.log(`  [SKIP] Already commented: ${postId}`);
+        // The plain-text fallback has no scores or candidates to vouch for it
+        if (violations.length && result.fallback) {
+          warn(`   [!] Fallback comment still breaks the comment rules after a rewrite — skipping. ${formatViolations(violations)}`);
           continue;
         }
+        if (violations.length) {
+          warn(`   [!] Still breaks the comment rules after a rewrite: ${formatViolations(violations)}`);
+        }
         
-        // hard filters
-        const { skip, reason } = shouldSkip(post.authorName, post.authorHeadline, post.postText);
-        if (skip) {
-          console.log(`  [SKIP] filter (${reason}): ${post.authorName}`);
+        if (!result.comment || result.comment.length < 10) {
+          warn('   [!] AI failed to generate valid comment. Skipping...');
           continue;
         }
-        
-        // 7-day cooldown
-        if (recentAuthors.has((post.authorName || '').toLowerCase())) {
-          console.log(`  [SKIP] 7-day cooldown: ${post.authorName}`);
+
+        // Review mode: queue it instead of posting (steps 8–11 run when it is approved)
+        if (REVIEW) {
+          const draftId = queueDraft({
+            post: {
+              postUrl: post.postUrl,
+              postRefs: post.postRefs || [],
+              postText: post.postText,
+              authorName: post.authorName,
+              authorHeadline: post.authorHeadline || '',
+              profileUrl: post.profileUrl || '',
+              postFormat: post.postFormat || 'text',
+              commentsData: post.commentsData || [],
+            },
+            comment: result.comment,
+            style: result.styleId || style.id,
+            type: result.commentType || '',
+            bestAngle: result.bestAngle || '',
+            promptVersion: result.promptVersion || '',
+            score,
+            breakdown,
+            experiments: arms,
+            candidates: result.candidates || [],
+          });
+          if (draftId) {
+            success(`   Queued as draft #${draftId} — review with \`npm run review\`.`);
+            draftsQueued++;
+          } else {
+            warn('   [!] Post already has a draft in the review queue.');
+          }
+          queued = getQueuedPostKeys();
+          await delay(3000, 5000);
           continue;
         }
         
-        // Engagement and Score
-        const { reactionCount, commentCount } = parseEngagement(post.cardText || '');
-        const { total: score, breakdown } = compositeScore({
-          postText:       post.postText,
-          authorHeadline: post.authorHeadline,
-          reactionCount,
-          commentCount,
-          positionIndex:  i,
-          totalPosts:     postsBatch.length,
-          isConnection:   post.isConnection,
-          postFormat:     post.postFormat,
-          commentsData:   post.commentsData,
-          authorReplied:  post.authorReplied,
-          postAge:        post.postAge
-        });
+        // Step 8: Read pause
+        logStep(8, 'Simulating reading time');
+        const words = post.postText.split(/\s+/).length;
+        const pauseMs = Math.round(Math.min(12, Math.max(4, words / 40)) * 1000);
+        log(`   Post has ~${words} words — pausing ${(pauseMs/1000).toFixed(1)}s...`);
         
-        const nameStr = (post.authorName || 'Unknown').slice(0, 20).padEnd(20);
-        const engStr  = reactionCount ? `${reactionCount}👍 ${commentCount}💬` : 'no data';
-        const isGood  = score >= config.bot.minInterestScore;
-        const mark    = isGood ? '[✓]' : '[✗]';
-        
-        newActionable++;
-        log(`  ${mark} ${nameStr} | score:${score} (H:${breakdown.heuristic} E:${breakdown.engagement} V:${breakdown.visibility}) | ${engStr}`);
-        
-        if (isGood) {
-          log(`\n🏆 Found target post by "${post.authorName}" (Score: ${score})`);
-          log(`   Breakdown: H${breakdown.heuristic} E${breakdown.engagement} V${breakdown.visibility} S${breakdown.seniority} N${breakdown.niche} R${breakdown.recency}`);
-          
-          // Step 6: Style
-          logStep(6, 'Picking comment style');
-          const style = pickRandomStyle();
-          success(`Style: "${style.label}"`);
-          
-          // Step 7: Generate
-          logStep(7, 'Generating comment with AI...');
-          await delay(2000, 4000);
-          const result = await generateComment(post.postText, post.authorName, style, {
-            existingComments: post.commentsData || [],
-            authorHeadline: post.authorHeadline || '',
-          });
-          
-          log(`   AI Target Angle: ${result.bestAngle}`);
-          console.log(chalk.italic(`   "${result.comment}"\n`));
-          
-          if (!result.comment || result.comment.length < 10) {
-            warn('   [!] AI failed to generate valid comment. Skipping...');
+        // Human reading pause — postComment handles all navigation, just sleep here
+        await new Promise(r => setTimeout(r, pauseMs));
+
+        // Step 10: Post comment
+        logStep(10, 'Posting comment on LinkedIn');
+        try {
+          // ── Last-minute safety guard: re-read the store from disk right before posting ──
+          // The run lock keeps out a second bot.js, but an older copy without it, or a
+          // store edited by hand mid-run, could still have saved this post since we loaded.
+          const preCheck = getCommentedPostKeys();
+          commented = preCheck;
+          if (findSeen(identity, preCheck)) {
+            warn(`   [!] Skipped — post was already commented on (detected pre-post): ${postId}`);
             continue;
           }
+
+          const posted = await postComment(page, post.postUrl, result.comment);
           
-          // Step 8: Read pause
-          logStep(8, 'Simulating reading time');
-          const words = post.postText.split(/\s+/).length;
-          const pauseMs = Math.round(Math.min(12, Math.max(4, words / 40)) * 1000);
-          log(`   Post has ~${words} words — pausing ${(pauseMs/1000).toFixed(1)}s...`);
-          
-          // Human reading pause — postComment handles all navigation, just sleep here
-          await new Promise(r => setTimeout(r, pauseMs));
-
-          // Step 10: Post comment
-          logStep(10, 'Posting comment on LinkedIn');
-          try {
-            // ── Last-minute safety guard: re-read CSV from disk right before posting ──
-            // Catches any race condition where another run wrote this URL since we loaded.
-            const preCheck = await readCommentedPosts();
-            if (preCheck.ids.has(postId) || preCheck.urls.has(normalizedUrl)) {
-              warn(`   [!] Skipped — URL was already saved to CSV (detected pre-post): ${postId}`);
-              commentedIds      = preCheck.ids;
-              commentedFullUrls = preCheck.urls;
-              continue;
+          if (posted) {
+            // It is on LinkedIn now: count it even if the store write below fails
+            commentsMade++;
+
+            // Dedup record + self-learning metadata, one row in the data store
+            try {
+              logCommentPerformance({
+                postUrl: post.postUrl,
+                postRefs: post.postRefs || [],
+                postText: post.postText,
+                authorName: post.authorName,
+                authorHeadline: post.authorHeadline || '',
+                profileUrl: post.profileUrl || '',
+                comment: result.comment,
+                style: result.styleId || style.id,
+                type: result.commentType || '',
+                score,
+                bestAngle: result.bestAngle || '',
+                existingCommentCount: (post.commentsData || []).length,
+                existingOverlap: result.existingOverlap,
+                authorCountry: '',
+                postFormat: post.postFormat || 'text',
+                promptVersion: result.promptVersion || '',
+                experiments: arms,
+                candidates: result.candidates || [],
+              });
+              success(`   Posted! Saved to the data store.`);
+            } catch (storeErr) {
+              warn(`   [!] Posted, but saving it to the data store failed: ${storeErr.message.slice(0, 80)}`);
             }
-            commentedIds      = preCheck.ids;
-            commentedFullUrls = preCheck.urls;
-
-            const posted = await postComment(page, post.postUrl, result.comment);
-            
-            if (posted) {
-              success(`   Posted! Saved to CSV.`);
-              await writeCommentedPost(post.postUrl, post.authorName, result.comment, post.profileUrl);
-              // Update in-memory sets immediately so next iterations skip this post
-              commentedIds.add(postId);
-              commentedFullUrls.add(normalizedUrl);
-              recentAuthors.add((post.authorName || '').toLowerCase());
-              commentsMade++;
-
-              // Track for self-learning
-              try {
-                logCommentPerformance({
-                  postUrl: post.postUrl,
-                  authorName: post.authorName,
-                  authorHeadline: post.authorHeadline || '',
-                  comment: result.comment,
-                  style: style.id,
-                  type: '',
-                  score,
-                  bestAngle: result.bestAngle || '',
-                  existingCommentCount: (post.commentsData || []).length,
-                  authorCountry: '',
-                  postFormat: post.postFormat || 'text',
-                });
-              } catch (learnErr) {
-                warn(`   [!] Learning log failed: ${learnErr.message.slice(0, 60)}`);
-              }
-
-              // Re-read from disk once more to stay fully in sync
-              const fresh = await readCommentedPosts();
-              commentedIds       = fresh.ids;
-              commentedFullUrls  = fresh.urls;
-            } else {
-              warn('   [!] Failed to post comment on page.');
-            }
-          } catch(e) {
-            warn(`   [!] Page interaction error: ${e.message.slice(0, 100)}`);
+
+            // Re-read from disk once more to stay fully in sync (also picks up other runs);
+            // remembered in memory too, in case the write above failed
+            commented = getCommentedPostKeys();
+            rememberIdentity(identity, commented);
+          } else {
+            warn('   [!] Failed to post comment on page.');
+          }
+        } catch(e) {
+          warn(`   [!] Page interaction error: ${e.message.slice(0, 100)}`);
+        }
+
+        // Ensure we are back on the feed for the next iteration
+        try {
+          if (!page.url().startsWith(`${config.linkedin.baseUrl}/feed`)) {
+            await page.goto(FEED_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
           }
+        } catch { /* page may be closed — next iteration's ensureOnFeed will recover */ }
+        await delay(3000, 5000);
 
-          // Ensure we are back on the feed for the next iteration
-          try {
-            if (!page.url().includes('linkedin.com/feed')) {
-              await page.goto('https://www.linkedin.com/feed/', { waitUntil: 'domcontentloaded', timeout: 30000 });
-            }
-          } catch { /* page may be closed — next iteration's ensureOnFeed will recover */ }
-          await delay(3000, 5000);
+        await interCommentBreak();
 
-          log(`   Taking a break before continuing the hunt...`);
-          const breakMinMin = config.bot.interCommentBreakMinMin;
-          const breakMaxMin = config.bot.interCommentBreakMaxMin;
-          const range = Math.max(1, breakMaxMin - breakMinMin);
-          const minutesToWait = breakMinMin + Math.floor(Math.random() * (range + 1));
-          const breakMs = minutesToWait * 60 * 1000 + Math.floor(Math.random() * 30000);
-          log(`   Pausing for ~${minutesToWait} min (range ${breakMinMin}–${breakMaxMin} from .env) to seem human.`);
-          await new Promise(r => setTimeout(r, breakMs));
-
-          // After posting, reset stuck state so next round starts fresh
-          consecutiveEmptyBatches = 0;
-          scrollPasses = 5;
-        }
-      } // end for (postsBatch)
-
-      // Update stuck counter: if nothing actionable in this round, back off
-      if (newActionable === 0) {
-        consecutiveEmptyBatches++;
-        log(`  [!] No new actionable posts (${consecutiveEmptyBatches}/3 before feed reload). Waiting...`);
-        await delay(4000, 7000);
-      } else {
+        // After posting, reset stuck state so next round starts fresh
         consecutiveEmptyBatches = 0;
+        scrollPasses = 5;
       }
+    } // end for (postsBatch)
+
+    // Update stuck counter: if nothing actionable in this round, back off
+    if (newActionable === 0) {
+      consecutiveEmptyBatches++;
+      log(`  [!] No new actionable posts (${consecutiveEmptyBatches}/3 before feed reload). Waiting...`);
+      await delay(4000, 7000);
+    } else {
+      consecutiveEmptyBatches = 0;
+    }
+  }
+
+  return { commentsMade, draftsQueued, made: made(), budgetReached };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  MAIN
+// ─────────────────────────────────────────────────────────────────
+
+async function main() {
+  startRunLog('bot');
+  console.log('');
+  console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(chalk.bold.white('  🤖  LinkedIn Comment Bot  —  Powered by AI'));
+  console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(`  Started: ${formatLocal(new Date(), config.schedule.timezone)}`);
+  console.log('');
+
+  // ── Schedule window (SCHEDULE_* in .env) ──
+  const { schedule } = config;
+  try {
+    validateSchedule(schedule, 'Schedule (SCHEDULE_* in .env)');
+  } catch (err) {
+    warn(err.message);
+    process.exit(1);
+  }
+  if (IGNORE_SCHEDULE) {
+    warn(`--ignore-schedule: running outside the schedule window (${describeSchedule(schedule)}) if need be.`);
+  } else if (!isOpen(schedule)) {
+    warn(`Outside the schedule window (${describeSchedule(schedule)}) — not starting.`);
+    log(`Next allowed start: ${formatLocal(nextStart(schedule), schedule.timezone)}. Use --ignore-schedule to run anyway.`);
+    console.log('');
+    process.exit(NON_INTERACTIVE ? EXIT.NO_WORK : 0);
+  } else {
+    const end = closesAt(schedule);
+    log(`Schedule: ${describeSchedule(schedule)} — ${end ? `this window closes ${formatLocal(end, schedule.timezone)}` : 'never closes'}.`);
+  }
+  // Every loop below stops once the window closes
+  const inWindow = createWindowGuard(schedule, {
+    ignore:  IGNORE_SCHEDULE,
+    onClose: (next) => warn(`Schedule window closed — stopping here. Next allowed start: ${formatLocal(next, schedule.timezone)}.`),
+  });
+
+  // ── One bot.js at a time (--wait queues behind the running one) ──
+  try {
+    await acquireRunLock('bot', {
+      wait:   process.argv.includes('--wait'),
+      onWait: (holder) => log(`Another bot.js is running (pid ${holder.pid}) — waiting for it to finish...`),
+    });
+  } catch (err) {
+    warn(err.message);
+    warn('Wait for it to finish, or start with --wait to queue behind it.');
+    process.exit(1);
+  }
+
+  // ── Step 1: Validate AI API key ──────────────────────────────────
+  logStep(1, 'Validating AI providers');
+  const providers = availableProviders();
+
+  if (providers.length === 0) {
+    warn('No valid AI provider found. Set OPENAI_API_KEY, GEMINI_API_KEY, AI_COMPAT_BASE_URL or OLLAMA_ENABLED in .env');
+    process.exit(1);
+  }
+  success(`AI providers: ${describeProviders()}`);
+  if (providers[0] === 'fake') success('Fake AI provider — offline, scripted replies, no real AI calls');
+  if (isBudgetExceeded()) {
+    warn(`Monthly AI budget reached (${getBudgetStatus()}). Raise AI_MONTHLY_BUDGET_USD or wait for next month.`);
+    process.exit(NON_INTERACTIVE ? EXIT.QUOTA_REACHED : 1);
+  }
+  success(`AI spend: ${getBudgetStatus()}`);
+
+  // ── Step 2: Prepare data files ───────────────────────────────────
+  logStep(2, 'Opening data store');
+  let store;
+  try {
+    store = await openStore();
+  } catch (err) {
+    warn(`Could not open the data store (${config.data.dbPath}): ${err.message}`);
+    process.exit(1);
+  }
+  if (store.imported) {
+    const n = store.imported;
+    success(`Created ${store.file} — imported ${n.comments} comment(s), ${n.connections} connection request(s), ${n.targets} target profile(s) from the old CSV / JSON files.`);
+  }
+  // Every id + text fingerprint of the posts we commented on (postIdentity.js)
+  const commented = getCommentedPostKeys();
+  success(`Loaded ${commented.ids.size} post id(s) and ${commented.fingerprints.size} text fingerprint(s) of commented posts for deduplication.`);
+  // Author cooldown — per person (profile URL), length per author tier
+  let authorTiers;
+  try {
+    authorTiers = loadAuthorTiers();
+  } catch (err) {
+    authorTiers = { defaultCooldownDays: config.bot.authorCooldownDays, tiers: [] };
+    warn(`Author tiers ignored this run: ${err.message}`);
+  }
+  success(`Author cooldown: ${describeTiers(authorTiers)}.`);
+  // Fact sheet — the only experience a comment may claim (src/ai/persona.js)
+  try {
+    const persona = loadPersona();
+    if (persona) success(`Fact sheet: ${describePersona(persona)} (${config.data.personaPath}).`);
+    else warn(`No fact sheet at ${config.data.personaPath} — comments won't claim experience of their own.`);
+  } catch (err) {
+    warn(`Fact sheet ignored this run: ${err.message}`);
+  }
+  const approvedCount = listDrafts(['approved']).length;
+  const pendingCount  = listDrafts(['pending']).length;
+  if (REVIEW) success('Review mode — comments are queued as drafts, not posted (review with `npm run review`).');
+  if (approvedCount || pendingCount) success(`Review queue: ${approvedCount} approved draft(s) to post, ${pendingCount} waiting for review.`);
+  try { success(`Learning: ${getLearningStats()}`); } catch { /* first run */ }
+  if (process.argv.includes('--dashboard')) {
+    try {
+      const { url } = await startDashboard({ background: true });
+      success(`Dashboard: ${url}`);
+    } catch (err) {
+      warn(`Dashboard not started: ${err.code === 'EADDRINUSE' ? `port ${config.dashboard.port} is in use` : err.message}`);
+    }
+  }
+  let arms = {};
+  try {
+    arms = assignArms();
+    for (const [experiment, arm] of Object.entries(arms)) success(`Experiment ${experiment}: arm "${arm}" this run`);
+    for (const line of formatExperimentReport()) log(`  ${line}`);
+  } catch (err) {
+    warn(`Experiments disabled this run: ${err.message}`);
+  }
+
+  // ── Step 3: Natural inactivity check ────────────────────────────
+  logStep(3, 'Natural inactivity check');
+  // 25% chance to skip for the day — humans don't comment every day
+  if (Math.random() < 0.25) {
+    log('Skipping this run — natural inactivity day. (25% chance)');
+    log('Re-run to try again, or this is normal. Humans are inconsistent.');
+    console.log('');
+    process.exit(NON_INTERACTIVE ? EXIT.NO_WORK : 0);
+  }
+  success('Active today — proceeding.');
+
+  // ── Step 4: Launch browser & restore session ─────────────────────
+  logStep(4, 'Launching browser & restoring session');
+  let browser, page;
+  try {
+    ({ browser, page } = await createSession({ interactive: !NON_INTERACTIVE }));
+  } catch (err) {
+    warn(err.code === 'LOGIN_REQUIRED' ? err.message : `Browser launch failed: ${err.message}`);
+    process.exit(exitCodeFor(err));
+  }
+
+  try {
+    // ── Steps 4b and 5: approved drafts, then the feed ──────────────
+    const MAX_COMMENTS = config.bot.maxCommentsPerRun || 3;
+    const { commentsMade, draftsQueued, budgetReached } = await runCommentSession(page, { inWindow, authorTiers, arms, limit: MAX_COMMENTS });
+
+    logStep('END', REVIEW
+      ? `Finished bot run. Drafts queued: ${draftsQueued}/${MAX_COMMENTS}, approved drafts posted: ${commentsMade}`
+      : `Finished bot run. Comments made: ${commentsMade}/${MAX_COMMENTS}`);
+    const aiStats = formatProviderStats();
+    if (aiStats) log(`AI providers: ${aiStats}`);
+    log(`AI usage: ${formatRunUsage()} (${getBudgetStatus()})`);
+    const habits = suggestBannedPhrases(5);
+    if (habits.length) {
+      log(`Phrases you keep using — candidates for BANNED_ANYWHERE (src/ai/bannedPhrases.js): ${habits.map((h) => `"${h.phrase}" ×${h.uses}`).join(', ')}`);
+    }
+
+    if (NON_INTERACTIVE) {
+      log('Closing browser...');
+      await browser.close();
+      let code = EXIT.SUCCESS;
+      if (commentsMade + draftsQueued === 0) code = budgetReached ? EXIT.QUOTA_REACHED : EXIT.NO_WORK;
+      log(`Exit status ${code}.`);
+      process.exit(code);
     }
 
-    logStep('END', `Finished bot run. Comments made: ${commentsMade}/${MAX_COMMENTS}`);
     log('The browser is still open. Browse LinkedIn freely.');
     console.log('');
 
@@ -425,11 +747,43 @@ async function main() {
     console.error(chalk.red(`\n[ERROR] ${err.message}`));
     console.error(err.stack);
     try {
-      await waitForEnter('\nPress ENTER to close the browser and exit...\n');
+      if (!NON_INTERACTIVE) await waitForEnter('\nPress ENTER to close the browser and exit...\n');
       await browser.close();
     } catch {}
+    process.exit(EXIT.ERROR);
+  }
+}
+
+/**
+ * --login: restore or create the LinkedIn session, then exit. Both bots share
+ * the session folder, so neither (nor the daemon) may be running.
+ */
+async function loginOnly() {
+  console.log('');
+  console.log(chalk.bold.white('  🔐  LinkedIn login'));
+  console.log('');
+  try {
+    await acquireRunLock('bot');
+    await acquireRunLock('connection-bot');
+  } catch (err) {
+    warn(err.message);
+    warn('Stop the running bot (or daemon) first — it has the browser session open.');
     process.exit(1);
   }
+
+  let browser;
+  try {
+    ({ browser } = await createSession({ interactive: true }));
+  } catch (err) {
+    warn(`Login failed: ${err.message}`);
+    process.exit(EXIT.ERROR);
+  }
+  await browser.close().catch(() => {});
+  success(`Logged in — session saved to ${config.browser.sessionDir}. Start the bot (or daemon) again.`);
+  console.log('');
+  process.exit(EXIT.SUCCESS);
 }
 
-main();
+if (require.main === module) (LOGIN ? loginOnly() : main());
+
+module.exports = { runCommentSession };
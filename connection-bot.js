@@ -4,7 +4,7 @@
  *
  * Full pipeline:
  *   1.  Load config & display summary
- *   2.  Prepare CSV data file
+ *   2.  Open the data store (SQLite)
  *   3.  Launch browser & restore session
  *   4.  Navigate to LinkedIn People Search
  *   5.  Collect & paginate candidate profiles (name, headline, location)
@@ -12,14 +12,27 @@
  *         a. Country filter  (targetCountries code-level guard)
  *         b. Role filter     (targetRoles — buyers only)
  *         c. Exclude filters (students, OTW, recruiters, custom words)
- *         d. Dedup           (already in sent_connections.csv)
+ *         d. Dedup           (already sent, per the data store)
  *         e. Random skip     (human variance)
  *   7.  Generate personalised AI note  (OpenAI → Gemini → static template)
  *   8.  Send connection request + note
- *   9.  Log to CSV
+ *   9.  Save the request to the data store
  *  10.  Human-like inter-request delay
  *  11.  Print summary → press Enter to close
  *
+ * With --review (or CONNECTION_REVIEW_MODE=true) steps 8–10 are replaced by
+ * queueing the request and its note for review in the dashboard
+ * (npm run dashboard); every run sends the approved ones first (step 3b).
+ * The bot only starts inside its schedule window (schedule in
+ * connection-config.js, src/schedule.js) and stops when it closes;
+ * --ignore-schedule runs anyway.
+ * The console output of every run is kept in data/logs/ (runLog.js), and
+ * --dashboard serves the dashboard while the run lasts. Steps 3b–10 are
+ * runConnectionSession(), which daemon.js also runs.
+ * With --non-interactive nothing waits for the keyboard: step 11 closes the
+ * browser, an expired login fails instead of prompting, and the exit status
+ * says how the run went (src/exitCodes.js).
+ *
  * Edit connection-config.js to control ALL settings.
  * Set DRY_RUN=true in .env to test without sending real requests.
  */
@@ -27,13 +40,40 @@
 require('dotenv').config();
 const chalk    = require('chalk');
 const readline = require('readline');
-const path     = require('path');
-const fs       = require('fs');
 
-const { createSession }              = require('./src/browser/session');
-const { sendConnectionRequest }      = require('./src/linkedin/connector');
-const { generateConnectionNote }     = require('./src/ai/connectionNote');
-const cfg                            = require('./connection-config');
+const { createSession }                   = require('./src/browser/session');
+const { sendConnectionRequest }           = require('./src/linkedin/connector');
+const { scrapeSearchPage, clickNextPage } = require('./src/linkedin/search');
+const { generateConnectionNote }          = require('./src/ai/connectionNote');
+const { loadPersona, describePersona }    = require('./src/ai/persona');
+const { formatProviderStats }             = require('./src/ai/providers');
+const { formatRunUsage, getBudgetStatus, isBudgetExceeded } = require('./src/data/usage');
+const { acquireRunLock }                  = require('./src/data/lock');
+const { startRunLog }                     = require('./src/data/runLog');
+const { startDashboard }                  = require('./src/dashboard/server');
+const { EXIT, exitCodeFor }               = require('./src/exitCodes');
+const {
+  validateSchedule, isOpen, closesAt, nextStart, createWindowGuard, formatLocal, describeSchedule,
+} = require('./src/schedule');
+const {
+  openStore,
+  getSentProfileUrls,
+  countConnectionsSince,
+  recordConnectionRequest,
+  queueNoteDraft,
+  listNoteDrafts,
+  markNoteDraftSent,
+  markNoteDraftFailed,
+  setNoteDraftStatus,
+  getQueuedProfileUrls,
+} = require('./src/data/store');
+const { normalizeProfileUrl }             = require('./src/data/normalize');
+const cfg                                 = require('./connection-config');
+const config                              = require('./src/config');
+
+const REVIEW          = process.argv.includes('--review') || cfg.reviewMode;
+const IGNORE_SCHEDULE = process.argv.includes('--ignore-schedule');
+const NON_INTERACTIVE = process.argv.includes('--non-interactive');
 
 // ─────────────────────────────────────────────────────────────────
 //  LOGGER HELPERS
@@ -63,51 +103,6 @@ function randomBetween(min, max) {
   return min + Math.floor(Math.random() * (max - min + 1));
 }
 
-// ─────────────────────────────────────────────────────────────────
-//  CSV HELPERS
-// ─────────────────────────────────────────────────────────────────
-
-const CSV_HEADER = 'profileUrl,name,headline,location,noteSent,timestamp\n';
-
-function ensureCsv() {
-  const dir = path.dirname(path.resolve(cfg.sentConnectionsPath));
-  if (!fs.existsSync(dir))  fs.mkdirSync(dir, { recursive: true });
-  if (!fs.existsSync(cfg.sentConnectionsPath)) {
-    fs.writeFileSync(cfg.sentConnectionsPath, CSV_HEADER, 'utf-8');
-    info(`Created ${cfg.sentConnectionsPath}`);
-  }
-}
-
-function loadSentUrls() {
-  try {
-    const content = fs.readFileSync(cfg.sentConnectionsPath, 'utf-8');
-    const lines   = content.trim().split('\n').slice(1);
-    const urls    = new Set();
-    for (const line of lines) {
-      const col = line.split(',')[0]?.replace(/^"|"$/g, '').trim();
-      if (col) urls.add(col.replace(/\/+$/, ''));
-    }
-    return urls;
-  } catch { return new Set(); }
-}
-
-function countTodaySent() {
-  try {
-    const content  = fs.readFileSync(cfg.sentConnectionsPath, 'utf-8');
-    const lines    = content.trim().split('\n').slice(1);
-    const todayStr = new Date().toISOString().slice(0, 10);
-    return lines.filter((l) => l.includes(todayStr)).length;
-  } catch { return 0; }
-}
-
-function appendSentRow(profileUrl, name, headline, location, note) {
-  const ts       = new Date().toISOString();
-  const safeNote = (note || '').replace(/"/g, '""');
-  const safeLoc  = (location || '').replace(/"/g, '""');
-  const row      = `"${profileUrl}","${name}","${headline}","${safeLoc}","${safeNote}","${ts}"\n`;
-  fs.appendFileSync(cfg.sentConnectionsPath, row, 'utf-8');
-}
-
 // ─────────────────────────────────────────────────────────────────
 //  FILTER LOGIC
 // ─────────────────────────────────────────────────────────────────
@@ -177,253 +172,245 @@ function shouldInclude(name, headline, location, degree) {
 }
 
 // ─────────────────────────────────────────────────────────────────
-//  SEARCH PAGE SCRAPING
+//  COLLECT ALL CANDIDATES
 // ─────────────────────────────────────────────────────────────────
 
-/**
- * Scroll down the current page gradually so LinkedIn's Intersection-Observer
- * lazy-loader renders each result card before we try to read its text.
- */
-async function scrollToLoadResults(page) {
-  await page.evaluate(async () => {
-    const delay = (ms) => new Promise((r) => setTimeout(r, ms));
-    // Scroll in chunks — triggers the IntersectionObserver on each card
-    for (let i = 0; i < 10; i++) {
-      window.scrollBy(0, 500);
-      await delay(500);
+async function collectCandidates(page, maxPages) {
+  const candidates = [];
+  log('Navigating to people search URL...');
+  await page.goto(cfg.searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await sleep(3000);
+
+  for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
+    info(`  Scraping search results page ${pageNum}/${maxPages}...`);
+    const pageResults = await scrapeSearchPage(page);
+    info(`  Found ${pageResults.length} profile card(s) on page ${pageNum}.`);
+    candidates.push(...pageResults);
+
+    if (pageNum < maxPages) {
+      const hasNext = await clickNextPage(page);
+      if (!hasNext) { info('  No more pages.'); break; }
     }
-    // Scroll back to top so pagination button is still in view later
-    window.scrollTo(0, 0);
-    await delay(400);
-  });
-  await sleep(1200);
+  }
+
+  return candidates;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  REVIEW QUEUE
+// ─────────────────────────────────────────────────────────────────
+
+async function betweenRequests() {
+  const waitMs = randomBetween(cfg.betweenRequestMinMs, cfg.betweenRequestMaxMs);
+  log(`   Waiting ${Math.round(waitMs / 1000)}s before next request...`);
+  await sleep(waitMs);
 }
 
 /**
- * Scrape profile cards from the current LinkedIn People Search results page.
+ * Send the requests whose notes were approved in the dashboard, oldest
+ * first. A profile we've sent to meanwhile is dropped; a failed attempt is
+ * retried next run. In a dry run nothing is sent and the notes stay approved.
  *
- * LinkedIn now uses randomised/obfuscated CSS class names that change with
- * every deploy. Instead of relying on class selectors we:
- *   1. Scroll the page to trigger lazy-loading of all result cards.
- *   2. Anchor on `a[href*="/in/"]` links — these are stable.
- *   3. Walk UP the DOM from each link until we find a container that:
- *        • has exactly ONE unique /in/ URL (= this profile's card boundary)
- *        • has enough text to contain name + headline + location.
- *   4. Parse name / headline / location from the card's innerText lines.
+ * @returns {Promise<number>} requests sent
  */
-async function scrapeSearchPage(page) {
-  await scrollToLoadResults(page);
+async function sendApprovedNotes(page, { limit, sentUrls, inWindow }) {
+  let sent = 0;
+  for (const draft of listNoteDrafts(['approved'])) {
+    if (sent >= limit || !inWindow.open()) break;
+    if (sentUrls.has(draft.profileUrl)) {
+      setNoteDraftStatus(draft.id, 'failed', 'request already sent');
+      warn(`  Note #${draft.id}: ${draft.name} already has a request — dropped.`);
+      continue;
+    }
 
-  // Make sure at least one profile link is visible before evaluating
-  try {
-    await page.waitForSelector('a[href*="/in/"]', { timeout: 8000 });
-  } catch {
-    warn('  No profile links found on this page — may be a CAPTCHA / redirect.');
-    return [];
-  }
+    if (sent > 0) {
+      await betweenRequests();
+      if (!inWindow.open()) break;
+    }
+    log(`  Note #${draft.id} → ${draft.name}`);
+    info(`   "${draft.note.slice(0, 80)}…"`);
+    let result;
+    try {
+      result = await sendConnectionRequest(page, draft.profileUrl, draft.note, cfg.dryRun, draft.inviteUrl || null);
+    } catch (e) {
+      result = { sent: false, reason: e.message.slice(0, 100) };
+    }
 
-  return page.evaluate(() => {
-    const results  = [];
-    const seenUrls = new Set();
-
-    // UI noise that should never appear as name / headline / location
-    const NOISE = new Set([
-      'Connect', 'Follow', 'Message', 'Pending', 'Withdraw',
-      'Promoted', 'Sponsored', 'LinkedIn Member', '...',
-    ]);
-    const isDegree = (s) => /^•?\s*(1st|2nd|3rd\+)/i.test(s);
-    const isNoise  = (s) => NOISE.has(s) || isDegree(s) || /^\d+$/.test(s) || s.length < 2;
-
-    const allLinks = Array.from(document.querySelectorAll('a[href*="/in/"]'));
-
-    for (const link of allLinks) {
-      // Skip nav / header links (user's own profile in the top bar)
-      if (link.closest('nav, header, [role="navigation"]')) continue;
-
-      const href = (link.href || '').split('?')[0];
-      if (!href.includes('/in/'))       continue;
-      if (href.includes('/messaging/')) continue;
-      if (href.includes('/jobs/'))      continue;
-      if (href.includes('/company/'))   continue;
-      if (seenUrls.has(href))           continue;
-      seenUrls.add(href);
-
-      // ── Step 1: find the nearest <li> ancestor ──────────────────────
-      // LinkedIn renders each search result as a <li>.
-      // We validate that the FIRST /in/ link inside that <li> is ours —
-      // mutual-connection links appear later in the card markup, not first.
-      let card = null;
-      let liFound = false;
-
-      let el = link.parentElement;
-      for (let d = 0; d < 20 && el && el.tagName !== 'BODY'; d++) {
-        if (el.tagName === 'LI') {
-          liFound = true;
-          const firstIn   = el.querySelector('a[href*="/in/"]');
-          const firstHref = firstIn ? firstIn.href.split('?')[0] : '';
-          if (firstHref === href) {
-            card = el;    // ✓ this li belongs to our profile
-          }
-          // Either way (match or reject), stop at the first <li>
-          break;
-        }
-        el = el.parentElement;
-      }
+    if (cfg.dryRun) {
+      success('   [DRY RUN] Would send — note stays approved.');
+    } else if (result.sent) {
+      const requestId = recordConnectionRequest({
+        profileUrl: draft.profileUrl, name: draft.name, headline: draft.headline, location: draft.location, note: draft.note,
+      });
+      markNoteDraftSent(draft.id, requestId);
+      sentUrls.add(draft.profileUrl);
+      sent++;
+      success('   Sent! Saved to the data store.');
+    } else {
+      const status = markNoteDraftFailed(draft.id, result.reason);
+      warn(`   Not sent → ${result.reason} — ${status === 'failed' ? 'giving up on it' : 'will retry next run'}.`);
+    }
+  }
+  return sent;
+}
 
-      // If we found a <li> but it's not ours, this is a mutual-connection
-      // link inside someone else's card — skip it entirely.
-      if (liFound && !card) continue;
-
-      // ── Step 2: fallback walk-up (only if no <li> found) ───────────
-      if (!card) {
-        let walker = link.parentElement;
-        for (let d = 0; d < 15 && walker && walker.tagName !== 'BODY'; d++) {
-          const firstIn   = walker.querySelector('a[href*="/in/"]');
-          const firstHref = firstIn ? firstIn.href.split('?')[0] : '';
-          const cardLen   = (walker.innerText || '').trim().length;
-          if (firstHref === href && cardLen > 50) {
-            card = walker;
-            // Keep walking up while the first link is still ours
-            const parent = walker.parentElement;
-            if (parent && parent.tagName !== 'BODY') {
-              const pFirst = parent.querySelector('a[href*="/in/"]');
-              const pHref  = pFirst ? pFirst.href.split('?')[0] : '';
-              if (pHref === href) { walker = parent; continue; }
-            }
-            break;
-          }
-          walker = walker.parentElement;
-        }
-      }
+// ─────────────────────────────────────────────────────────────────
+//  SESSION
+// ─────────────────────────────────────────────────────────────────
 
-      if (!card) continue;
-
-      // ── Only include cards whose action button is "Connect" ─────────
-      // Skip cards that show "Message" (already 1st degree) or
-      // "Follow" (creator/public figure) — no Connect link present.
-      const hasConnect =
-        card.querySelector('a[href*="custom-invite"]') !== null ||
-        card.querySelector('a[aria-label*="connect" i]') !== null ||
-        card.querySelector('button[aria-label*="connect" i]') !== null;
-      if (!hasConnect) continue;
-
-      // ── Parse card text ─────────────────────────────────────────────
-      const rawText = (card.innerText || card.textContent || '').trim();
-      if (!rawText || rawText.length < 10) continue;
-
-
-      const allRaw = rawText.split(/[\n\r]+/).map((l) => l.trim());
-      const lines  = allRaw.filter((l) => !isNoise(l));
-
-      const name     = lines[0] || '';
-      const headline = lines[1] || '';
-
-      // Skip if name looks like a mutual-connections blurb or nav UI text
-      // e.g. "Rohail Rathore, Om Kirshana and 2 mutual connections"
-      // e.g. "0 notifications", "Home", "Jobs"
-      if (!name || name.length < 3 || name.length > 70) continue;
-      if (/^\d/.test(name)) continue;                          // starts with a digit
-      if (/,/.test(name) || /\bmutual\b/i.test(name)) continue;
-      if (/ and \d/i.test(name)) continue;
-      // Common LinkedIn nav labels that bleed through
-      const UI_LABELS = new Set(['home','my network','jobs','messaging','notifications','search','me','for business']);
-      if (UI_LABELS.has(name.toLowerCase())) continue;
-
-      // Location: 3rd non-noise line, skipping connection-count lines
-      let location = '';
-      for (let i = 2; i < Math.min(lines.length, 8); i++) {
-        const ln = lines[i];
-        if (/connections?|followers?/i.test(ln)) continue;
-        if (ln.length < 3) continue;
-        // Skip if line looks like a job title / headline, not a location
-        // Locations are short, no pipes, no '@', no job-role keywords
-        if (ln.includes('|')) continue;
-        if (ln.includes('@')) continue;
-        if (ln.length > 65) continue;
-        if (/\bat\s+[A-Z]/i.test(ln) && ln.split(' ').length > 4) continue; // "Director at Acme Corp"
-        location = ln;
-        break;
-      }
+/**
+ * One connection session on an open page: send the approved notes (step 3b),
+ * then go through the search results (steps 4–5) until `limit` requests — or
+ * queued notes, in review mode — are made, the daily limit is reached or the
+ * schedule window closes. main() runs one per run; daemon.js several a day.
+ *
+ * @param {object} page
+ * @param {object} opts
+ * @param {object} opts.inWindow                              - createWindowGuard() from src/schedule.js
+ * @param {number} [opts.limit=cfg.maxConnectionsPerRun]
+ * @returns {Promise<{ connectionsSent: number, connectionsSkipped: number, notesQueued: number, made: number, candidates: number }>}
+ */
+async function runConnectionSession(page, { inWindow, limit = cfg.maxConnectionsPerRun }) {
+  const sentUrls   = getSentProfileUrls();
+  const todayCount = countConnectionsSince(new Date().toISOString().slice(0, 10));
+  // Profiles waiting in the review queue are not queued twice
+  const queuedUrls = getQueuedProfileUrls();
+  let connectionsSent    = 0;
+  let connectionsSkipped = 0;
+  let notesQueued        = 0;
+  // The loop stops at `limit` requests — or queued notes, in review mode
+  const made = () => (REVIEW ? notesQueued : connectionsSent);
+  let candidates = [];
+  const totals = () => ({ connectionsSent, connectionsSkipped, notesQueued, made: made(), candidates: candidates.length });
+
+  // ── Step 3b: Send the requests approved in the dashboard ─────────
+  if (listNoteDrafts(['approved']).length > 0) {
+    logStep('3b', 'Sending approved requests from the review queue');
+    connectionsSent = await sendApprovedNotes(page, {
+      limit:    Math.min(limit, cfg.dailyLimit - todayCount),
+      sentUrls,
+      inWindow,
+    });
+    success(`Sent ${connectionsSent} approved request(s).`);
+  }
 
-      // Degree
-      const degreeLine = allRaw.find((l) => isDegree(l)) || '';
-      const degree     = degreeLine.replace(/^•?\s*/, '').trim();
+  // ── Step 4 & 5: Collect candidates ──────────────────────────────
+  logStep(4, 'Collecting candidate profiles from search results');
+  candidates = await collectCandidates(page, cfg.maxSearchPages);
+  success(`Collected ${candidates.length} total candidates.`);
 
-      // Extract invite URL from the Connect <a> tag in the card
-      const connectEl = card.querySelector('a[href*="custom-invite"]') ||
-                        card.querySelector('a[aria-label*="Invite" i]');
-      const inviteHref = connectEl ? (connectEl.getAttribute('href') || '') : '';
-      const inviteUrl  = inviteHref
-        ? (inviteHref.startsWith('http') ? inviteHref : 'https://www.linkedin.com' + inviteHref)
-        : null;
+  if (candidates.length === 0) {
+    warn('No candidates found. Check your searchUrl in connection-config.js.');
+    return totals();
+  }
 
-      results.push({ name, headline, location, profileUrl: href, degree, inviteUrl });
+  // ── Step 5: Filter, note, send ───────────────────────────────────
+  logStep(5, `Evaluating candidates (limit: ${limit})`);
+
+  for (const candidate of candidates) {
+    // Hard limit guard
+    const remaining = Math.min(
+      limit - made(),
+      REVIEW ? Infinity : cfg.dailyLimit - todayCount - connectionsSent
+    );
+    if (remaining <= 0) { log('Connection limit reached. Stopping.'); break; }
+    if (!inWindow.open()) break;
+
+    const { name, headline, location, profileUrl, degree, inviteUrl } = candidate;
+    const normalizedUrl = normalizeProfileUrl(profileUrl);
+    const nameStr       = (name || 'Unknown').slice(0, 28).padEnd(28);
+
+    // ── Dedup ──────────────────────────────────────────────────────
+    if (sentUrls.has(normalizedUrl)) {
+      skipped(`${nameStr} | Already sent`);
+      connectionsSkipped++;
+      continue;
+    }
+    if (queuedUrls.has(normalizedUrl)) {
+      skipped(`${nameStr} | Already in the review queue`);
+      connectionsSkipped++;
+      continue;
     }
 
-    return results;
-  });
-}
+    // ── Country filter (code-level guard) ─────────────────────────
+    const { pass: countryOk, reason: countryReason } = countryCheck(location);
+    if (!countryOk) {
+      skipped(`${nameStr} | ${countryReason}`);
+      connectionsSkipped++;
+      continue;
+    }
 
-/**
- * Click the pagination "Next" button.
- * Returns true if navigation to next page succeeded.
- */
-async function clickNextPage(page) {
-  // Scroll to bottom so the Next button/link is rendered and visible
-  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-  await sleep(1200);
-
-  // LinkedIn 2026: pagination uses <a> tags, not <button> — try both
-  const nextSel =
-    'button[aria-label="Next"], ' +
-    'a[aria-label="Next"], ' +
-    'button[aria-label*="next page" i], ' +
-    'a[aria-label*="next page" i], ' +
-    'li.artdeco-pagination__indicator--number:last-child button, ' +
-    'li.artdeco-pagination__indicator--number:last-child a';
-
-  const nextBtn = page.locator(nextSel).first();
-
-  if (!(await nextBtn.isVisible({ timeout: 5000 }).catch(() => false))) {
-    // Last resort: look for any element containing the text "Next" near the footer
-    const textNext = page.locator('button:has-text("Next"), a:has-text("Next")').last();
-    if (!(await textNext.isVisible({ timeout: 2000 }).catch(() => false))) return false;
-    if (await textNext.isDisabled().catch(() => true)) return false;
-    await textNext.click();
-    await sleep(3500);
-    return true;
-  }
+    // ── Role + exclude filters ─────────────────────────────────────
+    const { include, reason: filterReason } = shouldInclude(name, headline, location, degree);
+    if (!include) {
+      skipped(`${nameStr} | ${filterReason}`);
+      connectionsSkipped++;
+      continue;
+    }
 
-  if (await nextBtn.isDisabled().catch(() => true)) return false;
+    // ── Random skip ────────────────────────────────────────────────
+    if (Math.random() < cfg.skipChance) {
+      skipped(`${nameStr} | Random skip (human variance)`);
+      connectionsSkipped++;
+      continue;
+    }
 
-  await nextBtn.click();
-  await sleep(3500);
-  return true;
-}
+    // ── AI Note Generation ─────────────────────────────────────────
+    let note = '';
+    if (cfg.sendNote) {
+      log(`\n🤖 Generating AI note for: ${name}...`);
+      note = await generateConnectionNote(name, headline, location, cfg.noteTemplates);
+      info(`   Note (${note.length} chars): "${note.slice(0, 80)}…"`);
+    }
 
-// ─────────────────────────────────────────────────────────────────
-//  COLLECT ALL CANDIDATES
-// ─────────────────────────────────────────────────────────────────
+    // ── Review mode: queue instead of sending ──────────────────────
+    if (REVIEW) {
+      const id = queueNoteDraft({ profileUrl: normalizedUrl, name, headline, location, inviteUrl, note });
+      if (id === null) {
+        skipped(`${nameStr} | Already in the review queue`);
+        connectionsSkipped++;
+        continue;
+      }
+      queuedUrls.add(normalizedUrl);
+      notesQueued++;
+      success(`   Queued for review as note #${id} — total: ${notesQueued}/${limit}`);
+      continue;
+    }
 
-async function collectCandidates(page, maxPages) {
-  const candidates = [];
-  log('Navigating to people search URL...');
-  await page.goto(cfg.searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  await sleep(3000);
+    // ── Print candidate ────────────────────────────────────────────
+    log(`\n🔗 Connecting: ${name}`);
+    log(`   Headline : ${(headline || '').slice(0, 60)}`);
+    log(`   Location : ${location || '(no location)'}`);
+    log(`   URL      : ${profileUrl}`);
 
-  for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
-    info(`  Scraping search results page ${pageNum}/${maxPages}...`);
-    const pageResults = await scrapeSearchPage(page);
-    info(`  Found ${pageResults.length} profile card(s) on page ${pageNum}.`);
-    candidates.push(...pageResults);
+    // ── Send ───────────────────────────────────────────────────────
+    const result = await sendConnectionRequest(page, profileUrl, note, cfg.dryRun, inviteUrl);
 
-    if (pageNum < maxPages) {
-      const hasNext = await clickNextPage(page);
-      if (!hasNext) { info('  No more pages.'); break; }
+    if (result.sent || (cfg.dryRun && !result.skipped)) {
+      if (!cfg.dryRun) {
+        recordConnectionRequest({ profileUrl: normalizedUrl, name, headline, location, note });
+        sentUrls.add(normalizedUrl);
+      }
+      connectionsSent++;
+      success(`   ${cfg.dryRun ? '[DRY RUN] Would send' : 'Sent!'} — total: ${connectionsSent}/${limit}`);
+    } else {
+      warn(`   Not sent → ${result.reason}`);
+      connectionsSkipped++;
     }
+
+    // ── Return to search page ──────────────────────────────────────
+    try {
+      if (!page.url().startsWith(`${config.linkedin.baseUrl}/search`)) {
+        await page.goto(cfg.searchUrl, { waitUntil: 'domcontentloaded', timeout: 25000 });
+        await sleep(2500);
+      }
+    } catch { /* ignore */ }
+
+    // ── Human-like inter-request delay ─────────────────────────────
+    if (connectionsSent < limit && remaining > 1) await betweenRequests();
   }
 
-  return candidates;
+  return totals();
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -431,16 +418,54 @@ async function collectCandidates(page, maxPages) {
 // ─────────────────────────────────────────────────────────────────
 
 async function main() {
+  startRunLog('connection-bot');
   console.log('');
   console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
   console.log(chalk.bold.white('  🤝  LinkedIn Connection Bot  —  AI-Powered Outreach'));
   console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
-  console.log(`  Started: ${new Date().toLocaleString('en-PK', { timeZone: 'Asia/Karachi' })} (PKT)`);
+  console.log(`  Started: ${formatLocal(new Date(), cfg.schedule.timezone)}`);
   if (cfg.dryRun) {
     console.log(chalk.bgYellow.black('  ⚠  DRY RUN MODE — nothing will actually be sent  '));
   }
   console.log('');
 
+  // ── Schedule window (connection-config.js) ──
+  const { schedule } = cfg;
+  try {
+    validateSchedule(schedule, 'Connection schedule (connection-config.js)');
+  } catch (err) {
+    warn(err.message);
+    process.exit(1);
+  }
+  if (IGNORE_SCHEDULE) {
+    warn(`--ignore-schedule: running outside the schedule window (${describeSchedule(schedule)}) if need be.`);
+  } else if (!isOpen(schedule)) {
+    warn(`Outside the schedule window (${describeSchedule(schedule)}) — not starting.`);
+    info(`Next allowed start: ${formatLocal(nextStart(schedule), schedule.timezone)}. Use --ignore-schedule to run anyway.`);
+    console.log('');
+    process.exit(NON_INTERACTIVE ? EXIT.NO_WORK : 0);
+  } else {
+    const end = closesAt(schedule);
+    info(`Schedule: ${describeSchedule(schedule)} — ${end ? `this window closes ${formatLocal(end, schedule.timezone)}` : 'never closes'}.`);
+  }
+  // The send loops stop once the window closes
+  const inWindow = createWindowGuard(schedule, {
+    ignore:  IGNORE_SCHEDULE,
+    onClose: (next) => warn(`Schedule window closed — stopping here. Next allowed start: ${formatLocal(next, schedule.timezone)}.`),
+  });
+
+  // ── One connection-bot.js at a time (--wait queues behind the running one) ──
+  try {
+    await acquireRunLock('connection-bot', {
+      wait:   process.argv.includes('--wait'),
+      onWait: (holder) => info(`Another connection-bot.js is running (pid ${holder.pid}) — waiting for it to finish...`),
+    });
+  } catch (err) {
+    warn(err.message);
+    warn('Wait for it to finish, or start with --wait to queue behind it.');
+    process.exit(1);
+  }
+
   // ── Step 1: Config summary ─────────────────────────────────────────
   logStep(1, 'Configuration');
   log(`Max per run        : ${cfg.maxConnectionsPerRun}`);
@@ -452,151 +477,100 @@ async function main() {
   log(`Exclude OTW        : ${cfg.skipOpenToWork}`);
   log(`Exclude recruiters : ${cfg.skipRecruiters}`);
   log(`Send note (AI)     : ${cfg.sendNote}`);
+  log(`Review mode        : ${REVIEW}${REVIEW ? ' — requests are queued for the dashboard, not sent' : ''}`);
+  log(`AI spend           : ${getBudgetStatus()}${isBudgetExceeded() ? ' — budget reached, notes use templates' : ''}`);
   log(`Random skip        : ${(cfg.skipChance * 100).toFixed(0)}%`);
 
-  // ── Step 2: CSV ────────────────────────────────────────────────────
-  logStep(2, 'Preparing data file');
-  ensureCsv();
-  const sentUrls   = loadSentUrls();
-  const todayCount = countTodaySent();
+  // ── Step 2: Data store ─────────────────────────────────────────────
+  logStep(2, 'Opening data store');
+  try {
+    const store = await openStore();
+    if (store.imported) {
+      info(`Created ${store.file} — imported ${store.imported.connections} connection request(s) from the old CSV files`);
+    }
+  } catch (err) {
+    warn(`Could not open the data store (${config.data.dbPath}): ${err.message}`);
+    process.exit(1);
+  }
+  const sentUrls   = getSentProfileUrls();
+  const todayCount = countConnectionsSince(new Date().toISOString().slice(0, 10));
   success(`Loaded ${sentUrls.size} previously sent connection(s) for deduplication.`);
   info(`Connections sent today so far: ${todayCount}/${cfg.dailyLimit}`);
+  const approvedCount = listNoteDrafts(['approved']).length;
+  const pendingCount  = listNoteDrafts(['pending']).length;
+  if (approvedCount || pendingCount) info(`Review queue: ${approvedCount} approved request(s) to send, ${pendingCount} waiting for review.`);
+  // Fact sheet — the only work a note may mention (src/ai/persona.js)
+  if (cfg.sendNote) {
+    try {
+      const persona = loadPersona();
+      if (persona) success(`Fact sheet: ${describePersona(persona)} (${config.data.personaPath}).`);
+      else warn(`No fact sheet at ${config.data.personaPath} — notes only use your headline and MY_ABOUT.`);
+    } catch (err) {
+      warn(`Fact sheet ignored this run: ${err.message}`);
+    }
+  }
 
-  if (todayCount >= cfg.dailyLimit) {
+  if (process.argv.includes('--dashboard')) {
+    try {
+      const { url } = await startDashboard({ background: true });
+      success(`Dashboard: ${url}`);
+    } catch (err) {
+      warn(`Dashboard not started: ${err.code === 'EADDRINUSE' ? `port ${config.dashboard.port} is in use` : err.message}`);
+    }
+  }
+
+  if (todayCount >= cfg.dailyLimit && !REVIEW) {
     warn(`Daily limit of ${cfg.dailyLimit} already reached today. Exiting.`);
-    process.exit(0);
+    process.exit(NON_INTERACTIVE ? EXIT.QUOTA_REACHED : 0);
   }
 
   // ── Step 3: Browser ────────────────────────────────────────────────
   logStep(3, 'Launching browser & restoring session');
   let browser, page;
   try {
-    ({ browser, page } = await createSession());
+    ({ browser, page } = await createSession({ interactive: !NON_INTERACTIVE }));
   } catch (err) {
-    warn(`Browser launch failed: ${err.message}`);
-    process.exit(1);
+    warn(err.code === 'LOGIN_REQUIRED' ? err.message : `Browser launch failed: ${err.message}`);
+    process.exit(exitCodeFor(err));
   }
 
-  let connectionsSent    = 0;
-  let connectionsSkipped = 0;
-
   try {
-    // ── Step 4 & 5: Collect candidates ──────────────────────────────
-    logStep(4, 'Collecting candidate profiles from search results');
-    const candidates = await collectCandidates(page, cfg.maxSearchPages);
-    success(`Collected ${candidates.length} total candidates.`);
-
-    if (candidates.length === 0) {
-      warn('No candidates found. Check your searchUrl in connection-config.js.');
-      await waitForEnter('\nPress ENTER to close the browser...\n');
+    // ── Steps 3b–5: approved notes, then the search results ──────────
+    const { connectionsSent, connectionsSkipped, notesQueued, candidates } = await runConnectionSession(page, { inWindow });
+
+    if (candidates === 0) {
+      if (!NON_INTERACTIVE) await waitForEnter('\nPress ENTER to close the browser...\n');
       await browser.close();
+      // Approved notes may still have been sent
+      if (NON_INTERACTIVE) process.exit(connectionsSent > 0 ? EXIT.SUCCESS : EXIT.NO_WORK);
       return;
     }
 
-    // ── Step 5: Filter, note, send ───────────────────────────────────
-    logStep(5, `Evaluating candidates (limit: ${cfg.maxConnectionsPerRun})`);
-
-    for (const candidate of candidates) {
-      // Hard limit guard
-      const remaining = Math.min(
-        cfg.maxConnectionsPerRun - connectionsSent,
-        cfg.dailyLimit           - todayCount - connectionsSent
-      );
-      if (remaining <= 0) { log('Connection limit reached. Stopping.'); break; }
-
-      const { name, headline, location, profileUrl, degree, inviteUrl } = candidate;
-      const normalizedUrl = profileUrl.replace(/\/+$/, '');
-      const nameStr       = (name || 'Unknown').slice(0, 28).padEnd(28);
-
-      // ── Dedup ──────────────────────────────────────────────────────
-      if (sentUrls.has(normalizedUrl)) {
-        skipped(`${nameStr} | Already in CSV`);
-        connectionsSkipped++;
-        continue;
-      }
-
-      // ── Country filter (code-level guard) ─────────────────────────
-      const { pass: countryOk, reason: countryReason } = countryCheck(location);
-      if (!countryOk) {
-        skipped(`${nameStr} | ${countryReason}`);
-        connectionsSkipped++;
-        continue;
-      }
-
-      // ── Role + exclude filters ─────────────────────────────────────
-      const { include, reason: filterReason } = shouldInclude(name, headline, location, degree);
-      if (!include) {
-        skipped(`${nameStr} | ${filterReason}`);
-        connectionsSkipped++;
-        continue;
-      }
-
-      // ── Random skip ────────────────────────────────────────────────
-      if (Math.random() < cfg.skipChance) {
-        skipped(`${nameStr} | Random skip (human variance)`);
-        connectionsSkipped++;
-        continue;
-      }
-
-      // ── AI Note Generation ─────────────────────────────────────────
-      let note = '';
-      if (cfg.sendNote) {
-        log(`\n🤖 Generating AI note for: ${name}...`);
-        note = await generateConnectionNote(name, headline, location, cfg.noteTemplates);
-        info(`   Note (${note.length} chars): "${note.slice(0, 80)}…"`);
-      }
-
-      // ── Print candidate ────────────────────────────────────────────
-      log(`\n🔗 Connecting: ${name}`);
-      log(`   Headline : ${(headline || '').slice(0, 60)}`);
-      log(`   Location : ${location || '(no location)'}`);
-      log(`   URL      : ${profileUrl}`);
-
-      // ── Send ───────────────────────────────────────────────────────
-      const result = await sendConnectionRequest(page, profileUrl, note, cfg.dryRun, inviteUrl);
-
-      if (result.sent || (cfg.dryRun && !result.skipped)) {
-        if (!cfg.dryRun) {
-          appendSentRow(normalizedUrl, name, headline, location, note);
-          sentUrls.add(normalizedUrl);
-        }
-        connectionsSent++;
-        success(`   ${cfg.dryRun ? '[DRY RUN] Would send' : 'Sent!'} — total: ${connectionsSent}/${cfg.maxConnectionsPerRun}`);
-      } else {
-        warn(`   Not sent → ${result.reason}`);
-        connectionsSkipped++;
-      }
-
-      // ── Return to search page ──────────────────────────────────────
-      try {
-        if (!page.url().includes('linkedin.com/search')) {
-          await page.goto(cfg.searchUrl, { waitUntil: 'domcontentloaded', timeout: 25000 });
-          await sleep(2500);
-        }
-      } catch { /* ignore */ }
-
-      // ── Human-like inter-request delay ─────────────────────────────
-      if (connectionsSent < cfg.maxConnectionsPerRun && remaining > 1) {
-        const waitMs  = randomBetween(cfg.betweenRequestMinMs, cfg.betweenRequestMaxMs);
-        const waitSec = Math.round(waitMs / 1000);
-        log(`   Waiting ${waitSec}s before next request...`);
-        await sleep(waitMs);
-      }
-    }
-
     // ── Step 6: Summary ───────────────────────────────────────────────
     logStep(6, 'Run complete');
     console.log('');
     console.log(chalk.bold.white('  ════════════════════════════════════════════'));
     console.log(chalk.bold.green(`  ✅ Connections sent   : ${connectionsSent}`));
+    if (REVIEW) console.log(chalk.bold.green(`  📝 Queued for review  : ${notesQueued}`));
     console.log(chalk.bold.yellow(`  ⏭  Skipped            : ${connectionsSkipped}`));
-    console.log(chalk.bold.white(`  📋 CSV log            : ${cfg.sentConnectionsPath}`));
+    console.log(chalk.bold.white(`  🗄  Data store         : ${config.data.dbPath}`));
+    const aiStats = formatProviderStats();
+    if (aiStats) console.log(chalk.bold.white(`  🤖 AI providers       : ${aiStats}`));
+    console.log(chalk.bold.white(`  💰 AI usage           : ${formatRunUsage()} (${getBudgetStatus()})`));
     if (cfg.dryRun) {
       console.log(chalk.bgYellow.black('  ⚠  DRY RUN — nothing was actually sent'));
     }
     console.log(chalk.bold.white('  ════════════════════════════════════════════'));
     console.log('');
 
+    if (NON_INTERACTIVE) {
+      log('Closing browser...');
+      await browser.close();
+      const code = connectionsSent + notesQueued > 0 ? EXIT.SUCCESS : EXIT.NO_WORK;
+      log(`Exit status ${code}.`);
+      process.exit(code);
+    }
+
     log('Browser is still open. You can browse LinkedIn freely.');
     await waitForEnter('\nPress ENTER to close the browser and exit...\n');
     await browser.close();
@@ -606,11 +580,13 @@ async function main() {
     console.error(chalk.red(`\n[ERROR] ${err.message}`));
     console.error(err.stack);
     try {
-      await waitForEnter('\nPress ENTER to close the browser and exit...\n');
+      if (!NON_INTERACTIVE) await waitForEnter('\nPress ENTER to close the browser and exit...\n');
       await browser.close();
     } catch {}
-    process.exit(1);
+    process.exit(EXIT.ERROR);
   }
 }
 
-main();
+if (require.main === module) main();
+
+module.exports = { runConnectionSession };
@@ -9,6 +9,7 @@
  */
 
 require('dotenv').config();
+const { linkedin, schedule } = require('./src/config');
 
 const connectionConfig = {
 
@@ -30,8 +31,9 @@ const connectionConfig = {
   //   https://www.linkedin.com/search/results/people/?network=%5B%22S%22%2C%22O%22%5D&geoUrn=%5B%22103644278%22%5D&origin=FACETED_SEARCH
   //
   // Override with env var: CONNECTION_SEARCH_URL
+  // (the default follows LINKEDIN_BASE_URL, so it also works against the mock server)
   searchUrl: process.env.CONNECTION_SEARCH_URL ||
-    'https://www.linkedin.com/search/results/people/?network=%5B%22S%22%2C%22O%22%5D&geoUrn=%5B%22103644278%22%5D&origin=FACETED_SEARCH',
+    `${linkedin.baseUrl}/search/results/people/?network=%5B%22S%22%2C%22O%22%5D&geoUrn=%5B%22103644278%22%5D&origin=FACETED_SEARCH`,
 
   // Maximum connection requests to send in one run (safety cap).
   // LinkedIn's unofficial soft-limit is ~20-25/day. Stay well under it.
@@ -209,9 +211,27 @@ const connectionConfig = {
   // 0.0–1.0 random skip chance per valid candidate (adds natural variance).
   skipChance: parseFloat(process.env.CONNECTION_SKIP_CHANCE || '0.10'),
 
-  // ── Data / Logging ──────────────────────────────────────────────────
-
-  sentConnectionsPath: process.env.CONNECTION_CSV_PATH || './data/sent_connections.csv',
+  // ── Schedule ────────────────────────────────────────────────────────
+  // Hours and days the connection bot may run, from startHour:00 until
+  // endHour:00 local time (0 = Sunday … 6 = Saturday). Defaults to the comment
+  // bot's SCHEDULE_* settings in .env.
+  // Override with env vars: CONNECTION_SCHEDULE_TIMEZONE, CONNECTION_SCHEDULE_START_HOUR,
+  // CONNECTION_SCHEDULE_END_HOUR, CONNECTION_SCHEDULE_ACTIVE_DAYS (e.g. "1,2,3,4,5")
+  schedule: {
+    timezone:   process.env.CONNECTION_SCHEDULE_TIMEZONE || schedule.timezone,
+    startHour:  process.env.CONNECTION_SCHEDULE_START_HOUR ? parseInt(process.env.CONNECTION_SCHEDULE_START_HOUR, 10) : schedule.startHour,
+    endHour:    process.env.CONNECTION_SCHEDULE_END_HOUR ? parseInt(process.env.CONNECTION_SCHEDULE_END_HOUR, 10) : schedule.endHour,
+    activeDays: process.env.CONNECTION_SCHEDULE_ACTIVE_DAYS
+      ? process.env.CONNECTION_SCHEDULE_ACTIVE_DAYS.split(',').map((d) => parseInt(d.trim(), 10))
+      : schedule.activeDays,
+  },
+
+  // ── Review ──────────────────────────────────────────────────────────
+  // reviewMode: true → requests and their notes are queued for review in the
+  // dashboard (npm run dashboard) instead of sent; approved ones go out at the
+  // start of the next run. Same as starting with --review.
+  // Override with env var: CONNECTION_REVIEW_MODE
+  reviewMode: process.env.CONNECTION_REVIEW_MODE === 'true',
 
   // ── Dry Run ─────────────────────────────────────────────────────────
   // DRY_RUN=true → logs everything but does NOT click anything.
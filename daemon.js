@@ -0,0 +1,343 @@
+'use strict';
+/**
+ * daemon.js — Run both bots all day from one long-running process
+ * Run: node daemon.js [--review] [--dashboard]      (npm run daemon)
+ *
+ * Keeps one browser open and runs comment sessions (bot.js) and connection
+ * sessions (connection-bot.js) as jobs. Each day's quota — DAEMON_COMMENTS_PER_DAY
+ * comments, CONNECTION_DAILY_LIMIT requests — is split into DAEMON_COMMENT_SESSIONS
+ * and DAEMON_CONNECTION_SESSIONS sessions at random times inside that bot's
+ * schedule window, and one comment day in four is skipped, as bot.js does.
+ * The plan is kept in data/daemon.json (src/data/dayPlan.js), so a restart
+ * carries on with the day's remaining sessions instead of starting over.
+ * Comments and requests the store already has for that window (a run by
+ * hand, a lost daemon.json) count against the day's quota too.
+ *
+ * Never reads stdin: when LinkedIn wants a login the daemon stops (exit 3,
+ * SESSION_EXPIRED in src/exitCodes.js) instead of prompting — log in once
+ * with `npm run login`, then restart it.
+ * It holds the run locks of both bots, so neither runs by hand meanwhile.
+ * --review queues comments and notes for review instead of posting / sending
+ * them, like the bots' --review. Ctrl+C (SIGINT) or SIGTERM closes the
+ * browser and exits.
+ * Every job starts with fresh AI provider stats (a circuit breaker opened in
+ * one session doesn't keep the provider out of the rest of the day) and its
+ * own AI usage totals.
+ *
+ * EXPORTS (for test-flows.js):
+ *   runJob(state, job, authorTiers)  — run one planned job on the shared browser
+ *   closeBrowser()                   — close that browser, if open
+ */
+
+require('dotenv').config();
+const chalk = require('chalk');
+
+const { createSession, isSessionValid } = require('./src/browser/session');
+const { runCommentSession }    = require('./bot');
+const { runConnectionSession } = require('./connection-bot');
+const { availableProviders, describeProviders, resetProviderStats } = require('./src/ai/providers');
+const { isBudgetExceeded, getBudgetStatus, formatRunUsage, resetRunUsage } = require('./src/data/usage');
+const { acquireRunLock } = require('./src/data/lock');
+const { startRunLog } = require('./src/data/runLog');
+const { startDashboard } = require('./src/dashboard/server');
+const { exitCodeFor } = require('./src/exitCodes');
+const { validateSchedule, windowAt, createWindowGuard, formatLocal, describeSchedule } = require('./src/schedule');
+const { openStore, countCommentsSince, countConnectionsSince } = require('./src/data/store');
+const { loadAuthorTiers, describeTiers } = require('./src/data/authors');
+const { assignArms } = require('./src/data/experiments');
+const {
+  planDay, loadDaemonState, saveDaemonState, settleJobs, nextJob, jobLimit, madeToday,
+} = require('./src/data/dayPlan');
+const cfg    = require('./connection-config');
+const config = require('./src/config');
+
+const REST_CHANCE  = 0.25;               // as bot.js: a natural inactivity day
+const MAX_SLEEP_MS = 15 * 60 * 1000;     // re-check the plan at least this often
+
+const KINDS = {
+  comment: {
+    label:    'Comment',
+    unit:     'comment(s)',
+    schedule: config.schedule,
+    where:    'Schedule (SCHEDULE_* in .env)',
+    sessions: config.daemon.commentSessions,
+    quota:    config.daemon.commentsPerDay,
+    recorded: countCommentsSince,
+  },
+  connection: {
+    label:    'Connection',
+    unit:     'request(s)',
+    schedule: cfg.schedule,
+    where:    'Connection schedule (connection-config.js)',
+    sessions: config.daemon.connectionSessions,
+    quota:    cfg.dailyLimit,
+    recorded: countConnectionsSince,
+  },
+};
+
+// ─────────────────────────────────────────────────────────────────
+//  UTILITIES
+// ─────────────────────────────────────────────────────────────────
+
+const log     = (msg) => console.log(chalk.cyan('[DAEMON] ') + msg);
+const success = (msg) => console.log(chalk.green('[✓] ') + msg);
+const warn    = (msg) => console.log(chalk.yellow('[!] ') + msg);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function describePlan(plan) {
+  const { label, unit, schedule } = KINDS[plan.kind];
+  const shared = plan.jobs.reduce((n, j) => n + j.quota, 0);
+  const head   = `${label} plan for ${plan.day} (${plan.quota} ${unit}` +
+    `${plan.jobs.length && shared < plan.quota ? `, ${plan.quota - shared} already made` : ''})`;
+  if (plan.rest) return [`${head}: natural inactivity day — no sessions.`];
+  if (plan.jobs.length === 0) return [`${head}: too little of the window left — no sessions.`];
+  return [
+    `${head}:`,
+    ...plan.jobs.map((j, i) => `  ${i + 1}. ${formatLocal(new Date(j.at), schedule.timezone)} — ${j.quota} ${unit}, ${j.status}` +
+      `${j.status === 'done' ? ` (${j.made} made)` : ''}`),
+  ];
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  BROWSER
+// ─────────────────────────────────────────────────────────────────
+
+let session = null;   // { browser, page } — kept open between jobs
+
+/** The open page, logged in; relaunches the browser if it was closed or logged out */
+async function ensurePage() {
+  if (session) {
+    // A check that fails outright (crashed page, network) gets a fresh browser; createSession() reports it if it persists
+    const valid = !session.page.isClosed() && await isSessionValid(session.page).catch(() => false);
+    if (valid) return session.page;
+    await session.browser.close().catch(() => {});
+    session = null;
+  }
+  log('Launching browser & restoring session...');
+  const opened = await createSession({ interactive: false });
+  opened.browser.on('close', () => { if (session === opened) session = null; });
+  session = opened;
+  return session.page;
+}
+
+async function closeBrowser() {
+  if (session) await session.browser.close().catch(() => {});
+  session = null;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  PLAN & JOBS
+// ─────────────────────────────────────────────────────────────────
+
+/** Settle finished windows and make the plan for each bot's current / next window */
+function planAhead(state, now) {
+  for (const [kind, k] of Object.entries(KINDS)) {
+    const plan = state.plans[kind];
+    if (plan) {
+      for (const job of settleJobs(plan, now)) {
+        warn(job.status === 'missed'
+          ? `${k.label} session ${job.id} missed — its window closed first.`
+          : `${k.label} session ${job.id} was cut short by a restart — counted as used.`);
+      }
+    }
+
+    const window = windowAt(k.schedule, now);
+    if (plan && plan.day === window.day) continue;
+    state.plans[kind] = planDay(kind, {
+      window,
+      sessions: k.sessions,
+      quota:    k.quota,
+      made:     k.recorded(window.start.toISOString()),
+      rest:     kind === 'comment' && Math.random() < REST_CHANCE,
+      now,
+    });
+    for (const line of describePlan(state.plans[kind])) log(line);
+  }
+}
+
+function finishJob(state, job, status, made, note = '') {
+  Object.assign(job, { status, made, finishedAt: new Date().toISOString() }, note ? { note } : {});
+  saveDaemonState(state);
+}
+
+async function runJob(state, job, authorTiers) {
+  const plan  = state.plans[job.kind];
+  const k     = KINDS[job.kind];
+  // The store also has what a run by hand made in this window
+  const recorded = () => k.recorded(plan.windowStart);
+  const limit = jobLimit(plan, job, recorded());
+
+  console.log('');
+  console.log(chalk.bold.blue(`── ${k.label} session ${plan.jobs.indexOf(job) + 1}/${plan.jobs.length} for ${plan.day} — up to ${limit} ${k.unit} ──`));
+  if (limit <= 0) {
+    log('The day\'s quota is used up — skipping.');
+    return finishJob(state, job, 'skipped', 0, 'quota used up');
+  }
+  if (job.kind === 'comment' && isBudgetExceeded()) {
+    warn(`Monthly AI budget reached (${getBudgetStatus()}) — skipping.`);
+    return finishJob(state, job, 'skipped', 0, 'AI budget reached');
+  }
+
+  Object.assign(job, { status: 'running', limit, startedAt: new Date().toISOString() });
+  saveDaemonState(state);
+  // Each session is a run of its own: breakers closed again, usage counted from zero
+  resetProviderStats();
+  resetRunUsage();
+
+  const inWindow = createWindowGuard(k.schedule, {
+    onClose: () => warn(`${k.label} schedule window closed — ending this session.`),
+  });
+  try {
+    const page = await ensurePage();
+    let result;
+    if (job.kind === 'comment') {
+      let arms = {};
+      try { arms = assignArms(); } catch (err) { warn(`Experiments disabled this session: ${err.message}`); }
+      result = await runCommentSession(page, { inWindow, authorTiers, arms, limit });
+      log(`AI usage: ${formatRunUsage()} (${getBudgetStatus()})`);
+    } else {
+      result = await runConnectionSession(page, { inWindow, limit });
+    }
+    finishJob(state, job, 'done', result.made);
+    const { made } = madeToday(plan, recorded());
+    success(`${k.label} session done: ${result.made} ${k.unit} — ${made}/${plan.quota} today.`);
+  } catch (err) {
+    finishJob(state, job, 'failed', 0, err.message.slice(0, 200));
+    if (err.code === 'LOGIN_REQUIRED') throw err;
+    warn(`${k.label} session failed: ${err.message}`);
+    console.error(err.stack);
+    // The page may be in any state — start the next job on a fresh browser
+    await closeBrowser();
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  MAIN
+// ─────────────────────────────────────────────────────────────────
+
+async function main() {
+  startRunLog('daemon');
+  console.log('');
+  console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(chalk.bold.white('  🕰   LinkedIn Bot Daemon  —  comments & connections'));
+  console.log(chalk.bold.white('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(`  Started: ${formatLocal(new Date(), config.schedule.timezone)}`);
+  console.log('');
+
+  for (const k of Object.values(KINDS)) {
+    try {
+      validateSchedule(k.schedule, k.where);
+    } catch (err) {
+      warn(err.message);
+      process.exit(1);
+    }
+    log(`${k.label} schedule: ${describeSchedule(k.schedule)} — ${k.quota} ${k.unit} a day in up to ${k.sessions} session(s).`);
+  }
+
+  // The daemon is both bots: neither may run by hand while it does
+  try {
+    await acquireRunLock('bot');
+    await acquireRunLock('connection-bot');
+  } catch (err) {
+    warn(err.message);
+    warn('Stop the running bot (or daemon) first.');
+    process.exit(1);
+  }
+
+  if (availableProviders().length === 0) {
+    warn('No valid AI provider found. Set OPENAI_API_KEY, GEMINI_API_KEY, AI_COMPAT_BASE_URL or OLLAMA_ENABLED in .env');
+    process.exit(1);
+  }
+  success(`AI providers: ${describeProviders()}`);
+  success(`AI spend: ${getBudgetStatus()}`);
+
+  try {
+    await openStore();
+  } catch (err) {
+    warn(`Could not open the data store (${config.data.dbPath}): ${err.message}`);
+    process.exit(1);
+  }
+  let authorTiers;
+  try {
+    authorTiers = loadAuthorTiers();
+  } catch (err) {
+    authorTiers = { defaultCooldownDays: config.bot.authorCooldownDays, tiers: [] };
+    warn(`Author tiers ignored: ${err.message}`);
+  }
+  success(`Author cooldown: ${describeTiers(authorTiers)}.`);
+
+  let state;
+  try {
+    state = loadDaemonState();
+  } catch (err) {
+    warn(err.message);
+    process.exit(1);
+  }
+  const saved = Object.values(state.plans).filter(Boolean);
+  if (saved.length) log(`Saved plan (${config.daemon.stateFile}):`);
+  for (const plan of saved) {
+    for (const line of describePlan(plan)) log(line);
+  }
+
+  if (process.argv.includes('--dashboard')) {
+    try {
+      const { url } = await startDashboard({ background: true });
+      success(`Dashboard: ${url}`);
+    } catch (err) {
+      warn(`Dashboard not started: ${err.code === 'EADDRINUSE' ? `port ${config.dashboard.port} is in use` : err.message}`);
+    }
+  }
+
+  let stopping = false;
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      if (stopping) return;
+      stopping = true;
+      log(`${signal} — closing the browser and exiting.`);
+      for (const plan of Object.values(state.plans).filter(Boolean)) settleJobs(plan);
+      saveDaemonState(state);
+      await closeBrowser();
+      process.exit(0);
+    });
+  }
+
+  // Fail at start rather than at the first job when the login is gone
+  await ensurePage();
+
+  let announced = null;
+  while (!stopping) {
+    const now = new Date();
+    planAhead(state, now);
+    saveDaemonState(state);
+
+    const job = nextJob(state);
+    if (job && new Date(job.at) <= now) {
+      await runJob(state, job, authorTiers);
+      continue;
+    }
+
+    const ends = Object.values(state.plans)
+      .filter(Boolean)
+      .map((p) => new Date(p.windowEnd).getTime())
+      .filter((t) => t > now.getTime());
+    const wakeAt = Math.min(job ? new Date(job.at).getTime() : Infinity, ...ends);
+    if (job && announced !== job.id) {
+      const k = KINDS[job.kind];
+      log(`Next: ${k.label.toLowerCase()} session ${job.id} at ${formatLocal(new Date(job.at), k.schedule.timezone)}.`);
+      announced = job.id;
+    }
+    await sleep(Math.max(1000, Math.min(wakeAt - now.getTime(), MAX_SLEEP_MS)));
+  }
+}
+
+if (require.main === module) {
+  main().catch(async (err) => {
+    console.error(chalk.red(`\n[ERROR] ${err.message}`));
+    if (err.code !== 'LOGIN_REQUIRED') console.error(err.stack);
+    await closeBrowser();
+    process.exit(exitCodeFor(err));
+  });
+}
+
+module.exports = { runJob, closeBrowser };
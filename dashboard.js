@@ -0,0 +1,32 @@
+'use strict';
+/**
+ * dashboard.js — Local web dashboard for the review queues, history, stats and run logs
+ * Run: node dashboard.js [port]     (default DASHBOARD_PORT, 4020)
+ *
+ * Serves src/dashboard/server.js on http://127.0.0.1:<port>/ until Ctrl+C.
+ * Both bots can serve the same page for the length of a run with --dashboard.
+ */
+
+require('dotenv').config();
+const chalk = require('chalk');
+
+const { openStore } = require('./src/data/store');
+const { startDashboard } = require('./src/dashboard/server');
+const config = require('./src/config');
+
+async function main() {
+  const port = parseInt(process.argv[2] || config.dashboard.port, 10);
+  await openStore();
+  const { url } = await startDashboard({ port });
+  console.log(chalk.bold(`\n📊 Dashboard running at ${url}`));
+  console.log(chalk.gray(`   Data store: ${config.data.dbPath} · run logs: ${config.data.logsDir}`));
+  console.log(chalk.gray('   Press Ctrl+C to stop.\n'));
+}
+
+main().catch((e) => {
+  const msg = e.code === 'EADDRINUSE'
+    ? `Port ${e.port} is in use — a bot started with --dashboard may be serving it already, or pass another port.`
+    : e.message;
+  console.error(chalk.red(`[ERROR] ${msg}`));
+  process.exit(1);
+});
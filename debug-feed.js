@@ -2,6 +2,7 @@
 /**
  * debug-feed.js — Diagnostic tool  (updated 2025)
  * Run: node debug-feed.js
+ *      node debug-feed.js --capture [name]   (save a sanitized fixtures/feed/<name>.html and exit)
  *
  * Dumps:
  *  • Which element is the real scroll container (highest scrollHeight)
@@ -12,6 +13,12 @@
  */
 require('dotenv').config();
 const { createSession } = require('./src/browser/session');
+const { captureSanitizedHtml, saveFixture, defaultFixtureName } = require('./src/dev/snapshot');
+
+const captureIdx  = process.argv.indexOf('--capture');
+const captureName = captureIdx === -1 ? null
+  : (process.argv[captureIdx + 1] && !process.argv[captureIdx + 1].startsWith('--')
+      ? process.argv[captureIdx + 1] : defaultFixtureName());
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
@@ -155,6 +162,14 @@ async function debug() {
   });
   await sleep(1800);
 
+  if (captureName) {
+    const file = saveFixture('feed', captureName, await captureSanitizedHtml(page));
+    console.log(`\n✓ Sanitized feed snapshot saved to ${file}`);
+    console.log('  Next: node test-fixtures.js ' + captureName + ' --update, then review the expected JSON.');
+    await browser.close();
+    return;
+  }
+
   // ── 3. Scroll container diagnostics AFTER scroll ───────────────────────────
   console.log('\n── Scroll container audit (AFTER scroll) ─────────────────────');
   const after = await page.evaluate(() => {
@@ -2,6 +2,7 @@
 /**
  * debug-search.js — Inspect LinkedIn People Search DOM via Playwright session
  * Run: node debug-search.js
+ *      node debug-search.js --capture [name]   (save a sanitized fixtures/search/<name>.html and exit)
  * This script opens the search page and prints every candidate selector result
  * so we can find the correct class names for the current LinkedIn UI.
  */
@@ -9,6 +10,13 @@
 require('dotenv').config();
 const { createSession } = require('./src/browser/session');
 const cfg = require('./connection-config');
+const { scrollToLoadResults } = require('./src/linkedin/search');
+const { captureSanitizedHtml, saveFixture, defaultFixtureName } = require('./src/dev/snapshot');
+
+const captureIdx  = process.argv.indexOf('--capture');
+const captureName = captureIdx === -1 ? null
+  : (process.argv[captureIdx + 1] && !process.argv[captureIdx + 1].startsWith('--')
+      ? process.argv[captureIdx + 1] : defaultFixtureName());
 
 async function main() {
   console.log('\n🔍 LinkedIn Search DOM Inspector\n');
@@ -22,6 +30,15 @@ async function main() {
 
     console.log('\n── Current URL:', page.url());
 
+    if (captureName) {
+      await scrollToLoadResults(page);
+      const file = saveFixture('search', captureName, await captureSanitizedHtml(page));
+      console.log(`\n✓ Sanitized search snapshot saved to ${file}`);
+      console.log('  Next: node test-fixtures.js ' + captureName + ' --update, then review the expected JSON.');
+      await browser.close();
+      return;
+    }
+
     // ─── Step 1: Try all known card selectors ─────────────────────────
     console.log('\n── [1] Trying all card container selectors:\n');
     const selectorResults = await page.evaluate(() => {
@@ -112,8 +129,10 @@ async function main() {
     console.log('  Body snippet:', pageInfo.bodyText.replace(/\n/g, ' '));
 
   } finally {
-    console.log('\n\nPress Ctrl+C or close the terminal to exit.');
-    await new Promise(r => setTimeout(r, 300000)); // keep open 5 min
+    if (!captureName) {
+      console.log('\n\nPress Ctrl+C or close the terminal to exit.');
+      await new Promise(r => setTimeout(r, 300000)); // keep open 5 min
+    }
   }
 }
 
@@ -0,0 +1,66 @@
+'use strict';
+/**
+ * doctor.js — Check the legacy data files (and the data store) for damage
+ * Run: node doctor.js          (report only)
+ *      node doctor.js --fix    (rewrite the files it can clean, keeping <file>.<timestamp>.bak)
+ *
+ * Parses commented_posts.csv, sent_connections.csv, target_profiles.csv and
+ * comment_performance.json, lists malformed rows by line, and normalizes
+ * names ("• 2nd"), profile URLs and post URLs (/posts/… and
+ * /feed/update/urn:li:activity:… become one form). Run it before
+ * `npm run import-data` so the import reads clean rows.
+ */
+
+require('dotenv').config();
+const chalk = require('chalk');
+
+const { runDoctor } = require('./src/data/doctor');
+
+const MAX_LISTED = 20;  // problems printed per file
+
+function printFile(report, fix) {
+  if (!report.exists) {
+    console.log(chalk.gray(`  ${report.name}: not found (${report.file})`));
+    return;
+  }
+  const ok = report.problems.length === 0 && !report.changed;
+  console.log(`${ok ? chalk.green('  ✓ ') : chalk.yellow('  ! ')}${chalk.bold(report.name)} — ${report.rows} row(s), ` +
+    `${report.normalized} normalized, ${report.dropped} dropped, ${report.problems.length} with problems`);
+
+  for (const { line, entry, issues } of report.problems.slice(0, MAX_LISTED)) {
+    const where = line ? `line ${line}` : entry ? `entry ${entry}` : 'file';
+    console.log(chalk.gray(`      ${where}: `) + issues.join('; '));
+  }
+  if (report.problems.length > MAX_LISTED) console.log(chalk.gray(`      … and ${report.problems.length - MAX_LISTED} more`));
+
+  if (report.backup)       console.log(chalk.green('      rewritten') + chalk.gray(` (original: ${report.backup})`));
+  else if (report.changed) console.log(chalk.cyan(`      would be rewritten${fix ? '' : ' — run with --fix'}`));
+}
+
+async function main() {
+  const fix = process.argv.includes('--fix');
+  console.log(chalk.bold(`\n🩺 Data doctor${fix ? ' (fix)' : ''}\n`));
+
+  const { files, store } = await runDoctor({ fix });
+  for (const report of files) printFile(report, fix);
+
+  if (!store.exists) {
+    console.log(chalk.gray(`  data store: not created yet (${store.file})`));
+  } else if (store.badNames === 0) {
+    console.log(chalk.green('  ✓ ') + chalk.bold('data store') + ' — author names clean');
+  } else if (store.backup) {
+    console.log(chalk.green('  ✓ ') + chalk.bold('data store') + ` — ${store.badNames} author name(s) fixed` + chalk.gray(` (original: ${store.backup})`));
+  } else {
+    console.log(chalk.yellow('  ! ') + chalk.bold('data store') + ` — ${store.badNames} author name(s) with a "• 2nd" marker — run with --fix`);
+  }
+
+  const pending = files.some((f) => f.changed && !f.backup) || (store.badNames > 0 && !store.backup);
+  if (fix) console.log(chalk.gray('\n  Run `npm run import-data` to pull the cleaned rows into the data store.'));
+  console.log('');
+  process.exit(pending ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`[ERROR] ${e.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+'use strict';
+/**
+ * experiments.js — Per-arm outcome report for the A/B experiments in data/experiments.json
+ * Run: node experiments.js
+ *      node experiments.js outcome <postUrl> replied=yes connected=no   (fill in what happened)
+ * Outcome keys: replied (authorReplied), connected (connectionReceived),
+ * views (profileViewSpike); values yes / no.
+ * Rates only count comments whose outcome has been filled in.
+ */
+
+require('dotenv').config();
+const chalk = require('chalk');
+
+const { loadExperiments, formatExperimentReport } = require('./src/data/experiments');
+const { updateCommentOutcome } = require('./src/data/learning');
+const { openStore } = require('./src/data/store');
+
+const OUTCOME_KEYS = { replied: 'authorReplied', connected: 'connectionReceived', views: 'profileViewSpike' };
+
+function recordOutcome([postUrl, ...pairs]) {
+  if (!postUrl || pairs.length === 0) {
+    console.error(chalk.red('Usage: node experiments.js outcome <postUrl> replied=yes connected=no'));
+    process.exit(1);
+  }
+  const outcome = {};
+  for (const pair of pairs) {
+    const [key, value] = pair.split('=');
+    if (!OUTCOME_KEYS[key] || !['yes', 'no'].includes(value)) {
+      console.error(chalk.red(`Bad outcome "${pair}" — use replied|connected|views = yes|no`));
+      process.exit(1);
+    }
+    outcome[OUTCOME_KEYS[key]] = value === 'yes';
+  }
+  if (!updateCommentOutcome(postUrl, outcome)) {
+    console.error(chalk.red(`No logged comment for ${postUrl}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ ') + `Outcome saved for ${postUrl}`);
+}
+
+async function main() {
+  await openStore();
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'outcome') return recordOutcome(args);
+
+  console.log(chalk.bold('\n🧪 Experiments\n'));
+  const experiments = loadExperiments();
+  if (experiments.length === 0) console.log('  No experiments defined (data/experiments.json).');
+  for (const exp of experiments.filter((e) => !e.active)) console.log(chalk.gray(`  ${exp.id}: inactive`));
+  for (const line of formatExperimentReport()) console.log(`  ${line}`);
+  console.log('');
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`[ERROR] ${e.message}`));
+  process.exit(1);
+});
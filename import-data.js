@@ -0,0 +1,34 @@
+'use strict';
+/**
+ * import-data.js — Import the pre-SQLite CSV / JSON files into the data store
+ * Run: node import-data.js
+ *
+ * Reads data/commented_posts.csv, data/comment_performance.json,
+ * data/sent_connections.csv and data/target_profiles.csv into DB_PATH
+ * (default data/linkedin.db). The bots do this automatically when they
+ * create the database; run it by hand after editing target_profiles.csv or
+ * to pull in rows written by an older copy of the bots. Rows already in the
+ * store are skipped, so running it twice is harmless.
+ */
+
+require('dotenv').config();
+const chalk = require('chalk');
+
+const { openStore, importLegacyFiles } = require('./src/data/store');
+
+async function main() {
+  const store = await openStore();
+  // A new database has just imported everything in openStore()
+  const counts = store.imported || await importLegacyFiles();
+
+  console.log(chalk.green('✓ ') + `Data store: ${store.file}`);
+  console.log(`  Comments added          : ${counts.comments}`);
+  console.log(`  Comment metadata merged : ${counts.commentDetails}`);
+  console.log(`  Connection requests     : ${counts.connections}`);
+  console.log(`  Target profiles         : ${counts.targets}`);
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`[ERROR] ${e.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,262 @@
+'use strict';
+/**
+ * review.js — Review the comment drafts queued by `node bot.js --review`
+ * Run: node review.js                 (go through the pending drafts one by one)
+ *      node review.js list [status]   (print drafts: pending, approved, rejected, posted, failed; default pending + approved)
+ *
+ * Each draft shows the post, its score breakdown, the AI's angle and the
+ * comment (with the other candidates and their scores, when COMMENT_CANDIDATES
+ * wrote several). Answer with:
+ *   a  approve     — bot.js posts it at the start of its next run
+ *   e  edit        — replace the text (then approve or keep reviewing)
+ *   r  regenerate  — write it again, in a COMMENT_STYLES style you pick (every candidate in that style)
+ *   x  reject      — with an optional reason (kept for the learning stats)
+ *   s  skip        — leave it pending
+ *   q  quit
+ * Input is read line by line, so answers can also be piped in.
+ */
+
+require('dotenv').config();
+const chalk    = require('chalk');
+const readline = require('readline');
+
+const { COMMENT_STYLES } = require('./src/ai/commentStyles');
+const { generateComment } = require('./src/ai/gemini');
+const { formatViolations } = require('./src/ai/commentRules');
+const { recentComments } = require('./src/ai/repetition');
+const { formatCandidate } = require('./src/ai/ranker');
+const { availableProviders } = require('./src/ai/providers');
+const { isBudgetExceeded, getBudgetStatus } = require('./src/data/usage');
+const { rejectDraft, getReviewStats } = require('./src/data/learning');
+const { openStore, listDrafts, getDraft, reviseDraft, setDraftStatus } = require('./src/data/store');
+
+const STATUSES   = ['pending', 'approved', 'rejected', 'posted', 'failed'];
+const POST_CHARS = 700;  // post text shown per draft
+
+// ─────────────────────────────────────────────────────────────────
+//  INPUT
+// ─────────────────────────────────────────────────────────────────
+
+/** Prompts that read the next input line; null once stdin is closed */
+function createPrompter() {
+  const rl    = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async ask(question) {
+      process.stdout.write(question);
+      const { value, done } = await lines.next();
+      if (done) {
+        process.stdout.write('\n');
+        return null;
+      }
+      if (!process.stdin.isTTY) process.stdout.write(`${value}\n`);
+      return value.trim();
+    },
+    close: () => rl.close(),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  DISPLAY
+// ─────────────────────────────────────────────────────────────────
+
+function indent(text, prefix = '    ') {
+  return text.split('\n').map((l) => prefix + l).join('\n');
+}
+
+function formatBreakdown(b) {
+  if (!b || Object.keys(b).length === 0) return '';
+  return `H:${b.heuristic} E:${b.engagement} V:${b.visibility} S:${b.seniority} N:${b.niche} R:${b.recency}`;
+}
+
+function styleLabel(id) {
+  const style = COMMENT_STYLES.find((s) => s.id === id);
+  return style ? style.label : id || '—';
+}
+
+function showDraft(draft, position) {
+  const { post } = draft;
+  const text = post.postText.length > POST_CHARS ? `${post.postText.slice(0, POST_CHARS)}…` : post.postText;
+  console.log('');
+  console.log(chalk.bold.blue(`── Draft #${draft.id}${position ? ` (${position})` : ''} ──`) +
+    chalk.gray(`  score ${draft.score ?? '?'}  ${formatBreakdown(draft.breakdown)}`));
+  console.log(`  ${chalk.bold(post.authorName || 'Unknown')}${post.authorHeadline ? chalk.gray(` — ${post.authorHeadline}`) : ''}`);
+  console.log(chalk.gray(`  ${post.postUrl}`));
+  console.log(indent(text));
+  console.log(`  ${chalk.cyan('Angle:')} ${draft.bestAngle || '—'}`);
+  console.log(`  ${chalk.cyan('Style:')} ${styleLabel(draft.style)} · ${chalk.cyan('type:')} ${draft.type || '—'}` +
+    chalk.gray(`${draft.promptVersion ? ` · ${draft.promptVersion}` : ''}${draft.regenerations ? ` · regenerated ×${draft.regenerations}` : ''}`));
+  console.log(`  ${chalk.cyan(draft.edited ? 'Comment (edited):' : 'Comment:')}`);
+  console.log(chalk.italic(indent(`"${draft.comment}"`)));
+  if (draft.candidates.length > 1) {
+    console.log(`  ${chalk.cyan(`Candidates (${draft.candidates[0].ranker} ranker):`)}`);
+    for (const c of draft.candidates) {
+      console.log(`  ${c.chosen ? '→' : ' '} ${chalk.gray(formatCandidate(c))}`);
+      if (!c.chosen) console.log(chalk.gray(indent(`"${c.comment}"`, '      ')));
+    }
+  }
+}
+
+function listCommand(status) {
+  if (status && !STATUSES.includes(status)) {
+    console.error(chalk.red(`Unknown status "${status}" — use ${STATUSES.join(', ')}`));
+    process.exit(1);
+  }
+  const drafts = listDrafts(status ? [status] : ['pending', 'approved']);
+  if (drafts.length === 0) console.log(`  No ${status || 'pending or approved'} drafts.`);
+  for (const d of drafts) {
+    const note = d.reason ? chalk.gray(` (${d.reason})`) : '';
+    console.log(`  #${String(d.id).padEnd(4)} ${d.status.padEnd(8)} ${(d.post.authorName || 'Unknown').slice(0, 24).padEnd(24)} ` +
+      `${chalk.italic(d.comment.slice(0, 70))}${d.comment.length > 70 ? '…' : ''}${note}`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  ACTIONS
+// ─────────────────────────────────────────────────────────────────
+
+async function editDraft(draft, prompter) {
+  const text = await prompter.ask(chalk.bold('  New comment (empty = keep): '));
+  if (!text) return;
+  reviseDraft(draft.id, { comment: text });
+  console.log(chalk.green('  ✓ Saved.'));
+}
+
+async function regenerateDraft(draft, prompter) {
+  if (availableProviders().length === 0) {
+    console.log(chalk.yellow('  No AI provider configured — set one up in .env to regenerate.'));
+    return;
+  }
+  if (isBudgetExceeded()) {
+    console.log(chalk.yellow(`  Monthly AI budget reached (${getBudgetStatus()}).`));
+    return;
+  }
+
+  // Rejection rate per style from earlier reviews, to help pick
+  const rates = Object.fromEntries(getReviewStats().byStyle.map((s) => [s.style, s]));
+  COMMENT_STYLES.forEach((s, i) => {
+    const r = rates[s.id];
+    const note = r ? chalk.gray(` — ${r.rejected}/${r.reviewed} rejected`) : '';
+    console.log(`    ${i + 1}. ${s.label}${s.id === draft.style ? chalk.gray(' (current)') : ''}${note}`);
+  });
+  const answer = await prompter.ask(chalk.bold(`  Style [1-${COMMENT_STYLES.length}, Enter = current]: `));
+  if (answer === null) return;
+  const style = answer
+    ? COMMENT_STYLES[Number(answer) - 1] || COMMENT_STYLES.find((s) => s.id === answer)
+    : COMMENT_STYLES.find((s) => s.id === draft.style) || COMMENT_STYLES[0];
+  if (!style) {
+    console.log(chalk.yellow(`  No style "${answer}".`));
+    return;
+  }
+
+  console.log(chalk.gray(`  Regenerating as "${style.label}"...`));
+  const { post } = draft;
+  const result = await generateComment(post.postText, post.authorName, style, {
+    existingComments: post.commentsData || [],
+    authorHeadline:   post.authorHeadline || '',
+    pastComments:     recentComments({ excludeDraftId: draft.id }),
+    sameStyle:        true,
+  });
+  if (!result.comment || result.comment.length < 10) {
+    console.log(chalk.yellow('  The AI returned no usable comment — draft unchanged.'));
+    return;
+  }
+  if (result.ruleViolations && result.ruleViolations.length) {
+    console.log(chalk.yellow(`  Still breaks: ${formatViolations(result.ruleViolations)}`));
+  }
+  reviseDraft(draft.id, {
+    regenerated:   true,
+    comment:       result.comment,
+    style:         style.id,
+    type:          result.commentType || '',
+    bestAngle:     result.bestAngle || '',
+    promptVersion: result.promptVersion || '',
+    candidates:    result.candidates || [],
+  });
+}
+
+/** @returns {Promise<'next'|'quit'>} */
+async function reviewOne(id, position, prompter) {
+  for (;;) {
+    const draft = getDraft(id);
+    if (!draft || draft.status !== 'pending') return 'next';  // decided elsewhere meanwhile
+    showDraft(draft, position);
+
+    const answer = await prompter.ask(chalk.bold.yellow('  [a]pprove [e]dit [r]egenerate [x] reject [s]kip [q]uit > '));
+    if (answer === null) return 'quit';
+    switch (answer.toLowerCase()) {
+      case 'a':
+        setDraftStatus(id, 'approved');
+        console.log(chalk.green('  ✓ Approved — posted on the next bot run.'));
+        return 'next';
+      case 'e':
+        await editDraft(draft, prompter);
+        break;
+      case 'r':
+        try {
+          await regenerateDraft(draft, prompter);
+        } catch (e) {
+          console.log(chalk.yellow(`  Regeneration failed: ${e.message}`));
+        }
+        break;
+      case 'x': {
+        const reason = await prompter.ask(chalk.bold('  Reason (optional): '));
+        rejectDraft(id, reason || '');
+        console.log(chalk.red('  ✗ Rejected.'));
+        return 'next';
+      }
+      case 's':
+        return 'next';
+      case 'q':
+        return 'quit';
+      default:
+        console.log(chalk.gray('  Answer a, e, r, x, s or q.'));
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  MAIN
+// ─────────────────────────────────────────────────────────────────
+
+async function main() {
+  await openStore();
+  const [command, arg] = process.argv.slice(2);
+  if (command === 'list') return listCommand(arg);
+  if (command) {
+    console.error(chalk.red('Usage: node review.js            (review pending drafts)'));
+    console.error(chalk.red('       node review.js list [status]'));
+    process.exit(1);
+  }
+
+  console.log(chalk.bold('\n📝 Comment review\n'));
+  const pending = listDrafts(['pending']);
+  if (pending.length === 0) {
+    console.log('  No drafts waiting. Queue some with `node bot.js --review`.\n');
+    return;
+  }
+
+  const prompter = createPrompter();
+  const counts = { approved: 0, rejected: 0 };
+  try {
+    for (let i = 0; i < pending.length; i++) {
+      const next = await reviewOne(pending[i].id, `${i + 1}/${pending.length}`, prompter);
+      const status = getDraft(pending[i].id).status;
+      if (status in counts) counts[status]++;
+      if (next === 'quit') break;
+    }
+  } finally {
+    prompter.close();
+  }
+
+  const left = listDrafts(['pending']).length;
+  console.log('');
+  console.log(chalk.bold(`  Approved: ${counts.approved}  Rejected: ${counts.rejected}  Still pending: ${left}`));
+  if (counts.approved > 0) console.log(chalk.gray('  Approved drafts are posted at the start of the next `npm start`.'));
+  console.log('');
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`[ERROR] ${e.message}`));
+  process.exit(1);
+});
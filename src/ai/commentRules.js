@@ -0,0 +1,126 @@
+'use strict';
+/**
+ * commentRules.js — The comment prompt's hard rules, checked after generation
+ *
+ * prompts/comment.*.txt asks for no emojis, no hashtags, no em-dash or spaced
+ * hyphen between thoughts, 120–220 characters (220–350 when the model scored
+ * the post 70 or more), no mention of the profile's own name, no list
+ * structure and none of the banned openers / fillers (bannedPhrases.js).
+ * generateComment() checks every comment here; one that breaks a rule gets a
+ * single rewrite that lists exactly what to fix, and the broken rules are
+ * recorded per provider / model (src/data/usage.js).
+ *
+ * EXPORTS:
+ *   COMMENT_RULES                          — rule ids, in the order they are checked
+ *   lengthBand([interestScore])            → { min, max } characters
+ *   validateComment(text, [opts])          → [{ rule, message }]  (empty = valid)
+ *   formatViolations(violations)           → "emoji: uses 🚀; length: is 96 characters, …"
+ *   buildRulesRepairPrompt(userPrompt, comment, violations, [{ plainText }]) → string
+ */
+
+const config = require('../config');
+const { hasBannedOpener, countBannedFillers } = require('./bannedPhrases');
+
+const COMMENT_RULES = ['emoji', 'hashtag', 'dash', 'length', 'self-name', 'list', 'opener', 'filler'];
+
+// ©, ® and ™ are pictographic too, but belong to product names, not to emoji use
+const EMOJI     = /\p{Extended_Pictographic}|\p{Regional_Indicator}/gu;
+const NOT_EMOJI = new Set(['©', '®', '™']);
+const HASHTAG   = /(?:^|\s)(#[\p{L}\p{N}_]+)/u;
+const LIST_LINE = /^\s*(?:[-*•▪►]|\d+[.)])\s+/m;
+
+/** Same bands as the prompt; without a score, anything either band allows */
+function lengthBand(interestScore) {
+  if (typeof interestScore !== 'number') return { min: 120, max: 350 };
+  return interestScore >= 70 ? { min: 220, max: 350 } : { min: 120, max: 220 };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentions(text, name) {
+  return new RegExp(`(?:^|[^\\p{L}])${escapeRegExp(name)}(?![\\p{L}])`, 'iu').test(text);
+}
+
+/**
+ * The full profile name, or its first name — unless the post's author shares
+ * that first name, since addressing them by it is fine.
+ */
+function selfName(text, profileName, authorName) {
+  const full = (profileName || '').trim();
+  if (!full) return '';
+  if (mentions(text, full)) return full;
+  const first = full.split(/\s+/)[0];
+  const authorFirst = (authorName || '').trim().split(/\s+/)[0] || '';
+  if (first.length >= 3 && first.toLowerCase() !== authorFirst.toLowerCase() && mentions(text, first)) return first;
+  return '';
+}
+
+/**
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.interestScore]                 - the model's interest_score, picks the length band
+ * @param {string} [opts.profileName=config.profile.name]
+ * @param {string} [opts.authorName]                    - the post's author
+ * @returns {Array<{ rule: string, message: string }>}
+ */
+function validateComment(text, { interestScore, profileName = config.profile.name, authorName = '' } = {}) {
+  const comment    = String(text || '').trim();
+  const violations = [];
+  const add = (rule, message) => violations.push({ rule, message });
+
+  const emojis = (comment.match(EMOJI) || []).filter((c) => !NOT_EMOJI.has(c));
+  if (emojis.length) add('emoji', `uses ${[...new Set(emojis)].join(' ')}`);
+
+  const tag = comment.match(HASHTAG);
+  if (tag) add('hashtag', `uses ${tag[1]}`);
+
+  if (/[—–]/.test(comment)) add('dash', 'uses a long dash between thoughts');
+  else if (/\S[ \t]+-{1,2}[ \t]+\S/.test(comment)) add('dash', 'uses " - " between thoughts');
+
+  const { min, max } = lengthBand(interestScore);
+  if (comment.length < min || comment.length > max) {
+    const why = typeof interestScore === 'number' ? ` for an interest score of ${interestScore}` : '';
+    add('length', `is ${comment.length} characters, must be ${min}–${max}${why}`);
+  }
+
+  const name = selfName(comment, profileName, authorName);
+  if (name) add('self-name', `mentions "${name}"`);
+
+  const lines = comment.split('\n').filter((l) => l.trim());
+  if (LIST_LINE.test(comment) || lines.length > 2) add('list', 'is laid out as a list or several lines');
+
+  const { banned, phrase } = hasBannedOpener(comment);
+  if (banned) add('opener', `opens with "${phrase}"`);
+
+  const fillers = countBannedFillers(comment);
+  if (fillers.count) add('filler', `uses ${fillers.phrases.map((p) => `"${p}"`).join(', ')}`);
+
+  return violations;
+}
+
+function formatViolations(violations) {
+  return violations.map((v) => `${v.rule}: ${v.message}`).join('; ');
+}
+
+/** plainText: the raw-text fallback's rewrite, answered with the comment alone */
+function buildRulesRepairPrompt(userPrompt, comment, violations, { plainText = false } = {}) {
+  return `${userPrompt}
+
+Your previous comment broke these rules:
+${violations.map((v) => `- ${v.rule}: ${v.message}`).join('\n')}
+
+Previous comment:
+"${String(comment || '').slice(0, 600)}"
+
+Rewrite it with the same idea, fixing only what is listed, and reply again with ONLY ${plainText ? 'the comment text' : 'the JSON object described above'}.`;
+}
+
+module.exports = {
+  COMMENT_RULES,
+  lengthBand,
+  validateComment,
+  formatViolations,
+  buildRulesRepairPrompt,
+};
@@ -4,6 +4,7 @@
  *
  * Style memory prevents the same style from being used consecutively.
  * The last 3 used style IDs are tracked per process run.
+ * pickCandidateStyles() spreads several comment candidates over the styles (ranker.js).
  */
 
 const COMMENT_STYLES = [
@@ -11,8 +12,9 @@ const COMMENT_STYLES = [
     id:          'experiential',
     label:       'Share Personal Experience',
     instruction: `Reference a real, specific experience from your work as a developer, builder, or automation engineer.
+Take it from the fact sheet: its projects, tools and results are the only ones you may use. If none fits the post, share the lesson as a view instead.
 Use concrete detail (a tool, a situation, a result) — not generic advice.
-Example pattern: "When I built [X], I ran into exactly this — what helped was [Y]."
+Example pattern: "When I built [project from the fact sheet], I ran into exactly this — what helped was [Y]."
 Keep it to 1-2 sentences. First person, genuine, no filler.`,
   },
   {
@@ -50,8 +52,8 @@ Example: "This mirrors [known concept/pattern] — [why it's similar and why it
     id:          'builder',
     label:       'Builder Perspective',
     instruction: `React as someone who has shipped a real product or automation. Be specific about what worked or didn't.
-Show you've been in the trenches — reference a real outcome, number, or scenario.
-Example: "Shipped something similar last [year/quarter] — the real challenge was [X], not [Y the author implied]."
+Show you've been in the trenches — reference a real outcome, number, or scenario from the fact sheet, with the year it lists. Never make one up.
+Example: "Ran into this on [project from the fact sheet] — the real challenge was [X], not [Y the author implied]."
 1-2 sentences. Confident, grounded.`,
   },
 ];
@@ -74,13 +76,18 @@ const COMMENT_TYPES = [
   { id: 'celebratory',     weight: 1,  label: 'Celebratory'      }   // Almost never — too passive
 ];
 
-function pickRandomType() {
-  const totalWeight = COMMENT_TYPES.reduce((sum, t) => sum + t.weight, 0);
+/**
+ * Picks a comment type by weight.
+ * @param {object} [weights] - { typeId: weight } overrides (experiment arms); unlisted types keep theirs
+ */
+function pickRandomType(weights = null) {
+  const weightOf = (t) => (weights && weights[t.id] !== undefined ? weights[t.id] : t.weight);
+  const totalWeight = COMMENT_TYPES.reduce((sum, t) => sum + weightOf(t), 0);
   let random = Math.floor(Math.random() * totalWeight);
   
   for (const type of COMMENT_TYPES) {
-    if (random < type.weight) return type;
-    random -= type.weight;
+    if (random < weightOf(type)) return type;
+    random -= weightOf(type);
   }
   return COMMENT_TYPES[0]; // Fallback
 }
@@ -116,6 +123,24 @@ function pickRandomStyle() {
   return picked;
 }
 
+/**
+ * Styles for several comment candidates on one post: the run's style first,
+ * then others not used yet, in random order. The style memory is not touched.
+ * @param {object|null} first - the run's style (null: every candidate unstyled)
+ * @param {number}      count
+ * @param {boolean}     [same=false] - every candidate in the first style
+ */
+function pickCandidateStyles(first, count, same = false) {
+  if (!first || same) return Array(count).fill(first);
+  const others = COMMENT_STYLES.filter((s) => s.id !== first.id)
+    .map((style) => ({ style, randWeight: Math.random() }))
+    .sort((a, b) => b.randWeight - a.randWeight)
+    .map((o) => o.style);
+  const styles = [first];
+  for (let i = 0; styles.length < count; i++) styles.push(others[i % others.length]);
+  return styles;
+}
+
 /**
  * Returns the style memory (for logging).
  */
@@ -127,6 +152,7 @@ module.exports = {
   COMMENT_STYLES, 
   COMMENT_TYPES, 
   pickRandomStyle, 
+  pickCandidateStyles,
   pickRandomType, 
   getStyleMemory 
 };
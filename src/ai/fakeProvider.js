@@ -0,0 +1,188 @@
+'use strict';
+/**
+ * fakeProvider.js — Deterministic, offline stand-in for OpenAI / Gemini / Ollama
+ *
+ * Selected with AI_PROVIDER=fake (config.ai.provider): providers.js then
+ * answers every scoring, comment and note call from here instead of the
+ * network, so the parsing, cleaning and fallback paths around them can be
+ * exercised on purpose.
+ *
+ * Tasks (the caller says which one it is asking for):
+ *   'scoring'     scorePostInterest()      — JSON { score, reason, interesting }
+ *   'commenting'  generateComment()        — JSON { interest_score, …, comment },
+ *                                            or plain text on the raw fallback call
+ *   'critic'      rankCandidates()         — JSON { specificity, novelty, tone, reason }
+ *   'notes'       generateConnectionNote() — plain text
+ *
+ * Scripted replies: a FIFO queue per task. Each entry is one reply:
+ *   "text"                  returned verbatim (use this for malformed JSON)
+ *   { json: {...} }         JSON.stringify'd
+ *   { error: "message" }    the call throws Error(message)
+ *   (system, user) => …     called; may return any of the above or throw
+ * When a task's queue is empty the reply is rule-based: derived only from the
+ * prompt text, so the same post always gets the same score / comment / note.
+ *
+ * Scripts come from setFakeScript() in tests, or from a JSON file named by
+ * AI_FAKE_SCRIPT (loaded once, same { scoring: [], commenting: [], critic: [], notes: [] } shape).
+ *
+ * EXPORTS:
+ *   fakeGenerate(task, system, user, json?)   → Promise<string>
+ *   setFakeScript(script)                     — replace all queues
+ *   resetFake()                               — clear queues and the call log
+ *   getFakeCalls()                            → [{ task, system, user, json }]
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+
+const TASKS = ['scoring', 'commenting', 'critic', 'notes'];
+
+let queues = null;   // { scoring: [], commenting: [], critic: [], notes: [] }
+let calls  = [];
+
+function emptyQueues() {
+  return Object.fromEntries(TASKS.map((t) => [t, []]));
+}
+
+function loadScriptFile() {
+  const file = config.ai.fakeScriptPath;
+  if (!file) return emptyQueues();
+  const script = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  return toQueues(script);
+}
+
+function toQueues(script = {}) {
+  const q = emptyQueues();
+  for (const t of TASKS) q[t] = Array.isArray(script[t]) ? [...script[t]] : [];
+  return q;
+}
+
+function setFakeScript(script) {
+  queues = toQueues(script);
+}
+
+function resetFake() {
+  queues = emptyQueues();
+  calls  = [];
+}
+
+function getFakeCalls() {
+  return calls.slice();
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Rule-based replies
+// ─────────────────────────────────────────────────────────────────
+
+/** Small stable string hash (FNV-1a) — picks templates deterministically */
+function hash(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193) >>> 0; }
+  return h;
+}
+
+/** Text between the first pair of """ fences in the prompt (the post), if any */
+function quotedPost(user) {
+  const m = user.match(/"""\n?([\s\S]*?)\n?"""/) || user.match(/Post: "([\s\S]*?)"/);
+  return (m ? m[1] : user).trim();
+}
+
+function firstSentence(text) {
+  const s = text.split(/(?<=[.!?])\s+/).find((x) => x.split(/\s+/).length >= 5) || text;
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+/** A short, specific-looking phrase lifted from the post */
+function hook(text) {
+  const words = firstSentence(text).replace(/[^\p{L}\p{N}\s']/gu, '').split(/\s+/).filter(Boolean);
+  return words.slice(0, 6).join(' ').toLowerCase();
+}
+
+function ruleScore(user) {
+  const post = quotedPost(user);
+  const t = post.toLowerCase();
+  let score = 30;
+  if (post.length >= 300) score += 20;
+  if (/\d/.test(post)) score += 10;
+  for (const kw of ['founder', 'engineer', 'product', 'startup', 'learned', 'team', 'ai', 'build']) {
+    if (t.includes(kw)) score += 5;
+  }
+  if (/open to work|hiring for/.test(t)) score = 10;
+  score = Math.min(95, score);
+  return JSON.stringify({
+    score,
+    reason: score >= 50 ? 'Concrete, opinionated post (fake provider)' : 'Thin or off-topic post (fake provider)',
+    interesting: score >= 50,
+  });
+}
+
+// 120–220 characters with any hook, to fit the comment rules (commentRules.js) at the scores below
+const COMMENT_TEMPLATES = [
+  (h) => `The point about ${h} is the part most teams skip. What made you commit to it instead of revisiting it a few months later?`,
+  (h) => `Curious how ${h} held up once the team grew. Did anything have to change after the first few months, or did it stick as is?`,
+  (h) => `We saw something similar with ${h}. The hard part was keeping it going after the first quarter, not starting it in the first place.`,
+];
+
+function ruleComment(user, json) {
+  const post = quotedPost(user);
+  const h    = hook(post) || 'this';
+  const comment = COMMENT_TEMPLATES[hash(post) % COMMENT_TEMPLATES.length](h);
+  if (!json) return comment;
+  return JSON.stringify({
+    interest_score:  55 + (hash(post) % 15),
+    why_interesting: 'Specific claim with a clear outcome (fake provider)',
+    best_angle:      `Ask how "${h}" held up over time`,
+    comment,
+  });
+}
+
+/** Mid-range marks that differ per candidate, so a critic ranking is stable but not a tie */
+function ruleCritique(user) {
+  const comment = (user.match(/Candidate comment:\n"([\s\S]*?)"\s*$/m) || [])[1] || user;
+  const h = hash(comment);
+  return JSON.stringify({ specificity: 5 + (h % 5), novelty: 5 + ((h >>> 4) % 5), tone: 7, reason: 'Rule-based critique (fake provider)' });
+}
+
+function ruleNote(user) {
+  const to   = (user.match(/note to ([^.\n]+)\./) || [])[1] || 'there';
+  const role = ((user.match(/Headline: (.+)/) || [])[1] || 'your work').split('|')[0].split(' at ')[0].trim();
+  return `Hi ${to}, your work as ${role} caught my eye. I build SaaS and AI tooling and would love to swap notes. Would love to connect!`;
+}
+
+function ruleBased(task, user, json) {
+  if (task === 'scoring')    return ruleScore(user);
+  if (task === 'commenting') return ruleComment(user, json);
+  if (task === 'critic')     return ruleCritique(user);
+  return ruleNote(user);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Entry point
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {'scoring'|'commenting'|'critic'|'notes'} task
+ * @param {string}  systemPrompt
+ * @param {string}  userPrompt
+ * @param {boolean} [forceJson=false]  true when the caller asked for a JSON reply
+ * @returns {Promise<string>}
+ */
+async function fakeGenerate(task, systemPrompt, userPrompt, forceJson = false) {
+  if (!TASKS.includes(task)) throw new Error(`Fake provider: unknown task "${task}"`);
+  if (!queues) queues = loadScriptFile();
+  calls.push({ task, system: systemPrompt, user: userPrompt, json: forceJson });
+
+  let reply = queues[task].length ? queues[task].shift() : null;
+  if (reply === null) return ruleBased(task, userPrompt, forceJson);
+
+  if (typeof reply === 'function') reply = await reply(systemPrompt, userPrompt);
+  if (reply && typeof reply === 'object') {
+    if (reply.error) throw new Error(reply.error);
+    if ('json' in reply) return JSON.stringify(reply.json);
+  }
+  return String(reply);
+}
+
+module.exports = { fakeGenerate, setFakeScript, resetFake, getFakeCalls };
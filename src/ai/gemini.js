@@ -1,176 +1,47 @@
 'use strict';
 /**
- * AI module — supports OpenAI, Google Gemini, and Ollama (local open-source).
- * Priority: OpenAI → Gemini → Ollama
- * Falls back to heuristic scoring if all fail.
+ * AI module — post scoring and comment generation.
+ * Providers (OpenAI → Gemini → Ollama → OpenAI-compatible by default, or the
+ * offline fake) are handled by providers.js.
+ * Falls back to heuristic scoring if all fail. Comments are checked against
+ * the prompt's hard rules (commentRules.js), our earlier comments
+ * (repetition.js), the comments already on the post (postOverlap.js) and the
+ * fact sheet (persona.js), and rewritten once if they break one. Several
+ * candidates can be written per post and the best kept (ranker.js).
  */
 
 const config = require('../config');
 const { getBannedPromptBlock, hasBannedOpener, cleanComment } = require('./bannedPhrases');
-
-// ── Lazy-loaded clients ──────────────────────────────────────────
-let openaiClient = null;
-let geminiModel  = null;
-let ollamaClient = null;
-
-function getOpenAI() {
-  if (!openaiClient) {
-    const { OpenAI } = require('openai');
-    openaiClient = new OpenAI({ apiKey: config.openaiApiKey });
-  }
-  return openaiClient;
-}
-
-function getGemini() {
-  if (!geminiModel) {
-    const { GoogleGenerativeAI } = require('@google/generative-ai');
-    const genAI = new GoogleGenerativeAI(config.geminiApiKey);
-    geminiModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-  }
-  return geminiModel;
-}
-
-function getOllama() {
-  if (!ollamaClient) {
-    const { OpenAI } = require('openai');
-    ollamaClient = new OpenAI({
-      baseURL: config.ollama?.baseUrl || 'http://localhost:11434/v1',
-      apiKey:  'ollama',  // Ollama doesn't need a real key
-    });
-  }
-  return ollamaClient;
-}
-
-// ── Detect which provider to use ────────────────────────────────
-function hasOpenAI() {
-  return !!(config.openaiApiKey && config.openaiApiKey.startsWith('sk-') && config.openaiApiKey.length > 20);
-}
-function hasGemini() {
-  return !!(config.geminiApiKey && config.geminiApiKey.length > 20);
-}
-function hasOllama() {
-  return !!(config.ollama?.enabled);
-}
-
-// ── Raw text generation (provider-agnostic) ──────────────────────
-async function generateText(systemPrompt, userPrompt, forceJson = false) {
-  // Try OpenAI first
-  if (hasOpenAI()) {
-    try {
-      const ai = getOpenAI();
-      const params = {
-        model: 'gpt-4o',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user',   content: userPrompt   },
-        ],
-        max_tokens: 400,
-        temperature: 0.75, // Lowered for more realism
-      };
-      
-      if (forceJson) {
-        params.response_format = { type: 'json_object' };
-      }
-
-      const res = await ai.chat.completions.create(params);
-      return res.choices[0].message.content.trim();
-    } catch (e) {
-      if (hasGemini()) {
-        console.log('  OpenAI failed, trying Gemini:', e.message.slice(0, 60));
-      } else {
-        throw e;
-      }
-    }
-  }
-
-  // Try Gemini as fallback
-  if (hasGemini()) {
-    try {
-      const m = getGemini();
-      const result = await m.generateContent(systemPrompt + '\n\n' + userPrompt);
-      return result.response.text().trim();
-    } catch (e) {
-      if (hasOllama()) {
-        console.log('  Gemini failed, trying Ollama:', e.message.slice(0, 60));
-      } else {
-        throw e;
-      }
-    }
-  }
-
-  // Try Ollama (local open-source) as last resort
-  if (hasOllama()) {
-    try {
-      const ai = getOllama();
-      const model = config.ollama?.model || 'llama3.1';
-      const params = {
-        model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user',   content: userPrompt   },
-        ],
-        max_tokens: 400,
-        temperature: 0.75,
-      };
-
-      if (forceJson) {
-        params.response_format = { type: 'json_object' };
-      }
-
-      const res = await ai.chat.completions.create(params);
-      console.log(`  [AI] Generated via Ollama (${model})`);
-      return res.choices[0].message.content.trim();
-    } catch (e) {
-      throw new Error(`Ollama failed: ${e.message}`);
-    }
-  }
-
-  throw new Error('No working AI provider. Set OPENAI_API_KEY, GEMINI_API_KEY, or enable Ollama in .env');
-}
+const { generateDetailed } = require('./providers');
+const { generateValidated, SCORE_SCHEMA, COMMENT_SCHEMA } = require('./schema');
+const { validateComment, formatViolations, buildRulesRepairPrompt } = require('./commentRules');
+const { repetitionViolations, recentComments } = require('./repetition');
+const { measureOverlap, overlapViolations } = require('./postOverlap');
+const { activePersona, formatPersona, claimViolations } = require('./persona');
+const { renderPrompt } = require('./prompts');
+const { pickRandomType, pickCandidateStyles } = require('./commentStyles');
+const { rankCandidates } = require('./ranker');
+const { getArmSettings } = require('../data/experiments');
+const { recordRuleViolations } = require('../data/usage');
 
 // ── Interest scoring ─────────────────────────────────────────────
 /**
  * Scores a post 0-100 and decides if it's worth commenting on.
  */
 async function scorePostInterest(postText, authorName) {
-  const systemPrompt = `You are a professional LinkedIn engagement advisor. Respond ONLY with valid JSON — no markdown, no explanation.`;
-
-  const userPrompt = `Score this LinkedIn post from 0 to 100 on how INTERESTING and WORTH COMMENTING it is.
-
-✅ Score HIGH (60-100) if:
-- Written by a founder, CEO, senior engineer, or leader
-- About entrepreneurship, tech, AI, startup life, product, leadership, or developer experience
-- Has a real opinion, insight, story, or lesson (not just facts)
-- Would give a Full Stack Developer something valuable to add
-- Post length is between 300 and 1200 characters
-- Contains numbers, data, or metrics
-- Contains story-arc words like "started", "learned", "realized", "failed"
-
-❌ Score LOW (0-30) and set interesting:false if:
-- Author is "open to work", job hunting, student, fresher, or entry-level
-- It's a hiring announcement or job post
-- It's a generic motivational quote with no personal context
-- Pure self-promotion / brand content with no reader takeaway
-- Less than 100 characters
-- A reshare with no commentary
-
-Post by: ${authorName || 'Unknown'}
-Post text:
-"""
-${postText.slice(0, 1200)}
-"""
-
-Respond with ONLY this JSON:
-{"score": <0-100>, "reason": "<one short sentence>", "interesting": <true|false>}`;
+  const prompt = renderPrompt('score', {
+    authorName: authorName || 'Unknown',
+    post:       postText.slice(0, 1200),
+  });
 
   try {
-    const raw = await generateText(systemPrompt, userPrompt, true);
-    const cleaned = raw.replace(/^```json?\s*/i, '').replace(/```\s*$/i, '').trim();
-    const parsed = JSON.parse(cleaned);
+    // Validated against SCORE_SCHEMA (one repair re-prompt) — see schema.js
+    const { value: parsed } = await generateValidated('scoring', SCORE_SCHEMA, prompt.system, prompt.user);
     return {
-      score:       typeof parsed.score === 'number' ? parsed.score : 0,
-      reason:      parsed.reason || '',
-      interesting: parsed.interesting === true && (parsed.score || 0) >= config.bot.minInterestScore,
+      score:         parsed.score,
+      reason:        parsed.reason,
+      interesting:   parsed.interesting === true && parsed.score >= config.bot.minInterestScore,
+      promptVersion: prompt.version,
     };
   } catch {
     const score = estimateHeuristic(postText);
@@ -183,11 +54,96 @@ Respond with ONLY this JSON:
 }
 
 // ── Comment generation ───────────────────────────────────────────
+/**
+ * Strip a banned opener that slipped through, then check the prompt's rules,
+ * our earlier comments, the comments already on the post and the fact sheet.
+ */
+function checkComment(parsed, { authorName, pastComments, existingComments, persona, postText }) {
+  let comment = parsed.comment.trim();
+  if (hasBannedOpener(comment).banned) {
+    console.log('    ⚠️  AI used banned opener — auto-cleaning...');
+    comment = cleanComment(comment);
+  }
+  const violations = [
+    ...validateComment(comment, { interestScore: parsed.interest_score, authorName }),
+    ...repetitionViolations(comment, pastComments),
+    ...overlapViolations(comment, existingComments),
+    ...claimViolations(comment, persona, { sources: [postText] }),
+  ];
+  return { parsed, comment, violations };
+}
+
+function overlapScore(comment, existingComments) {
+  const overlap = measureOverlap(comment, existingComments);
+  return overlap ? overlap.score : null;
+}
+
+function logViolations(reply, violations, stage) {
+  console.log(`    ⚠️  ${reply.provider} (${reply.model}) comment broke the rules${stage === 'rewrite' ? ' again after a rewrite' : ''}: ${formatViolations(violations).slice(0, 140)}`);
+  try {
+    recordRuleViolations({ task: 'commenting', provider: reply.provider, model: reply.model, stage, violations });
+  } catch { /* logging must never break generation */ }
+}
+
+/** One comment candidate: generate it, check it, and rewrite it once if it breaks a rule */
+async function writeCandidate(prompt, checks) {
+  return writeChecked(
+    (user) => generateValidated('commenting', COMMENT_SCHEMA, prompt.system, user),
+    prompt.user, checks);
+}
+
+/** The raw-text fallback: the same checks and single rewrite, asked for in plain text */
+async function writeFallback(prompt, checks) {
+  return writeChecked(async (user) => {
+    const reply = await generateDetailed('commenting', prompt.system, user);
+    return { ...reply, value: { comment: reply.text } };
+  }, prompt.fallback, checks, { plainText: true });
+}
+
+/** write(user) → { value, provider, model }; keeps whichever version breaks fewer rules */
+async function writeChecked(write, userPrompt, checks, { plainText = false } = {}) {
+  const first = await write(userPrompt);
+
+  // Post-generation safety net: the prompt's hard rules, one targeted rewrite
+  let best = checkComment(first.value, checks);
+  if (best.violations.length) {
+    logViolations(first, best.violations, 'initial');
+    try {
+      const repair  = buildRulesRepairPrompt(userPrompt, best.comment, best.violations, { plainText });
+      const second  = await write(repair);
+      const rewrite = checkComment(second.value, checks);
+      if (rewrite.violations.length) logViolations(second, rewrite.violations, 'rewrite');
+      if (rewrite.violations.length < best.violations.length) best = rewrite;
+    } catch { /* keep the first comment */ }
+  }
+  return best;
+}
+
 /**
  * Generates a personalized professional LinkedIn comment WITH AI reasoning.
  * Now comment-aware: reads existing comments to avoid duplicating angles.
  *
- * Returns: { comment, interestScore, whyInteresting, bestAngle }
+ * Prompt text comes from prompts/comment.<version>.txt (see prompts.js).
+ *
+ * A comment that breaks the prompt's rules, repeats our earlier comments
+ * (rule 'repetition'), one already on the post (rule 'overlap') or claims
+ * experience the fact sheet doesn't list (rule 'claim') gets one rewrite
+ * listing what to fix; the version with fewer violations is kept,
+ * and whatever it still breaks is returned as ruleViolations. existingOverlap
+ * is its final overlap with the post's comments (null when it has none).
+ *
+ * When no JSON comment comes back, a plain-text one is asked for instead
+ * (fallback: true) and goes through the same checks and single rewrite.
+ *
+ * With COMMENT_CANDIDATES above 1 that many candidates are written (in
+ * other styles too, see pickCandidateStyles) and ranker.js picks the best;
+ * candidates lists every one with its scores, the chosen one marked.
+ *
+ * Throws when no comment could be written at all; a spent monthly budget
+ * keeps its code 'AI_BUDGET_EXCEEDED' so the caller can stop the run.
+ *
+ * Returns: { comment, interestScore, whyInteresting, bestAngle, promptVersion, ruleViolations, existingOverlap,
+ *            fallback, styleId, candidates: [{ style, comment, violations, scores, total, ranker, chosen }] }
  *
  * @param {string} postText    - The post content
  * @param {string} authorName  - Author's name
@@ -195,127 +151,112 @@ Respond with ONLY this JSON:
  * @param {object} [context]   - Additional context for smarter generation
  * @param {string[]} [context.existingComments] - Comments already on the post
  * @param {string}   [context.authorHeadline]   - Author's LinkedIn headline
+ * @param {string[]} [context.pastComments]     - Our earlier comments (default: recentComments())
+ * @param {number}   [context.candidates]       - How many to write (default: COMMENT_CANDIDATES)
+ * @param {boolean}  [context.sameStyle]        - All candidates in commentStyle (default: COMMENT_CANDIDATE_STYLES=same)
  */
 async function generateComment(postText, authorName, commentStyle = null, context = {}) {
   const { name, headline, about } = config.profile;
   const { existingComments = [], authorHeadline = '' } = context;
+  const pastComments = context.pastComments || recentComments();
+  const persona      = activePersona();
+  const count        = Math.max(1, context.candidates || config.bot.commentCandidates || 1);
+  const sameStyle    = context.sameStyle !== undefined ? context.sameStyle : config.bot.candidateStyles === 'same';
 
   // Emotional tone detection
   const textLower = postText.toLowerCase();
-  let toneInstruction = '';
+  let tone = '';
   if (/excited|grateful|milestone|proud|thrilled|win/.test(textLower)) {
-    toneInstruction = 'Tone of post appears to be celebratory. Match that tone subtly.';
+    tone = 'celebratory';
   } else if (/burnout|struggle|failure|hard|tough|layoff|fired/.test(textLower)) {
-    toneInstruction = 'Tone of post appears to be empathetic. Match that tone subtly.';
-  }
-
-  // Integrate comment type
-  const commentTypeObj = require('./commentStyles').pickRandomType();
-  const typeInstruction = commentTypeObj ? `\nComment Type to aim for: ${commentTypeObj.label}` : '';
-
-  const styleInstruction = commentStyle
-    ? `\nYour writing approach for this comment — "${commentStyle.label}":\n${commentStyle.instruction}\n`
-    : '';
-
-  // Build existing comments context block
-  let existingCommentsBlock = '';
-  if (existingComments.length > 0) {
-    const shown = existingComments.slice(0, 5).map((c, i) => `  ${i + 1}. "${c.slice(0, 150)}"`).join('\n');
-    existingCommentsBlock = `\n\nExisting comments on this post (DO NOT repeat any of these angles or ideas):\n${shown}\n\nYour comment MUST add a DIFFERENT perspective not covered above. If all obvious angles are taken, go deeper or challenge the premise.`;
+    tone = 'empathetic';
   }
 
-  // Build author context
-  const authorBlock = authorHeadline
-    ? `\nAuthor's role: ${authorHeadline} — tailor your comment to resonate with someone at this level.`
-    : '';
-
-  // Banned phrases block
-  const bannedBlock = getBannedPromptBlock();
-
-  const systemPrompt = `You are writing a LinkedIn comment on behalf of ${name}, a ${headline.split('|')[0].trim()}. Respond ONLY with valid JSON — no markdown, no explanation outside the JSON.
-Write like an active LinkedIn user in tech. Vary tone naturally. Do not sound like an AI assistant. Avoid structured corporate language.`;
-
-  const userPrompt = `Analyze this LinkedIn post and write a comment as ${name}.
-
-About ${name}:
-${about}
-${styleInstruction}${typeInstruction}
-${toneInstruction}${authorBlock}${existingCommentsBlock}
-
-Post by ${authorName || 'the author'}:
-"""
-${postText.slice(0, 1500)}
-"""
-
-Comment rules:
-- NEVER open with generic phrases like "So true.", "Love this.", "Great post.", "Spot on.", or any empty validation.
-${bannedBlock}
-- Every comment MUST do at least ONE of these four things:
-  1. Add a specific insight, data point, or real-world nuance the post didn't cover
-  2. Gently challenge or add nuance to the author's idea, with a clear reason
-  3. Share a compact, concrete mini-lesson from hands-on experience
-  4. Ask ONE sharp, specific question that shows you read and thought deeply about the post
-- Reference ONE specific concept, claim, or detail from the post — never be generic.
-- Structure: 1-2 tight sentences. First sentence = your take or observation. Optional second = a focused follow-up question or implication.
-- Length: 120-220 characters for score < 70. 220-350 characters for score >= 70. Never pad to hit length.
-- Sound like a peer, not a fan. You are a professional commenting, not praising.
-- Avoid academic phrasing and buzzwords like leverage, optimize, paradigm, synergy. No list-like structure.
-- NO emojis, NO hashtags.
-- Do NOT mention ${name}'s own name.
-- NEVER use the "—" (em-dash) or "-" (hyphen) character to separate thoughts. Use periods.
-
-Respond with ONLY this JSON:
-{
-  "interest_score": <0-100, how worth commenting this post is>,
-  "why_interesting": "<one concise sentence explaining what makes this post valuable>",
-  "best_angle": "<one sentence on the most effective angle for a comment>",
-  "comment": "<the actual comment text>"
-}`;
-
-  try {
-    const raw = await generateText(systemPrompt, userPrompt, true);
-    const cleaned = raw.replace(/^```json?\s*/i, '').replace(/```\s*$/i, '').trim();
-    const parsed = JSON.parse(cleaned);
-
-    if (!parsed.comment || parsed.comment.length < 10) {
-      throw new Error('AI returned empty comment in JSON');
+  // Integrate comment type (an experiment arm may reweight the types)
+  const commentTypeObj = pickRandomType(getArmSettings().commentTypeWeights);
+
+  const promptFor = (style) => renderPrompt('comment', {
+    profile:          { name, headline, about, role: headline.split('|')[0].trim() },
+    author:           { name: authorName || 'the author', headline: authorHeadline },
+    style:            style ? { label: style.label, instruction: style.instruction } : null,
+    commentType:      commentTypeObj ? { label: commentTypeObj.label } : null,
+    tone,
+    existingComments: existingComments.slice(0, 5).map((c, i) => ({ n: i + 1, text: c.slice(0, 150) })),
+    bannedBlock:      getBannedPromptBlock(),
+    post:             postText.slice(0, 1500),
+    postShort:        postText.slice(0, 800),
+    persona:          persona ? formatPersona(persona) : '',
+  });
+
+  const checks  = { authorName, pastComments, existingComments, persona, postText };
+  const styles  = pickCandidateStyles(commentStyle, count, sameStyle);
+  const written = [];
+  for (const [i, style] of styles.entries()) {
+    // Validated against COMMENT_SCHEMA (one repair re-prompt) — see schema.js
+    const prompt = promptFor(style);
+    try {
+      written.push({ style, prompt, ...(await writeCandidate(prompt, checks)) });
+    } catch (e) {
+      // Out of budget: rank what was written, or let the caller stop the run
+      if (e.code === 'AI_BUDGET_EXCEEDED') {
+        if (!written.length) throw e;
+        break;
+      }
+      if (styles.length > 1) console.log(`    ⚠️  Candidate ${i + 1} of ${styles.length} failed: ${e.message.slice(0, 80)}`);
     }
+  }
 
-    // Post-generation safety net: strip banned openers that slipped through
-    let finalComment = parsed.comment.trim();
-    const { banned } = hasBannedOpener(finalComment);
-    if (banned) {
-      console.log('    ⚠️  AI used banned opener — auto-cleaning...');
-      finalComment = cleanComment(finalComment);
-    }
+  if (written.length) {
+    // A critic call per candidate only pays off when there is a choice to make
+    const ranked = await rankCandidates(written, { postText, existingComments, tone },
+      written.length > 1 ? {} : { ranker: 'heuristic' });
+    const { parsed, comment: finalComment, violations, style, prompt } = ranked[0];
 
     return {
       comment:        finalComment,
-      interestScore:  typeof parsed.interest_score === 'number' ? parsed.interest_score : 50,
-      whyInteresting: parsed.why_interesting || '',
-      bestAngle:      parsed.best_angle || '',
+      interestScore:  parsed.interest_score,
+      whyInteresting: parsed.why_interesting,
+      bestAngle:      parsed.best_angle,
+      commentType:    commentTypeObj.id,
+      promptVersion:  prompt.version,
+      ruleViolations: violations,
+      existingOverlap: overlapScore(finalComment, existingComments),
+      fallback:       false,
+      styleId:        style ? style.id : '',
+      candidates:     ranked.map((c) => ({
+        style:      c.style ? c.style.id : '',
+        comment:    c.comment,
+        violations: c.violations.map((v) => v.rule),
+        scores:     c.scores,
+        total:      c.total,
+        ranker:     c.ranker,
+        chosen:     c.chosen,
+      })),
     };
-  } catch (e) {
-    // Fallback: try raw text generation without JSON structure
-    console.log('    ⚠️  JSON comment generation failed, falling back to raw text...');
-    const fallbackPrompt = `Write a 1-2 sentence LinkedIn comment as ${name} on this post by ${authorName}.
-${styleInstruction}
-Post: "${postText.slice(0, 800)}"
-
-Rules: No emojis, no "Great post!", reference something specific, be concise (under 180 chars).
-Write ONLY the comment text:`;
+  }
 
-    try {
-      const raw = await generateText(systemPrompt, fallbackPrompt);
-      return {
-        comment:        raw.trim(),
-        interestScore:  50,
-        whyInteresting: 'Fallback mode',
-        bestAngle:      '',
-      };
-    } catch (fallbackError) {
-      throw new Error(`AI generation completely failed (Network or API issue). Last error: ${fallbackError.message}`);
-    }
+  // Fallback: try raw text generation without JSON structure
+  console.log('    ⚠️  JSON comment generation failed, falling back to raw text...');
+  const prompt = promptFor(commentStyle);
+  try {
+    const { comment, violations } = await writeFallback(prompt, checks);
+    return {
+      comment,
+      interestScore:  50,
+      whyInteresting: 'Fallback mode',
+      bestAngle:      '',
+      commentType:    commentTypeObj.id,
+      promptVersion:  prompt.version,
+      ruleViolations: violations,
+      existingOverlap: overlapScore(comment, existingComments),
+      fallback:       true,
+      styleId:        commentStyle ? commentStyle.id : '',
+      candidates:     [],
+    };
+  } catch (fallbackError) {
+    throw Object.assign(
+      new Error(`AI generation completely failed (Network or API issue). Last error: ${fallbackError.message}`),
+      { code: fallbackError.code });
   }
 }
 
@@ -0,0 +1,254 @@
+'use strict';
+/**
+ * persona.js — The fact sheet comments and notes may draw on
+ *
+ * The 'experiential' and 'builder' styles ask for a real experience, a real
+ * outcome or number, but MY_ABOUT is all the model knows, so it made up
+ * projects. data/persona.json (PERSONA_FILE) lists what actually happened;
+ * prompts/comment.v2.txt and note.v2.txt hand it to the model as the only
+ * source for first-person claims. Without the file they tell the model not to
+ * claim any experience at all.
+ *
+ * File format:
+ *   { "summary": "Full-stack developer, six years in B2B SaaS.",        — optional
+ *     "projects": [
+ *       { "name": "Invoice sync for a logistics client",
+ *         "when": "2024",                                               — year(s), free text
+ *         "stack": ["Node.js", "Postgres", "BullMQ"],
+ *         "facts": ["cut month-end reconciliation from 2 days to 3 hours"] } ],
+ *     "stack":    ["Next.js", "TypeScript", "Docker"],                  — tools used outside the projects
+ *     "opinions": ["Most CI pipelines have a stage nobody would miss."] }
+ *
+ * After generation, first-person sentences ("we", "I", "our"…) are checked
+ * for claims: tools (TOOLS below), metrics (a number with a unit, %, x, $)
+ * and timelines ("last quarter", "two years ago", "in 2023"). A claim is
+ * backed when the fact sheet has it (a timeline: a project from that year)
+ * or the post itself says it. generateComment() turns the rest into a
+ * 'claim' violation, which gets the same one rewrite as a broken prompt rule.
+ *
+ * EXPORTS:
+ *   loadPersona()                            → persona | null without the file; throws naming a bad field
+ *   activePersona()                          → loadPersona(), or null when the file is broken
+ *   describePersona(persona)                 → "3 projects, 9 tools, 2 opinions"
+ *   formatPersona(persona)                   → the fact sheet as prompt text
+ *   findClaims(text, [now])                  → [{ kind: 'tool' | 'metric' | 'timeline', text, aliases? / years? }]
+ *   unbackedClaims(text, persona, [opts])    → the claims neither the sheet nor opts.sources back
+ *   claimViolations(text, persona, [opts])   → [{ rule: 'claim', message }]  (empty = all backed, or no sheet)
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+
+// Aliases of one tool. Lowercase ones match in any case; capitalised ones
+// ("React", "Rust") only as written, since the lowercase word is plain English.
+const TOOLS = [
+  ['node.js', 'nodejs', 'Node'], ['next.js', 'nextjs'], ['React'], ['vue', 'vue.js'], ['angular'], ['svelte'],
+  ['typescript'], ['javascript'], ['python'], ['django'], ['fastapi'], ['flask'], ['Rails', 'ruby on rails'],
+  ['golang'], ['Rust'], ['java'], ['kotlin'], ['php', 'laravel'], ['.net', 'c#'],
+  ['postgres', 'postgresql'], ['mysql'], ['sqlite'], ['mongodb', 'mongo'], ['redis'], ['elasticsearch'],
+  ['dynamodb'], ['supabase'], ['firebase'], ['prisma'], ['graphql'], ['kafka'], ['rabbitmq'], ['bullmq'],
+  ['docker'], ['kubernetes', 'k8s'], ['terraform'], ['ansible'], ['aws', 'lambda', 's3', 'ec2'], ['gcp', 'google cloud'],
+  ['azure'], ['vercel'], ['netlify'], ['heroku'], ['cloudflare'], ['nginx'],
+  ['github actions'], ['gitlab ci'], ['jenkins'], ['circleci'], ['datadog'], ['grafana'], ['prometheus'], ['sentry'],
+  ['playwright'], ['puppeteer'], ['selenium'], ['cypress'], ['jest'],
+  ['openai', 'gpt'], ['gemini'], ['claude'], ['llama', 'ollama'], ['langchain'], ['pinecone'],
+  ['stripe'], ['twilio'], ['zapier'], ['n8n'], ['airflow'], ['snowflake'], ['shopify'], ['salesforce'], ['hubspot'],
+];
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const COUNT        = '\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|a few|a couple of|several';
+
+const FIRST_PERSON = /\b(?:i|i'm|i've|i'd|we|we've|we're|we'd|my|our|us)\b/i;
+const METRIC = /(?:[$€£]\s?\d[\d,.]*\s?[kmb]?\b|\b\d[\d,.]*\s?(?:%|x\b|×|k\b|ms\b|(?:seconds?|secs?|minutes?|mins?|hours?|hrs?|h|days?|weeks?|users?|customers?|clients?|requests?|engineers?|devs?|developers?|people|servers?|services?|tickets?|deploys?|releases?|lines?)\b))/gi;
+const TIMELINES = [
+  /\b(?:last|this|past)\s+(?:year|quarter|month|week|sprint|summer|winter|spring|fall|autumn)\b/gi,
+  new RegExp(`\\b(?:${COUNT})\\+?\\s+(?:years?|months?|weeks?|quarters?)(?:\\s+(?:ago|back))?\\b`, 'gi'),
+  /\b(?:in|since|back in|during)\s+(?:19|20)\d{2}\b/gi,
+];
+
+// ─────────────────────────────────────────────────────────────────
+//  LOAD
+// ─────────────────────────────────────────────────────────────────
+
+function string(value, where) {
+  if (value === undefined) return '';
+  if (typeof value !== 'string') throw new Error(`${where} must be a string`);
+  return value.trim();
+}
+
+function stringList(value, where) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || !v.trim())) {
+    throw new Error(`${where} must be a list of non-empty strings`);
+  }
+  return value.map((v) => v.trim());
+}
+
+function loadPersona() {
+  const file = path.resolve(config.data.personaPath);
+  if (!fs.existsSync(file)) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${file}: not valid JSON (${e.message})`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${file}: must be a JSON object`);
+  if (raw.projects !== undefined && !Array.isArray(raw.projects)) throw new Error(`${file}: projects must be a list`);
+
+  const projects = (raw.projects || []).map((p, i) => {
+    const where = `${file}: project ${p && p.name ? `"${p.name}"` : `#${i + 1}`}`;
+    if (!p || typeof p !== 'object') throw new Error(`${where} must be an object`);
+    const name = string(p.name, `${where}: name`);
+    if (!name) throw new Error(`${where} has no name`);
+    return {
+      name,
+      when:  string(p.when === undefined ? undefined : String(p.when), `${where}: when`),
+      stack: stringList(p.stack, `${where}: stack`),
+      facts: stringList(p.facts, `${where}: facts`),
+    };
+  });
+  return {
+    summary:  string(raw.summary, `${file}: summary`),
+    projects,
+    stack:    stringList(raw.stack, `${file}: stack`),
+    opinions: stringList(raw.opinions, `${file}: opinions`),
+  };
+}
+
+/** For the prompts: a broken file counts as none (the bots report it at startup) */
+function activePersona() {
+  try {
+    return loadPersona();
+  } catch {
+    return null;
+  }
+}
+
+function describePersona(persona) {
+  const tools = new Set([...persona.stack, ...persona.projects.flatMap((p) => p.stack)].map((t) => t.toLowerCase()));
+  const n = (k, word) => `${k} ${word}${k === 1 ? '' : 's'}`;
+  return [n(persona.projects.length, 'project'), n(tools.size, 'tool'), n(persona.opinions.length, 'opinion')].join(', ');
+}
+
+function formatPersona(persona) {
+  const lines = [];
+  if (persona.summary) lines.push(persona.summary);
+  for (const p of persona.projects) {
+    const head = [p.name, p.when && `(${p.when})`, p.stack.length && `built with ${p.stack.join(', ')}`].filter(Boolean).join(' ');
+    lines.push(`- Project: ${head}`);
+    for (const fact of p.facts) lines.push(`  - ${fact}`);
+  }
+  if (persona.stack.length) lines.push(`- Also works with: ${persona.stack.join(', ')}`);
+  for (const opinion of persona.opinions) lines.push(`- Opinion: ${opinion}`);
+  return lines.join('\n');
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  CLAIMS
+// ─────────────────────────────────────────────────────────────────
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** The alias as written in the text, or null */
+function toolIn(text, alias) {
+  const flags = alias === alias.toLowerCase() ? 'i' : '';
+  const m = new RegExp(`(?:^|[^\\w.#])(${escapeRegExp(alias)})(?![\\w#]|\\.\\w)`, flags).exec(text);
+  return m ? m[1] : null;
+}
+
+function sentences(text) {
+  return String(text || '').split(/(?<=[.!?])\s+|\n+/).filter((s) => s.trim());
+}
+
+function count(word) {
+  const w = word.toLowerCase();
+  if (/^\d+$/.test(w)) return Number(w);
+  return NUMBER_WORDS[w] || null;  // "a few", "several": no year to pin
+}
+
+/** The calendar years a timeline points at; [] for a bare duration ("three years") */
+function yearsOf(phrase, now) {
+  const p = phrase.toLowerCase().replace(/\s+/g, ' ');
+  const year = now.getFullYear();
+  const monthsBack = (m) => new Date(now.getFullYear(), now.getMonth() - m, 1).getFullYear();
+  const absolute = p.match(/(?:19|20)\d{2}/);
+  if (absolute) return [Number(absolute[0])];
+  if (/^this /.test(p)) return [year];
+  if (/^(?:last|past) year/.test(p)) return [year - 1];
+  if (/^(?:last|past) quarter/.test(p)) return [...new Set([monthsBack(3), year])];
+  if (/^(?:last|past) /.test(p)) return [...new Set([monthsBack(12), year])];  // a month, a week, last summer…
+  const ago = p.match(/^(.+?)\+? (year|month|week|quarter)s? (?:ago|back)$/);
+  if (ago) {
+    const n = count(ago[1]);
+    if (!n) return [year - 1, year - 2, year - 3];
+    const months = { year: 12, quarter: 3, month: 1, week: 0 }[ago[2]] * n;
+    return [monthsBack(months)];
+  }
+  return [];
+}
+
+function findClaims(text, now = new Date()) {
+  const claims = [];
+  for (const sentence of sentences(text)) {
+    if (!FIRST_PERSON.test(sentence)) continue;
+    for (const group of TOOLS) {
+      const named = group.map((a) => toolIn(sentence, a)).find(Boolean);
+      if (named) claims.push({ kind: 'tool', text: named, aliases: group });
+    }
+    for (const m of sentence.match(METRIC) || []) claims.push({ kind: 'metric', text: m.trim() });
+    for (const re of TIMELINES) {
+      for (const m of sentence.match(re) || []) claims.push({ kind: 'timeline', text: m.trim(), years: yearsOf(m.trim(), now) });
+    }
+  }
+  return claims;
+}
+
+function numbersIn(text) {
+  return new Set((String(text).match(/\d[\d,.]*/g) || []).map((n) => n.replace(/,/g, '').replace(/\.$/, '')));
+}
+
+/**
+ * @param {string}   text
+ * @param {object}   persona           - loadPersona()
+ * @param {object}   [opts]
+ * @param {string[]} [opts.sources=[]] - other text that backs a claim (the post it replies to)
+ * @param {Date}     [opts.now]
+ */
+function unbackedClaims(text, persona, { sources = [], now = new Date() } = {}) {
+  const sheet    = [formatPersona(persona), ...persona.projects.map((p) => p.when)].join('\n');
+  const backing  = [sheet, ...sources].join('\n');
+  const numbers  = numbersIn(backing);
+  const lower    = backing.toLowerCase();
+  const projectYears = persona.projects.map((p) => p.when).join(' ');
+
+  return findClaims(text, now).filter((claim) => {
+    if (claim.kind === 'tool') return !claim.aliases.some((a) => toolIn(backing, a));
+    if (claim.kind === 'metric') return ![...numbersIn(claim.text)].every((n) => numbers.has(n));
+    if (lower.includes(claim.text.toLowerCase())) return false;
+    return !claim.years.some((y) => projectYears.includes(String(y)));
+  }).map(({ kind, text: claimText }) => ({ kind, text: claimText }));
+}
+
+function claimViolations(text, persona, opts = {}) {
+  if (!persona) return [];
+  const claims = unbackedClaims(text, persona, opts);
+  if (!claims.length) return [];
+  const list = claims.slice(0, 4).map((c) => `"${c.text}" (${c.kind})`).join(', ');
+  return [{ rule: 'claim', message: `claims what the fact sheet doesn't back: ${list}. Use only the fact sheet's projects, tools and numbers, or drop the claim` }];
+}
+
+module.exports = {
+  loadPersona,
+  activePersona,
+  describePersona,
+  formatPersona,
+  findClaims,
+  unbackedClaims,
+  claimViolations,
+};
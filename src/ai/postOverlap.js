@@ -0,0 +1,73 @@
+'use strict';
+/**
+ * postOverlap.js — Does a new comment just repeat one already on the post?
+ *
+ * The comment prompt shows the model up to five of the post's comments and
+ * asks for a different angle; this checks that it found one. The draft is
+ * compared with every comment scraped from the post (post.commentsData) on:
+ *   keywords  the share of the draft's content words the other comment uses too
+ *   claim     the draft's first sentence (its take, per the prompt) against the
+ *             closest sentence of the other comment, as content-word Jaccard
+ * Its overlap with a comment is the mean of the two, and with the post the
+ * highest over all comments. From EXISTING_OVERLAP_MAX up the draft is a
+ * near-duplicate: generateComment() asks for one rewrite that quotes the
+ * comment to steer clear of. The final score is saved with the posted
+ * comment (existingOverlap in the learning log).
+ *
+ * EXPORTS:
+ *   measureOverlap(text, existingComments)     → { score, keywords, claim, closest } | null without comments
+ *   overlapViolations(text, existingComments)  → [{ rule: 'overlap', message }]  (empty = a new angle)
+ */
+
+const config = require('../config');
+const { keywords } = require('./repetition');
+
+function sentences(text) {
+  return String(text || '').split(/(?<=[.!?])\s+|\n+/).map((s) => s.trim()).filter(Boolean);
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function containment(a, b) {
+  if (!a.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / a.size;
+}
+
+function measureOverlap(text, existingComments = []) {
+  const others = existingComments.filter((c) => c && c.trim());
+  if (!others.length) return null;
+
+  const mine  = keywords(text);
+  const claim = keywords(sentences(text)[0] || '');
+  let best = { score: 0, keywords: 0, claim: 0, closest: '' };
+  for (const other of others) {
+    const k = containment(mine, keywords(other));
+    const c = Math.max(0, ...sentences(other).map((s) => jaccard(claim, keywords(s))));
+    const score = (k + c) / 2;
+    if (score > best.score) best = { score, keywords: k, claim: c, closest: other };
+  }
+  const round = (n) => Math.round(n * 100) / 100;
+  return { score: round(best.score), keywords: round(best.keywords), claim: round(best.claim), closest: best.closest };
+}
+
+function overlapViolations(text, existingComments = []) {
+  const overlap = measureOverlap(text, existingComments);
+  if (!overlap || overlap.score < config.bot.existingOverlapMax) return [];
+  const quoted = overlap.closest.length > 160 ? `${overlap.closest.slice(0, 160)}…` : overlap.closest;
+  return [{
+    rule:    'overlap',
+    message: `makes the same point as a comment already on the post (${Math.round(overlap.score * 100)}% overlap). Avoid this angle: "${quoted}"`,
+  }];
+}
+
+module.exports = {
+  measureOverlap,
+  overlapViolations,
+};
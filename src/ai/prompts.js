@@ -0,0 +1,183 @@
+'use strict';
+/**
+ * prompts.js — Versioned prompt templates (prompts/<name>.<version>.txt)
+ *
+ * Every AI prompt lives in a text file instead of a JS template string:
+ *   prompts/score.v1.txt     scorePostInterest()
+ *   prompts/comment.v2.txt   generateComment()  (system, user, fallback)
+ *   prompts/note.v2.txt      generateConnectionNote()
+ *
+ * File format — "# " lines before the first section are comments, then one
+ * "=== <section> ===" header per prompt part:
+ *   # comment v2 — shorter rules
+ *   === system ===
+ *   You are writing a LinkedIn comment on behalf of {{profile.name}}…
+ *   === user ===
+ *   …
+ *
+ * Template syntax (a small Mustache subset):
+ *   {{name}} {{profile.name}}   value (unknown names are an error, not "")
+ *   {{#key}}…{{/key}}           rendered when key is truthy / a non-empty list
+ *                               (once per item for lists; an object's fields
+ *                               become visible inside)
+ *   {{^key}}…{{/key}}           rendered when key is falsy / empty
+ * A section tag alone on its line takes the whole line with it.
+ *
+ * To change a prompt, copy it to the next version (comment.v2.txt) and edit
+ * that. The newest version is used unless an experiment arm
+ * (src/data/experiments.js) or PROMPT_<NAME>_VERSION pins one, and its id
+ * ("comment@v2") is stamped on every comment in learning.js.
+ *
+ * EXPORTS:
+ *   renderPrompt(name, vars, [version]) → { version: 'comment@v1', system, user, … }
+ *   listPromptVersions(name)            → ['v1', 'v2']
+ *   activePromptVersion(name)           → 'v2'
+ *   renderTemplate(template, vars)      → string
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { getArmSettings } = require('../data/experiments');
+
+// ─────────────────────────────────────────────────────────────────
+//  Template rendering
+// ─────────────────────────────────────────────────────────────────
+
+function lookup(stack, key, where) {
+  if (key === '.') return stack[stack.length - 1];
+  const [head, ...rest] = key.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope && typeof scope === 'object' && head in scope) {
+      return rest.reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), scope[head]);
+    }
+  }
+  throw new Error(`${where}: unknown variable {{${key}}}`);
+}
+
+function findClose(src, from, key, where) {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = new RegExp(`\\{\\{\\s*([#^/])\\s*${escaped}\\s*\\}\\}`, 'g');
+  re.lastIndex = from;
+  let depth = 1;
+  let m;
+  while ((m = re.exec(src))) {
+    if (m[1] !== '/') depth++;
+    else if (--depth === 0) return { start: m.index, end: re.lastIndex };
+  }
+  throw new Error(`${where}: missing {{/${key}}}`);
+}
+
+function renderPart(src, stack, where) {
+  const tag = /\{\{\s*([#^/]?)\s*([\w.]+|\.)\s*\}\}/g;
+  let out = '';
+  let pos = 0;
+  let m;
+  while ((m = tag.exec(src))) {
+    out += src.slice(pos, m.index);
+    const [, kind, key] = m;
+
+    if (kind === '') {
+      const v = lookup(stack, key, where);
+      out += v === null || v === undefined ? '' : String(v);
+      pos = tag.lastIndex;
+      continue;
+    }
+    if (kind === '/') throw new Error(`${where}: unexpected {{/${key}}}`);
+
+    const close  = findClose(src, tag.lastIndex, key, where);
+    const inner  = src.slice(tag.lastIndex, close.start);
+    const v      = lookup(stack, key, where);
+    const truthy = Array.isArray(v) ? v.length > 0 : !!v;
+
+    if (kind === '#') {
+      if (Array.isArray(v)) {
+        for (const item of v) out += renderPart(inner, [...stack, item], where);
+      } else if (truthy) {
+        out += renderPart(inner, typeof v === 'object' ? [...stack, v] : stack, where);
+      }
+    } else if (!truthy) {
+      out += renderPart(inner, stack, where);
+    }
+    pos = tag.lastIndex = close.end;
+  }
+  return out + src.slice(pos);
+}
+
+/**
+ * Render a template string against `vars`.
+ * @param {string} template
+ * @param {object} vars
+ * @param {string} [where='template']  — prefix for error messages
+ */
+function renderTemplate(template, vars, where = 'template') {
+  // Standalone section tags swallow their own line
+  const src = template.replace(/^[ \t]*(\{\{\s*[#^/][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+  return renderPart(src, [vars], where);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Files + versions
+// ─────────────────────────────────────────────────────────────────
+
+function listPromptVersions(name) {
+  const prefix = `${name}.`;
+  let files = [];
+  try { files = fs.readdirSync(config.prompts.dir); } catch { /* missing dir → no versions */ }
+  return files
+    .filter((f) => f.startsWith(prefix) && f.endsWith('.txt'))
+    .map((f) => f.slice(prefix.length, -'.txt'.length))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+}
+
+function activePromptVersion(name) {
+  const pinned = getArmSettings().prompts[name] || config.prompts.versions[name];
+  if (pinned) return pinned;
+  const versions = listPromptVersions(name);
+  if (versions.length === 0) throw new Error(`No prompt templates for "${name}" in ${config.prompts.dir}`);
+  return versions[versions.length - 1];
+}
+
+function parsePromptFile(text, where) {
+  const sections = {};
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    const header = line.match(/^===\s*(\w+)\s*===\s*$/);
+    if (header) {
+      current = header[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    } else if (line.trim() && !line.startsWith('#')) {
+      throw new Error(`${where}: text before the first "=== section ===" header`);
+    }
+  }
+  if (Object.keys(sections).length === 0) throw new Error(`${where}: no "=== section ===" headers`);
+  for (const k of Object.keys(sections)) sections[k] = sections[k].join('\n').replace(/^\n+|\s+$/g, '');
+  return sections;
+}
+
+/**
+ * Load and render every section of a prompt.
+ *
+ * @param {string} name       - 'score' | 'comment' | 'note'
+ * @param {object} vars       - template variables
+ * @param {string} [version]  - e.g. 'v2'; default: activePromptVersion(name)
+ * @returns {{ version: string, [section: string]: string }}
+ */
+function renderPrompt(name, vars, version = activePromptVersion(name)) {
+  const id   = `${name}@${version}`;
+  const file = path.join(config.prompts.dir, `${name}.${version}.txt`);
+  if (!fs.existsSync(file)) throw new Error(`Prompt ${id} not found (${file})`);
+
+  const sections = parsePromptFile(fs.readFileSync(file, 'utf-8'), id);
+  const out = { version: id };
+  for (const [section, template] of Object.entries(sections)) {
+    out[section] = renderTemplate(template, vars, `${id} [${section}]`);
+  }
+  return out;
+}
+
+module.exports = { renderPrompt, listPromptVersions, activePromptVersion, renderTemplate };
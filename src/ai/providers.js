@@ -0,0 +1,417 @@
+'use strict';
+/**
+ * providers.js — One AI provider layer for scoring, comments and connection notes
+ *
+ * Adapters (each: { label, available(), generate(req) → Promise<string | { text, usage }> }):
+ *   openai      OpenAI API                       (OPENAI_API_KEY)
+ *   gemini      Google Gemini                    (GEMINI_API_KEY)
+ *   ollama      local Ollama, OpenAI-compatible  (OLLAMA_ENABLED=true)
+ *   compatible  any OpenAI-compatible endpoint   (AI_COMPAT_BASE_URL) — LM Studio,
+ *               vLLM, llama.cpp server, OpenRouter, …
+ *   fake        offline scripted replies (fakeProvider.js) — AI_PROVIDER=fake
+ *               replaces the whole chain with it
+ *
+ * Priority: config.ai.chain (AI_PROVIDERS, default openai,gemini,ollama,compatible).
+ * Providers without a key / endpoint are skipped; a provider that throws hands
+ * over to the next one; the last error is re-thrown.
+ *
+ * Resilience (config.ai.retry):
+ *   - 429 / 408 / 5xx / timeouts / dropped connections are retried on the same
+ *     provider with exponential backoff + jitter. Retry-After, retry-after-ms,
+ *     x-ratelimit-reset-* and Gemini RetryInfo hints replace the backoff; a hint
+ *     longer than maxDelayMs (e.g. a daily quota) skips straight to the next provider.
+ *   - Circuit breaker: after breakerThreshold failed calls in a row (or one
+ *     401/403) a provider is skipped for the rest of the run.
+ *   - Per-provider success / failure / retry counts for the run summary.
+ *
+ * Usage: each successful call's tokens and estimated cost go to
+ * src/data/usage.js; once the monthly budget is spent generate() throws an
+ * error with code 'AI_BUDGET_EXCEEDED' without calling any provider.
+ *
+ * Per task ('scoring' | 'commenting' | 'critic' | 'notes') config.ai.tasks sets temperature,
+ * maxTokens and an optional model per provider; otherwise the provider's
+ * default model (OPENAI_MODEL, GEMINI_MODEL, OLLAMA_MODEL, AI_COMPAT_MODEL) is used.
+ *
+ * EXPORTS:
+ *   generate(task, system, user, { json }) → Promise<string>
+ *   generateDetailed(task, system, user, { json }) → Promise<{ text, provider, model }>
+ *   availableProviders()                   → ['openai', 'gemini', …] in priority order
+ *   describeProviders()                    → "OpenAI (gpt-4o) → Gemini (gemini-1.5-flash)"
+ *   registerProvider(name, adapter)        — add / replace an adapter
+ *   getProviderStats()                     → { openai: { successes, failures, retries, open }, … }
+ *   formatProviderStats()                  → "OpenAI ✓12 ✗1 (2 retries) | Gemini ✓0 ✗3 (circuit open)"
+ *   resetProviderStats()                   — clear counters and close every breaker
+ */
+
+const config = require('../config');
+const { fakeGenerate } = require('./fakeProvider');
+const { recordUsage, isBudgetExceeded, getBudgetStatus } = require('../data/usage');
+
+const TASKS = ['scoring', 'commenting', 'critic', 'notes'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ─────────────────────────────────────────────────────────────────
+//  Adapters
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Adapter for anything speaking the OpenAI chat completions API.
+ * Clients are created lazily so a missing package / key only matters when used.
+ */
+function openAICompatible({ label, clientOptions, defaultModel, available, supportsJson = () => true }) {
+  let client = null;
+  return {
+    label,
+    available,
+    defaultModel,
+    async generate({ system, user, json, model, temperature, maxTokens }) {
+      if (!client) {
+        const { OpenAI } = require('openai');
+        // Retries are ours (see callWithRetry) — the SDK's own would double them up
+        client = new OpenAI({ ...clientOptions(), maxRetries: 0, timeout: config.ai.retry.timeoutMs });
+      }
+      const params = {
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user',   content: user   },
+        ],
+        max_tokens:  maxTokens,
+        temperature,
+      };
+      if (json && supportsJson()) params.response_format = { type: 'json_object' };
+
+      const res = await client.chat.completions.create(params);
+      return {
+        text:  res.choices[0]?.message?.content || '',
+        usage: res.usage && { promptTokens: res.usage.prompt_tokens, completionTokens: res.usage.completion_tokens },
+      };
+    },
+  };
+}
+
+function geminiAdapter() {
+  const models = new Map();   // model name → GenerativeModel
+  return {
+    label: 'Gemini',
+    available: () => !!(config.geminiApiKey && config.geminiApiKey.length > 20),
+    defaultModel: () => config.gemini.model,
+    async generate({ system, user, json, model, temperature, maxTokens }) {
+      if (!models.has(model)) {
+        const { GoogleGenerativeAI } = require('@google/generative-ai');
+        models.set(model, new GoogleGenerativeAI(config.geminiApiKey)
+          .getGenerativeModel({ model }, { timeout: config.ai.retry.timeoutMs }));
+      }
+      const result = await models.get(model).generateContent({
+        contents: [{ role: 'user', parts: [{ text: system + '\n\n' + user }] }],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+          ...(json ? { responseMimeType: 'application/json' } : {}),
+        },
+      });
+      const meta = result.response.usageMetadata;
+      return {
+        text:  result.response.text(),
+        usage: meta && { promptTokens: meta.promptTokenCount || 0, completionTokens: meta.candidatesTokenCount || 0 },
+      };
+    },
+  };
+}
+
+const adapters = {
+  openai: openAICompatible({
+    label:         'OpenAI',
+    available:     () => !!(config.openaiApiKey && config.openaiApiKey.startsWith('sk-') && config.openaiApiKey.length > 20),
+    defaultModel:  () => config.openai.model,
+    clientOptions: () => ({ apiKey: config.openaiApiKey }),
+  }),
+  gemini: geminiAdapter(),
+  ollama: openAICompatible({
+    label:         'Ollama',
+    available:     () => !!config.ollama.enabled,
+    defaultModel:  () => config.ollama.model,
+    clientOptions: () => ({ baseURL: config.ollama.baseUrl, apiKey: 'ollama' }),  // Ollama ignores the key
+  }),
+  compatible: openAICompatible({
+    label:         'OpenAI-compatible',
+    available:     () => !!(config.compatible.baseUrl && config.compatible.model),
+    defaultModel:  () => config.compatible.model,
+    clientOptions: () => ({ baseURL: config.compatible.baseUrl, apiKey: config.compatible.apiKey || 'none' }),
+    supportsJson:  () => config.compatible.jsonMode,
+  }),
+  fake: {
+    label:        'Fake',
+    available:    () => true,
+    defaultModel: () => 'scripted',
+    generate:     ({ task, system, user, json }) => fakeGenerate(task, system, user, json),
+  },
+};
+
+/**
+ * Add or replace an adapter. It only takes part in generate() once its name
+ * is listed in config.ai.chain (AI_PROVIDERS).
+ */
+function registerProvider(name, adapter) {
+  if (typeof adapter?.generate !== 'function') throw new Error(`Provider "${name}" needs a generate() function`);
+  adapters[name] = {
+    label:        name,
+    available:    () => true,
+    defaultModel: () => '',
+    ...adapter,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Chain
+// ─────────────────────────────────────────────────────────────────
+
+function chain() {
+  if (config.ai.provider === 'fake') return ['fake'];
+  return config.ai.chain;
+}
+
+function availableProviders() {
+  return chain().filter((name) => adapters[name] && adapters[name].available());
+}
+
+function settingsFor(task, name) {
+  const t = config.ai.tasks[task];
+  return {
+    model:       t.models[name] || adapters[name].defaultModel(),
+    temperature: t.temperature,
+    maxTokens:   t.maxTokens,
+  };
+}
+
+function describeProviders(task = 'commenting') {
+  return availableProviders()
+    .map((name) => `${adapters[name].label} (${settingsFor(task, name).model})`)
+    .join(' → ');
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Retry + circuit breaker
+// ─────────────────────────────────────────────────────────────────
+
+const stats = {};   // provider name → counters for this run
+
+function statsFor(name) {
+  if (!stats[name]) stats[name] = { successes: 0, failures: 0, retries: 0, consecutiveFailures: 0, open: false, lastError: '' };
+  return stats[name];
+}
+
+function errorStatus(e) {
+  return e?.status ?? e?.statusCode ?? e?.response?.status ?? null;
+}
+
+function isRetryable(e) {
+  const status = errorStatus(e);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  // No HTTP status: timeout or the connection never completed
+  return /timeout|timed out|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed/i
+    .test(`${e?.name} ${e?.code} ${e?.message}`);
+}
+
+/** "1.5", "20ms", "6m0s", "1h2m", or an HTTP date → milliseconds (null if unparseable) */
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return parseFloat(s) * 1000;   // bare number = seconds
+
+  const UNIT = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let ms = 0;
+  let matched = false;
+  for (const [, n, unit] of s.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    matched = true;
+    ms += parseFloat(n) * UNIT[unit];
+  }
+  if (matched) return ms;
+
+  const date = Date.parse(s);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function header(e, name) {
+  const h = e?.headers || e?.response?.headers;
+  if (!h) return undefined;
+  return typeof h.get === 'function' ? h.get(name) : h[name];
+}
+
+/** How long the provider asked us to wait, in ms — null if it didn't say */
+function retryHintMs(e) {
+  const exact = header(e, 'retry-after-ms');
+  if (exact && !Number.isNaN(Number(exact))) return Number(exact);
+
+  const retryAfter = parseDuration(header(e, 'retry-after'));
+  if (retryAfter !== null) return retryAfter;
+
+  const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+    .map((n) => parseDuration(header(e, n)))
+    .filter((ms) => ms !== null);
+  if (resets.length) return Math.max(...resets);
+
+  // Gemini: errorDetails: [{ '@type': '…RetryInfo', retryDelay: '23s' }]
+  const info = (e?.errorDetails || []).find((d) => d && d.retryDelay);
+  return info ? parseDuration(info.retryDelay) : null;
+}
+
+/** Exponential backoff with jitter: a random point in [cap/2, cap] */
+function backoffMs(attempt) {
+  const { baseDelayMs, maxDelayMs } = config.ai.retry;
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+function shortError(e) {
+  const status = errorStatus(e);
+  return `${status ? status + ' ' : ''}${(e?.message || String(e)).slice(0, 60)}`;
+}
+
+async function callWithRetry(name, adapter, req) {
+  const { maxRetries, maxDelayMs } = config.ai.retry;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await adapter.generate(req);
+    } catch (e) {
+      if (attempt >= maxRetries || !isRetryable(e)) throw e;
+      const hint = retryHintMs(e);
+      if (hint !== null && hint > maxDelayMs) throw e;   // e.g. daily quota — not worth waiting for
+      const wait = hint ?? backoffMs(attempt);
+      statsFor(name).retries++;
+      console.log(`    [AI] ${adapter.label}: ${shortError(e)} — retry ${attempt + 1}/${maxRetries} in ${(wait / 1000).toFixed(1)}s`);
+      await sleep(wait);
+    }
+  }
+}
+
+function recordSuccess(name) {
+  const s = statsFor(name);
+  s.successes++;
+  s.consecutiveFailures = 0;
+}
+
+function recordFailure(name, e) {
+  const s = statsFor(name);
+  s.failures++;
+  s.consecutiveFailures++;
+  s.lastError = shortError(e);
+
+  const status = errorStatus(e);
+  const fatal  = status === 401 || status === 403;   // a bad key won't fix itself mid-run
+  if (!s.open && (fatal || s.consecutiveFailures >= config.ai.retry.breakerThreshold)) {
+    s.open = true;
+    console.log(`    [AI] ${adapters[name].label} circuit open after ${fatal ? 'an auth error' : `${s.consecutiveFailures} failures in a row`} — skipping it for the rest of this run`);
+  }
+}
+
+function getProviderStats() {
+  const out = {};
+  for (const [name, s] of Object.entries(stats)) {
+    out[name] = { successes: s.successes, failures: s.failures, retries: s.retries, open: s.open, lastError: s.lastError };
+  }
+  return out;
+}
+
+function formatProviderStats() {
+  return Object.entries(stats)
+    .map(([name, s]) => {
+      let line = `${adapters[name]?.label || name} ✓${s.successes} ✗${s.failures}`;
+      if (s.retries) line += ` (${s.retries} ${s.retries === 1 ? 'retry' : 'retries'})`;
+      if (s.open)    line += ' (circuit open)';
+      return line;
+    })
+    .join(' | ');
+}
+
+function resetProviderStats() {
+  for (const name of Object.keys(stats)) delete stats[name];
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Usage
+// ─────────────────────────────────────────────────────────────────
+
+/** Record tokens for one call — a chars/4 estimate when the provider didn't report usage */
+function trackUsage(name, task, model, promptText, completionText, usage) {
+  try {
+    recordUsage({
+      provider:         name,
+      model,
+      task,
+      promptTokens:     usage ? usage.promptTokens     : Math.ceil(promptText.length / 4),
+      completionTokens: usage ? usage.completionTokens : Math.ceil(completionText.length / 4),
+      estimated:        !usage,
+      persist:          name !== 'fake',
+    });
+  } catch (e) {
+    console.log(`    [AI] Usage log failed: ${e.message.slice(0, 60)}`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Entry point
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Run one prompt through the provider chain.
+ *
+ * @param {'scoring'|'commenting'|'critic'|'notes'} task
+ * @param {string}  system
+ * @param {string}  user
+ * @param {object}  [opts]
+ * @param {boolean} [opts.json=false]  ask for a JSON object reply where the provider supports it
+ * @returns {Promise<{ text: string, provider: string, model: string }>}  trimmed reply + who answered
+ */
+async function generateDetailed(task, system, user, { json = false } = {}) {
+  if (!TASKS.includes(task)) throw new Error(`Unknown AI task "${task}"`);
+
+  const configured = availableProviders();
+  if (configured.length === 0) {
+    throw new Error('No working AI provider. Set OPENAI_API_KEY, GEMINI_API_KEY, AI_COMPAT_BASE_URL, or enable Ollama in .env');
+  }
+  if (isBudgetExceeded()) {
+    throw Object.assign(new Error(`Monthly AI budget reached (${getBudgetStatus()})`), { code: 'AI_BUDGET_EXCEEDED' });
+  }
+  const names = configured.filter((name) => !statsFor(name).open);
+  if (names.length === 0) {
+    throw new Error(`All AI providers are paused for this run after repeated failures (${configured.join(', ')})`);
+  }
+
+  let lastError = null;
+  for (let i = 0; i < names.length; i++) {
+    const name     = names[i];
+    const adapter  = adapters[name];
+    const settings = settingsFor(task, name);
+    try {
+      const reply = await callWithRetry(name, adapter, { task, system, user, json, ...settings });
+      recordSuccess(name);
+      const text = String((typeof reply === 'object' && reply !== null ? reply.text : reply) ?? '').trim();
+      trackUsage(name, task, settings.model, system + user, text, reply?.usage);
+      return { text, provider: name, model: settings.model };
+    } catch (e) {
+      lastError = e;
+      recordFailure(name, e);
+      const next = names[i + 1];
+      if (next) console.log(`  ${adapter.label} failed, trying ${adapters[next].label}:`, e.message.slice(0, 60));
+    }
+  }
+  throw lastError;
+}
+
+/** generateDetailed() without the provider / model — just the trimmed text */
+async function generate(task, system, user, opts) {
+  return (await generateDetailed(task, system, user, opts)).text;
+}
+
+module.exports = {
+  generate,
+  generateDetailed,
+  availableProviders,
+  describeProviders,
+  registerProvider,
+  getProviderStats,
+  formatProviderStats,
+  resetProviderStats,
+};
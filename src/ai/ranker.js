@@ -0,0 +1,124 @@
+'use strict';
+/**
+ * ranker.js — Pick the best of several comment candidates
+ *
+ * With COMMENT_CANDIDATES above 1, generateComment() writes that many
+ * candidates, by default each in a different COMMENT_STYLES style, puts each
+ * through the usual checks and single rewrite, and ranks them here. Every
+ * candidate gets four scores from 0 to 1:
+ *   specificity  how much it is about this post: the share of its content
+ *                words found in the post, full marks from half of them
+ *   novelty      1 minus its overlap with the comments already on the post (postOverlap.js)
+ *   rules        1 without violations, 0.25 less for each; 0 when it repeats our
+ *                own earlier comments, since bot.js would skip it anyway
+ *   tone         fits the post's tone: no pushback on an empathetic post,
+ *                something warm on a celebratory one, no gushing on the rest
+ * COMMENT_RANKER=ai asks the 'critic' task (prompts/critic.<version>.txt) for
+ * specificity, novelty and tone instead, one call per candidate; a candidate
+ * whose critique fails keeps the heuristic scores. rules always come from the
+ * checks. The total weighs them 0.3 / 0.25 / 0.3 / 0.15; the highest total
+ * wins, the first candidate (the style the run picked) on a tie.
+ *
+ * EXPORTS:
+ *   CRITERIA                                 — ['specificity', 'novelty', 'rules', 'tone']
+ *   heuristicScores(candidate, ctx)          → { specificity, novelty, rules, tone }
+ *   critiqueScores(candidate, ctx)           → Promise<{ specificity, novelty, tone }>  (throws when the critic fails)
+ *   rankCandidates(candidates, ctx, [opts])  → Promise<[{ …candidate, scores, total, ranker, chosen }]> best first
+ *   formatCandidate(candidate)               → "0.82  spec 0.9 · new 0.7 · rules 1 · tone 1  (analytical)"
+ */
+
+const config = require('../config');
+const { keywords } = require('./repetition');
+const { measureOverlap } = require('./postOverlap');
+const { generateValidated, CRITIC_SCHEMA } = require('./schema');
+const { renderPrompt } = require('./prompts');
+
+const CRITERIA = ['specificity', 'novelty', 'rules', 'tone'];
+const WEIGHTS  = { specificity: 0.3, novelty: 0.25, rules: 0.3, tone: 0.15 };
+
+const PUSHBACK = /\b(?:but|however|though|actually|disagree|push back|not sure|counterpoint)\b/i;
+const WARM     = /\b(?:congrats|congratulations|well deserved|proud|happy for|great to see|huge|excited)\b/i;
+const GUSHING  = /!|\b(?:amazing|awesome|incredible|love this|so inspiring|mind[- ]?blowing)\b/i;
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * @param {object} candidate - { comment, violations: [{ rule, message }] }
+ * @param {object} ctx       - { postText, existingComments, tone: 'celebratory' | 'empathetic' | '' }
+ */
+function heuristicScores(candidate, { postText = '', existingComments = [], tone = '' } = {}) {
+  const mine   = keywords(candidate.comment);
+  const inPost = keywords(postText);
+  let shared = 0;
+  for (const w of mine) if (inPost.has(w)) shared++;
+  const specificity = mine.size ? Math.min(1, shared / mine.size / 0.5) : 0;
+
+  const overlap = measureOverlap(candidate.comment, existingComments);
+  const novelty = overlap ? 1 - overlap.score : 1;
+
+  const violations = candidate.violations || [];
+  const rules = violations.some((v) => v.rule === 'repetition') ? 0 : Math.max(0, 1 - 0.25 * violations.length);
+
+  let toneFit = 1;
+  if (tone === 'empathetic' && PUSHBACK.test(candidate.comment)) toneFit = 0.5;
+  else if (tone === 'celebratory' && !WARM.test(candidate.comment)) toneFit = 0.7;
+  else if (!tone && GUSHING.test(candidate.comment)) toneFit = 0.7;
+
+  return { specificity: round(specificity), novelty: round(novelty), rules: round(rules), tone: toneFit };
+}
+
+async function critiqueScores(candidate, { postText = '', existingComments = [], tone = '' } = {}) {
+  const prompt = renderPrompt('critic', {
+    post:             postText.slice(0, 1500),
+    tone,
+    existingComments: existingComments.slice(0, 5).map((c, i) => ({ n: i + 1, text: c.slice(0, 150) })),
+    comment:          candidate.comment,
+  });
+  const { value } = await generateValidated('critic', CRITIC_SCHEMA, prompt.system, prompt.user);
+  return { specificity: round(value.specificity / 10), novelty: round(value.novelty / 10), tone: round(value.tone / 10) };
+}
+
+function totalOf(scores) {
+  return round(CRITERIA.reduce((sum, c) => sum + WEIGHTS[c] * scores[c], 0));
+}
+
+/**
+ * @param {object[]} candidates - { comment, violations, … } in the order they were written
+ * @param {object}   ctx        - see heuristicScores()
+ * @param {object}   [opts]
+ * @param {'heuristic'|'ai'} [opts.ranker=config.bot.commentRanker]
+ */
+async function rankCandidates(candidates, ctx, { ranker = config.bot.commentRanker } = {}) {
+  const scored = [];
+  for (const [n, candidate] of candidates.entries()) {
+    let scores = heuristicScores(candidate, ctx);
+    let by     = 'heuristic';
+    if (ranker === 'ai') {
+      try {
+        scores = { ...scores, ...(await critiqueScores(candidate, ctx)) };
+        by = 'ai';
+      } catch (e) {
+        console.log(`    ⚠️  Critic failed on candidate ${n + 1} (${e.message.slice(0, 80)}) — using heuristic scores.`);
+      }
+    }
+    scored.push({ ...candidate, n, scores, total: totalOf(scores), ranker: by });
+  }
+  scored.sort((a, b) => b.total - a.total || a.n - b.n);
+  return scored.map((c, i) => ({ ...c, chosen: i === 0 }));
+}
+
+function formatCandidate(c) {
+  const s = c.scores;
+  const style = c.style ? `  (${c.style.id || c.style})` : '';
+  return `${c.total.toFixed(2)}  spec ${s.specificity} · new ${s.novelty} · rules ${s.rules} · tone ${s.tone}${style}`;
+}
+
+module.exports = {
+  CRITERIA,
+  heuristicScores,
+  critiqueScores,
+  rankCandidates,
+  formatCandidate,
+};
@@ -0,0 +1,179 @@
+'use strict';
+/**
+ * repetition.js — Keep new comments from repeating our own earlier ones
+ *
+ * The prompt only sees the post, so across days the model falls back on the
+ * same turns of phrase ("shipped something similar last quarter…"). Each new
+ * comment is compared with our last REPEAT_HISTORY comments — posted ones and
+ * drafts still in the review queue — in two ways:
+ *   overlap   the share of its word 3-grams found in one earlier comment
+ *             (3-grams of stopwords only, "it is the", don't count);
+ *             REPEAT_MAX_SIMILARITY or more is a repeat
+ *   phrases   3–5 word phrases with at least two content words that are
+ *             already in REPEAT_PHRASE_USES - 1 earlier comments — this one
+ *             would make them a habit
+ * generateComment() turns either into a 'repetition' violation, which gets
+ * the same one rewrite as a broken prompt rule (commentRules.js); bot.js
+ * skips a post whose comment still repeats. Phrases already used in
+ * REPEAT_PHRASE_USES comments are suggested for BANNED_ANYWHERE in
+ * bannedPhrases.js at the end of each run and on the dashboard.
+ *
+ * EXPORTS:
+ *   keywords(text)                         → Set of content words (no stopwords, plural -s dropped)
+ *   shingles(text, [n=3])                  → Set of word n-grams
+ *   overlap(text, other)                   → 0–1, share of text's 3-grams found in other
+ *   findRecurringPhrases(texts, [minUses]) → [{ phrase, uses }] most used first, longest phrase per run
+ *   checkRepetition(text, history)         → { similarity, closest, phrases: [{ phrase, uses }] }
+ *   repetitionViolations(text, history)    → [{ rule: 'repetition', message }]  (empty = fresh)
+ *   recentComments([opts])                 → our last comment texts, oldest first
+ *   suggestBannedPhrases([limit])          → recurring phrases not yet in BANNED_ANYWHERE
+ */
+
+const config = require('../config');
+const { BANNED_ANYWHERE } = require('./bannedPhrases');
+const { listComments, listDrafts } = require('../data/store');
+
+const STOPWORDS = new Set((
+  'a an the and or but if so of to in on at by for with from as into about than then that this these those it its ' +
+  'is are was were be been being do does did have has had i we you he she they me us our your my their them what ' +
+  'which who how when where why not no just very really more most much can could would should will all any some one'
+).split(' '));
+
+const PHRASE_MIN = 3;
+const PHRASE_MAX = 5;
+
+function words(text) {
+  return String(text || '').toLowerCase().replace(/[’']/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function keywords(text) {
+  return new Set(words(text)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w)));
+}
+
+function contentWords(gram) {
+  return gram.filter((w) => !STOPWORDS.has(w)).length;
+}
+
+function ngrams(list, n, minContent) {
+  const out = new Set();
+  for (let i = 0; i + n <= list.length; i++) {
+    const gram = list.slice(i, i + n);
+    if (contentWords(gram) >= minContent) out.add(gram.join(' '));
+  }
+  return out;
+}
+
+function shingles(text, n = 3) {
+  return ngrams(words(text), n, 1);
+}
+
+function overlap(text, other) {
+  const a = shingles(text);
+  if (!a.size) return 0;
+  const b = shingles(other);
+  let shared = 0;
+  for (const s of a) if (b.has(s)) shared++;
+  return shared / a.size;
+}
+
+/** Every 3–5 word phrase in the text with at least two content words */
+function phrasesOf(text) {
+  const list = words(text);
+  const out  = new Set();
+  for (let n = PHRASE_MIN; n <= PHRASE_MAX; n++) for (const p of ngrams(list, n, 2)) out.add(p);
+  return out;
+}
+
+/** Drop phrases inside a longer one used just as often ("similar last quarter" in "shipped something similar last quarter") */
+function longestOnly(found) {
+  return found.filter((f) => !found.some((g) => g !== f && g.uses === f.uses && g.phrase.includes(f.phrase)));
+}
+
+function findRecurringPhrases(texts, minUses = config.bot.repeatPhraseUses) {
+  const uses = new Map();
+  for (const text of texts) {
+    for (const p of phrasesOf(text)) uses.set(p, (uses.get(p) || 0) + 1);
+  }
+  const found = [...uses].filter(([, n]) => n >= minUses).map(([phrase, n]) => ({ phrase, uses: n }));
+  return longestOnly(found).sort((a, b) => b.uses - a.uses || b.phrase.length - a.phrase.length);
+}
+
+/**
+ * @param {string}   text
+ * @param {string[]} history - our earlier comments
+ * @returns {{ similarity: number, closest: string, phrases: Array<{ phrase: string, uses: number }> }}
+ */
+function checkRepetition(text, history) {
+  let similarity = 0;
+  let closest    = '';
+  for (const past of history) {
+    const o = overlap(text, past);
+    if (o > similarity) { similarity = o; closest = past; }
+  }
+
+  const mine = phrasesOf(text);
+  const uses = new Map();
+  for (const past of history) {
+    for (const p of phrasesOf(past)) if (mine.has(p)) uses.set(p, (uses.get(p) || 0) + 1);
+  }
+  const found = [...uses].filter(([, n]) => n >= config.bot.repeatPhraseUses - 1).map(([phrase, n]) => ({ phrase, uses: n }));
+  return { similarity, closest, phrases: longestOnly(found).sort((a, b) => b.uses - a.uses) };
+}
+
+function repetitionViolations(text, history) {
+  if (!history.length) return [];
+  const { similarity, closest, phrases } = checkRepetition(text, history);
+  const violations = [];
+  if (similarity >= config.bot.repeatMaxSimilarity) {
+    const quoted = closest.length > 90 ? `${closest.slice(0, 90)}…` : closest;
+    violations.push({ rule: 'repetition', message: `${Math.round(similarity * 100)}% the same as an earlier comment: "${quoted}"` });
+  }
+  if (phrases.length) {
+    const list = phrases.slice(0, 3).map((p) => `"${p.phrase}" (${p.uses}×)`).join(', ');
+    violations.push({ rule: 'repetition', message: `reuses phrases from earlier comments: ${list}` });
+  }
+  return violations;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  History (src/data/store.js)
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Posted comments plus the drafts waiting in the review queue.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.limit=config.bot.repeatHistory]
+ * @param {number} [opts.excludeDraftId] - the draft being regenerated
+ */
+function recentComments({ limit = config.bot.repeatHistory, excludeDraftId = null } = {}) {
+  const posted = listComments().map((c) => ({ text: c.comment, at: c.timestamp }));
+  const queued = listDrafts(['pending', 'approved'])
+    .filter((d) => d.id !== excludeDraftId)
+    .map((d) => ({ text: d.comment, at: d.createdAt }));
+  return [...posted, ...queued]
+    .filter((c) => c.text)
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)))
+    .slice(-limit)
+    .map((c) => c.text);
+}
+
+function suggestBannedPhrases(limit = 10) {
+  const banned = BANNED_ANYWHERE.map((p) => words(p).join(' '));
+  return findRecurringPhrases(recentComments())
+    .filter((p) => !banned.some((b) => p.phrase.includes(b)))
+    .slice(0, limit);
+}
+
+module.exports = {
+  keywords,
+  shingles,
+  overlap,
+  findRecurringPhrases,
+  checkRepetition,
+  repetitionViolations,
+  recentComments,
+  suggestBannedPhrases,
+};
@@ -0,0 +1,191 @@
+'use strict';
+/**
+ * schema.js — Declared JSON shapes for AI replies, validation and one repair re-prompt
+ *
+ * scorePostInterest(), generateComment() and the comment critic (ranker.js) ask for JSON. Instead of parsing
+ * it blindly and defaulting whatever is missing, each reply is checked against
+ * a schema here. An invalid reply gets exactly one "repair" re-prompt that
+ * lists the field-level errors; if that is invalid too the caller falls back
+ * (heuristic score / raw-text comment). Every failure is logged with the
+ * provider + model that produced it (console + data/ai_usage.json).
+ *
+ * Schema format:
+ *   { name, fields: { <key>: { type: 'string'|'number'|'boolean', required?,
+ *                              min?, max?, minLength?, maxLength? } } }
+ *
+ * EXPORTS:
+ *   SCORE_SCHEMA, COMMENT_SCHEMA, CRITIC_SCHEMA
+ *   parseJsonReply(raw)                          → { value } | { error }
+ *   validate(schema, value)                      → [{ field, message }]  (empty = valid)
+ *   formatErrors(errors)                         → "score: must be a number; reason: is required"
+ *   buildRepairPrompt(schema, userPrompt, raw, errors) → string
+ *   generateValidated(task, schema, system, user) → Promise<{ value, provider, model, repaired }>
+ */
+
+const { generateDetailed }     = require('./providers');
+const { recordSchemaFailure }  = require('../data/usage');
+
+// ─────────────────────────────────────────────────────────────────
+//  Schemas
+// ─────────────────────────────────────────────────────────────────
+
+const SCORE_SCHEMA = {
+  name: 'score',
+  fields: {
+    score:       { type: 'number',  required: true, min: 0, max: 100 },
+    reason:      { type: 'string',  required: true, minLength: 1, maxLength: 300 },
+    interesting: { type: 'boolean', required: true },
+  },
+};
+
+const COMMENT_SCHEMA = {
+  name: 'comment',
+  fields: {
+    interest_score:  { type: 'number', required: true, min: 0, max: 100 },
+    why_interesting: { type: 'string', required: true, minLength: 1 },
+    best_angle:      { type: 'string', required: true, minLength: 1 },
+    comment:         { type: 'string', required: true, minLength: 10, maxLength: 1250 },
+  },
+};
+
+const CRITIC_SCHEMA = {
+  name: 'critic',
+  fields: {
+    specificity: { type: 'number', required: true, min: 0, max: 10 },
+    novelty:     { type: 'number', required: true, min: 0, max: 10 },
+    tone:        { type: 'number', required: true, min: 0, max: 10 },
+    reason:      { type: 'string', required: true, minLength: 1, maxLength: 300 },
+  },
+};
+
+// ─────────────────────────────────────────────────────────────────
+//  Parse + validate
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Strip ```json fences and any chatter around the object, then JSON.parse.
+ */
+function parseJsonReply(raw) {
+  const text  = String(raw || '').replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/i, '').trim();
+  const start = text.indexOf('{');
+  const end   = text.lastIndexOf('}');
+  if (start === -1 || end < start) return { error: 'no JSON object found in the reply' };
+  try {
+    const value = JSON.parse(text.slice(start, end + 1));
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'reply is not a JSON object' };
+    return { value };
+  } catch (e) {
+    return { error: `not valid JSON (${e.message})` };
+  }
+}
+
+function validate(schema, value) {
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const v = value[field];
+    if (v === undefined || v === null) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    if (rule.type === 'number' && (typeof v !== 'number' || !Number.isFinite(v))) {
+      errors.push({ field, message: `must be a number, got ${JSON.stringify(v)}` });
+      continue;
+    }
+    if (rule.type !== 'number' && typeof v !== rule.type) {
+      errors.push({ field, message: `must be a ${rule.type}, got ${typeof v}` });
+      continue;
+    }
+    if (rule.min !== undefined && v < rule.min) errors.push({ field, message: `must be >= ${rule.min}, got ${v}` });
+    if (rule.max !== undefined && v > rule.max) errors.push({ field, message: `must be <= ${rule.max}, got ${v}` });
+    if (rule.type === 'string') {
+      const len = v.trim().length;
+      if (rule.minLength !== undefined && len < rule.minLength) {
+        errors.push({ field, message: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters, got ${len}` });
+      }
+      if (rule.maxLength !== undefined && len > rule.maxLength) {
+        errors.push({ field, message: `must be at most ${rule.maxLength} characters, got ${len}` });
+      }
+    }
+  }
+  return errors;
+}
+
+function formatErrors(errors) {
+  return errors.map((e) => `${e.field}: ${e.message}`).join('; ');
+}
+
+/** The reply as the model should have sent it, e.g. {"score": <number 0-100>, …} */
+function describeShape(schema) {
+  const parts = Object.entries(schema.fields).map(([field, rule]) => {
+    const range = rule.min !== undefined && rule.max !== undefined ? ` ${rule.min}-${rule.max}` : '';
+    return `"${field}": <${rule.type}${range}>`;
+  });
+  return `{${parts.join(', ')}}`;
+}
+
+function buildRepairPrompt(schema, userPrompt, raw, errors) {
+  return `${userPrompt}
+
+Your previous reply could not be used:
+${errors.map((e) => `- ${e.field}: ${e.message}`).join('\n')}
+
+Previous reply:
+${String(raw || '').slice(0, 1500)}
+
+Reply again with ONLY a JSON object of exactly this shape, every field filled in:
+${describeShape(schema)}`;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Generate with one repair attempt
+// ─────────────────────────────────────────────────────────────────
+
+function check(schema, raw) {
+  const { value, error } = parseJsonReply(raw);
+  if (error) return { errors: [{ field: '(reply)', message: error }] };
+  return { value, errors: validate(schema, value) };
+}
+
+function logFailure(schema, task, reply, errors, stage) {
+  console.log(`    [AI] ${reply.provider} (${reply.model}) sent an invalid ${schema.name} reply${stage === 'repair' ? ' again after repair' : ''}: ${formatErrors(errors).slice(0, 140)}`);
+  try {
+    recordSchemaFailure({ schema: schema.name, task, provider: reply.provider, model: reply.model, stage, errors });
+  } catch { /* logging must never break generation */ }
+}
+
+/**
+ * Ask for a JSON reply, validate it, and re-prompt once with the errors if needed.
+ * Provider errors propagate as-is; an invalid reply after the repair throws an
+ * Error with `code: 'AI_SCHEMA_INVALID'` and `errors`.
+ *
+ * @returns {Promise<{ value: object, provider: string, model: string, repaired: boolean }>}
+ */
+async function generateValidated(task, schema, system, user) {
+  const first  = await generateDetailed(task, system, user, { json: true });
+  const result = check(schema, first.text);
+  if (result.errors.length === 0) return { value: result.value, provider: first.provider, model: first.model, repaired: false };
+
+  logFailure(schema, task, first, result.errors, 'initial');
+  const second   = await generateDetailed(task, system, buildRepairPrompt(schema, user, first.text, result.errors), { json: true });
+  const repaired = check(schema, second.text);
+  if (repaired.errors.length === 0) {
+    return { value: repaired.value, provider: second.provider, model: second.model, repaired: true };
+  }
+
+  logFailure(schema, task, second, repaired.errors, 'repair');
+  throw Object.assign(
+    new Error(`Invalid ${schema.name} JSON after repair: ${formatErrors(repaired.errors)}`),
+    { code: 'AI_SCHEMA_INVALID', errors: repaired.errors },
+  );
+}
+
+module.exports = {
+  SCORE_SCHEMA,
+  COMMENT_SCHEMA,
+  CRITIC_SCHEMA,
+  parseJsonReply,
+  validate,
+  formatErrors,
+  buildRepairPrompt,
+  generateValidated,
+};
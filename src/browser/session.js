@@ -5,8 +5,8 @@ const fs = require('fs');
 const readline = require('readline');
 const config = require('../config');
 
-const LINKEDIN_FEED  = 'https://www.linkedin.com/feed/';
-const LINKEDIN_LOGIN = 'https://www.linkedin.com/login';
+const LINKEDIN_FEED  = `${config.linkedin.baseUrl}/feed/`;
+const LINKEDIN_LOGIN = `${config.linkedin.baseUrl}/login`;
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
@@ -36,6 +36,7 @@ async function launchBrowser() {
 
   const context = await chromium.launchPersistentContext(sessionDir, {
     headless: config.browser.headless,
+    executablePath: config.browser.executablePath || undefined,
     viewport: { width: 1366, height: 900 },
     userAgent:
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
@@ -60,31 +61,42 @@ async function launchBrowser() {
  * Strategy: navigate to feed, wait a moment, then check the URL.
  * We do NOT require specific feed elements – just that LinkedIn
  * did NOT redirect us to /login or /authwall.
+ * A navigation that fails (DNS, timeout, LinkedIn down) is thrown, not
+ * taken for a logged-out session — logging in again would not fix it.
  */
 async function isSessionValid(page) {
   try {
     await page.goto(LINKEDIN_FEED, { waitUntil: 'domcontentloaded', timeout: 25000 });
-    // Give the SPA a couple of seconds to decide where to redirect
-    await sleep(3000);
-
-    const url = page.url();
+  } catch (err) {
+    throw new Error(`Could not reach LinkedIn to check the session: ${err.message.split('\n')[0]}`);
+  }
+  // Give the SPA a couple of seconds to decide where to redirect
+  await sleep(3000);
 
-    // Any of these in the URL means we are NOT logged in
-    const badPatterns = ['/login', '/authwall', '/checkpoint', '/uas/'];
-    for (const bad of badPatterns) {
-      if (url.includes(bad)) return false;
-    }
+  const url = page.url();
 
-    // We are on a linkedin.com page that is NOT login → session is good
-    return url.includes('linkedin.com');
-  } catch {
-    return false;
+  // Any of these in the URL means we are NOT logged in
+  const badPatterns = ['/login', '/authwall', '/checkpoint', '/uas/'];
+  for (const bad of badPatterns) {
+    if (url.includes(bad)) return false;
   }
+
+  // We are on a LinkedIn (or mock) page that is NOT login → session is good
+  return url.startsWith(config.linkedin.baseUrl);
 }
 
 // ───────────────── Login flow ─────────────────
 
-async function performManualLogin(page) {
+/** Thrown instead of prompting when nobody is there to log in */
+function loginRequired() {
+  return Object.assign(
+    new Error(`LinkedIn session expired or missing (${config.browser.sessionDir}) — log in once from a terminal with \`npm run login\`.`),
+    { code: 'LOGIN_REQUIRED' },
+  );
+}
+
+async function performManualLogin(page, { interactive = true } = {}) {
+  if (!interactive) throw loginRequired();
   console.log('\n🔐 No valid session. Opening LinkedIn login page...');
   await page.goto(LINKEDIN_LOGIN, { waitUntil: 'domcontentloaded', timeout: 20000 });
   await sleep(1500);
@@ -117,16 +129,34 @@ async function performManualLogin(page) {
 
 // ───────────────── Public API ─────────────────
 
-async function createSession() {
+/**
+ * Launch the browser and make sure we are logged in.
+ *
+ * @param {object}  [opts]
+ * @param {boolean} [opts.interactive=true] - false: never wait for the login on
+ *   stdin, throw code 'LOGIN_REQUIRED' (browser closed) instead
+ */
+async function createSession({ interactive = true } = {}) {
   const { browser, page } = await launchBrowser();
 
   console.log('🔍 Checking for existing session...');
-  const valid = await isSessionValid(page);
+  let valid;
+  try {
+    valid = await isSessionValid(page);
+  } catch (err) {
+    await browser.close().catch(() => {});
+    throw err;
+  }
 
   if (valid) {
     console.log('✅ Session restored — no login needed.\n');
   } else {
-    await performManualLogin(page);
+    try {
+      await performManualLogin(page, { interactive });
+    } catch (err) {
+      if (err.code === 'LOGIN_REQUIRED') await browser.close().catch(() => {});
+      throw err;
+    }
     // Confirm we are on the feed after login
     await page.goto(LINKEDIN_FEED, { waitUntil: 'domcontentloaded', timeout: 30000 });
     await sleep(2000);
@@ -139,4 +169,4 @@ async function closeSession(browser) {
   await browser.close();
 }
 
-module.exports = { createSession, closeSession, randomDelay };
+module.exports = { createSession, closeSession, isSessionValid, randomDelay };
@@ -1,5 +1,40 @@
 'use strict';
 require('dotenv').config();
+const fs   = require('fs');
+const path = require('path');
+
+// USD per 1M tokens. Models not listed (local Ollama / compatible) cost $0.
+// AI_PRICES_FILE can point at a JSON file with the same shape to add or override entries.
+const DEFAULT_AI_PRICES = {
+  'gpt-4o':           { input: 2.50,  output: 10.00 },
+  'gpt-4o-mini':      { input: 0.15,  output: 0.60 },
+  'gpt-4.1':          { input: 2.00,  output: 8.00 },
+  'gpt-4.1-mini':     { input: 0.40,  output: 1.60 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro':   { input: 1.25,  output: 5.00 },
+  'gemini-2.0-flash': { input: 0.10,  output: 0.40 },
+};
+
+function loadAiPrices() {
+  const file = process.env.AI_PRICES_FILE;
+  if (!file) return { ...DEFAULT_AI_PRICES };
+  return { ...DEFAULT_AI_PRICES, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+}
+
+/** AI_<TASK>_TEMPERATURE / _MAX_TOKENS / _MODELS on top of the task defaults */
+function taskSettings(prefix, defaults) {
+  const env = (k) => process.env[`AI_${prefix}_${k}`];
+  const models = { ...defaults.models };
+  for (const pair of (env('MODELS') || '').split(',')) {
+    const i = pair.indexOf(':');
+    if (i > 0) models[pair.slice(0, i).trim().toLowerCase()] = pair.slice(i + 1).trim();
+  }
+  return {
+    temperature: env('TEMPERATURE') ? parseFloat(env('TEMPERATURE')) : defaults.temperature,
+    maxTokens:   env('MAX_TOKENS')  ? parseInt(env('MAX_TOKENS'), 10) : defaults.maxTokens,
+    models,
+  };
+}
 
 const config = {
   geminiApiKey:  process.env.GEMINI_API_KEY  || '',
@@ -7,6 +42,9 @@ const config = {
   linkedin: {
     email: process.env.LINKEDIN_EMAIL || '',
     password: process.env.LINKEDIN_PASSWORD || '',
+    // Origin every LinkedIn URL is built from. Only override this to point the
+    // bots at a local fixture / mock server.
+    baseUrl: (process.env.LINKEDIN_BASE_URL || 'https://www.linkedin.com').replace(/\/+$/, ''),
   },
   bot: {
     maxCommentsPerRun: parseInt(process.env.MAX_COMMENTS_PER_RUN || '10', 10),
@@ -18,21 +56,77 @@ const config = {
     // Minutes to wait between comments (random in [min, max])
     interCommentBreakMinMin: parseInt(process.env.INTER_COMMENT_BREAK_MIN_MIN || '2', 10),
     interCommentBreakMaxMin: parseInt(process.env.INTER_COMMENT_BREAK_MAX_MIN || '5', 10),
+    // Days before commenting on the same person again, unless their tier
+    // (data/author_tiers.json, src/data/authors.js) says otherwise
+    authorCooldownDays: parseFloat(process.env.AUTHOR_COOLDOWN_DAYS || '7'),
+    // Queue generated comments for review (review.js) instead of posting them; same as --review
+    reviewMode: process.env.REVIEW_MODE === 'true',
+    // Self-repetition guard (src/ai/repetition.js): each new comment is compared
+    // with our last REPEAT_HISTORY comments and open drafts
+    repeatHistory:       parseInt(process.env.REPEAT_HISTORY || '100', 10),
+    // Share of a comment's word 3-grams found in one earlier comment that counts as a repeat
+    repeatMaxSimilarity: parseFloat(process.env.REPEAT_MAX_SIMILARITY || '0.4'),
+    // A phrase in this many of our comments is a habit: a new comment may not add to it
+    repeatPhraseUses:    parseInt(process.env.REPEAT_PHRASE_USES || '3', 10),
+    // Overlap with a comment already on the post (src/ai/postOverlap.js) that makes ours a near-duplicate
+    existingOverlapMax:  parseFloat(process.env.EXISTING_OVERLAP_MAX || '0.5'),
+    // Comments written per post before the best is picked (src/ai/ranker.js); 1 = just one
+    commentCandidates:   parseInt(process.env.COMMENT_CANDIDATES || '1', 10),
+    // 'mixed': every candidate in a different comment style; 'same': all in the run's style
+    candidateStyles:     process.env.COMMENT_CANDIDATE_STYLES || 'mixed',
+    // 'heuristic' (no AI calls) or 'ai' (one critic call per candidate)
+    commentRanker:       process.env.COMMENT_RANKER || 'heuristic',
   },
   browser: {
     headless: process.env.HEADLESS === 'true',
     sessionDir: process.env.SESSION_DIR || './session',
+    // Optional Chromium binary to use instead of Playwright's bundled download.
+    executablePath: process.env.CHROMIUM_PATH || '',
   },
   data: {
-    commentedPostsPath: './data/commented_posts.csv',
-    targetProfilesPath: './data/target_profiles.csv',
+    // SQLite store for posts, authors, comments, connection requests, outcomes (src/data/store.js)
+    dbPath:             process.env.DB_PATH || './data/linkedin.db',
+    // How long a write waits for another process's lock on a data file
+    lockTimeoutMs:      parseInt(process.env.DATA_LOCK_TIMEOUT_MS || '10000', 10),
+    aiUsagePath:        './data/ai_usage.json',
+    // Newest rows kept per list in aiUsagePath (calls, schemaFailures, ruleViolations); monthly totals are kept whole
+    aiUsageKeep:        parseInt(process.env.AI_USAGE_KEEP || '2000', 10),
+    experimentsPath:    process.env.EXPERIMENTS_FILE || './data/experiments.json',
+    authorTiersPath:    process.env.AUTHOR_TIERS_FILE || './data/author_tiers.json',
+    // What the comments and notes may claim about you (src/ai/persona.js)
+    personaPath:        process.env.PERSONA_FILE || './data/persona.json',
+    // Console output of every bot run (src/data/runLog.js); the newest LOGS_KEEP per bot are kept
+    logsDir:            process.env.LOGS_DIR || './data/logs',
+    logsKeep:           parseInt(process.env.LOGS_KEEP || '50', 10),
+    // Pre-SQLite files — only read by the one-time import into dbPath
+    commentedPostsPath:     './data/commented_posts.csv',
+    targetProfilesPath:     './data/target_profiles.csv',
+    sentConnectionsPath:    process.env.CONNECTION_CSV_PATH || './data/sent_connections.csv',
+    commentPerformancePath: path.join(__dirname, '..', 'data', 'comment_performance.json'),
+  },
+  // ── Local dashboard (src/dashboard/server.js) ──
+  // Only ever bound to 127.0.0.1. `npm run dashboard`, or --dashboard on either bot.
+  dashboard: {
+    port: parseInt(process.env.DASHBOARD_PORT || '4020', 10),
+  },
+  // ── Daemon (daemon.js) ──
+  // One long-running process: each day's quota is split into sessions spread
+  // over the schedule window; the plan survives restarts (src/data/dayPlan.js).
+  daemon: {
+    stateFile:          process.env.DAEMON_STATE_FILE || './data/daemon.json',
+    commentsPerDay:     parseInt(process.env.DAEMON_COMMENTS_PER_DAY || '6', 10),
+    commentSessions:    parseInt(process.env.DAEMON_COMMENT_SESSIONS || '3', 10),
+    // Connection requests per day come from CONNECTION_DAILY_LIMIT (connection-config.js)
+    connectionSessions: parseInt(process.env.DAEMON_CONNECTION_SESSIONS || '2', 10),
   },
   // ── Scheduling ──
-  // The bot will refuse to run outside of this time window.
+  // The bot will refuse to run outside of this time window, and stops when it
+  // closes (src/schedule.js). connection-config.js can give the connection bot its own.
   schedule: {
     // Timezone used for scheduling checks. See: https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
     timezone: process.env.SCHEDULE_TIMEZONE || 'Asia/Karachi',   // UTC+5 Pakistan Standard Time
-    // Allowed hours (24h format, inclusive). Bot runs between startHour and endHour.
+    // Allowed hours (24h format): from startHour:00 until endHour:00.
+    // endHour 24 = midnight; startHour > endHour makes a window across midnight.
     startHour: parseInt(process.env.SCHEDULE_START_HOUR || '9', 10),   // 9:00 AM
     endHour: parseInt(process.env.SCHEDULE_END_HOUR || '22', 10),      // 10:00 PM
     // Days of the week to run (0=Sunday, 1=Monday … 6=Saturday).
@@ -49,6 +143,23 @@ const config = {
       'I build scalable web applications and automation tools. ' +
       'Passionate about clean code, developer productivity, and emerging technologies.',
   },
+  // ── Prompt templates (src/ai/prompts.js) ──
+  // The newest prompts/<name>.<version>.txt is used unless a version is pinned.
+  prompts: {
+    dir: process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts'),
+    versions: {
+      score:   process.env.PROMPT_SCORE_VERSION   || '',
+      comment: process.env.PROMPT_COMMENT_VERSION || '',
+      note:    process.env.PROMPT_NOTE_VERSION    || '',
+    },
+  },
+  // ── Default model per provider (per-task overrides live in ai.tasks) ──
+  openai: {
+    model: process.env.OPENAI_MODEL || 'gpt-4o',
+  },
+  gemini: {
+    model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+  },
   // ── Ollama (local open-source AI) ──
   // Install: https://ollama.ai → `ollama pull llama3.1`
   // Set OLLAMA_ENABLED=true in .env to activate as fallback after OpenAI/Gemini.
@@ -57,6 +168,53 @@ const config = {
     baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
     model:   process.env.OLLAMA_MODEL || 'llama3.1',
   },
+  // ── Any OpenAI-compatible endpoint (LM Studio, vLLM, llama.cpp, OpenRouter…) ──
+  // Active once AI_COMPAT_BASE_URL and AI_COMPAT_MODEL are set.
+  compatible: {
+    baseUrl:  process.env.AI_COMPAT_BASE_URL || '',
+    apiKey:   process.env.AI_COMPAT_API_KEY || '',
+    model:    process.env.AI_COMPAT_MODEL || '',
+    // Set to false for servers that reject response_format: { type: 'json_object' }
+    jsonMode: process.env.AI_COMPAT_JSON_MODE !== 'false',
+  },
+  // ── AI provider chain ──
+  // AI_PROVIDERS sets the fallback order (see src/ai/providers.js); providers
+  // without a key / endpoint are skipped. AI_PROVIDER=fake answers every AI
+  // call from src/ai/fakeProvider.js instead of the network (tests, dry runs),
+  // with AI_FAKE_SCRIPT optionally pointing at a JSON file of scripted replies.
+  ai: {
+    provider:       (process.env.AI_PROVIDER || '').trim().toLowerCase(),
+    fakeScriptPath: process.env.AI_FAKE_SCRIPT || '',
+    chain: (process.env.AI_PROVIDERS || 'openai,gemini,ollama,compatible')
+      .split(',')
+      .map((p) => p.trim().toLowerCase())
+      .filter(Boolean),
+    // Retry / circuit breaker for every AI call (see src/ai/providers.js)
+    retry: {
+      maxRetries:       parseInt(process.env.AI_MAX_RETRIES || '2', 10),
+      baseDelayMs:      parseInt(process.env.AI_RETRY_BASE_MS || '1000', 10),
+      // Longest wait we accept, whether from backoff or a Retry-After header
+      maxDelayMs:       parseInt(process.env.AI_RETRY_MAX_MS || '30000', 10),
+      timeoutMs:        parseInt(process.env.AI_TIMEOUT_MS || '60000', 10),
+      // Failed calls in a row before a provider is skipped for the rest of the run
+      breakerThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD || '3', 10),
+    },
+    // Token cost accounting (src/data/usage.js). Once this month's estimated
+    // spend reaches AI_MONTHLY_BUDGET_USD no more AI calls are made (0 = no limit).
+    pricing: {
+      prices:           loadAiPrices(),
+      monthlyBudgetUsd: parseFloat(process.env.AI_MONTHLY_BUDGET_USD || '0'),
+    },
+    // Per task: temperature, max output tokens and an optional model per provider.
+    // AI_<TASK>_MODELS takes "provider:model" pairs, e.g. "openai:gpt-4o-mini,gemini:gemini-1.5-pro".
+    tasks: {
+      scoring:    taskSettings('SCORING',    { temperature: 0.75, maxTokens: 400, models: {} }),
+      commenting: taskSettings('COMMENTING', { temperature: 0.75, maxTokens: 400, models: {} }),
+      // Rates comment candidates when COMMENT_RANKER=ai (src/ai/ranker.js)
+      critic:     taskSettings('CRITIC',     { temperature: 0.2,  maxTokens: 200, models: {} }),
+      notes:      taskSettings('NOTES',      { temperature: 0.80, maxTokens: 120, models: { openai: 'gpt-4o-mini' } }),
+    },
+  },
 };
 
 module.exports = config;
@@ -0,0 +1,445 @@
+'use strict';
+/**
+ * server.js — Local web dashboard: review queues, history, stats and run logs
+ *
+ * A small HTTP app over the local data store. The page is plain HTML plus
+ * one script served from here — no outside assets — so it works offline.
+ * Start it with `npm run dashboard`, or pass --dashboard to bot.js /
+ * connection-bot.js to serve it while the run lasts.
+ *
+ * Routes (JSON unless noted):
+ *   GET  /                          the dashboard page (HTML)
+ *   GET  /app.js                    its script
+ *   GET  /api/overview              queue sizes, totals, today's counts, learning summary
+ *   GET  /api/drafts[?status=a,b]   comment drafts (default: pending + approved)
+ *   POST /api/drafts/:id/approve    pending → approved; { comment } saves an edit first
+ *   POST /api/drafts/:id/edit       { comment }  — pending or approved drafts
+ *   POST /api/drafts/:id/reject     { reason }   — pending or approved drafts
+ *   GET  /api/notes[?status=a,b]    connection note drafts, same actions with { note }
+ *   GET  /api/comments              posted comments, newest first
+ *   GET  /api/connections           sent connection requests, newest first
+ *   GET  /api/stats                 style / type / country / angle / review stats (learning.js),
+ *                                   comment rule breaks per provider (usage.js), recurring
+ *                                   phrases to ban (repetition.js)
+ *   GET  /api/runs                  run logs (runLog.js), newest first
+ *   GET  /api/runs/:id              one run's log (text/plain)
+ *
+ * It only listens on 127.0.0.1, only answers requests addressed to
+ * 127.0.0.1 / localhost (so a web page can't reach it through a rebound
+ * DNS name), and changes must be sent as application/json, which a
+ * cross-site form can't do.
+ *
+ * EXPORTS:
+ *   startDashboard([opts])    → Promise<{ url, close() }>
+ */
+
+const http = require('http');
+
+const config = require('../config');
+const store  = require('../data/store');
+const {
+  getStyleStats, getTypeStats, getCountryStats, getBestAngles, getReviewStats, rejectDraft, getSummary,
+} = require('../data/learning');
+const { listRuns, readRunLog } = require('../data/runLog');
+const { getRuleViolationStats } = require('../data/usage');
+const { suggestBannedPhrases } = require('../ai/repetition');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_NOTE_CHARS = 300;  // LinkedIn's limit for an invitation note
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  REQUESTS
+// ─────────────────────────────────────────────────────────────────
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', (c) => {
+      body += c;
+      if (body.length > MAX_BODY_BYTES) reject(new HttpError(413, 'Request body too large'));
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function statusFilter(url, allowed, fallback) {
+  const wanted = (url.searchParams.get('status') || '').split(',').map((s) => s.trim()).filter(Boolean);
+  const unknown = wanted.filter((s) => !allowed.includes(s));
+  if (unknown.length) throw new HttpError(400, `Unknown status ${unknown.join(', ')} — use ${allowed.join(', ')}`);
+  return wanted.length ? wanted : fallback;
+}
+
+function requireText(value, field, max) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) throw new HttpError(400, `${field} must not be empty`);
+  if (max && text.length > max) throw new HttpError(400, `${field} is ${text.length} characters — the limit is ${max}`);
+  return text;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  QUEUE ACTIONS
+// ─────────────────────────────────────────────────────────────────
+
+/** What differs between the comment queue and the connection note queue */
+const QUEUES = {
+  drafts: {
+    statuses: ['pending', 'approved', 'rejected', 'posted', 'failed'],
+    field:    'comment',
+    max:      0,
+    list:     store.listDrafts,
+    get:      store.getDraft,
+    revise:   (id, text) => store.reviseDraft(id, { comment: text }),
+    approve:  (id) => store.setDraftStatus(id, 'approved'),
+    reject:   (id, reason) => rejectDraft(id, reason),
+  },
+  notes: {
+    statuses: ['pending', 'approved', 'rejected', 'sent', 'failed'],
+    field:    'note',
+    max:      MAX_NOTE_CHARS,
+    list:     store.listNoteDrafts,
+    get:      store.getNoteDraft,
+    revise:   (id, text) => store.reviseNoteDraft(id, text),
+    approve:  (id) => store.setNoteDraftStatus(id, 'approved'),
+    reject:   (id, reason) => store.setNoteDraftStatus(id, 'rejected', String(reason || '').trim()),
+  },
+};
+
+function queueAction(queue, id, action, body) {
+  const q = QUEUES[queue];
+  const draft = q.get(id);
+  if (!draft) throw new HttpError(404, `No ${queue === 'drafts' ? 'draft' : 'note draft'} #${id}`);
+
+  const open = ['pending', 'approved'];
+  if (action === 'approve' && draft.status !== 'pending') throw new HttpError(409, `#${id} is ${draft.status}, not pending`);
+  if (!open.includes(draft.status)) throw new HttpError(409, `#${id} is already ${draft.status}`);
+
+  switch (action) {
+    case 'edit':
+      q.revise(id, requireText(body[q.field], q.field, q.max));
+      break;
+    case 'approve':
+      if (body[q.field] !== undefined) q.revise(id, requireText(body[q.field], q.field, q.max));
+      q.approve(id);
+      break;
+    case 'reject':
+      q.reject(id, body.reason || '');
+      break;
+    default:
+      throw new HttpError(404, `Unknown action "${action}"`);
+  }
+  return q.get(id);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  READ VIEWS
+// ─────────────────────────────────────────────────────────────────
+
+function overview() {
+  const today = new Date().toISOString().slice(0, 10);
+  const count = (list, statuses) => list(statuses).length;
+  let learning = '';
+  try { learning = getSummary(); } catch { /* nothing logged yet */ }
+  return {
+    drafts:      { pending: count(store.listDrafts, ['pending']), approved: count(store.listDrafts, ['approved']) },
+    notes:       { pending: count(store.listNoteDrafts, ['pending']), approved: count(store.listNoteDrafts, ['approved']) },
+    comments:    { total: store.listComments().length, today: store.countCommentsSince(today) },
+    connections: { total: store.listConnectionRequests().length, today: store.countConnectionsSince(today) },
+    learning,
+  };
+}
+
+function stats() {
+  return {
+    styles:    getStyleStats(),
+    types:     getTypeStats(),
+    countries: getCountryStats(),
+    angles:    getBestAngles(),
+    review:    getReviewStats(),
+    rules:     getRuleViolationStats(),
+    habits:    suggestBannedPhrases(),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  PAGE
+// ─────────────────────────────────────────────────────────────────
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 0; background: #f4f2ee; color: #1d1d1d; }
+  header { background: #fff; padding: 10px 24px; display: flex; gap: 20px; align-items: center; flex-wrap: wrap; }
+  header h1 { font-size: 18px; margin: 0 12px 0 0; }
+  nav a { margin-right: 14px; color: #0a66c2; text-decoration: none; }
+  nav a.active { font-weight: 700; text-decoration: underline; }
+  main { max-width: 1000px; margin: 16px auto; padding: 0 16px; }
+  .card { background: #fff; border-radius: 8px; padding: 12px 16px; margin-bottom: 12px; border-left: 4px solid #999; }
+  .card.pending { border-left-color: #e7a33e; } .card.approved { border-left-color: #44712e; }
+  .muted { color: #666; font-size: 13px; } .badge { float: right; font-size: 12px; color: #666; }
+  blockquote { margin: 8px 0; padding-left: 10px; border-left: 2px solid #ddd; color: #444; white-space: pre-wrap; }
+  textarea { width: 100%; box-sizing: border-box; font: inherit; margin: 8px 0; }
+  button { margin-right: 6px; padding: 4px 12px; cursor: pointer; }
+  button.reject { color: #b42318; }
+  .msg { color: #b42318; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; background: #fff; margin-bottom: 16px; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  pre { background: #111; color: #ddd; padding: 12px; overflow: auto; font-size: 12px; white-space: pre-wrap; }
+  .stats { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+`;
+
+const PAGE = `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>LinkedIn bot dashboard</title>
+<style>${STYLE}</style></head>
+<body>
+<header>
+  <h1>LinkedIn bot</h1>
+  <nav>
+    <a href="#queue">Review queue</a><a href="#comments">Comments</a><a href="#connections">Connections</a>
+    <a href="#stats">Stats</a><a href="#runs">Runs</a>
+  </nav>
+  <span id="overview" class="muted"></span>
+</header>
+<main id="view">Loading…</main>
+<script src="/app.js"></script>
+</body></html>`;
+
+/** Runs in the browser (serialized with toString) */
+function clientApp() {
+  const view = document.getElementById('view');
+
+  function el(tag, attrs, ...children) {
+    const e = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs || {})) {
+      if (k.startsWith('on')) e.addEventListener(k.slice(2), v);
+      else if (k === 'class') e.className = v;
+      else e.setAttribute(k, v);
+    }
+    for (const c of children.flat()) {
+      if (c !== null && c !== undefined && c !== false) e.append(c instanceof Node ? c : String(c));
+    }
+    return e;
+  }
+  const link = (url) => (url ? el('a', { href: url, target: '_blank', rel: 'noreferrer' }, url) : '—');
+  const when = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+  const table = (headers, rows) => el('table', {}, el('tr', {}, headers.map((h) => el('th', {}, h))),
+    rows.map((r) => el('tr', {}, r.map((c) => el('td', {}, c)))));
+
+  async function api(path, body) {
+    const res = await fetch(path, body === undefined ? {} : {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+    });
+    const json = (res.headers.get('content-type') || '').includes('json');
+    const data = json ? await res.json() : await res.text();
+    if (!res.ok) throw new Error((json && data.error) || res.statusText);
+    return data;
+  }
+
+  function draftCard(queue, d) {
+    const isNote = queue === 'notes';
+    const field  = isNote ? 'note' : 'comment';
+    const box    = el('textarea', { rows: isNote ? 3 : 6 });
+    box.value = d[field];
+    const msg = el('span', { class: 'msg' });
+    const act = async (action, body) => {
+      try {
+        await api(`/api/${queue}/${d.id}/${action}`, body || {});
+        render();
+      } catch (e) {
+        msg.textContent = e.message;
+      }
+    };
+    const edits = () => (box.value !== d[field] ? { [field]: box.value } : {});
+    const about = isNote
+      ? [el('b', {}, d.name || 'Unknown'), d.headline ? ` — ${d.headline}` : '',
+        el('div', { class: 'muted' }, d.location || 'no location', ' · ', link(d.profileUrl))]
+      : [el('b', {}, d.post.authorName || 'Unknown'), d.post.authorHeadline ? ` — ${d.post.authorHeadline}` : '',
+        el('div', { class: 'muted' }, link(d.post.postUrl),
+          ` · score ${d.score === null ? '?' : d.score} · ${d.style || '—'} / ${d.type || '—'}`,
+          d.bestAngle ? ` · angle: ${d.bestAngle}` : ''),
+        el('blockquote', {}, d.post.postText.length > 600 ? `${d.post.postText.slice(0, 600)}…` : d.post.postText)];
+    return el('div', { class: `card ${d.status}` },
+      el('span', { class: 'badge' }, `#${d.id} ${d.status}${d.edited ? ' · edited' : ''}`),
+      about, box,
+      el('div', {},
+        d.status === 'pending' ? el('button', { onclick: () => act('approve', edits()) }, 'Approve') : null,
+        el('button', { onclick: () => act('edit', { [field]: box.value }) }, 'Save edit'),
+        el('button', { class: 'reject', onclick: () => {
+          const reason = window.prompt('Reason for rejecting (optional)', '');
+          if (reason !== null) act('reject', { reason });
+        } }, 'Reject'),
+        msg));
+  }
+
+  const views = {
+    async queue() {
+      const [drafts, notes] = await Promise.all([api('/api/drafts'), api('/api/notes')]);
+      return [
+        el('h2', {}, `Comments (${drafts.length})`),
+        drafts.length ? drafts.map((d) => draftCard('drafts', d)) : el('p', { class: 'muted' }, 'No comment drafts. Queue some with `node bot.js --review`.'),
+        el('h2', {}, `Connection notes (${notes.length})`),
+        notes.length ? notes.map((n) => draftCard('notes', n)) : el('p', { class: 'muted' }, 'No connection notes. Queue some with `node connection-bot.js --review`.'),
+      ];
+    },
+    async comments() {
+      const rows = await api('/api/comments');
+      const outcome = (c) => [c.authorReplied && 'replied', c.connectionReceived && 'connected', c.profileViewSpike && 'profile views']
+        .filter(Boolean).join(', ') || '—';
+      return table(['When', 'Author', 'Comment', 'Style / type', 'Score', 'Outcome'],
+        rows.map((c) => [when(c.timestamp), el('span', {}, el('b', {}, c.authorName || 'Unknown'), el('br'), link(c.postUrl)),
+          c.comment, `${c.style || '—'} / ${c.type || '—'}`, c.score === null ? '—' : c.score, outcome(c)]));
+    },
+    async connections() {
+      const rows = await api('/api/connections');
+      return table(['When', 'Name', 'Headline', 'Location', 'Note'],
+        rows.map((r) => [when(r.sentAt), el('span', {}, el('b', {}, r.name || 'Unknown'), el('br'), link(r.profileUrl)),
+          r.headline, r.location, r.note || '—']));
+    },
+    async stats() {
+      const s = await api('/api/stats');
+      const r = s.review;
+      return el('div', { class: 'stats' },
+        el('div', {}, el('h3', {}, 'Styles'), table(['Style', 'Count', '%'], s.styles.map((x) => [x.style, x.count, x.percentage]))),
+        el('div', {}, el('h3', {}, 'Types'), table(['Type', 'Count', '%'], s.types.map((x) => [x.type, x.count, x.percentage]))),
+        el('div', {}, el('h3', {}, 'Countries'), table(['Country', 'Count'], s.countries.map((x) => [x.country, x.count]))),
+        el('div', {}, el('h3', {}, 'Best angles'), table(['Angle', 'Count'], s.angles.map((x) => [x.angle, x.count]))),
+        el('div', {}, el('h3', {}, 'Review'),
+          table(['Reviewed', 'Approved', 'Edited', 'Rejected', 'Regenerated'], [[r.reviewed, r.approved, r.edited, r.rejected, r.regenerated]]),
+          table(['Style', 'Rejected'], r.byStyle.map((x) => [x.style, `${x.rejected}/${x.reviewed}`]))),
+        el('div', {}, el('h3', {}, 'Rejection reasons'), table(['Reason', 'Count'], r.reasons.map((x) => [x.reason, x.count]))),
+        el('div', {}, el('h3', {}, 'Comment rules broken'), table(['Provider', 'Comments', 'Rules'],
+          s.rules.map((x) => [`${x.provider} (${x.model})`, x.comments, Object.entries(x.rules).map(([k, n]) => `${k} ×${n}`).join(', ')]))),
+        el('div', {}, el('h3', {}, 'Phrases you keep using'), el('p', { class: 'muted' }, 'Candidates for BANNED_ANYWHERE in src/ai/bannedPhrases.js'),
+          table(['Phrase', 'Comments'], s.habits.map((x) => [x.phrase, x.uses]))));
+    },
+    async runs() {
+      const runs = await api('/api/runs');
+      const log  = el('pre', {}, 'Pick a run to see its log.');
+      const open = async (id) => { log.textContent = await api(`/api/runs/${encodeURIComponent(id)}`); };
+      return [
+        table(['Started', 'Bot', 'Args', 'Status', 'Finished', ''],
+          runs.map((r) => [when(r.startedAt), r.bot, r.args || '—', r.exitCode === null ? r.status : `${r.status} (exit ${r.exitCode})`,
+            when(r.finishedAt), el('button', { onclick: () => open(r.id) }, 'Log')])),
+        log,
+      ];
+    },
+  };
+
+  async function render() {
+    const name = views[location.hash.slice(1)] ? location.hash.slice(1) : 'queue';
+    for (const a of document.querySelectorAll('nav a')) a.classList.toggle('active', a.getAttribute('href') === `#${name}`);
+    try {
+      const o = await api('/api/overview');
+      document.getElementById('overview').textContent =
+        `${o.drafts.pending} comment(s) and ${o.notes.pending} note(s) to review · ` +
+        `${o.comments.total} comments (${o.comments.today} today) · ${o.connections.total} connections (${o.connections.today} today)`;
+      view.replaceChildren(...[await views[name]()].flat());
+    } catch (e) {
+      view.replaceChildren(el('p', { class: 'msg' }, `Could not load: ${e.message}`));
+    }
+  }
+
+  window.addEventListener('hashchange', render);
+  render();
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  SERVER
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Serve the dashboard on 127.0.0.1. The data store must already be open
+ * (await openStore()).
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.port=config.dashboard.port]   0 = random free port
+ * @param {string} [opts.logsDir=config.data.logsDir]
+ * @param {boolean} [opts.background=false]           true = don't keep the process alive for it (a bot's --dashboard)
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function startDashboard({ port = config.dashboard.port, logsDir = config.data.logsDir, background = false } = {}) {
+  const appJs = `(${clientApp.toString()})();`;
+
+  const send = (res, status, body, type = 'application/json; charset=utf-8') => {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', 'X-Content-Type-Options': 'nosniff' });
+    res.end(type.startsWith('application/json') ? JSON.stringify(body) : body);
+  };
+
+  async function route(req, url) {
+    const p = url.pathname;
+    let m;
+
+    if (req.method === 'POST') {
+      if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+        throw new HttpError(415, 'Send changes as application/json');
+      }
+      if ((m = p.match(/^\/api\/(drafts|notes)\/(\d+)\/(approve|edit|reject)$/))) {
+        return queueAction(m[1], Number(m[2]), m[3], await readBody(req));
+      }
+      throw new HttpError(404, `No such action: POST ${p}`);
+    }
+    if (req.method !== 'GET') throw new HttpError(405, `${req.method} is not supported`);
+
+    if (p === '/api/overview')    return overview();
+    if ((m = p.match(/^\/api\/(drafts|notes)$/))) {
+      const q = QUEUES[m[1]];
+      return q.list(statusFilter(url, q.statuses, ['pending', 'approved']));
+    }
+    if (p === '/api/comments')    return store.listComments().reverse();
+    if (p === '/api/connections') return store.listConnectionRequests().reverse();
+    if (p === '/api/stats')       return stats();
+    if (p === '/api/runs')        return listRuns({ dir: logsDir });
+    throw new HttpError(404, `Nothing at ${p}`);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const { port: own } = server.address();
+    if (![`127.0.0.1:${own}`, `localhost:${own}`].includes(req.headers.host)) {
+      return send(res, 403, { error: 'The dashboard only answers on 127.0.0.1 / localhost' });
+    }
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const get = req.method === 'GET';
+    let m;
+
+    try {
+      if (get && url.pathname === '/')       return send(res, 200, PAGE, 'text/html; charset=utf-8');
+      if (get && url.pathname === '/app.js') return send(res, 200, appJs, 'application/javascript; charset=utf-8');
+      if (get && (m = url.pathname.match(/^\/api\/runs\/([^/]+)$/))) {
+        const text = readRunLog(decodeURIComponent(m[1]), { dir: logsDir });
+        if (text === null) throw new HttpError(404, 'No such run log');
+        return send(res, 200, text, 'text/plain; charset=utf-8');
+      }
+      return send(res, 200, await route(req, url));
+    } catch (e) {
+      return send(res, e.status || 500, { error: e.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      if (background) server.unref();
+      resolve({
+        url:   `http://127.0.0.1:${server.address().port}/`,
+        close: () => new Promise((r) => {
+          server.close(() => r());
+          server.closeAllConnections();  // don't wait for the page's keep-alive connections
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startDashboard };
@@ -0,0 +1,164 @@
+'use strict';
+/**
+ * authors.js — Per-author comment cooldown, with a cooldown per author tier
+ *
+ * A person is recognised by their profile URL (store.findAuthor), not by the
+ * name on the card: two "John Smith"s don't block each other, and someone who
+ * edits their name is still the same person. Cards without a profile link
+ * fall back to every name the person was seen under.
+ *
+ * How long to wait depends on the author's tier, defined in
+ * data/author_tiers.json (AUTHOR_TIERS_FILE). The first tier that matches
+ * wins; everyone else gets defaultCooldownDays (AUTHOR_COOLDOWN_DAYS, 7 days,
+ * when the file doesn't set it). Without the file every author gets the default.
+ *
+ * File format:
+ *   { "defaultCooldownDays": 14,
+ *     "tiers": [
+ *       { "id": "icp-founder", "cooldownDays": 3,
+ *         "headline": ["founder", "co-founder"],      — any of these in the headline (case-insensitive)
+ *         "categories": ["founders"],                 — target_profiles.csv category
+ *         "profiles": ["ann-lee"] } ] }               — vanity names or profile URLs
+ * A tier needs at least one of headline / categories / profiles.
+ * cooldownDays 0 means no cooldown for that tier.
+ *
+ * EXPORTS:
+ *   loadAuthorTiers()                      → { defaultCooldownDays, tiers: [{ id, cooldownDays, headline, categories, profiles }] }
+ *   authorTier(author, [tiers])            → { id, cooldownDays } — 'default' when no tier matches
+ *   checkAuthorCooldown(post, [opts])      → null | { tier, cooldownDays, lastCommentAt, until, author }
+ *   describeTiers([tiers])                 → "icp-founder 3d, others 14d"
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { findAuthor } = require('./store');
+const { profileVanity } = require('./normalize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─────────────────────────────────────────────────────────────────
+//  LOAD
+// ─────────────────────────────────────────────────────────────────
+
+function days(value, where) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === '' || !(n >= 0)) {
+    throw new Error(`${where}: cooldownDays must be a number >= 0`);
+  }
+  return n;
+}
+
+function stringList(value, where, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || !v.trim())) {
+    throw new Error(`${where}: ${field} must be a list of non-empty strings`);
+  }
+  return value.map((v) => v.trim().toLowerCase());
+}
+
+function loadAuthorTiers() {
+  const file = path.resolve(config.data.authorTiersPath);
+  const fallback = config.bot.authorCooldownDays;
+  if (!fs.existsSync(file)) return { defaultCooldownDays: fallback, tiers: [] };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${file}: not valid JSON (${e.message})`);
+  }
+
+  const defaultCooldownDays = raw.defaultCooldownDays === undefined
+    ? fallback
+    : days(raw.defaultCooldownDays, `${file}: defaultCooldownDays`);
+
+  const ids = new Set();
+  const tiers = (raw.tiers || []).map((tier, i) => {
+    const where = `${file}: tier ${tier.id ? `"${tier.id}"` : `#${i + 1}`}`;
+    if (!tier.id) throw new Error(`${where} has no id`);
+    if (tier.id === 'default') throw new Error(`${where}: "default" is reserved for authors without a tier`);
+    if (ids.has(tier.id)) throw new Error(`${where} is defined twice`);
+    ids.add(tier.id);
+
+    const match = {
+      headline:   stringList(tier.headline, where, 'headline'),
+      categories: stringList(tier.categories, where, 'categories'),
+      profiles:   stringList(tier.profiles, where, 'profiles').map((p) => profileVanity(p) || p),
+    };
+    if (!match.headline.length && !match.categories.length && !match.profiles.length) {
+      throw new Error(`${where} matches nobody — give it headline, categories or profiles`);
+    }
+    return { id: tier.id, cooldownDays: days(tier.cooldownDays, where), ...match };
+  });
+
+  return { defaultCooldownDays, tiers };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  MATCH
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} author - { headline, category, profileUrl }
+ * @param {object} [tiers=loadAuthorTiers()]
+ * @returns {{ id: string, cooldownDays: number }}
+ */
+function authorTier({ headline = '', category = '', profileUrl = '' }, tiers = loadAuthorTiers()) {
+  const text    = headline.toLowerCase();
+  const cat     = category.trim().toLowerCase();
+  const vanity  = profileVanity(profileUrl);
+  const matched = tiers.tiers.find((t) =>
+    t.headline.some((k) => text.includes(k)) ||
+    (cat && t.categories.includes(cat)) ||
+    (vanity && t.profiles.includes(vanity)));
+  return matched
+    ? { id: matched.id, cooldownDays: matched.cooldownDays }
+    : { id: 'default', cooldownDays: tiers.defaultCooldownDays };
+}
+
+/**
+ * Is this feed post's author still in their cooldown? The headline on the
+ * card is used for the tier (it's the newest); the registry fills in the
+ * rest.
+ *
+ * @param {object} post - { profileUrl, authorName, authorHeadline }
+ * @param {object} [opts]
+ * @param {object} [opts.tiers=loadAuthorTiers()]
+ * @param {number} [opts.now=Date.now()]
+ * @returns {null|{ tier: string, cooldownDays: number, lastCommentAt: string, until: string, author: object }}
+ */
+function checkAuthorCooldown(post, { tiers = loadAuthorTiers(), now = Date.now() } = {}) {
+  const author = findAuthor({ profileUrl: post.profileUrl, name: post.authorName });
+  if (!author || !author.lastCommentAt) return null;
+
+  const tier = authorTier({
+    headline:   post.authorHeadline || author.headline,
+    category:   author.category,
+    profileUrl: author.profileUrl || post.profileUrl,
+  }, tiers);
+  const until = new Date(author.lastCommentAt).getTime() + tier.cooldownDays * DAY_MS;
+  if (!(until > now)) return null;
+
+  return {
+    tier:          tier.id,
+    cooldownDays:  tier.cooldownDays,
+    lastCommentAt: author.lastCommentAt,
+    until:         new Date(until).toISOString(),
+    author,
+  };
+}
+
+function describeTiers(tiers = loadAuthorTiers()) {
+  const parts = tiers.tiers.map((t) => `${t.id} ${t.cooldownDays}d`);
+  parts.push(`${tiers.tiers.length ? 'others' : 'every author'} ${tiers.defaultCooldownDays}d`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  loadAuthorTiers,
+  authorTier,
+  checkAuthorCooldown,
+  describeTiers,
+};
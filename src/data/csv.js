@@ -1,214 +1,118 @@
 'use strict';
-const fs = require('fs');
-const path = require('path');
-const readline = require('readline');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-
-const config = require('../config');
-
 /**
- * Ensures the data directory and CSV files exist with proper headers.
+ * csv.js — CSV reading / writing for the legacy data files
+ *
+ * The bots keep their state in the SQLite store (store.js). The old
+ * data/*.csv files are only read by the importer and the data doctor.
+ * parseCsv is an RFC 4180 parser (quoted commas, escaped quotes, multi-line
+ * fields) that keeps going on bad input and says what it found: older bot
+ * versions wrote names and headlines with unescaped quotes, so a quote that
+ * doesn't close a field is kept as text and reported.
+ *
+ * EXPORTS:
+ *   parseCsv(text)            → { header, rows: [{ line, fields, issues }] }
+ *   formatCsv(header, rows)   → CSV text, every field quoted
+ *   readCsv(file)             → Promise<object[]> one object per row, keyed by header ([] if missing)
  */
-function ensureDataFiles() {
-  const dataDir = path.dirname(config.data.commentedPostsPath);
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  // Create commented_posts.csv with header if missing
-  if (!fs.existsSync(config.data.commentedPostsPath)) {
-    fs.writeFileSync(
-      config.data.commentedPostsPath,
-      'post_url,author_name,comment_text,commented_at,profile_url\n',
-      'utf-8'
-    );
-  }
-
-  // Create target_profiles.csv with header if missing
-  if (!fs.existsSync(config.data.targetProfilesPath)) {
-    fs.writeFileSync(
-      config.data.targetProfilesPath,
-      'profile_url,name,category\n',
-      'utf-8'
-    );
-  }
-}
 
-/**
- * Extracts the 19-digit LinkedIn Activity ID from a URL or string.
- * @param {string} url 
- * @returns {string} The ID, or the original URL if no ID is found.
- */
-function extractPostId(url) {
-  if (!url) return '';
-  const match = url.match(/\d{19}/);
-  return match ? match[0] : url;
-}
+const fs = require('fs');
 
 /**
- * Reads the commented_posts.csv and returns both:
- *   - ids  : Set of 19-digit activity IDs (fast dedup)
- *   - urls : Set of normalized full post URLs (exact-match dedup)
+ * Parse CSV text. Blank lines are skipped; `line` is the 1-based line the
+ * record starts on. Field values are returned as written (not trimmed).
+ *
+ * Issues reported per row:
+ *   unescaped quote in column N, quote inside unquoted column N, unterminated quoted field
  *
- * Always re-reads from disk so mid-run writes are caught.
- * @returns {Promise<{ids: Set<string>, urls: Set<string>}>}
+ * @param {string} text
+ * @returns {{ header: string[], rows: { line: number, fields: string[], issues: string[] }[] }}
  */
-async function readCommentedPosts() {
-  ensureDataFiles();
-  const ids  = new Set();
-  const urls = new Set();
-
-  const fileContent = fs.readFileSync(config.data.commentedPostsPath, 'utf-8');
-  const lines = fileContent.trim().split('\n');
-
-  // Skip header line
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    // post_url is the first column — handle quoted CSV values
-    const firstComma = line.indexOf(',');
-    if (firstComma === -1) continue;
-    let url = line.substring(0, firstComma).trim();
-    // Remove surrounding quotes if present
-    if (url.startsWith('"') && url.endsWith('"')) {
-      url = url.slice(1, -1);
-    }
-    if (url) {
-      // Normalize: strip trailing slash for consistent matching
-      const normalized = url.replace(/\/+$/, '');
-      urls.add(normalized);
-      const id = extractPostId(normalized);
-      if (id) ids.add(id);
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field  = '';
+  let issues = [];
+  let inQuotes = false;
+  let line      = 1;
+  let startLine = 1;
+
+  const note      = (msg) => { if (!issues.includes(msg)) issues.push(msg); };
+  const endField  = () => { fields.push(field); field = ''; };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') records.push({ line: startLine, fields, issues });
+    fields = [];
+    issues = [];
+  };
+
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (inQuotes) {
+      if (c !== '"') {
+        if (c === '\n') line++;
+        field += c;
+        continue;
+      }
+      const next = src[i + 1];
+      if (next === '"') {
+        field += '"';
+        i++;
+      } else if (next === ',' || next === '\n' || next === '\r' || next === undefined) {
+        inQuotes = false;
+      } else {
+        field += '"';
+        note(`unescaped quote in column ${fields.length + 1}`);
+      }
+      continue;
     }
-  }
 
-  return { ids, urls };
-}
-
-/**
- * Counts how many posts have been commented on TODAY (since midnight local time).
- * @returns {Promise<{count: number, todayUrls: Set<string>}>}
- */
-async function readTodayCommentedCount() {
-  ensureDataFiles();
-  const todayUrls = new Set();
-
-  const fileContent = fs.readFileSync(config.data.commentedPostsPath, 'utf-8');
-  const lines = fileContent.trim().split('\n');
-
-  // Today's date as YYYY-MM-DD in local time
-  const today = new Date().toISOString().slice(0, 10);
-
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    const cols = parseCSVLine(line);
-    // cols: [post_url, author_name, comment_text, commented_at]
-    const url = cols[0] ? cols[0].replace(/^"|"$/g, '').trim() : '';
-    const timestamp = cols[3] ? cols[3].replace(/^"|"$/g, '').trim() : '';
-    if (url && timestamp && timestamp.startsWith(today)) {
-      const id = extractPostId(url);
-      todayUrls.add(id);
+    if (c === ',') endField();
+    else if (c === '\r') continue;
+    else if (c === '\n') { endRecord(); line++; startLine = line; }
+    else if (c === '"' && field === '') inQuotes = true;
+    else {
+      if (c === '"') note(`quote inside unquoted column ${fields.length + 1}`);
+      field += c;
     }
   }
+  if (inQuotes) note('unterminated quoted field');
+  endRecord();
 
-  return { count: todayUrls.size, todayUrls };
+  const [head, ...rows] = records;
+  return { header: head ? head.fields.map((h) => h.trim()) : [], rows };
 }
 
-/**
- * Appends a new commented post record to the CSV.
- * @param {string} postUrl
- * @param {string} authorName
- * @param {string} commentText
- * @param {string} profileUrl
- */
-async function writeCommentedPost(postUrl, authorName, commentText, profileUrl = '') {
-  ensureDataFiles();
-  const timestamp = new Date().toISOString();
-
-  const csvWriter = createCsvWriter({
-    path: config.data.commentedPostsPath,
-    header: [
-      { id: 'post_url', title: 'post_url' },
-      { id: 'author_name', title: 'author_name' },
-      { id: 'comment_text', title: 'comment_text' },
-      { id: 'commented_at', title: 'commented_at' },
-      { id: 'profile_url', title: 'profile_url' },
-    ],
-    append: true,
-  });
-
-  await csvWriter.writeRecords([
-    {
-      post_url: postUrl,
-      author_name: authorName,
-      comment_text: commentText,
-      commented_at: timestamp,
-      profile_url: profileUrl,
-    },
-  ]);
+function quote(value) {
+  return `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
 }
 
 /**
- * Reads target_profiles.csv and returns an array of { profileUrl, name, category }.
- * @returns {Promise<Array<{profileUrl: string, name: string, category: string}>>}
+ * @param {string[]} header
+ * @param {object[]} rows - objects keyed by header
+ * @returns {string}
  */
-async function readTargetProfiles() {
-  ensureDataFiles();
-  const profiles = [];
-
-  const fileContent = fs.readFileSync(config.data.targetProfilesPath, 'utf-8');
-  const lines = fileContent.trim().split('\n');
-
-  // Skip header
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-
-    // Parse CSV manually to handle commas in quoted fields
-    const cols = parseCSVLine(line);
-    if (cols.length >= 1 && cols[0]) {
-      profiles.push({
-        profileUrl: cols[0].trim(),
-        name: (cols[1] || '').trim(),
-        category: (cols[2] || '').trim(),
-      });
-    }
-  }
-
-  return profiles;
+function formatCsv(header, rows) {
+  const lines = [header.map(quote).join(',')];
+  for (const row of rows) lines.push(header.map((h) => quote(row[h])).join(','));
+  return `${lines.join('\n')}\n`;
 }
 
 /**
- * Simple CSV line parser that handles quoted fields.
- * @param {string} line
- * @returns {string[]}
+ * Reads a CSV file with a header row. Values are trimmed; blank rows are skipped.
+ * @param {string} file
+ * @returns {Promise<object[]>}
  */
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  result.push(current);
-  return result;
+async function readCsv(file) {
+  if (!fs.existsSync(file)) return [];
+  const { header, rows } = parseCsv(fs.readFileSync(file, 'utf-8'));
+  return rows
+    .map(({ fields }) => Object.fromEntries(header.map((h, i) => [h, (fields[i] || '').trim()])))
+    .filter((row) => Object.values(row).some(Boolean));
 }
 
 module.exports = {
-  ensureDataFiles,
-  extractPostId,
-  readCommentedPosts,
-  readTodayCommentedCount,
-  writeCommentedPost,
-  readTargetProfiles,
+  parseCsv,
+  formatCsv,
+  readCsv,
 };
@@ -0,0 +1,186 @@
+'use strict';
+/**
+ * dayPlan.js — The daemon's plan for the day, kept on disk
+ *
+ * daemon.js splits each day's quota (comments, connection requests) into a
+ * few sessions spread over that day's schedule window — one plan per kind,
+ * made when the window is first seen and saved to data/daemon.json
+ * (DAEMON_STATE_FILE), so a restart picks up the same plan instead of
+ * starting the day over:
+ *   { "plans": { "comment": { "kind": "comment", "day": "2026-10-19",
+ *       "windowStart": "…", "windowEnd": "…", "quota": 6, "rest": false,
+ *       "jobs": [ { "id": "comment-2026-10-19-1", "at": "…", "quota": 2,
+ *                   "status": "done", "made": 2, … }, … ] },
+ *     "connection": { … } } }
+ *
+ * Job status: planned → running → done | failed | skipped; a planned job
+ * whose window ended first is missed; one left running by a process that
+ * died is interrupted. Interrupted and failed jobs may have made some of
+ * their share without getting to record it, so they count as if they had
+ * used all of it. Each session's limit is what is left of the day's quota
+ * shared among the jobs still to run, so a slow session is made up by the
+ * later ones.
+ *
+ * The store may hold more for the day than the plan's jobs made: a run by
+ * hand before the daemon started, or a plan lost with its state file.
+ * daemon.js passes the store's count since the window opened (`recorded`),
+ * and whatever it has beyond the plan's own jobs counts as made too.
+ *
+ * EXPORTS:
+ *   planDay(kind, opts)               → plan
+ *   loadDaemonState([file])           → { plans: { comment?, connection? } }
+ *   saveDaemonState(state, [file])
+ *   settleJobs(plan, [now])           → jobs newly marked missed / interrupted
+ *   nextJob(state)                    → the earliest planned job | null
+ *   jobLimit(plan, job, [recorded])   → how many this job may make
+ *   madeToday(plan, [recorded])       → { made, used } — made by finished jobs, used incl. interrupted / failed ones;
+ *                                       both plus what the store has beyond them
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { writeFileAtomic } = require('./lock');
+
+// The last session starts at least this long before the window closes
+const END_MARGIN_MS = 30 * 60 * 1000;
+
+// ─────────────────────────────────────────────────────────────────
+//  PLAN
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Split what is left of `quota` after `made` into up to `sessions` jobs at
+ * random times in the rest of the window, one per equal slot.
+ *
+ * @param {string}   kind              - 'comment' | 'connection'
+ * @param {object}   opts
+ * @param {object}   opts.window       - windowAt() from src/schedule.js
+ * @param {number}   opts.sessions
+ * @param {number}   opts.quota        - for the whole day
+ * @param {number}   [opts.made=0]     - already in the store for this window
+ * @param {boolean}  [opts.rest=false] - a day off: the plan has no jobs
+ * @param {Date}     [opts.now=new Date()]
+ * @param {function} [opts.random=Math.random]
+ */
+function planDay(kind, { window, sessions, quota, made = 0, rest = false, now = new Date(), random = Math.random }) {
+  const from  = Math.max(now.getTime(), window.start.getTime());
+  const to    = window.end.getTime() - END_MARGIN_MS;
+  const left  = Math.max(0, quota - made);
+  const count = rest || to <= from ? 0 : Math.min(sessions, left);
+
+  // Even shares; the remainder goes to randomly picked sessions
+  const quotas = Array.from({ length: count }, () => Math.floor(left / count));
+  const order  = [...quotas.keys()];
+  for (let i = 0; i < (count ? left % count : 0); i++) {
+    quotas[order.splice(Math.floor(random() * order.length), 1)[0]]++;
+  }
+
+  const slot = (to - from) / Math.max(1, count);
+  const jobs = quotas.map((q, i) => ({
+    id:     `${kind}-${window.day}-${i + 1}`,
+    kind,
+    at:     new Date(Math.round(from + slot * i + random() * slot * 0.6)).toISOString(),
+    quota:  q,
+    status: 'planned',
+    made:   0,
+  }));
+
+  return {
+    kind,
+    day:         window.day,
+    windowStart: window.start.toISOString(),
+    windowEnd:   window.end.toISOString(),
+    quota,
+    rest,
+    createdAt:   now.toISOString(),
+    jobs,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  STATE FILE
+// ─────────────────────────────────────────────────────────────────
+
+function loadDaemonState(file = config.daemon.stateFile) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) return { plans: {} };
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${resolved}: not valid JSON (${e.message}) — delete it to plan the day afresh`);
+  }
+  return { ...state, plans: state.plans || {} };
+}
+
+function saveDaemonState(state, file = config.daemon.stateFile) {
+  writeFileAtomic(path.resolve(file), `${JSON.stringify(state, null, 2)}\n`);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  JOBS
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Mark the planned jobs whose window is over as missed, and the jobs a dead
+ * process left running as interrupted. Only call it between jobs.
+ */
+function settleJobs(plan, now = new Date()) {
+  const over    = now.getTime() >= new Date(plan.windowEnd).getTime();
+  const settled = [];
+  for (const job of plan.jobs) {
+    if (job.status === 'running') {
+      job.status = 'interrupted';
+    } else if (job.status === 'planned' && over) {
+      job.status = 'missed';
+    } else {
+      continue;
+    }
+    job.finishedAt = now.toISOString();
+    settled.push(job);
+  }
+  return settled;
+}
+
+function nextJob(state) {
+  const planned = Object.values(state.plans)
+    .filter(Boolean)
+    .flatMap((plan) => plan.jobs.filter((j) => j.status === 'planned'));
+  planned.sort((a, b) => a.at.localeCompare(b.at));
+  return planned[0] || null;
+}
+
+function madeToday(plan, recorded = 0) {
+  let made = 0;
+  let used = 0;
+  for (const job of plan.jobs) {
+    const n = job.made || 0;
+    if (job.status === 'interrupted' || job.status === 'failed') {
+      used += Math.max(job.limit ?? job.quota, n);
+    } else {
+      made += n;
+      used += n;
+    }
+  }
+  // What the interrupted / failed jobs did make is in the store too, so this errs on the low side
+  const outside = Math.max(0, recorded - made);
+  return { made: made + outside, used: used + outside };
+}
+
+function jobLimit(plan, job, recorded = 0) {
+  const left = plan.jobs.filter((j) => j.status === 'planned' || j === job).length;
+  const { used } = madeToday(plan, recorded);
+  return Math.max(0, Math.ceil((plan.quota - used) / Math.max(1, left)));
+}
+
+module.exports = {
+  planDay,
+  loadDaemonState,
+  saveDaemonState,
+  settleJobs,
+  nextJob,
+  jobLimit,
+  madeToday,
+};
@@ -0,0 +1,252 @@
+'use strict';
+/**
+ * doctor.js — Check and repair the legacy data files before (re-)importing them
+ *
+ * Older bot versions wrote commented_posts.csv / sent_connections.csv by
+ * hand: names kept LinkedIn's "• 2nd" marker, headlines were written with
+ * unescaped quotes, and the same post or profile shows up under several URL
+ * forms. Every file is parsed with the reporting CSV parser (csv.js); the
+ * report lists each malformed row by line. With fix, a clean copy (names,
+ * profile URLs and post URLs normalized, duplicates and rows without a key
+ * dropped, every field quoted) replaces the file, and the original is kept
+ * as <file>.<timestamp>.bak. An existing data store is checked too: author
+ * names saved with the degree marker are renamed (after the same backup).
+ *
+ * EXPORTS:
+ *   CSV_FILES                       — what each legacy CSV should look like
+ *   checkCsv(spec, text)            → { rows, clean, problems, normalized, dropped }
+ *   checkPerformanceJson(text)      → { rows, clean, problems, normalized, dropped }
+ *   runDoctor([opts])               → Promise<{ files: [ { name, file, exists, changed, backup, ...check } ],
+ *                                                store: { file, exists, badNames, backup } }>
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { parseCsv, formatCsv } = require('./csv');
+const { normalizeName, normalizeProfileUrl, normalizePostUrl } = require('./normalize');
+const { postIdentity } = require('./postIdentity');
+const { writeFileAtomic } = require('./lock');
+const store = require('./store');
+
+const NORMALIZERS = {
+  name:    normalizeName,
+  profile: normalizeProfileUrl,
+  post:    normalizePostUrl,
+};
+
+/**
+ * header  — columns in the order the bots wrote them
+ * key     — a row without it is dropped
+ * spill   — free-text column that gets the surplus when a row has too many fields
+ * dedupe  — rows with the same value are written once
+ */
+const CSV_FILES = {
+  commentedPostsPath: {
+    name:      'commented_posts.csv',
+    header:    ['post_url', 'author_name', 'comment_text', 'commented_at', 'profile_url'],
+    key:       'post_url',
+    spill:     'comment_text',
+    time:      'commented_at',
+    normalize: { post_url: 'post', author_name: 'name', profile_url: 'profile' },
+    dedupe:    (r) => postIdentity({ postUrl: r.post_url }).id,
+  },
+  sentConnectionsPath: {
+    name:      'sent_connections.csv',
+    header:    ['profileUrl', 'name', 'headline', 'location', 'noteSent', 'timestamp'],
+    key:       'profileUrl',
+    spill:     'headline',
+    time:      'timestamp',
+    normalize: { profileUrl: 'profile', name: 'name' },
+    dedupe:    (r) => `${r.profileUrl} ${r.timestamp}`,
+  },
+  targetProfilesPath: {
+    name:      'target_profiles.csv',
+    header:    ['profile_url', 'name', 'category'],
+    key:       'profile_url',
+    spill:     'category',
+    time:      null,
+    normalize: { profile_url: 'profile', name: 'name' },
+    dedupe:    (r) => r.profile_url,
+  },
+};
+
+// ─────────────────────────────────────────────────────────────────
+//  CHECKS
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Line up a parsed row with the expected columns: surplus fields go back
+ * into the spill column (they were split off by an unquoted comma), missing
+ * ones are left empty.
+ */
+function toRecord(spec, columns, fields, issues) {
+  const width = columns.length;
+  const values = fields.slice();
+  if (values.length > width) {
+    const at    = columns.includes(spec.spill) ? columns.indexOf(spec.spill) : width - 1;
+    const extra = values.length - width;
+    values.splice(at, extra + 1, values.slice(at, at + extra + 1).join(','));
+    issues.push(`${fields.length} fields, expected ${width} — surplus joined into ${spec.spill}`);
+  } else if (values.length < width) {
+    issues.push(`${fields.length} fields, expected ${width}`);
+  }
+  return Object.fromEntries(columns.map((c, i) => [c, (values[i] || '').trim()]));
+}
+
+/**
+ * @param {object} spec - one of CSV_FILES
+ * @param {string} text - file contents
+ */
+function checkCsv(spec, text) {
+  const { header, rows } = parseCsv(text);
+  const problems = [];
+  let normalized = 0;
+  let dropped    = 0;
+
+  // Columns are read by header name. Older files may lack a column (left
+  // empty); a file without a header row is read in the standard order.
+  const hasHeader = header.some((h) => spec.header.includes(h));
+  const columns   = hasHeader ? header : spec.header;
+  const body      = hasHeader || header.length === 0 ? rows : [{ line: 1, fields: header, issues: [] }, ...rows];
+  if (!hasHeader && header.length > 0) {
+    problems.push({ line: 1, issues: [`no header row — columns read as ${spec.header.join(', ')}`] });
+  } else if (hasHeader) {
+    const missing = spec.header.filter((h) => !header.includes(h));
+    const unknown = header.filter((h) => !spec.header.includes(h));
+    if (missing.length) problems.push({ line: 1, issues: [`header has no ${missing.join(', ')} — left empty`] });
+    if (unknown.length) problems.push({ line: 1, issues: [`unknown column ${unknown.join(', ')} — not kept`] });
+  }
+
+  const seen  = new Map();
+  const clean = [];
+  for (const { line, fields, issues: parseIssues } of body) {
+    const issues = parseIssues.map((msg) => msg.replace(/column (\d+)/, (_, n) => columns[n - 1] || `column ${n}`));
+    const raw    = toRecord(spec, columns, fields, issues);
+
+    const row = Object.fromEntries(spec.header.map((h) => [h, raw[h] || '']));
+    for (const [col, kind] of Object.entries(spec.normalize)) row[col] = NORMALIZERS[kind](row[col]);
+    if (spec.header.some((h) => row[h] !== (raw[h] || ''))) normalized++;
+
+    if (spec.time && row[spec.time] && Number.isNaN(new Date(row[spec.time]).getTime())) {
+      issues.push(`${spec.time} "${row[spec.time]}" is not a date`);
+    }
+
+    if (!row[spec.key]) {
+      issues.push(`no ${spec.key} — row dropped`);
+      dropped++;
+    } else if (seen.has(spec.dedupe(row))) {
+      issues.push(`duplicate of line ${seen.get(spec.dedupe(row))} — row dropped`);
+      dropped++;
+    } else {
+      seen.set(spec.dedupe(row), line);
+      clean.push(row);
+    }
+    if (issues.length > 0) problems.push({ line, issues });
+  }
+
+  // An empty file stays empty
+  const out = header.length === 0 ? text : formatCsv(spec.header, clean);
+  return { rows: body.length, clean, problems, normalized, dropped, text: out };
+}
+
+/**
+ * comment_performance.json: same normalization on postUrl / profileUrl /
+ * authorName; entries without a postUrl are dropped. Problems carry the
+ * entry number (1-based) instead of a line. Unreadable JSON is left alone.
+ */
+function checkPerformanceJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { rows: 0, clean: null, problems: [{ line: null, issues: [`not valid JSON (${e.message}) — left as is`] }], normalized: 0, dropped: 0, text };
+  }
+  if (!data || !Array.isArray(data.comments)) {
+    return { rows: 0, clean: null, problems: [{ line: null, issues: ['no "comments" array — left as is'] }], normalized: 0, dropped: 0, text };
+  }
+  const comments = data.comments;
+  const problems = [];
+
+  let normalized = 0;
+  let dropped    = 0;
+  const clean = [];
+  comments.forEach((entry, i) => {
+    if (!entry || !entry.postUrl) {
+      problems.push({ line: null, entry: i + 1, issues: ['no postUrl — entry dropped'] });
+      dropped++;
+      return;
+    }
+    const fixed = { ...entry, postUrl: normalizePostUrl(entry.postUrl) };
+    if (entry.profileUrl) fixed.profileUrl = normalizeProfileUrl(entry.profileUrl);
+    if (entry.authorName) fixed.authorName = normalizeName(entry.authorName);
+    if (['postUrl', 'profileUrl', 'authorName'].some((k) => fixed[k] !== entry[k])) normalized++;
+    clean.push(fixed);
+  });
+
+  const out = { ...data, comments: clean };
+  return { rows: comments.length, clean, problems, normalized, dropped, text: JSON.stringify(out, null, 2) };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  RUN
+// ─────────────────────────────────────────────────────────────────
+
+/** Copy file to <file>.<timestamp>.bak */
+function backup(file) {
+  const copy = `${file}.${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+  fs.copyFileSync(file, copy);
+  return copy;
+}
+
+/**
+ * Check every legacy file and the data store; with fix, back up and rewrite
+ * what changes.
+ *
+ * @param {object}  [opts]
+ * @param {object}  [opts.paths=config.data]
+ * @param {boolean} [opts.fix=false]
+ */
+async function runDoctor({ paths = config.data, fix = false } = {}) {
+  const targets = [
+    ...Object.entries(CSV_FILES).map(([key, spec]) => ({ name: spec.name, file: paths[key], check: (text) => checkCsv(spec, text) })),
+    { name: 'comment_performance.json', file: paths.commentPerformancePath, check: checkPerformanceJson },
+  ];
+
+  const files = targets.map(({ name, file, check }) => {
+    const resolved = path.resolve(file);
+    if (!fs.existsSync(resolved)) return { name, file: resolved, exists: false };
+
+    const original = fs.readFileSync(resolved, 'utf-8');
+    const result   = check(original);
+    const changed  = result.clean !== null && result.text !== original;
+    let copy = null;
+    if (fix && changed) {
+      copy = backup(resolved);
+      writeFileAtomic(resolved, result.text);
+    }
+    return { name, file: resolved, exists: true, changed, backup: copy, ...result };
+  });
+
+  // Only look at a store that exists — opening a new one would import the files being repaired
+  const dbFile = path.resolve(paths.dbPath);
+  const report = { file: dbFile, exists: fs.existsSync(dbFile), badNames: 0, backup: null };
+  if (report.exists) {
+    await store.openStore(dbFile);
+    report.badNames = store.repairAuthorNames({ dryRun: true });
+    if (fix && report.badNames > 0) {
+      report.backup = backup(dbFile);
+      store.repairAuthorNames();
+    }
+  }
+
+  return { files, store: report };
+}
+
+module.exports = {
+  CSV_FILES,
+  checkCsv,
+  checkPerformanceJson,
+  runDoctor,
+};
@@ -0,0 +1,188 @@
+'use strict';
+/**
+ * experiments.js — A/B experiments on prompts and comment-type weights
+ *
+ * Experiments are defined in data/experiments.json (EXPERIMENTS_FILE). Each run
+ * of bot.js assigns one arm per active experiment at random (by arm weight);
+ * the arm's overrides apply for the whole run and the assignment is saved on
+ * every comment logged to comment_performance.json, so outcomes can be
+ * compared per arm once authorReplied / connectionReceived are filled in.
+ *
+ * File format:
+ *   { "experiments": [
+ *     { "id": "comment-prompt", "active": true, "arms": [
+ *         { "id": "v1", "prompts": { "comment": "v1" } },
+ *         { "id": "v2", "prompts": { "comment": "v2" }, "weight": 1 } ] },
+ *     { "id": "more-questions", "arms": [
+ *         { "id": "control" },
+ *         { "id": "questions", "commentTypeWeights": { "curious_question": 40, "agreement": 0 } } ] } ] }
+ *
+ * Arm overrides:
+ *   prompts             { <prompt name>: <version> } — beats PROMPT_<NAME>_VERSION
+ *   commentTypeWeights  { <COMMENT_TYPES id>: weight } — unlisted types keep their weight
+ * An arm without overrides is a control. Two experiments should not override
+ * the same prompt / type, or the arms stop being comparable.
+ *
+ * EXPORTS:
+ *   loadExperiments()        → [{ id, active, arms: [{ id, weight, prompts, commentTypeWeights }] }]
+ *   assignArms([random])     → { experimentId: armId }  (for this process)
+ *   getAssignedArms()        → { experimentId: armId }  ({} before assignArms)
+ *   getArmSettings()         → { prompts: {…}, commentTypeWeights: {…} | null }
+ *   getExperimentReport()    → [{ experiment, arm, comments, replied, connected }]
+ *   formatExperimentReport() → string[] — one line per arm
+ *   resetArms()              — forget this process's assignment
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { getPerformanceData } = require('./learning');
+
+let assigned = {};
+let settings = { prompts: {}, commentTypeWeights: null };
+
+// ─────────────────────────────────────────────────────────────────
+//  LOAD
+// ─────────────────────────────────────────────────────────────────
+
+function loadExperiments() {
+  const file = path.resolve(config.data.experimentsPath);
+  if (!fs.existsSync(file)) return [];
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${file}: not valid JSON (${e.message})`);
+  }
+
+  const ids = new Set();
+  return (raw.experiments || []).map((exp, i) => {
+    const where = `${file}: experiment ${exp.id ? `"${exp.id}"` : `#${i + 1}`}`;
+    if (!exp.id) throw new Error(`${where} has no id`);
+    if (ids.has(exp.id)) throw new Error(`${where} is defined twice`);
+    ids.add(exp.id);
+    if (!Array.isArray(exp.arms) || exp.arms.length < 2) throw new Error(`${where} needs at least 2 arms`);
+
+    const armIds = new Set();
+    const arms = exp.arms.map((arm) => {
+      if (!arm.id) throw new Error(`${where} has an arm without an id`);
+      if (armIds.has(arm.id)) throw new Error(`${where} has two arms called "${arm.id}"`);
+      armIds.add(arm.id);
+      const weight = arm.weight === undefined ? 1 : Number(arm.weight);
+      if (!(weight >= 0)) throw new Error(`${where} arm "${arm.id}": weight must be a number >= 0`);
+      return {
+        id:                 arm.id,
+        weight,
+        prompts:            arm.prompts || {},
+        commentTypeWeights: arm.commentTypeWeights || null,
+      };
+    });
+    if (arms.every((a) => a.weight === 0)) throw new Error(`${where}: every arm has weight 0`);
+
+    return { id: exp.id, active: exp.active !== false, arms };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  ASSIGN
+// ─────────────────────────────────────────────────────────────────
+
+function pickArm(arms, random) {
+  const total = arms.reduce((sum, a) => sum + a.weight, 0);
+  let r = random() * total;
+  for (const arm of arms) {
+    if (r < arm.weight) return arm;
+    r -= arm.weight;
+  }
+  return arms.filter((a) => a.weight > 0).pop();
+}
+
+/**
+ * Pick one arm per active experiment for this run and apply its overrides.
+ * @param {function} [random=Math.random]
+ */
+function assignArms(random = Math.random) {
+  resetArms();
+  for (const exp of loadExperiments().filter((e) => e.active)) {
+    const arm = pickArm(exp.arms, random);
+    assigned[exp.id] = arm.id;
+    Object.assign(settings.prompts, arm.prompts);
+    if (arm.commentTypeWeights) {
+      settings.commentTypeWeights = { ...settings.commentTypeWeights, ...arm.commentTypeWeights };
+    }
+  }
+  return getAssignedArms();
+}
+
+function getAssignedArms() {
+  return { ...assigned };
+}
+
+function getArmSettings() {
+  return settings;
+}
+
+function resetArms() {
+  assigned = {};
+  settings = { prompts: {}, commentTypeWeights: null };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  REPORT
+// ─────────────────────────────────────────────────────────────────
+
+/** yes / known / rate for one outcome field; null values are not known yet */
+function outcomeRate(comments, field) {
+  const known = comments.filter((c) => typeof c[field] === 'boolean');
+  const yes   = known.filter((c) => c[field]).length;
+  return { yes, known: known.length, rate: known.length ? yes / known.length : null };
+}
+
+/**
+ * Outcome rates per experiment arm. Arms defined in the file but never
+ * assigned show up with 0 comments; comments from removed experiments are
+ * still reported.
+ * @returns {Array<{ experiment, arm, comments, replied: {yes, known, rate}, connected: {yes, known, rate} }>}
+ */
+function getExperimentReport() {
+  const groups = new Map();
+  const group = (experiment, arm) => {
+    const key = `${experiment}/${arm}`;
+    if (!groups.has(key)) groups.set(key, { experiment, arm, comments: [] });
+    return groups.get(key);
+  };
+
+  for (const exp of loadExperiments()) {
+    for (const arm of exp.arms) group(exp.id, arm.id);
+  }
+  for (const c of getPerformanceData().comments) {
+    for (const [experiment, arm] of Object.entries(c.experiments || {})) group(experiment, arm).comments.push(c);
+  }
+
+  return [...groups.values()].map((g) => ({
+    experiment: g.experiment,
+    arm:        g.arm,
+    comments:   g.comments.length,
+    replied:    outcomeRate(g.comments, 'authorReplied'),
+    connected:  outcomeRate(g.comments, 'connectionReceived'),
+  }));
+}
+
+function formatExperimentReport() {
+  const pct = (o) => (o.rate === null ? '—' : `${(o.rate * 100).toFixed(1)}% (${o.yes}/${o.known})`);
+  return getExperimentReport().map((r) =>
+    `${r.experiment} / ${r.arm}: ${r.comments} comment${r.comments === 1 ? '' : 's'} · ` +
+    `replied ${pct(r.replied)} · connected ${pct(r.connected)}`);
+}
+
+module.exports = {
+  loadExperiments,
+  assignArms,
+  getAssignedArms,
+  getArmSettings,
+  getExperimentReport,
+  formatExperimentReport,
+  resetArms,
+};
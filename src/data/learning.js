@@ -5,51 +5,41 @@
  * Tracks every comment with metadata so the bot can learn which
  * styles, types, and strategies perform best over time.
  *
- * Data is stored in data/comment_performance.json
+ * Data is stored in the SQLite store (store.js: comments, posts, authors,
+ * outcomes); comment_performance.json is only read by its one-time import.
+ * Drafts from the review queue (bot.js --review, review.js) count too: a
+ * rejected draft is a comment the bot would have posted but shouldn't have.
  *
  * EXPORTS:
- *   logCommentPerformance(entry)  — Save a comment + metadata
+ *   logCommentPerformance(entry)  — Save a posted comment + metadata (also the dedup record)
+ *   updateCommentOutcome(url, o)  — Fill in authorReplied / connectionReceived / profileViewSpike
  *   getPerformanceData()          — Load all tracked comments
  *   getStyleStats()               — Aggregate stats by comment style
  *   getTypeStats()                — Aggregate stats by comment type
  *   getCountryStats()             — Aggregate stats by author country/region
  *   getBestAngles(n)             — Top N performing comment angles
+ *   getPromptVersionStats()      — Aggregate stats by prompt template version
+ *   rejectDraft(id, reason)      — Reject a queued draft (reason kept for the stats)
+ *   getReviewStats()             — Review outcomes overall, by style / type, top reasons
  */
 
-const fs   = require('fs');
-const path = require('path');
-
-const DATA_FILE = path.join(__dirname, '../../data/comment_performance.json');
-
-// ─────────────────────────────────────────────────────────────────
-//  ENSURE FILE EXISTS
-// ─────────────────────────────────────────────────────────────────
-
-function ensureFile() {
-  const dir = path.dirname(DATA_FILE);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  if (!fs.existsSync(DATA_FILE)) {
-    fs.writeFileSync(DATA_FILE, JSON.stringify({ comments: [], stats: { totalComments: 0 } }, null, 2));
-  }
-}
+const { recordComment, listComments, setCommentOutcome, listDrafts, setDraftStatus } = require('./store');
 
 // ─────────────────────────────────────────────────────────────────
-//  READ / WRITE
+//  READ
 // ─────────────────────────────────────────────────────────────────
 
+/** All comments plus rolling counts: totalComments, style_<id>, type_<id>, prompt_<version> */
 function readData() {
-  ensureFile();
-  try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf-8');
-    return JSON.parse(raw);
-  } catch {
-    return { comments: [], stats: { totalComments: 0 } };
+  const comments = listComments();
+  const stats = { totalComments: comments.length };
+  const bump = (key) => { stats[key] = (stats[key] || 0) + 1; };
+  for (const c of comments) {
+    if (c.style) bump(`style_${c.style}`);
+    if (c.type) bump(`type_${c.type}`);
+    if (c.promptVersion) bump(`prompt_${c.promptVersion}`);
   }
-}
-
-function writeData(data) {
-  ensureFile();
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+  return { comments, stats };
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -62,6 +52,7 @@ function writeData(data) {
  * @param {object} entry
  * @param {string} entry.postUrl         - URL of the commented post
  * @param {string} entry.authorName      - Post author's name
+ * @param {string} [entry.profileUrl]    - Post author's profile URL
  * @param {string} entry.authorHeadline  - Post author's headline
  * @param {string} entry.comment         - The comment text posted
  * @param {string} entry.style           - Comment style used (e.g., 'experiential')
@@ -69,32 +60,32 @@ function writeData(data) {
  * @param {number} entry.score           - Post composite score
  * @param {string} entry.bestAngle       - AI's chosen angle
  * @param {number} entry.existingCommentCount - How many comments existed before ours
+ * @param {number} [entry.existingOverlap] - 0–1, how close ours came to one of them (postOverlap.js)
  * @param {string} [entry.authorCountry] - Detected country/region of author
  * @param {string} [entry.postFormat]    - Post format (text, image, video, etc.)
+ * @param {string} [entry.promptVersion] - Prompt template that wrote it (e.g., 'comment@v1')
+ * @param {object} [entry.experiments]   - Experiment arms of this run, { experimentId: armId }
+ * @param {object[]} [entry.candidates]  - Every candidate written for the post with its scores (ranker.js)
+ * @returns {number} comment id
  */
 function logCommentPerformance(entry) {
-  const data = readData();
-
-  data.comments.push({
-    ...entry,
-    timestamp: new Date().toISOString(),
-    // Future fields for manual tracking or automated scraping:
-    authorReplied: null,     // Did the author reply to our comment?
-    profileViewSpike: null,  // Did we see a profile view increase?
-    connectionReceived: null, // Did the author send us a connection?
-  });
-
-  data.stats.totalComments = data.comments.length;
-
-  // Update rolling style/type counts
-  if (entry.style) {
-    data.stats[`style_${entry.style}`] = (data.stats[`style_${entry.style}`] || 0) + 1;
-  }
-  if (entry.type) {
-    data.stats[`type_${entry.type}`] = (data.stats[`type_${entry.type}`] || 0) + 1;
-  }
+  // Outcomes (authorReplied, profileViewSpike, connectionReceived) start unknown
+  return recordComment(entry);
+}
 
-  writeData(data);
+/**
+ * Record what happened after a comment was posted. Only the given fields
+ * change; the rest stay null (unknown) until they are filled in.
+ *
+ * @param {string} postUrl
+ * @param {object} outcome
+ * @param {boolean} [outcome.authorReplied]
+ * @param {boolean} [outcome.connectionReceived]
+ * @param {boolean} [outcome.profileViewSpike]
+ * @returns {boolean} false if no logged comment has that postUrl
+ */
+function updateCommentOutcome(postUrl, outcome) {
+  return setCommentOutcome(postUrl, outcome);
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -192,6 +183,89 @@ function getBestAngles(n = 10) {
     .slice(0, n);
 }
 
+/**
+ * Aggregate stats by prompt template version (see src/ai/prompts.js).
+ * Comments logged before prompts were versioned count as 'unversioned'.
+ * @returns {Array<{ version: string, count: number, percentage: string }>}
+ */
+function getPromptVersionStats() {
+  const data = readData();
+  const counts = {};
+  const total = data.comments.length || 1;
+
+  for (const c of data.comments) {
+    const version = c.promptVersion || 'unversioned';
+    counts[version] = (counts[version] || 0) + 1;
+  }
+
+  return Object.entries(counts)
+    .map(([version, count]) => ({
+      version,
+      count,
+      percentage: ((count / total) * 100).toFixed(1) + '%',
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  REVIEW QUEUE
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Reject a queued draft. It stays in the store with its style, type and
+ * reason so getReviewStats() can tell which styles get turned down.
+ *
+ * @param {number} id
+ * @param {string} [reason] - free text ("too salesy", "wrong angle")
+ */
+function rejectDraft(id, reason = '') {
+  setDraftStatus(id, 'rejected', String(reason || '').trim());
+}
+
+/** reviewed / rejected / rate per value of `field` over the decided drafts */
+function rejectionRates(drafts, field) {
+  const groups = {};
+  for (const d of drafts) {
+    const key = d[field] || 'unknown';
+    const g = groups[key] || (groups[key] = { [field]: key, reviewed: 0, rejected: 0 });
+    g.reviewed++;
+    if (d.status === 'rejected') g.rejected++;
+  }
+  return Object.values(groups)
+    .map((g) => ({ ...g, rate: g.rejected / g.reviewed }))
+    .sort((a, b) => b.rate - a.rate || b.reviewed - a.reviewed);
+}
+
+/**
+ * What the reviewer did with the drafts. Pending drafts are not counted;
+ * approved, posted and failed ones were all approved.
+ * @returns {{ reviewed, approved, edited, rejected, regenerated,
+ *             byStyle: Array<{ style, reviewed, rejected, rate }>,
+ *             byType: Array<{ type, reviewed, rejected, rate }>,
+ *             reasons: Array<{ reason, count }> }}
+ */
+function getReviewStats() {
+  const decided  = listDrafts(['approved', 'rejected', 'posted', 'failed']);
+  const rejected = decided.filter((d) => d.status === 'rejected');
+
+  const reasons = {};
+  for (const d of rejected) {
+    const key = d.reason.toLowerCase() || '(no reason)';
+    reasons[key] = (reasons[key] || 0) + 1;
+  }
+
+  return {
+    reviewed:    decided.length,
+    approved:    decided.length - rejected.length,
+    edited:      decided.filter((d) => d.status !== 'rejected' && d.edited).length,
+    rejected:    rejected.length,
+    regenerated: decided.filter((d) => d.regenerations > 0).length,
+    byStyle:     rejectionRates(decided, 'style'),
+    byType:      rejectionRates(decided, 'type'),
+    reasons:     Object.entries(reasons).map(([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count),
+  };
+}
+
 /**
  * Get a summary string for logging.
  */
@@ -203,15 +277,26 @@ function getSummary() {
   const styles = getStyleStats().slice(0, 3).map(s => `${s.style}:${s.count}`).join(', ');
   const types  = getTypeStats().slice(0, 3).map(t => `${t.type}:${t.count}`).join(', ');
 
-  return `${total} comments tracked | Top styles: ${styles} | Top types: ${types}`;
+  let summary = `${total} comments tracked | Top styles: ${styles} | Top types: ${types}`;
+  const review = getReviewStats();
+  if (review.reviewed > 0) {
+    const worst = review.byStyle.find((s) => s.rejected > 0);
+    summary += ` | Review: ${review.rejected}/${review.reviewed} drafts rejected`;
+    if (worst) summary += ` (most: ${worst.style} ${worst.rejected}/${worst.reviewed})`;
+  }
+  return summary;
 }
 
 module.exports = {
   logCommentPerformance,
+  updateCommentOutcome,
   getPerformanceData,
   getStyleStats,
   getTypeStats,
   getCountryStats,
   getBestAngles,
+  getPromptVersionStats,
+  rejectDraft,
+  getReviewStats,
   getSummary,
 };
@@ -0,0 +1,207 @@
+'use strict';
+/**
+ * lock.js — Lock files, atomic writes and the per-bot run lock
+ *
+ * Two processes can touch the same data files (bot.js and connection-bot.js
+ * share data/linkedin.db and ai_usage.json). Every read-modify-write of those
+ * files holds a short write lock (<file>.lock, created with O_EXCL) and
+ * replaces the file through a temp file + rename, so a reader never sees half
+ * a file and two writers never interleave.
+ *
+ * The run lock (data/<bot>.run.lock) keeps a second copy of the same bot from
+ * starting while the first is still running; it can also wait its turn.
+ * Lock files hold { pid, host, since }. A lock whose process is gone (or, for
+ * write locks, that is older than staleMs) is taken over. Only one process
+ * at a time may remove a stale lock (<lock>.takeover), and it judges the lock
+ * again first, so two processes that both saw it stale can't both end up
+ * holding it.
+ *
+ * EXPORTS:
+ *   writeFileAtomic(file, data)          — temp file + fsync + rename
+ *   withFileLock(file, fn, [opts])       → fn()'s result, under <file>.lock
+ *   acquireRunLock(name, [opts])         → Promise<release()>; throws code 'RUN_LOCKED'
+ *   readLockHolder(lockFile)             → { pid, host, since } | null
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const config = require('../config');
+
+const sleepBuf = new Int32Array(new SharedArrayBuffer(4));
+function sleepSync(ms) {
+  Atomics.wait(sleepBuf, 0, 0, ms);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Atomic write
+// ─────────────────────────────────────────────────────────────────
+
+function writeFileAtomic(file, data) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd  = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, typeof data === 'string' ? Buffer.from(data) : data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Lock files
+// ─────────────────────────────────────────────────────────────────
+
+function readLockHolder(lockFile) {
+  try { return JSON.parse(fs.readFileSync(lockFile, 'utf-8')); } catch { return null; }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';  // exists, owned by someone else
+  }
+}
+
+/** Holder is gone: dead process on this host, unreadable file, or older than staleMs */
+function isStale(lockFile, staleMs) {
+  const holder = readLockHolder(lockFile);
+  if (!holder) {
+    // Being written right now, or garbage — only stale once it has sat there a while
+    try { return Date.now() - fs.statSync(lockFile).mtimeMs > 1000; } catch { return false; }
+  }
+  if (holder.host === os.hostname() && !processAlive(holder.pid)) return true;
+  return staleMs > 0 && Date.now() - new Date(holder.since).getTime() > staleMs;
+}
+
+const TAKEOVER_STALE_MS = 5000;  // a takeover lasts a few file operations
+
+/** Create the lock file with O_EXCL; false if it already exists */
+function createLockFile(lockFile) {
+  try {
+    const fd = fs.openSync(lockFile, 'wx');
+    fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), since: new Date().toISOString() }));
+    fs.closeSync(fd);
+    return true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    return false;
+  }
+}
+
+/**
+ * Remove a stale lock, one process at a time. Another process may have taken
+ * it over since we looked, so it is judged again under the takeover lock.
+ */
+function removeStaleLock(lockFile, staleMs) {
+  const takeover = `${lockFile}.takeover`;
+  if (!createLockFile(takeover)) {
+    // Someone else is taking it over; a takeover lock left by a crashed process is cleared for the next attempt
+    if (isStale(takeover, TAKEOVER_STALE_MS)) fs.rmSync(takeover, { force: true });
+    return;
+  }
+  try {
+    if (isStale(lockFile, staleMs)) fs.rmSync(lockFile, { force: true });
+  } finally {
+    fs.rmSync(takeover, { force: true });
+  }
+}
+
+/** One attempt; true if we now hold the lock */
+function tryLock(lockFile, staleMs) {
+  const dir = path.dirname(lockFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  if (createLockFile(lockFile)) return true;
+  if (!isStale(lockFile, staleMs)) return false;
+  removeStaleLock(lockFile, staleMs);
+  return createLockFile(lockFile);
+}
+
+function unlock(lockFile) {
+  const holder = readLockHolder(lockFile);
+  if (holder && holder.pid === process.pid) fs.rmSync(lockFile, { force: true });
+}
+
+/**
+ * Run fn while holding <file>.lock. Blocks (synchronously, polling) up to
+ * timeoutMs, then throws code 'LOCK_TIMEOUT'.
+ *
+ * @param {string}   file
+ * @param {function} fn
+ * @param {object}   [opts]
+ * @param {number}   [opts.timeoutMs=config.data.lockTimeoutMs]
+ * @param {number}   [opts.staleMs=30000] - a write lock older than this is abandoned
+ */
+function withFileLock(file, fn, { timeoutMs = config.data.lockTimeoutMs, staleMs = 30000 } = {}) {
+  const lockFile = `${path.resolve(file)}.lock`;
+  const deadline = Date.now() + timeoutMs;
+  while (!tryLock(lockFile, staleMs)) {
+    if (Date.now() > deadline) {
+      const holder = readLockHolder(lockFile);
+      throw Object.assign(
+        new Error(`Timed out waiting for ${lockFile}${holder ? ` (held by pid ${holder.pid} since ${holder.since})` : ''}`),
+        { code: 'LOCK_TIMEOUT' },
+      );
+    }
+    sleepSync(25 + Math.floor(Math.random() * 25));
+  }
+  try {
+    return fn();
+  } finally {
+    unlock(lockFile);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Run lock
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Make sure only one copy of a bot runs at a time. Released automatically on exit.
+ *
+ * @param {string}  name                 - 'bot' | 'connection-bot'
+ * @param {object}  [opts]
+ * @param {boolean} [opts.wait=false]    - queue behind the running copy instead of failing
+ * @param {number}  [opts.pollMs=5000]
+ * @param {function} [opts.onWait]       - called once with the holder when we start waiting
+ * @returns {Promise<function>} release()
+ */
+async function acquireRunLock(name, { wait = false, pollMs = 5000, onWait = null } = {}) {
+  const lockFile = path.join(path.dirname(path.resolve(config.data.dbPath)), `${name}.run.lock`);
+  let announced = false;
+
+  while (!tryLock(lockFile, 0)) {
+    const holder = readLockHolder(lockFile) || {};
+    if (!wait) {
+      throw Object.assign(
+        new Error(`${name} is already running (pid ${holder.pid} on ${holder.host}, since ${holder.since}). Lock: ${lockFile}`),
+        { code: 'RUN_LOCKED', holder, lockFile },
+      );
+    }
+    if (!announced && onWait) onWait(holder);
+    announced = true;
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+
+  const release = () => unlock(lockFile);
+  process.once('exit', release);
+  return release;
+}
+
+module.exports = {
+  writeFileAtomic,
+  withFileLock,
+  acquireRunLock,
+  readLockHolder,
+};
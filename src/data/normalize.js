@@ -0,0 +1,67 @@
+'use strict';
+/**
+ * normalize.js — One spelling for names, profile URLs and post URLs
+ *
+ * LinkedIn shows the same person / post in several forms:
+ *   "Santosh Kumar Singh • 2nd"                       → "Santosh Kumar Singh"
+ *   linkedin.com/in/Ann-Lee/?miniProfileUrn=…         → https://www.linkedin.com/in/ann-lee
+ *   /posts/ann-lee_topic-activity-7300000000000000001-AbCd
+ *   /feed/update/urn:li:activity:7300000000000000001/ → https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000001
+ * URLs on other hosts (the mock server) keep their host; only the query
+ * string, fragment and trailing slash are dropped. The /in/<vanity> part is
+ * decoded and lower-cased — LinkedIn treats it case-insensitively.
+ *
+ * EXPORTS:
+ *   normalizeName(name)         → name without the connection-degree marker
+ *   normalizeProfileUrl(url)    → canonical /in/ URL
+ *   profileVanity(url)          → "ann-lee" from an /in/ URL, else ''
+ *   normalizePostUrl(url)       → canonical /feed/update/urn:li:activity:<id> URL when the id is known
+ */
+
+const LINKEDIN_ORIGIN = 'https://www.linkedin.com';
+
+// "https://uk.linkedin.com", "http://linkedin.com", "www.linkedin.com" …
+const LINKEDIN_HOST = /^(?:https?:\/\/)?(?:[a-z]{2,3}\.|www\.)?linkedin\.com(?=\/|$)/i;
+
+// " • 2nd", " · 3rd+", " • 1st degree connection" at the end of a scraped name
+const DEGREE_MARKER = /\s*[•·]\s*(?:1st|2nd|3rd\+?)(?:\s+degree connection)?\s*$/i;
+
+function normalizeName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().replace(DEGREE_MARKER, '');
+}
+
+function stripUrl(url) {
+  return String(url || '').trim().split(/[?#]/)[0].replace(/\/+$/, '');
+}
+
+const VANITY = /\/in\/([^/]+)$/;
+
+function decodeSegment(segment) {
+  try { return decodeURIComponent(segment); } catch { return segment; }
+}
+
+function normalizeProfileUrl(url) {
+  return stripUrl(url)
+    .replace(LINKEDIN_HOST, LINKEDIN_ORIGIN)
+    .replace(VANITY, (_, vanity) => `/in/${decodeSegment(vanity).toLowerCase()}`);
+}
+
+function profileVanity(url) {
+  const match = normalizeProfileUrl(url).match(VANITY);
+  return match ? match[1] : '';
+}
+
+function normalizePostUrl(url) {
+  const bare  = stripUrl(url);
+  const onLi  = LINKEDIN_HOST.test(bare);
+  const match = bare.match(/\/posts\/[^/]*?activity-(\d{19})/) || bare.match(/\/feed\/update\/urn:li:activity:(\d{19})$/);
+  if (onLi && match) return `${LINKEDIN_ORIGIN}/feed/update/urn:li:activity:${match[1]}`;
+  return bare.replace(LINKEDIN_HOST, LINKEDIN_ORIGIN);
+}
+
+module.exports = {
+  normalizeName,
+  normalizeProfileUrl,
+  profileVanity,
+  normalizePostUrl,
+};
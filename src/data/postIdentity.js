@@ -0,0 +1,113 @@
+'use strict';
+/**
+ * postIdentity.js — One id per LinkedIn post, whatever form we saw it in
+ *
+ * The same post shows up as urn:li:activity:<id>, urn:li:ugcPost:<id> and
+ * urn:li:share:<id> (different numbers), inside /feed/update/<urn> URLs,
+ * URL-encoded in tracking links, and as /posts/<slug>-activity-<id>-xxxx
+ * permalinks. The activity id is the canonical id (the bare 19 digits, as
+ * before); a ugcPost / share id is only used when the card showed no activity
+ * id, prefixed ("ugcPost:<id>") so it can't clash. Every id seen on a card is
+ * an alias of the post (store.js keeps them), so a later sighting under any
+ * one of them matches.
+ *
+ * The fingerprint is a hash of the normalized post text (case, accents,
+ * punctuation, links and the "…see more" tail dropped; first 300 chars). It
+ * catches reshares and copies of one text that carry different ids.
+ *
+ * EXPORTS:
+ *   parsePostRefs(text)             → ['7300…', 'ugcPost:7299…', …] every post id in a URL / URN / attribute
+ *   postIdentity(post)              → { id, aliases, fingerprint }
+ *   contentFingerprint(text)        → 16-hex hash, or '' for text too short to tell apart
+ *   findSeen(identity, seen)        → 'id' | 'content' | null — is it in { ids: Set, fingerprints: Set }?
+ *   rememberIdentity(identity, seen) — add its aliases + fingerprint to seen
+ */
+
+const crypto = require('crypto');
+
+const { normalizePostUrl } = require('./normalize');
+
+const URN       = /urn:li:(activity|ugcPost|share):(\d{15,20})/g;
+const PERMALINK = /\/posts\/[^/?#\s]*?-(activity|ugcPost|share)-(\d{15,20})(?:-|$|[/?#])/g;
+
+const FINGERPRINT_CHARS = 300;
+const MIN_FINGERPRINT_CHARS = 40;  // shorter texts ("Congrats!") match too many posts
+
+const refKey = (kind, id) => (kind === 'activity' ? id : `${kind}:${id}`);
+
+function decode(text) {
+  try { return decodeURIComponent(text); } catch { return text.replace(/%3A/gi, ':'); }
+}
+
+/**
+ * @param {string} text - URL, URN, data-urn value…
+ * @returns {string[]} canonical ids, in the order found
+ */
+function parsePostRefs(text) {
+  const src  = decode(String(text || ''));
+  const refs = [];
+  for (const re of [URN, PERMALINK]) {
+    for (const [, kind, id] of src.matchAll(re)) {
+      const key = refKey(kind, id);
+      if (!refs.includes(key)) refs.push(key);
+    }
+  }
+  return refs;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function contentFingerprint(text) {
+  const normalized = String(text || '')
+    .replace(/(?:…|\.\.\.)\s*(?:see )?more\s*$/i, '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\bhashtag#/gi, '#')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  if (normalized.length < MIN_FINGERPRINT_CHARS) return '';
+  return crypto.createHash('sha1').update(normalized.slice(0, FINGERPRINT_CHARS)).digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {object}   post
+ * @param {string}   [post.postUrl]
+ * @param {string[]} [post.postRefs]  - other URNs / hrefs found on the card
+ * @param {string}   [post.postText]
+ * @returns {{ id: string, aliases: string[], fingerprint: string }}
+ *   id is '' when there is neither a post id nor a URL.
+ */
+function postIdentity({ postUrl = '', postRefs = [], postText = '' } = {}) {
+  const aliases = [];
+  for (const source of [postUrl, ...postRefs]) {
+    for (const ref of parsePostRefs(source)) if (!aliases.includes(ref)) aliases.push(ref);
+  }
+  // No id anywhere: the normalized URL is the best we have
+  if (aliases.length === 0 && postUrl) aliases.push(normalizePostUrl(postUrl));
+
+  const id = aliases.find((a) => /^\d+$/.test(a)) || aliases[0] || '';
+  return { id, aliases, fingerprint: contentFingerprint(postText) };
+}
+
+function findSeen({ aliases, fingerprint }, { ids, fingerprints }) {
+  if (aliases.some((a) => ids.has(a))) return 'id';
+  if (fingerprint && fingerprints.has(fingerprint)) return 'content';
+  return null;
+}
+
+function rememberIdentity({ aliases, fingerprint }, { ids, fingerprints }) {
+  for (const a of aliases) ids.add(a);
+  if (fingerprint) fingerprints.add(fingerprint);
+}
+
+module.exports = {
+  parsePostRefs,
+  postIdentity,
+  contentFingerprint,
+  findSeen,
+  rememberIdentity,
+};
@@ -0,0 +1,145 @@
+'use strict';
+/**
+ * runLog.js — Keep the console output of every bot run
+ *
+ * startRunLog('bot') copies everything the process writes to stdout / stderr,
+ * colours stripped, into data/logs/bot-<start time>.log (LOGS_DIR). The first
+ * line says what started when; the last line, written on exit, how it ended:
+ *   # run bot pid 4242 started 2026-10-19T08:30:00.000Z args --review
+ *   …
+ *   # exit 0 at 2026-10-19T09:12:44.000Z
+ * A log without the exit line belongs to a run that is still going (its pid
+ * is alive) or was killed. Only the newest LOGS_KEEP logs per bot are kept.
+ *
+ * EXPORTS:
+ *   startRunLog(bot, [opts])     → { id, file } — id is the log's file name
+ *   listRuns([opts])             → [{ id, bot, pid, args, startedAt, finishedAt, exitCode, status, size }] newest first
+ *   readRunLog(id, [opts])       → log text | null
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+
+const ANSI     = /\x1b\[[0-9;]*[A-Za-z]/g;
+const LOG_NAME = /^([a-z][a-z0-9-]*)-(\d{4}-\d{2}-\d{2}T[\d-]+Z)\.log$/;
+const HEADER   = /^# run (\S+) pid (\d+) started (\S+)(?: args (.*))?$/;
+const FOOTER   = /^# exit (-?\d+) at (\S+)$/;
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/** Drop all but the newest `keep` logs of this bot */
+function prune(dir, bot, keep) {
+  const mine = fs.readdirSync(dir)
+    .filter((f) => { const m = f.match(LOG_NAME); return m && m[1] === bot; })
+    .sort();
+  for (const f of mine.slice(0, Math.max(0, mine.length - keep))) {
+    try { fs.unlinkSync(path.join(dir, f)); } catch { /* gone already */ }
+  }
+}
+
+/**
+ * Start copying this process's console output into a new log file.
+ *
+ * @param {string} bot                        - 'bot' | 'connection-bot'
+ * @param {object} [opts]
+ * @param {string} [opts.dir=config.data.logsDir]
+ * @param {number} [opts.keep=config.data.logsKeep]
+ * @returns {{ id: string, file: string }}
+ */
+function startRunLog(bot, { dir = config.data.logsDir, keep = config.data.logsKeep } = {}) {
+  const logsDir = path.resolve(dir);
+  fs.mkdirSync(logsDir, { recursive: true });
+  const startedAt = new Date().toISOString();
+  const id   = `${bot}-${startedAt.replace(/[:.]/g, '-')}.log`;
+  const file = path.join(logsDir, id);
+  const fd   = fs.openSync(file, 'a');
+
+  const append = (text) => {
+    try { fs.writeSync(fd, text); } catch { /* a full disk must not stop the bot */ }
+  };
+  const args = process.argv.slice(2).join(' ');
+  append(`# run ${bot} pid ${process.pid} started ${startedAt}${args ? ` args ${args}` : ''}\n`);
+
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write.bind(stream);
+    stream.write = (chunk, ...rest) => {
+      append((typeof chunk === 'string' ? chunk : Buffer.from(chunk).toString('utf-8')).replace(ANSI, ''));
+      return write(chunk, ...rest);
+    };
+  }
+  process.on('exit', (code) => {
+    append(`\n# exit ${code} at ${new Date().toISOString()}\n`);
+    try { fs.closeSync(fd); } catch { /* already closed */ }
+  });
+
+  prune(logsDir, bot, Math.max(1, keep));
+  return { id, file };
+}
+
+/**
+ * Every kept run log, newest first. status: 'running' | 'ok' (exit 0) |
+ * 'failed' (other exit code) | 'killed' (no exit line, process gone).
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.dir=config.data.logsDir]
+ */
+function listRuns({ dir = config.data.logsDir } = {}) {
+  const logsDir = path.resolve(dir);
+  if (!fs.existsSync(logsDir)) return [];
+
+  return fs.readdirSync(logsDir)
+    .filter((f) => LOG_NAME.test(f))
+    .sort()
+    .reverse()
+    .map((id) => {
+      const file  = path.join(logsDir, id);
+      const text  = fs.readFileSync(file, 'utf-8');
+      const lines = text.trimEnd().split('\n');
+      const head  = (lines[0] || '').match(HEADER);
+      const foot  = (lines[lines.length - 1] || '').match(FOOTER);
+      const pid   = head ? Number(head[2]) : null;
+      const exitCode = foot ? Number(foot[1]) : null;
+
+      let status;
+      if (foot) status = exitCode === 0 ? 'ok' : 'failed';
+      else status = pid && isAlive(pid) ? 'running' : 'killed';
+
+      return {
+        id,
+        bot:        head ? head[1] : id.match(LOG_NAME)[1],
+        pid,
+        args:       head && head[4] ? head[4] : '',
+        startedAt:  head ? head[3] : null,
+        finishedAt: foot ? foot[2] : null,
+        exitCode,
+        status,
+        size:       Buffer.byteLength(text),
+      };
+    });
+}
+
+/**
+ * @param {string} id - a file name from listRuns(); anything else gives null
+ * @param {object} [opts]
+ * @param {string} [opts.dir=config.data.logsDir]
+ */
+function readRunLog(id, { dir = config.data.logsDir } = {}) {
+  if (!LOG_NAME.test(String(id))) return null;
+  const file = path.join(path.resolve(dir), id);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+}
+
+module.exports = {
+  startRunLog,
+  listRuns,
+  readRunLog,
+};
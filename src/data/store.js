@@ -0,0 +1,1173 @@
+'use strict';
+/**
+ * store.js — SQLite data store shared by bot.js and connection-bot.js
+ *
+ * One embedded database (sql.js, no native build) replaces the old
+ * commented_posts.csv, sent_connections.csv, target_profiles.csv and
+ * comment_performance.json. Tables:
+ *   authors              — one row per person, keyed by profile URL (else name); latest name / headline
+ *   author_names         — every name a person was seen under (renames, old scrapes)
+ *   author_headlines     — every headline they had, with first / last seen
+ *   posts                — one row per post, keyed by its canonical id + text fingerprint (postIdentity.js)
+ *   post_aliases         — every id a post was seen under (activity / ugcPost / share)
+ *   comments             — every comment we posted + its generation metadata
+ *   connection_requests  — every invitation we sent
+ *   outcomes             — what happened after a comment (null = not known yet)
+ *   drafts               — review queue: generated comments waiting for approve / edit / reject
+ *   note_drafts          — review queue for connection notes (connection-bot.js --review)
+ *
+ * sql.js keeps the database in memory. Every change runs under a write lock
+ * (lock.js): reload the file if another process wrote it since, apply the
+ * change, write the file back atomically (temp file + rename). Reads also
+ * reload first, so they see the other bot's writes.
+ * A new database imports the legacy files once (importLegacyFiles); running the
+ * import again only adds rows it hasn't seen.
+ *
+ * Call `await openStore()` once at startup; everything else is synchronous.
+ *
+ * EXPORTS:
+ *   openStore([file])                 → Promise<{ file, created, imported }>
+ *   closeStore()
+ *   importLegacyFiles([paths])        → Promise<{ comments, commentDetails, connections, targets }>
+ *   recordComment(entry)              → comment id
+ *   hasCommented(post)                → boolean — URL or { postUrl, postRefs, postText }
+ *   getCommentedPostKeys()            → { ids: Set, fingerprints: Set }
+ *   findAuthor({ profileUrl, name })  → { id, name, profileUrl, headline, category, names, headlines, lastCommentAt } | null
+ *   countCommentsSince(iso)           → number
+ *   listComments()                    → [entry] in logCommentPerformance() shape, oldest first
+ *   setCommentOutcome(postUrl, o)     → boolean
+ *   queueDraft(draft)                 → draft id, or null if the post already has an open draft
+ *   listDrafts([statuses])            → [draft] oldest first (default: every draft)
+ *   getDraft(id)                      → draft | null
+ *   reviseDraft(id, changes)          — edited text, or a regenerated comment (regenerated: true)
+ *   setDraftStatus(id, status, [why]) — approved / rejected (with reason)
+ *   markDraftPosted(id, commentId)
+ *   markDraftFailed(id, error)        → new status ('approved' again, or 'failed' after MAX_DRAFT_ATTEMPTS)
+ *   getQueuedPostKeys()               → { ids: Set, fingerprints: Set } of pending + approved drafts
+ *   queueNoteDraft(draft)             → note draft id, or null if the profile already has an open one
+ *   listNoteDrafts([statuses])        → [note draft] oldest first (default: every one)
+ *   getNoteDraft(id)                  → note draft | null
+ *   reviseNoteDraft(id, note)         — edited note text
+ *   setNoteDraftStatus(id, status, [why])
+ *   markNoteDraftSent(id, requestId)
+ *   markNoteDraftFailed(id, error)    → new status ('approved' again, or 'failed' after MAX_DRAFT_ATTEMPTS)
+ *   getQueuedProfileUrls()            → Set of profile URLs with a pending / approved note draft
+ *   recordConnectionRequest(entry)    → request id
+ *   listConnectionRequests()          → [{ profileUrl, name, headline, location, note, sentAt, source }] oldest first
+ *   getSentProfileUrls()              → Set of normalized profile URLs
+ *   countConnectionsSince(iso)        → number
+ *   listTargetProfiles()              → [{ profileUrl, name, category }]
+ *   repairAuthorNames([opts])         → number of author names with a "• 2nd" marker (fixed unless dryRun)
+ *
+ * Author names and profile URLs are normalized on the way in (normalize.js).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const config = require('../config');
+const { readCsv } = require('./csv');
+const { normalizeName, normalizeProfileUrl, normalizePostUrl } = require('./normalize');
+const { postIdentity } = require('./postIdentity');
+const { writeFileAtomic, withFileLock } = require('./lock');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS authors (
+    id              INTEGER PRIMARY KEY,
+    name            TEXT NOT NULL DEFAULT '',
+    profile_url     TEXT UNIQUE,
+    headline        TEXT NOT NULL DEFAULT '',
+    location        TEXT NOT NULL DEFAULT '',
+    country         TEXT NOT NULL DEFAULT '',
+    target_category TEXT,
+    created_at      TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS authors_name ON authors (lower(name));
+  CREATE TABLE IF NOT EXISTS author_names (
+    author_id  INTEGER NOT NULL REFERENCES authors(id),
+    name       TEXT NOT NULL,
+    first_seen TEXT NOT NULL,
+    last_seen  TEXT NOT NULL,
+    PRIMARY KEY (author_id, name)
+  );
+  CREATE INDEX IF NOT EXISTS author_names_name ON author_names (lower(name));
+  CREATE TABLE IF NOT EXISTS author_headlines (
+    author_id  INTEGER NOT NULL REFERENCES authors(id),
+    headline   TEXT NOT NULL,
+    first_seen TEXT NOT NULL,
+    last_seen  TEXT NOT NULL,
+    PRIMARY KEY (author_id, headline)
+  );
+  CREATE TABLE IF NOT EXISTS posts (
+    id         INTEGER PRIMARY KEY,
+    post_key   TEXT NOT NULL UNIQUE,
+    url        TEXT NOT NULL,
+    author_id  INTEGER REFERENCES authors(id),
+    format     TEXT NOT NULL DEFAULT '',
+    first_seen TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS post_aliases (
+    alias   TEXT PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id)
+  );
+  CREATE TABLE IF NOT EXISTS comments (
+    id                     INTEGER PRIMARY KEY,
+    post_id                INTEGER NOT NULL REFERENCES posts(id),
+    text                   TEXT NOT NULL,
+    commented_at           TEXT NOT NULL,
+    style                  TEXT NOT NULL DEFAULT '',
+    type                   TEXT NOT NULL DEFAULT '',
+    score                  REAL,
+    best_angle             TEXT NOT NULL DEFAULT '',
+    existing_comment_count INTEGER,
+    existing_overlap       REAL,
+    prompt_version         TEXT NOT NULL DEFAULT '',
+    experiments            TEXT NOT NULL DEFAULT '{}',
+    candidates             TEXT NOT NULL DEFAULT '[]',
+    source                 TEXT NOT NULL DEFAULT 'bot'
+  );
+  CREATE INDEX IF NOT EXISTS comments_at ON comments (commented_at);
+  CREATE TABLE IF NOT EXISTS connection_requests (
+    id        INTEGER PRIMARY KEY,
+    author_id INTEGER NOT NULL REFERENCES authors(id),
+    note      TEXT NOT NULL DEFAULT '',
+    sent_at   TEXT NOT NULL,
+    source    TEXT NOT NULL DEFAULT 'bot'
+  );
+  CREATE INDEX IF NOT EXISTS connection_requests_at ON connection_requests (sent_at);
+  CREATE TABLE IF NOT EXISTS outcomes (
+    comment_id          INTEGER PRIMARY KEY REFERENCES comments(id),
+    author_replied      INTEGER,
+    connection_received INTEGER,
+    profile_view_spike  INTEGER,
+    updated_at          TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS drafts (
+    id                INTEGER PRIMARY KEY,
+    post_key          TEXT NOT NULL,
+    fingerprint       TEXT NOT NULL DEFAULT '',
+    post              TEXT NOT NULL,
+    comment           TEXT NOT NULL,
+    generated_comment TEXT NOT NULL,
+    style             TEXT NOT NULL DEFAULT '',
+    type              TEXT NOT NULL DEFAULT '',
+    best_angle        TEXT NOT NULL DEFAULT '',
+    prompt_version    TEXT NOT NULL DEFAULT '',
+    score             REAL,
+    breakdown         TEXT NOT NULL DEFAULT '{}',
+    experiments       TEXT NOT NULL DEFAULT '{}',
+    candidates        TEXT NOT NULL DEFAULT '[]',
+    status            TEXT NOT NULL DEFAULT 'pending',
+    reason            TEXT NOT NULL DEFAULT '',
+    regenerations     INTEGER NOT NULL DEFAULT 0,
+    attempts          INTEGER NOT NULL DEFAULT 0,
+    comment_id        INTEGER REFERENCES comments(id),
+    created_at        TEXT NOT NULL,
+    updated_at        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS drafts_status ON drafts (status);
+  CREATE TABLE IF NOT EXISTS note_drafts (
+    id             INTEGER PRIMARY KEY,
+    profile_url    TEXT NOT NULL,
+    name           TEXT NOT NULL DEFAULT '',
+    headline       TEXT NOT NULL DEFAULT '',
+    location       TEXT NOT NULL DEFAULT '',
+    invite_url     TEXT NOT NULL DEFAULT '',
+    note           TEXT NOT NULL,
+    generated_note TEXT NOT NULL,
+    status         TEXT NOT NULL DEFAULT 'pending',
+    reason         TEXT NOT NULL DEFAULT '',
+    attempts       INTEGER NOT NULL DEFAULT 0,
+    request_id     INTEGER REFERENCES connection_requests(id),
+    created_at     TEXT NOT NULL,
+    updated_at     TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS note_drafts_status ON note_drafts (status);
+`;
+
+let SQL    = null;  // sql.js module (WASM), loaded once per process
+let db     = null;
+let dbFile = '';
+let dbVersion = ''; // inode + mtime + size of the file as we last read / wrote it
+
+// ─────────────────────────────────────────────────────────────────
+//  OPEN / LOAD / SAVE
+// ─────────────────────────────────────────────────────────────────
+
+/** Changes on every atomic write (rename gives the file a new inode) */
+function fileVersion() {
+  try {
+    const st = fs.statSync(dbFile);
+    return `${st.ino}:${st.mtimeMs}:${st.size}`;
+  } catch {
+    return '';
+  }
+}
+
+function loadFromDisk() {
+  const buf = fs.existsSync(dbFile) ? fs.readFileSync(dbFile) : null;
+  if (db) db.close();
+  db = buf ? new SQL.Database(buf) : new SQL.Database();
+  db.run(SCHEMA);
+  db.run('PRAGMA foreign_keys = ON');
+  dbVersion = fileVersion();
+  migrate();
+}
+
+/**
+ * Bring a database written by an older version up to date. Runs on every
+ * load; the result is saved with the next write.
+ */
+function migrate() {
+  const postColumns = all('PRAGMA table_info(posts)').map((c) => c.name);
+  if (!postColumns.includes('fingerprint')) run("ALTER TABLE posts ADD COLUMN fingerprint TEXT NOT NULL DEFAULT ''");
+  run('CREATE INDEX IF NOT EXISTS posts_fingerprint ON posts (fingerprint)');
+  const commentColumns = all('PRAGMA table_info(comments)').map((c) => c.name);
+  if (!commentColumns.includes('existing_overlap')) run('ALTER TABLE comments ADD COLUMN existing_overlap REAL');
+  if (!commentColumns.includes('candidates')) run("ALTER TABLE comments ADD COLUMN candidates TEXT NOT NULL DEFAULT '[]'");
+  const draftColumns = all('PRAGMA table_info(drafts)').map((c) => c.name);
+  if (!draftColumns.includes('candidates')) run("ALTER TABLE drafts ADD COLUMN candidates TEXT NOT NULL DEFAULT '[]'");
+
+  // Posts saved before post_aliases existed: their key and URL ids become aliases
+  for (const p of all('SELECT id, post_key, url FROM posts WHERE id NOT IN (SELECT post_id FROM post_aliases)')) {
+    for (const alias of new Set([p.post_key, ...postIdentity({ postUrl: p.url }).aliases])) {
+      run('INSERT OR IGNORE INTO post_aliases (alias, post_id) VALUES (?, ?)', [alias, p.id]);
+    }
+  }
+
+  // Authors saved before the name / headline history: their current values start it
+  for (const a of all('SELECT id, name, headline, created_at FROM authors WHERE id NOT IN (SELECT author_id FROM author_names)')) {
+    noteAuthorSighting(a.id, { name: a.name, headline: a.headline, seenAt: a.created_at });
+  }
+
+  // Profile URLs saved before the vanity name was lower-cased: "/in/Ann-Lee" and
+  // "/in/ann-lee" are one person
+  for (const a of all('SELECT id, profile_url FROM authors WHERE profile_url IS NOT NULL')) {
+    const url = normalizeProfileUrl(a.profile_url);
+    if (url === a.profile_url) continue;
+    const twin = get('SELECT id FROM authors WHERE profile_url = ?', [url]);
+    if (twin) mergeAuthor(a.id, twin.id);
+    else run('UPDATE authors SET profile_url = ? WHERE id = ?', [url, a.id]);
+  }
+}
+
+function save() {
+  writeFileAtomic(dbFile, Buffer.from(db.export()));
+  db.run('PRAGMA foreign_keys = ON');  // export() resets connection pragmas
+  dbVersion = fileVersion();
+}
+
+/** The open database, reloaded first if another process wrote the file */
+function conn() {
+  if (!db) throw new Error('Data store is not open — call await openStore() first');
+  if (fileVersion() !== dbVersion) loadFromDisk();
+  return db;
+}
+
+/**
+ * Open (or create) the store. A new database imports the legacy CSV / JSON files.
+ * @param {string} [file=config.data.dbPath]
+ * @returns {Promise<{ file: string, created: boolean, imported: object|null }>}
+ */
+async function openStore(file = config.data.dbPath) {
+  if (!SQL) SQL = await initSqlJs();
+  closeStore();
+  dbFile = path.resolve(file);
+  const created = !fs.existsSync(dbFile);
+  loadFromDisk();
+
+  let imported = null;
+  if (created) {
+    // Read the legacy files first: the import itself must not await inside the lock
+    const legacy = await readLegacyFiles();
+    imported = withFileLock(dbFile, () => {
+      if (fs.existsSync(dbFile)) return null;  // another process created it meanwhile
+      loadFromDisk();
+      const counts = importLegacyRows(legacy);
+      run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', ['legacy_import', JSON.stringify({ at: now(), ...counts })]);
+      save();
+      return counts;
+    });
+    if (!imported) loadFromDisk();
+  }
+  return { file: dbFile, created: !!imported, imported };
+}
+
+function closeStore() {
+  if (db) db.close();
+  db = null;
+  dbVersion = '';
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  QUERY HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+function all(sql, params = []) {
+  const stmt = conn().prepare(sql);
+  try {
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    return rows;
+  } finally {
+    stmt.free();
+  }
+}
+
+function get(sql, params = []) {
+  return all(sql, params)[0] || null;
+}
+
+function run(sql, params = []) {
+  conn().run(sql, params);
+}
+
+function lastId() {
+  return get('SELECT last_insert_rowid() AS id').id;
+}
+
+/**
+ * Run fn in a transaction under the write lock, on the latest copy of the
+ * file, and write it back once it commits.
+ */
+function transaction(fn) {
+  return withFileLock(dbFile, () => {
+    conn().run('BEGIN');
+    let result;
+    try {
+      result = fn();
+      db.run('COMMIT');
+    } catch (e) {
+      db.run('ROLLBACK');
+      throw e;
+    }
+    save();
+    return result;
+  });
+}
+
+const now  = () => new Date().toISOString();
+const bool = (v) => (v === null || v === undefined ? null : !!v);
+const flag = (v) => (typeof v === 'boolean' ? Number(v) : null);
+
+// ─────────────────────────────────────────────────────────────────
+//  AUTHORS + POSTS
+// ─────────────────────────────────────────────────────────────────
+
+/** Add a name / headline to the author's history, widening its first / last seen */
+function noteAuthorSighting(authorId, { name = '', headline = '', seenAt = '' }) {
+  const at = seenAt || now();
+  for (const [table, column, value] of [['author_names', 'name', name], ['author_headlines', 'headline', headline]]) {
+    if (!value) continue;
+    run(
+      `INSERT INTO ${table} (author_id, ${column}, first_seen, last_seen) VALUES (?, ?, ?, ?)
+         ON CONFLICT (author_id, ${column}) DO UPDATE SET
+           first_seen = min(first_seen, excluded.first_seen),
+           last_seen  = max(last_seen, excluded.last_seen)`,
+      [authorId, value, at, at],
+    );
+  }
+}
+
+/** Move everything of author `fromId` (posts, requests, history) onto `intoId` and drop it */
+function mergeAuthor(fromId, intoId) {
+  run('UPDATE posts SET author_id = ? WHERE author_id = ?', [intoId, fromId]);
+  run('UPDATE connection_requests SET author_id = ? WHERE author_id = ?', [intoId, fromId]);
+  for (const [table, column] of [['author_names', 'name'], ['author_headlines', 'headline']]) {
+    for (const r of all(`SELECT ${column} AS value, first_seen, last_seen FROM ${table} WHERE author_id = ?`, [fromId])) {
+      noteAuthorSighting(intoId, { [column]: r.value, seenAt: r.first_seen });
+      noteAuthorSighting(intoId, { [column]: r.value, seenAt: r.last_seen });
+    }
+    run(`DELETE FROM ${table} WHERE author_id = ?`, [fromId]);
+  }
+  run(
+    `UPDATE authors SET target_category = COALESCE(target_category, (SELECT target_category FROM authors WHERE id = ?))
+      WHERE id = ?`,
+    [fromId, intoId],
+  );
+  run('DELETE FROM authors WHERE id = ?', [fromId]);
+}
+
+/**
+ * Find an author by profile URL, else by name (a name-only row is adopted
+ * once its URL is known); fill in any empty fields and add the name and
+ * headline to their history. Returns null when neither a URL nor a name is
+ * given.
+ * @param {string} [seenAt] - when this name / headline was seen (default now)
+ */
+function upsertAuthor({ name = '', profileUrl = '', headline = '', location = '', country = '', seenAt = '' }) {
+  const url = normalizeProfileUrl(profileUrl);
+  name = normalizeName(name);
+  if (!url && !name) return null;
+
+  let row = url ? get('SELECT id FROM authors WHERE profile_url = ?', [url]) : null;
+  if (!row && name) {
+    row = get(
+      "SELECT id FROM authors WHERE lower(name) = lower(?) AND (profile_url IS NULL OR ? = '') ORDER BY id LIMIT 1",
+      [name, url],
+    );
+  }
+
+  if (!row) {
+    run(
+      'INSERT INTO authors (name, profile_url, headline, location, country, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [name, url || null, headline || '', location || '', country || '', now()],
+    );
+    const id = lastId();
+    noteAuthorSighting(id, { name, headline, seenAt });
+    return id;
+  }
+
+  run(
+    `UPDATE authors SET
+       name        = CASE WHEN ? <> '' THEN ? ELSE name END,
+       profile_url = COALESCE(profile_url, ?),
+       headline    = CASE WHEN ? <> '' THEN ? ELSE headline END,
+       location    = CASE WHEN ? <> '' THEN ? ELSE location END,
+       country     = CASE WHEN ? <> '' THEN ? ELSE country END
+     WHERE id = ?`,
+    [name, name, url || null, headline || '', headline || '', location || '', location || '', country || '', country || '', row.id],
+  );
+  noteAuthorSighting(row.id, { name, headline, seenAt });
+  return row.id;
+}
+
+/**
+ * The registry entry for a person. With a profile URL only that URL matches
+ * (or a name-only row upsertAuthor would adopt): two people called
+ * "John Smith" stay apart. Without one, any name the person was ever seen
+ * under matches; of several, the one we commented on last.
+ * @param {object} who
+ * @param {string} [who.profileUrl]
+ * @param {string} [who.name]
+ * @returns {object|null}
+ */
+function findAuthor({ profileUrl = '', name = '' }) {
+  const url = normalizeProfileUrl(profileUrl);
+  name = normalizeName(name);
+  const lastComment = `(SELECT max(c.commented_at) FROM comments c JOIN posts p ON p.id = c.post_id WHERE p.author_id = a.id)`;
+
+  let row = url ? get(`SELECT a.*, ${lastComment} AS last_comment_at FROM authors a WHERE profile_url = ?`, [url]) : null;
+  if (!row && name) {
+    row = get(
+      `SELECT a.*, ${lastComment} AS last_comment_at FROM authors a
+        WHERE a.id IN (SELECT author_id FROM author_names WHERE lower(name) = lower(?))
+          AND (a.profile_url IS NULL OR ? = '')
+        ORDER BY last_comment_at DESC, a.id LIMIT 1`,
+      [name, url],
+    );
+  }
+  if (!row) return null;
+
+  return {
+    id:            row.id,
+    name:          row.name,
+    profileUrl:    row.profile_url || '',
+    headline:      row.headline,
+    category:      row.target_category || '',
+    names:         all('SELECT name FROM author_names WHERE author_id = ? ORDER BY first_seen', [row.id]).map((r) => r.name),
+    headlines:     all('SELECT headline, first_seen, last_seen FROM author_headlines WHERE author_id = ? ORDER BY first_seen', [row.id])
+      .map((r) => ({ headline: r.headline, firstSeen: r.first_seen, lastSeen: r.last_seen })),
+    lastCommentAt: row.last_comment_at || null,
+  };
+}
+
+/** The post saved under any of the identity's ids, or null */
+function findPost({ id, aliases }) {
+  const keys = [...new Set([id, ...aliases])].filter(Boolean);
+  if (keys.length === 0) return null;
+  const marks = keys.map(() => '?').join(', ');
+  return get(
+    `SELECT id FROM posts WHERE post_key IN (${marks})
+     UNION SELECT post_id AS id FROM post_aliases WHERE alias IN (${marks}) LIMIT 1`,
+    [...keys, ...keys],
+  );
+}
+
+/**
+ * Find the post under any of its ids (postIdentity.js) or create it. Every id
+ * seen for it is added to post_aliases; the text fingerprint is kept once known.
+ */
+function upsertPost({ postUrl, postRefs = [], postText = '', postFormat = '' }, authorId) {
+  const identity = postIdentity({ postUrl, postRefs, postText });
+  const row = findPost(identity);
+  let id;
+  if (row) {
+    id = row.id;
+    run(
+      `UPDATE posts SET
+         author_id   = COALESCE(author_id, ?),
+         format      = CASE WHEN ? <> '' THEN ? ELSE format END,
+         fingerprint = CASE WHEN fingerprint = '' THEN ? ELSE fingerprint END
+       WHERE id = ?`,
+      [authorId, postFormat || '', postFormat || '', identity.fingerprint, id],
+    );
+  } else {
+    run('INSERT INTO posts (post_key, url, author_id, format, fingerprint, first_seen) VALUES (?, ?, ?, ?, ?, ?)',
+      [identity.id, normalizePostUrl(postUrl), authorId, postFormat || '', identity.fingerprint, now()]);
+    id = lastId();
+  }
+  for (const alias of identity.aliases) run('INSERT OR IGNORE INTO post_aliases (alias, post_id) VALUES (?, ?)', [alias, id]);
+  return id;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  COMMENTS
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Save a posted comment with its post, author and generation metadata.
+ *
+ * @param {object} entry
+ * @param {string} entry.postUrl
+ * @param {string} entry.comment
+ * @param {string[]} [entry.postRefs]    - other URNs / links of the post (postIdentity.js)
+ * @param {string} [entry.postText]      - for the content fingerprint
+ * @param {string} [entry.authorName]
+ * @param {string} [entry.authorHeadline]
+ * @param {string} [entry.profileUrl]
+ * @param {string} [entry.authorCountry]
+ * @param {string} [entry.postFormat]
+ * @param {string} [entry.style]
+ * @param {string} [entry.type]
+ * @param {number} [entry.score]
+ * @param {string} [entry.bestAngle]
+ * @param {number} [entry.existingCommentCount]
+ * @param {number} [entry.existingOverlap] - 0–1 overlap with those comments (postOverlap.js)
+ * @param {string} [entry.promptVersion]
+ * @param {object} [entry.experiments]   - { experimentId: armId }
+ * @param {object[]} [entry.candidates]  - every candidate written for the post, with its ranker scores
+ * @param {string} [entry.commentedAt]   - ISO time, default now
+ * @returns {number} comment id
+ */
+function recordComment(entry) {
+  return transaction(() => insertComment(entry, 'bot'));
+}
+
+function insertComment(entry, source) {
+  const authorId = upsertAuthor({
+    name:       entry.authorName,
+    profileUrl: entry.profileUrl,
+    headline:   entry.authorHeadline,
+    country:    entry.authorCountry,
+    seenAt:     entry.commentedAt,
+  });
+  const postId = upsertPost(entry, authorId);
+  run(
+    `INSERT INTO comments (post_id, text, commented_at, style, type, score, best_angle,
+                           existing_comment_count, existing_overlap, prompt_version, experiments, candidates, source)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      postId, entry.comment || '', entry.commentedAt || now(), entry.style || '', entry.type || '',
+      typeof entry.score === 'number' ? entry.score : null, entry.bestAngle || '',
+      typeof entry.existingCommentCount === 'number' ? entry.existingCommentCount : null,
+      typeof entry.existingOverlap === 'number' ? entry.existingOverlap : null,
+      entry.promptVersion || '', JSON.stringify(entry.experiments || {}), JSON.stringify(entry.candidates || []), source,
+    ],
+  );
+  return lastId();
+}
+
+/**
+ * Did we comment on this post — under any of its ids, or on a post with the
+ * same text (a reshare / copy)?
+ * @param {string|object} post - a URL, or { postUrl, postRefs, postText }
+ */
+function hasCommented(post) {
+  const identity = postIdentity(typeof post === 'string' ? { postUrl: post } : post);
+  const row = findPost(identity);
+  if (row && get('SELECT 1 AS found FROM comments WHERE post_id = ? LIMIT 1', [row.id])) return true;
+  return !!identity.fingerprint && !!get(
+    'SELECT 1 AS found FROM comments c JOIN posts p ON p.id = c.post_id WHERE p.fingerprint = ? LIMIT 1',
+    [identity.fingerprint],
+  );
+}
+
+/**
+ * Every id (key + aliases) and text fingerprint of the posts we commented on;
+ * postIdentity.findSeen() checks a feed post against them.
+ */
+function getCommentedPostKeys() {
+  const ids          = new Set();
+  const fingerprints = new Set();
+  for (const r of all('SELECT DISTINCT p.post_key, p.fingerprint FROM posts p JOIN comments c ON c.post_id = p.id')) {
+    ids.add(r.post_key);
+    if (r.fingerprint) fingerprints.add(r.fingerprint);
+  }
+  for (const r of all('SELECT alias FROM post_aliases WHERE post_id IN (SELECT post_id FROM comments)')) ids.add(r.alias);
+  return { ids, fingerprints };
+}
+
+function countCommentsSince(iso) {
+  return get('SELECT COUNT(*) AS n FROM comments WHERE commented_at >= ?', [iso]).n;
+}
+
+function listComments() {
+  return all(
+    `SELECT c.*, p.url AS post_url, p.format AS post_format,
+            a.name AS author_name, a.headline AS author_headline, a.profile_url, a.country AS author_country,
+            o.author_replied, o.connection_received, o.profile_view_spike
+       FROM comments c
+       JOIN posts p ON p.id = c.post_id
+       LEFT JOIN authors a ON a.id = p.author_id
+       LEFT JOIN outcomes o ON o.comment_id = c.id
+      ORDER BY c.commented_at, c.id`,
+  ).map((r) => ({
+    postUrl:              r.post_url,
+    authorName:           r.author_name || '',
+    authorHeadline:       r.author_headline || '',
+    profileUrl:           r.profile_url || '',
+    comment:              r.text,
+    style:                r.style,
+    type:                 r.type,
+    score:                r.score,
+    bestAngle:            r.best_angle,
+    existingCommentCount: r.existing_comment_count,
+    existingOverlap:      r.existing_overlap,
+    authorCountry:        r.author_country || '',
+    postFormat:           r.post_format,
+    promptVersion:        r.prompt_version,
+    experiments:          JSON.parse(r.experiments || '{}'),
+    candidates:           JSON.parse(r.candidates || '[]'),
+    timestamp:            r.commented_at,
+    authorReplied:        bool(r.author_replied),
+    profileViewSpike:     bool(r.profile_view_spike),
+    connectionReceived:   bool(r.connection_received),
+  }));
+}
+
+/**
+ * Record outcomes for the latest comment on a post. Fields that aren't
+ * booleans are left as they are.
+ * @returns {boolean} false if we never commented on that post
+ */
+function setCommentOutcome(postUrl, outcome) {
+  const post = findPost(postIdentity({ postUrl }));
+  const row  = post && get('SELECT id FROM comments WHERE post_id = ? ORDER BY commented_at DESC, id DESC LIMIT 1', [post.id]);
+  if (!row) return false;
+
+  transaction(() => {
+    run(
+      `INSERT INTO outcomes (comment_id, author_replied, connection_received, profile_view_spike, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (comment_id) DO UPDATE SET
+         author_replied      = COALESCE(excluded.author_replied, author_replied),
+         connection_received = COALESCE(excluded.connection_received, connection_received),
+         profile_view_spike  = COALESCE(excluded.profile_view_spike, profile_view_spike),
+         updated_at          = excluded.updated_at`,
+      [row.id, flag(outcome.authorReplied), flag(outcome.connectionReceived), flag(outcome.profileViewSpike), now()],
+    );
+  });
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  REVIEW QUEUE (drafts)
+// ─────────────────────────────────────────────────────────────────
+
+// pending → approved → posted; pending → rejected; approved → failed after MAX_DRAFT_ATTEMPTS
+const DRAFT_STATUSES     = ['pending', 'approved', 'rejected', 'posted', 'failed'];
+const OPEN_DRAFT         = "status IN ('pending', 'approved')";
+const MAX_DRAFT_ATTEMPTS = 3;
+
+function toDraft(r) {
+  const post = JSON.parse(r.post);
+  return {
+    id:               r.id,
+    status:           r.status,
+    post,
+    postUrl:          post.postUrl,
+    comment:          r.comment,
+    generatedComment: r.generated_comment,
+    edited:           r.comment !== r.generated_comment,
+    style:            r.style,
+    type:             r.type,
+    bestAngle:        r.best_angle,
+    promptVersion:    r.prompt_version,
+    score:            r.score,
+    breakdown:        JSON.parse(r.breakdown || '{}'),
+    experiments:      JSON.parse(r.experiments || '{}'),
+    candidates:       JSON.parse(r.candidates || '[]'),
+    reason:           r.reason,
+    regenerations:    r.regenerations,
+    attempts:         r.attempts,
+    commentId:        r.comment_id,
+    createdAt:        r.created_at,
+    updatedAt:        r.updated_at,
+  };
+}
+
+/**
+ * Queue a generated comment for review instead of posting it. The feed post
+ * is saved with it (text, author, existing comments) so the draft can be
+ * regenerated and posted later without the feed.
+ *
+ * @param {object} draft
+ * @param {object} draft.post          - { postUrl, postRefs, postText, authorName, authorHeadline, profileUrl, postFormat, commentsData }
+ * @param {string} draft.comment
+ * @param {string} [draft.style]
+ * @param {string} [draft.type]
+ * @param {string} [draft.bestAngle]
+ * @param {string} [draft.promptVersion]
+ * @param {number} [draft.score]
+ * @param {object} [draft.breakdown]   - compositeScore() breakdown
+ * @param {object} [draft.experiments] - { experimentId: armId }
+ * @param {object[]} [draft.candidates] - every candidate written for the post, with its ranker scores
+ * @returns {number|null} null when the post already has a pending / approved draft
+ */
+function queueDraft(draft) {
+  const p = draft.post || {};
+  const post = {
+    postUrl:        p.postUrl || '',
+    postRefs:       p.postRefs || [],
+    postText:       p.postText || '',
+    authorName:     normalizeName(p.authorName),
+    authorHeadline: p.authorHeadline || '',
+    profileUrl:     p.profileUrl ? normalizeProfileUrl(p.profileUrl) : '',
+    postFormat:     p.postFormat || '',
+    commentsData:   p.commentsData || [],
+  };
+  const identity = postIdentity(post);
+
+  return transaction(() => {
+    const open = all(`SELECT post_key, fingerprint FROM drafts WHERE ${OPEN_DRAFT}`);
+    if (open.some((d) => d.post_key === identity.id || (identity.fingerprint && d.fingerprint === identity.fingerprint))) return null;
+
+    const at = now();
+    run(
+      `INSERT INTO drafts (post_key, fingerprint, post, comment, generated_comment, style, type, best_angle,
+                           prompt_version, score, breakdown, experiments, candidates, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        identity.id, identity.fingerprint, JSON.stringify(post), draft.comment, draft.comment,
+        draft.style || '', draft.type || '', draft.bestAngle || '', draft.promptVersion || '',
+        typeof draft.score === 'number' ? draft.score : null,
+        JSON.stringify(draft.breakdown || {}), JSON.stringify(draft.experiments || {}),
+        JSON.stringify(draft.candidates || []), at, at,
+      ],
+    );
+    return lastId();
+  });
+}
+
+/** @param {string[]} [statuses] - e.g. ['pending']; every draft when omitted */
+function listDrafts(statuses = DRAFT_STATUSES) {
+  const marks = statuses.map(() => '?').join(', ');
+  return all(`SELECT * FROM drafts WHERE status IN (${marks}) ORDER BY created_at, id`, statuses).map(toDraft);
+}
+
+function getDraft(id) {
+  const row = get('SELECT * FROM drafts WHERE id = ?', [id]);
+  return row ? toDraft(row) : null;
+}
+
+/**
+ * Change a draft's comment. An edit only replaces the text; a regenerated
+ * comment (regenerated: true) also replaces what the AI wrote, with its
+ * style / type / angle / prompt version / candidates.
+ *
+ * @param {number} id
+ * @param {object} changes - { comment, [regenerated], [style], [type], [bestAngle], [promptVersion], [candidates] }
+ */
+function reviseDraft(id, changes) {
+  transaction(() => {
+    if (changes.regenerated) {
+      run(
+        `UPDATE drafts SET comment = ?, generated_comment = ?, style = ?, type = ?, best_angle = ?, prompt_version = ?,
+                           candidates = ?, regenerations = regenerations + 1, updated_at = ?
+          WHERE id = ?`,
+        [changes.comment, changes.comment, changes.style || '', changes.type || '', changes.bestAngle || '',
+          changes.promptVersion || '', JSON.stringify(changes.candidates || []), now(), id],
+      );
+    } else {
+      run('UPDATE drafts SET comment = ?, updated_at = ? WHERE id = ?', [changes.comment, now(), id]);
+    }
+  });
+}
+
+/**
+ * @param {number} id
+ * @param {'pending'|'approved'|'rejected'} status
+ * @param {string} [reason] - why it was rejected
+ */
+function setDraftStatus(id, status, reason = '') {
+  if (!DRAFT_STATUSES.includes(status)) throw new Error(`Unknown draft status "${status}"`);
+  transaction(() => {
+    run('UPDATE drafts SET status = ?, reason = ?, updated_at = ? WHERE id = ?', [status, reason, now(), id]);
+  });
+}
+
+function markDraftPosted(id, commentId) {
+  transaction(() => {
+    run("UPDATE drafts SET status = 'posted', reason = '', comment_id = ?, attempts = attempts + 1, updated_at = ? WHERE id = ?",
+      [commentId, now(), id]);
+  });
+}
+
+/**
+ * A posting attempt failed: the draft stays approved for the next run, and
+ * is given up on ('failed') after MAX_DRAFT_ATTEMPTS.
+ * @returns {string} the draft's new status
+ */
+function markDraftFailed(id, error) {
+  return transaction(() => {
+    run(
+      `UPDATE drafts SET attempts = attempts + 1, reason = ?, updated_at = ?,
+                         status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE status END
+        WHERE id = ?`,
+      [String(error || ''), now(), MAX_DRAFT_ATTEMPTS, id],
+    );
+    return get('SELECT status FROM drafts WHERE id = ?', [id]).status;
+  });
+}
+
+/** Ids + fingerprints of posts waiting in the queue, so a run doesn't draft them twice */
+function getQueuedPostKeys() {
+  const ids          = new Set();
+  const fingerprints = new Set();
+  for (const r of all(`SELECT post_key, fingerprint, post FROM drafts WHERE ${OPEN_DRAFT}`)) {
+    ids.add(r.post_key);
+    for (const alias of postIdentity(JSON.parse(r.post)).aliases) ids.add(alias);
+    if (r.fingerprint) fingerprints.add(r.fingerprint);
+  }
+  return { ids, fingerprints };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  REVIEW QUEUE (connection notes)
+// ─────────────────────────────────────────────────────────────────
+
+// pending → approved → sent; pending → rejected; approved → failed after MAX_DRAFT_ATTEMPTS
+const NOTE_DRAFT_STATUSES = ['pending', 'approved', 'rejected', 'sent', 'failed'];
+
+function toNoteDraft(r) {
+  return {
+    id:            r.id,
+    status:        r.status,
+    profileUrl:    r.profile_url,
+    name:          r.name,
+    headline:      r.headline,
+    location:      r.location,
+    inviteUrl:     r.invite_url,
+    note:          r.note,
+    generatedNote: r.generated_note,
+    edited:        r.note !== r.generated_note,
+    reason:        r.reason,
+    attempts:      r.attempts,
+    requestId:     r.request_id,
+    createdAt:     r.created_at,
+    updatedAt:     r.updated_at,
+  };
+}
+
+/**
+ * Queue a connection request and its generated note for review instead of
+ * sending it.
+ *
+ * @param {object} draft - { profileUrl, name, headline, location, inviteUrl, note }
+ * @returns {number|null} null when the profile already has a pending / approved note draft
+ */
+function queueNoteDraft(draft) {
+  const profileUrl = normalizeProfileUrl(draft.profileUrl);
+  return transaction(() => {
+    if (get(`SELECT 1 AS found FROM note_drafts WHERE profile_url = ? AND ${OPEN_DRAFT}`, [profileUrl])) return null;
+    const at = now();
+    run(
+      `INSERT INTO note_drafts (profile_url, name, headline, location, invite_url, note, generated_note, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [profileUrl, normalizeName(draft.name), draft.headline || '', draft.location || '', draft.inviteUrl || '',
+        draft.note || '', draft.note || '', at, at],
+    );
+    return lastId();
+  });
+}
+
+/** @param {string[]} [statuses] - e.g. ['pending']; every note draft when omitted */
+function listNoteDrafts(statuses = NOTE_DRAFT_STATUSES) {
+  const marks = statuses.map(() => '?').join(', ');
+  return all(`SELECT * FROM note_drafts WHERE status IN (${marks}) ORDER BY created_at, id`, statuses).map(toNoteDraft);
+}
+
+function getNoteDraft(id) {
+  const row = get('SELECT * FROM note_drafts WHERE id = ?', [id]);
+  return row ? toNoteDraft(row) : null;
+}
+
+function reviseNoteDraft(id, note) {
+  transaction(() => {
+    run('UPDATE note_drafts SET note = ?, updated_at = ? WHERE id = ?', [note, now(), id]);
+  });
+}
+
+/**
+ * @param {number} id
+ * @param {'pending'|'approved'|'rejected'} status
+ * @param {string} [reason] - why it was rejected
+ */
+function setNoteDraftStatus(id, status, reason = '') {
+  if (!NOTE_DRAFT_STATUSES.includes(status)) throw new Error(`Unknown note draft status "${status}"`);
+  transaction(() => {
+    run('UPDATE note_drafts SET status = ?, reason = ?, updated_at = ? WHERE id = ?', [status, reason, now(), id]);
+  });
+}
+
+function markNoteDraftSent(id, requestId) {
+  transaction(() => {
+    run("UPDATE note_drafts SET status = 'sent', reason = '', request_id = ?, attempts = attempts + 1, updated_at = ? WHERE id = ?",
+      [requestId, now(), id]);
+  });
+}
+
+/** Same retry rule as markDraftFailed */
+function markNoteDraftFailed(id, error) {
+  return transaction(() => {
+    run(
+      `UPDATE note_drafts SET attempts = attempts + 1, reason = ?, updated_at = ?,
+                              status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE status END
+        WHERE id = ?`,
+      [String(error || ''), now(), MAX_DRAFT_ATTEMPTS, id],
+    );
+    return get('SELECT status FROM note_drafts WHERE id = ?', [id]).status;
+  });
+}
+
+function getQueuedProfileUrls() {
+  return new Set(all(`SELECT profile_url FROM note_drafts WHERE ${OPEN_DRAFT}`).map((r) => r.profile_url));
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  CONNECTION REQUESTS + TARGETS
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} entry
+ * @param {string} entry.profileUrl
+ * @param {string} [entry.name]
+ * @param {string} [entry.headline]
+ * @param {string} [entry.location]
+ * @param {string} [entry.note]     - note sent with the invitation ('' = none)
+ * @param {string} [entry.sentAt]   - ISO time, default now
+ * @returns {number} request id
+ */
+function recordConnectionRequest(entry) {
+  return transaction(() => insertConnectionRequest(entry, 'bot'));
+}
+
+function insertConnectionRequest(entry, source) {
+  const authorId = upsertAuthor({ ...entry, seenAt: entry.sentAt });
+  run('INSERT INTO connection_requests (author_id, note, sent_at, source) VALUES (?, ?, ?, ?)',
+    [authorId, entry.note || '', entry.sentAt || now(), source]);
+  return lastId();
+}
+
+function listConnectionRequests() {
+  return all(
+    `SELECT r.note, r.sent_at, r.source, a.profile_url, a.name, a.headline, a.location
+       FROM connection_requests r
+       JOIN authors a ON a.id = r.author_id
+      ORDER BY r.sent_at, r.id`,
+  ).map((r) => ({
+    profileUrl: r.profile_url || '',
+    name:       r.name,
+    headline:   r.headline,
+    location:   r.location,
+    note:       r.note,
+    sentAt:     r.sent_at,
+    source:     r.source,
+  }));
+}
+
+function getSentProfileUrls() {
+  const rows = all(
+    `SELECT DISTINCT a.profile_url FROM connection_requests r
+       JOIN authors a ON a.id = r.author_id WHERE a.profile_url IS NOT NULL`,
+  );
+  return new Set(rows.map((r) => r.profile_url));
+}
+
+function countConnectionsSince(iso) {
+  return get('SELECT COUNT(*) AS n FROM connection_requests WHERE sent_at >= ?', [iso]).n;
+}
+
+function listTargetProfiles() {
+  return all('SELECT profile_url, name, target_category FROM authors WHERE target_category IS NOT NULL ORDER BY id')
+    .map((r) => ({ profileUrl: r.profile_url || '', name: r.name, category: r.target_category }));
+}
+
+/**
+ * Strip the connection-degree marker from author names saved before names
+ * were normalized (the data doctor runs this).
+ * @param {object}  [opts]
+ * @param {boolean} [opts.dryRun=false] - only count them
+ */
+function repairAuthorNames({ dryRun = false } = {}) {
+  const bad = all('SELECT id, name FROM authors').filter((r) => normalizeName(r.name) !== r.name);
+  if (!dryRun && bad.length > 0) {
+    transaction(() => {
+      for (const r of bad) run('UPDATE authors SET name = ? WHERE id = ?', [normalizeName(r.name), r.id]);
+    });
+  }
+  return bad.length;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  LEGACY IMPORT
+// ─────────────────────────────────────────────────────────────────
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf-8')); } catch { return null; }
+}
+
+/** Stands in for a legacy row's missing time: older than any quota or cooldown window */
+const UNKNOWN_TIME = '1970-01-01T00:00:00.000Z';
+
+/**
+ * Import the pre-SQLite files. Safe to run again: a post that already has a
+ * comment only gets its empty metadata filled in, and a connection request
+ * with the same profile, note and time is skipped. A row without a time is
+ * stored at UNKNOWN_TIME, so it never counts as sent today.
+ *
+ * @param {object} [paths=config.data] - commentedPostsPath, commentPerformancePath,
+ *                                       sentConnectionsPath, targetProfilesPath
+ * @returns {Promise<{ comments: number, commentDetails: number, connections: number, targets: number }>}
+ */
+async function importLegacyFiles(paths = config.data) {
+  const legacy = await readLegacyFiles(paths);
+  return transaction(() => importLegacyRows(legacy));
+}
+
+async function readLegacyFiles(paths = config.data) {
+  return {
+    commented:   await readCsv(paths.commentedPostsPath),
+    sent:        await readCsv(paths.sentConnectionsPath),
+    targets:     await readCsv(paths.targetProfilesPath),
+    performance: (readJson(paths.commentPerformancePath) || {}).comments || [],
+  };
+}
+
+/** Synchronous part of the import; the caller holds the write lock */
+function importLegacyRows({ commented, sent, targets, performance }) {
+  const counts = { comments: 0, commentDetails: 0, connections: 0, targets: 0 };
+
+  const commentOnPost = (postUrl) => {
+    const post = findPost(postIdentity({ postUrl }));
+    return post && get('SELECT id FROM comments WHERE post_id = ? ORDER BY id LIMIT 1', [post.id]);
+  };
+
+  for (const r of commented) {
+    if (!r.post_url || commentOnPost(r.post_url)) continue;
+    insertComment({
+      postUrl:     r.post_url,
+      authorName:  r.author_name,
+      profileUrl:  r.profile_url,
+      comment:     r.comment_text,
+      commentedAt: r.commented_at || UNKNOWN_TIME,
+    }, 'import');
+    counts.comments++;
+  }
+
+  // comment_performance.json: same comments, with the generation metadata + outcomes
+  for (const e of performance) {
+    if (!e.postUrl) continue;
+    const existing = commentOnPost(e.postUrl);
+    let id;
+    if (existing) {
+      id = existing.id;
+      upsertAuthor({
+        name: e.authorName, profileUrl: e.profileUrl, headline: e.authorHeadline, country: e.authorCountry, seenAt: e.timestamp,
+      });
+      run(
+        `UPDATE comments SET
+           style = CASE WHEN style = '' THEN ? ELSE style END,
+           type  = CASE WHEN type  = '' THEN ? ELSE type END,
+           score = COALESCE(score, ?),
+           best_angle = CASE WHEN best_angle = '' THEN ? ELSE best_angle END,
+           existing_comment_count = COALESCE(existing_comment_count, ?),
+           prompt_version = CASE WHEN prompt_version = '' THEN ? ELSE prompt_version END,
+           experiments = CASE WHEN experiments = '{}' THEN ? ELSE experiments END
+         WHERE id = ?`,
+        [e.style || '', e.type || '', typeof e.score === 'number' ? e.score : null, e.bestAngle || '',
+          typeof e.existingCommentCount === 'number' ? e.existingCommentCount : null,
+          e.promptVersion || '', JSON.stringify(e.experiments || {}), id],
+      );
+    } else {
+      id = insertComment({ ...e, commentedAt: e.timestamp || UNKNOWN_TIME }, 'import');
+    }
+    counts.commentDetails++;
+
+    if ([e.authorReplied, e.connectionReceived, e.profileViewSpike].some((v) => typeof v === 'boolean')) {
+      run(
+        `INSERT OR IGNORE INTO outcomes (comment_id, author_replied, connection_received, profile_view_spike, updated_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, flag(e.authorReplied), flag(e.connectionReceived), flag(e.profileViewSpike), now()],
+      );
+    }
+  }
+
+  for (const r of sent) {
+    const url = normalizeProfileUrl(r.profileUrl);
+    if (!url) continue;
+    const sentAt = r.timestamp || UNKNOWN_TIME;
+    const dup = get(
+      `SELECT 1 AS found FROM connection_requests q JOIN authors a ON a.id = q.author_id
+        WHERE a.profile_url = ? AND q.note = ? AND q.sent_at = ?`,
+      [url, r.noteSent || '', sentAt],
+    );
+    if (dup) continue;
+    insertConnectionRequest({
+      profileUrl: url, name: r.name, headline: r.headline, location: r.location,
+      note: r.noteSent, sentAt,
+    }, 'import');
+    counts.connections++;
+  }
+
+  for (const r of targets) {
+    const id = upsertAuthor({ profileUrl: r.profile_url, name: r.name });
+    if (!id) continue;
+    run('UPDATE authors SET target_category = ? WHERE id = ?', [r.category || '', id]);
+    counts.targets++;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  openStore,
+  closeStore,
+  importLegacyFiles,
+  recordComment,
+  hasCommented,
+  getCommentedPostKeys,
+  findAuthor,
+  countCommentsSince,
+  listComments,
+  setCommentOutcome,
+  queueDraft,
+  listDrafts,
+  getDraft,
+  reviseDraft,
+  setDraftStatus,
+  markDraftPosted,
+  markDraftFailed,
+  getQueuedPostKeys,
+  queueNoteDraft,
+  listNoteDrafts,
+  getNoteDraft,
+  reviseNoteDraft,
+  setNoteDraftStatus,
+  markNoteDraftSent,
+  markNoteDraftFailed,
+  getQueuedProfileUrls,
+  recordConnectionRequest,
+  listConnectionRequests,
+  getSentProfileUrls,
+  countConnectionsSince,
+  listTargetProfiles,
+  repairAuthorNames,
+};
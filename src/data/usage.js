@@ -0,0 +1,264 @@
+'use strict';
+/**
+ * usage.js — AI token usage, cost estimates and the monthly budget
+ *
+ * Every successful AI call (providers.js) is recorded with provider, model,
+ * task and prompt / completion tokens, priced against config.ai.pricing.prices
+ * (USD per 1M tokens). Providers that don't report usage get a chars/4 estimate,
+ * flagged `estimated: true`.
+ *
+ * Data is stored in data/ai_usage.json (next to comment_performance.json):
+ *   { months: { "2026-10": { calls, promptTokens, completionTokens, costUsd } },
+ *     calls:  [ { timestamp, bot, task, provider, model, promptTokens, completionTokens, costUsd, estimated } ],
+ *     schemaFailures: [ { timestamp, schema, task, provider, model, stage, errors } ],
+ *     ruleViolations: [ { timestamp, task, provider, model, stage, violations } ] }
+ * months holds every month's totals; the three lists keep only their newest
+ * AI_USAGE_KEEP rows, so the file (rewritten on every call) stays small.
+ * Totals for the current process are kept in memory for the end-of-run summary.
+ * Both bots write this file, so each update holds its lock and replaces the
+ * file atomically (lock.js).
+ *
+ * EXPORTS:
+ *   recordUsage(entry)            — Save one call, returns the priced entry
+ *   recordSchemaFailure(entry)    — Save one invalid JSON reply (src/ai/schema.js)
+ *   getSchemaFailureStats()       → [{ provider, model, count }] most failures first (kept rows only)
+ *   recordRuleViolations(entry)   — Save one comment that broke the prompt rules (src/ai/commentRules.js)
+ *   getRuleViolationStats()       → [{ provider, model, comments, rules: { <rule>: n } }] most comments first (kept rows only)
+ *   estimateCost(model, in, out)  → { costUsd, priced }
+ *   getMonthUsage([month])        → { calls, promptTokens, completionTokens, costUsd }
+ *   isBudgetExceeded()            → boolean (false when no budget is set)
+ *   getBudgetStatus()             → "$1.23 of $10.00 used in 2026-10" | "$1.23 used in 2026-10"
+ *   getRunUsage()                 → totals for this process
+ *   formatRunUsage()              → "14 AI calls · 21.3k tokens · ~$0.0412 · 1 invalid JSON reply · 2 off-rule comments"
+ *   resetRunUsage()               — clear the in-memory run totals
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const { writeFileAtomic, withFileLock } = require('./lock');
+
+function dataFile() {
+  return path.resolve(config.data.aiUsagePath);
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+let run = { ...emptyTotals(), schemaFailures: 0, ruleViolations: 0 };
+
+// ─────────────────────────────────────────────────────────────────
+//  READ / WRITE
+// ─────────────────────────────────────────────────────────────────
+
+function readData() {
+  try {
+    const data = JSON.parse(fs.readFileSync(dataFile(), 'utf-8'));
+    return {
+      months:         data.months || {},
+      calls:          data.calls || [],
+      schemaFailures: data.schemaFailures || [],
+      ruleViolations: data.ruleViolations || [],
+    };
+  } catch {
+    return { months: {}, calls: [], schemaFailures: [], ruleViolations: [] };
+  }
+}
+
+/** Read-modify-write under the file lock — both bots record usage to the same file */
+function updateData(fn) {
+  const file = dataFile();
+  const keep = Math.max(1, config.data.aiUsageKeep);
+  withFileLock(file, () => {
+    const data = readData();
+    fn(data);
+    for (const list of ['calls', 'schemaFailures', 'ruleViolations']) {
+      if (data[list].length > keep) data[list] = data[list].slice(-keep);
+    }
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+  });
+}
+
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  PRICING
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Price for a model: exact name first, then the longest configured prefix
+ * (so "gpt-4o-2024-08-06" is billed as "gpt-4o", "gpt-4o-mini-…" as "gpt-4o-mini").
+ */
+function priceFor(model) {
+  const prices = config.ai.pricing.prices;
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter((k) => model.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = priceFor(model || '');
+  if (!price) return { costUsd: 0, priced: false };
+  const costUsd = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  return { costUsd: Math.round(costUsd * 1e6) / 1e6, priced: true };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  RECORD
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object}  entry
+ * @param {string}  entry.provider
+ * @param {string}  entry.model
+ * @param {string}  entry.task              - 'scoring' | 'commenting' | 'critic' | 'notes'
+ * @param {number}  entry.promptTokens
+ * @param {number}  entry.completionTokens
+ * @param {boolean} [entry.estimated=false] - token counts are a chars/4 guess
+ * @param {boolean} [entry.persist=true]    - false keeps it out of ai_usage.json (fake provider)
+ */
+function recordUsage(entry) {
+  const { persist = true, ...fields } = entry;
+  const { costUsd, priced } = estimateCost(fields.model, fields.promptTokens, fields.completionTokens);
+  const row = {
+    timestamp: new Date().toISOString(),
+    bot:       path.basename(process.argv[1] || '', '.js'),
+    ...fields,
+    estimated: !!fields.estimated,
+    costUsd,
+    priced,
+  };
+
+  run.calls++;
+  run.promptTokens     += row.promptTokens;
+  run.completionTokens += row.completionTokens;
+  run.costUsd          += costUsd;
+
+  if (persist) {
+    updateData((data) => {
+      const month = monthKey();
+      const m     = data.months[month] || (data.months[month] = emptyTotals());
+      m.calls++;
+      m.promptTokens     += row.promptTokens;
+      m.completionTokens += row.completionTokens;
+      m.costUsd           = Math.round((m.costUsd + costUsd) * 1e6) / 1e6;
+      data.calls.push(row);
+    });
+  }
+  return row;
+}
+
+/**
+ * @param {object} entry
+ * @param {string} entry.schema    - 'score' | 'comment'
+ * @param {string} entry.task
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {string} entry.stage     - 'initial' | 'repair'
+ * @param {Array<{field: string, message: string}>} entry.errors
+ */
+function recordSchemaFailure(entry) {
+  run.schemaFailures++;
+  if (entry.provider === 'fake') return;
+  updateData((data) => {
+    data.schemaFailures.push({ timestamp: new Date().toISOString(), ...entry });
+  });
+}
+
+/**
+ * @param {object} entry
+ * @param {string} entry.task
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {string} entry.stage       - 'initial' | 'rewrite'
+ * @param {Array<{rule: string, message: string}>} entry.violations
+ */
+function recordRuleViolations(entry) {
+  run.ruleViolations++;
+  if (entry.provider === 'fake') return;
+  updateData((data) => {
+    data.ruleViolations.push({ timestamp: new Date().toISOString(), ...entry });
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  QUERY FUNCTIONS
+// ─────────────────────────────────────────────────────────────────
+
+function getMonthUsage(month = monthKey()) {
+  return { ...emptyTotals(), ...(readData().months[month] || {}) };
+}
+
+function isBudgetExceeded() {
+  const budget = config.ai.pricing.monthlyBudgetUsd;
+  if (!budget) return false;
+  return getMonthUsage().costUsd >= budget;
+}
+
+function getBudgetStatus() {
+  const month  = monthKey();
+  const spent  = getMonthUsage(month).costUsd;
+  const budget = config.ai.pricing.monthlyBudgetUsd;
+  return budget
+    ? `$${spent.toFixed(2)} of $${budget.toFixed(2)} used in ${month}`
+    : `$${spent.toFixed(2)} used in ${month}`;
+}
+
+function getSchemaFailureStats() {
+  const byKey = {};
+  for (const f of readData().schemaFailures) {
+    const key = `${f.provider}/${f.model}`;
+    if (!byKey[key]) byKey[key] = { provider: f.provider, model: f.model, count: 0 };
+    byKey[key].count++;
+  }
+  return Object.values(byKey).sort((a, b) => b.count - a.count);
+}
+
+function getRuleViolationStats() {
+  const byKey = {};
+  for (const v of readData().ruleViolations) {
+    const key = `${v.provider}/${v.model}`;
+    if (!byKey[key]) byKey[key] = { provider: v.provider, model: v.model, comments: 0, rules: {} };
+    byKey[key].comments++;
+    for (const { rule } of v.violations || []) byKey[key].rules[rule] = (byKey[key].rules[rule] || 0) + 1;
+  }
+  return Object.values(byKey).sort((a, b) => b.comments - a.comments);
+}
+
+function getRunUsage() {
+  return { ...run };
+}
+
+function formatRunUsage() {
+  const tokens = run.promptTokens + run.completionTokens;
+  const shown  = tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+  let line = `${run.calls} AI call${run.calls === 1 ? '' : 's'} · ${shown} tokens · ~$${run.costUsd.toFixed(4)}`;
+  if (run.schemaFailures) line += ` · ${run.schemaFailures} invalid JSON repl${run.schemaFailures === 1 ? 'y' : 'ies'}`;
+  if (run.ruleViolations) line += ` · ${run.ruleViolations} off-rule comment${run.ruleViolations === 1 ? '' : 's'}`;
+  return line;
+}
+
+function resetRunUsage() {
+  run = { ...emptyTotals(), schemaFailures: 0, ruleViolations: 0 };
+}
+
+module.exports = {
+  recordUsage,
+  recordSchemaFailure,
+  getSchemaFailureStats,
+  recordRuleViolations,
+  getRuleViolationStats,
+  estimateCost,
+  getMonthUsage,
+  isBudgetExceeded,
+  getBudgetStatus,
+  getRunUsage,
+  formatRunUsage,
+  resetRunUsage,
+};
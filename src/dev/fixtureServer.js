@@ -0,0 +1,84 @@
+'use strict';
+/**
+ * fixtureServer.js — Tiny static file server for offline LinkedIn DOM fixtures
+ *
+ * Serves the saved HTML snapshots under fixtures/ on 127.0.0.1 so the real
+ * scraping code (feed.js strategies, getFeedPostsBatch) can run against them
+ * in headless Chromium. Point config.linkedin.baseUrl (LINKEDIN_BASE_URL) at
+ * the returned baseUrl and the feed URL checks line up with the fixture paths.
+ *
+ * URL → file mapping:
+ *   /feed/legacy-data-urn        → fixtures/feed/legacy-data-urn.html
+ *   /feed/legacy-data-urn.html   → fixtures/feed/legacy-data-urn.html
+ *
+ * EXPORTS:
+ *   FIXTURES_DIR                   — absolute path of the fixtures/ folder
+ *   startFixtureServer(rootDir?)   → Promise<{ baseUrl, close() }>
+ */
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.js':   'application/javascript; charset=utf-8',
+  '.png':  'image/png',
+  '.gif':  'image/gif',
+  '.svg':  'image/svg+xml',
+};
+
+/**
+ * Resolve a request path to a file inside rootDir (never outside it).
+ * Tries the exact path, then "<path>.html", then "<path>/index.html".
+ */
+function resolveFile(rootDir, urlPath) {
+  const clean = decodeURIComponent(urlPath.split('?')[0]).replace(/\/+$/, '');
+  const base  = path.resolve(rootDir, '.' + clean);
+  if (!base.startsWith(path.resolve(rootDir))) return null;
+
+  for (const candidate of [base, base + '.html', path.join(base, 'index.html')]) {
+    try {
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch { /* try next */ }
+  }
+  return null;
+}
+
+/**
+ * Start the server on a random free port.
+ * @param {string} [rootDir=FIXTURES_DIR]
+ * @returns {Promise<{ baseUrl: string, close: () => Promise<void> }>}
+ */
+function startFixtureServer(rootDir = FIXTURES_DIR) {
+  const server = http.createServer((req, res) => {
+    const file = resolveFile(rootDir, req.url || '/');
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`No fixture for ${req.url}`);
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+  });
+}
+
+module.exports = { FIXTURES_DIR, startFixtureServer };
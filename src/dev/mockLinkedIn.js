@@ -0,0 +1,499 @@
+'use strict';
+/**
+ * mockLinkedIn.js — Local stand-in for the LinkedIn pages the bots act on
+ *
+ * A small stateful HTTP app that renders just enough of LinkedIn for
+ * postComment() (commenter.js) and sendConnectionRequest() (connector.js) to
+ * run end-to-end without touching the real site. Point the bots at it with
+ *   LINKEDIN_BASE_URL=http://127.0.0.1:<port>
+ * or run it standalone:  npm run mock   (prints the URL to use)
+ *
+ * Pages:
+ *   /feed/                                   new-layout feed ([role="listitem"][componentkey])
+ *   /feed/update/urn:li:activity:<id>/       post detail page (legacy data-urn markup)
+ *   /posts/<slug>-activity-<id>-<code>       same detail page
+ *   /in/<vanity>/                            profile with Connect / More / Pending / Message
+ *   /search/results/people/                  People Search results for every mock profile
+ *   /checkpoint/challenge                    where "checkpoint" profiles redirect to
+ *   /login                                   sign-in form; with state.loggedOut = true
+ *                                            every other page redirects here
+ *
+ * Each post picks how its inline comment box submits, so every branch of
+ * typeAndSubmit() can be driven on purpose:
+ *   submit: 'scoped'   "Comment" button inside the editor form
+ *           'aria'     icon button only reachable via aria-label="Submit comment"
+ *           'tab'      unlabelled-looking "Post now" button after the toolbar
+ *           'enter'    no button at all, Enter key submits
+ *   navigate: true     the card's Comment button opens the detail page
+ *   onFeed: false      only reachable through its detail URL
+ *   unavailable: true  detail page shows "This post cannot be displayed"
+ *
+ * Profile states: 'connect', 'more' (Connect hidden in the More menu),
+ * 'email' (invite needs the member's email), 'pending', 'message' (1st degree),
+ * 'checkpoint' (redirects to /checkpoint/challenge).
+ *
+ * Everything the page submits lands in `state`:
+ *   state.comments    [{ postId, text, via }]
+ *   state.invitations [{ vanity, note, via }]
+ * `via` records HOW the submit happened, so tests can tell the branches apart:
+ *   'dom-click' (element.click() from page.evaluate), 'mouse' (Playwright click),
+ *   'keyboard' (Space/Enter on a focused button), 'enter' (Enter in the editor).
+ *
+ * EXPORTS:
+ *   DEFAULT_POSTS, DEFAULT_PROFILES
+ *   encodeComponentKey(activityId, pad?)  → base64url payload used in componentkey
+ *   startMockLinkedIn(opts?)              → Promise<{ baseUrl, state, reset(), close() }>
+ */
+
+const http = require('http');
+
+const DEFAULT_POSTS = [
+  {
+    id: '7303000000000000101', vanity: 'nadia-farouk', author: 'Nadia Farouk',
+    headline: 'Staff Engineer at Corvid Systems', age: '2h •', submit: 'scoped',
+    text: 'We cut our CI time from 41 minutes to 9 by doing three boring things: caching dependencies per lockfile hash, splitting the test suite by historical runtime, and deleting 300 tests nobody could explain.',
+  },
+  {
+    id: '7303000000000000102', vanity: 'tomas-varga', author: 'Tomás Varga',
+    headline: 'Founder at Parcelwise | Logistics software', age: '5h •', submit: 'aria',
+    text: 'Hiring lesson from our first 20 engineers: the take-home we were proudest of filtered out exactly the people we later tried to poach. We replaced it with a paid one-day pairing session and never looked back.',
+  },
+  {
+    id: '7303000000000000103', vanity: 'grace-lin-pm', author: 'Grace Lin',
+    headline: 'Director of Product, Helio Health', age: '1d •', submit: 'tab',
+    text: 'Unpopular opinion: roadmaps should have fewer dates, not more. Every date we published last year became a commitment someone else planned around, and every slip became a trust problem instead of a planning one.',
+  },
+  {
+    id: '7303000000000000104', vanity: 'omar-sheikh-dev', author: 'Omar Sheikh',
+    headline: 'Engineering Manager | Platform & Reliability', age: '3d •', submit: 'enter',
+    text: 'Our on-call rotation got quieter the week we started paying people for pages outside business hours. Not because fewer things broke, but because teams suddenly cared a lot about alerts that never needed a human.',
+  },
+  {
+    id: '7303000000000000105', vanity: 'ines-moreau', author: 'Inès Moreau',
+    headline: 'Head of Data at Brasserie Group', age: '6h •', submit: 'scoped', navigate: true,
+    text: 'Spent the weekend replacing a 1,400-line dashboard query with a nightly table and a 20-line view. The dashboard is now instant and, more importantly, three teams finally agree on what an active customer is.',
+  },
+  {
+    id: '7303000000000000106', vanity: 'kofi-asante', author: 'Kofi Asante',
+    headline: 'CTO at Yard & Co', age: '2w •', submit: 'scoped', onFeed: false,
+    text: 'Two years into running our own Postgres instead of a managed service. Cost went down 60 percent, sleep went down a little, and we learned more about vacuum settings than anyone should ever have to know.',
+  },
+  {
+    id: '7303000000000000107', vanity: 'hidden-member', author: 'Hidden Member',
+    headline: '', age: '', submit: 'scoped', onFeed: false, unavailable: true,
+    text: '',
+  },
+];
+
+const DEFAULT_PROFILES = [
+  { vanity: 'amara-okafor',   name: 'Amara Okafor',   headline: 'Chief Technology Officer at Kestrel Freight', location: 'Lagos, Nigeria',          degree: '2nd',  state: 'connect' },
+  { vanity: 'jonas-lindqvist', name: 'Jonas Lindqvist', headline: 'CTO | Developer tools for regulated industries', location: 'Stockholm, Sweden',      degree: '3rd+', state: 'more' },
+  { vanity: 'sara-haddad',    name: 'Sara Haddad',    headline: 'Head of Platform at Qamar Labs',             location: 'Dubai, United Arab Emirates', degree: '3rd+', state: 'email' },
+  { vanity: 'liam-oconnell',  name: "Liam O'Connell", headline: 'Co-founder and CTO at Harbourline',          location: 'Dublin, Ireland',         degree: '2nd',  state: 'pending' },
+  { vanity: 'priya-natarajan', name: 'Priya Natarajan', headline: 'VP Engineering at Lumen Health',           location: 'Bengaluru, India',        degree: '1st',  state: 'message' },
+  { vanity: 'wei-zhang',      name: 'Wei Zhang',      headline: 'Engineering Director at Tidal Labs',         location: 'Singapore',               degree: '2nd',  state: 'checkpoint' },
+];
+
+// ─────────────────────────────────────────────────────────────────
+//  componentkey encoding (inverse of the decoder in feed.js / commenter.js)
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Protobuf-style payload: field 1 = activity ID as a varint, then padding.
+ * feed.js and commenter.js find the ID with their varint scan.
+ */
+function encodeComponentKey(activityId, pad = 'feed') {
+  let n = BigInt(activityId);
+  const varint = [];
+  while (n >= 0x80n) { varint.push(Number((n & 0x7fn) | 0x80n)); n >>= 7n; }
+  varint.push(Number(n));
+  const padBytes = Buffer.from(pad);
+  return Buffer.from([0x08, ...varint, 0x10, 0x02, 0x1a, padBytes.length, ...padBytes]).toString('base64url');
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HTML templates
+// ─────────────────────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const STYLE = `
+  body { font-family: sans-serif; margin: 0; background: #f4f2ee; }
+  nav.global-nav { display: flex; gap: 16px; padding: 10px 24px; background: #fff; }
+  main { max-width: 640px; margin: 16px auto; }
+  .card { background: #fff; border-radius: 8px; padding: 12px 16px; margin-bottom: 12px; }
+  .actor a { font-weight: 600; color: #000; text-decoration: none; }
+  .actions { display: flex; gap: 8px; margin-top: 8px; }
+  .comments[hidden], .menu[hidden], .artdeco-modal[hidden] { display: none; }
+  .comment-box { display: flex; align-items: flex-start; gap: 6px; margin-top: 8px; }
+  .ql-editor { flex: 1; min-height: 24px; border: 1px solid #999; border-radius: 16px; padding: 6px 10px; }
+  .comment-item { border-top: 1px solid #eee; padding: 6px 0; }
+  .artdeco-modal { position: fixed; top: 80px; left: 50%; transform: translateX(-50%);
+                   width: 480px; background: #fff; border: 1px solid #999; padding: 16px; }
+  textarea { width: 100%; min-height: 90px; }
+  .menu { border: 1px solid #ccc; background: #fff; padding: 4px; }
+  .menu [role="menuitem"] { padding: 4px 8px; cursor: pointer; }
+`;
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(title)} | LinkedIn (mock)</title>
+<style>${STYLE}</style></head>
+<body>
+<nav class="global-nav" role="navigation">
+  <a href="/feed/">Home</a><a href="/mynetwork/">My Network</a><a href="/notifications/">Notifications</a>
+</nav>
+<main class="scaffold-layout__main">
+${body}
+</main>
+<div class="artdeco-modal" role="dialog" hidden></div>
+<script src="/__mock/app.js"></script>
+</body></html>`;
+}
+
+function submitControl(post) {
+  switch (post.submit) {
+    case 'aria':  return '<button class="mock-submit" aria-label="Submit comment" data-mock-submit>➤</button>';
+    case 'tab':   return '<button class="mock-submit" data-mock-submit>Post now</button>';
+    case 'enter': return '';
+    default:      return '<button class="mock-submit" data-mock-submit>Comment</button>';
+  }
+}
+
+function commentsSection(post, existing) {
+  const list = existing.map((c) => `
+        <article class="comment-item">
+          <a href="/in/${esc(c.vanity)}/">${esc(c.author)}</a>
+          <p>${esc(c.text)}</p>
+          <button>Like</button><button>Reply</button>
+        </article>`).join('');
+  return `
+      <div class="comments" hidden>
+        <form class="comments-comment-box__form comment-box" onsubmit="return false">
+          <div class="ql-editor" contenteditable="true" data-placeholder="Add a comment…"
+               ${post.submit === 'enter' ? 'data-enter-submits' : ''}></div>
+          <button type="button" aria-label="Open Emoji Keyboard">☺</button>
+          <button type="button" aria-label="Add a photo">▣</button>
+          ${submitControl(post)}
+        </form>
+        <div class="comments-list">${list}</div>
+      </div>`;
+}
+
+function postInner(post, existing, { detail = false } = {}) {
+  const detailUrl = `/feed/update/urn:li:activity:${post.id}/`;
+  return `
+      <div class="actor">
+        <a href="/in/${esc(post.vanity)}/">${esc(post.author)}</a>
+        <div class="headline">${esc(post.headline)}</div>
+        <div class="age">${esc(post.age)}</div>
+      </div>
+      <div class="update-components-text" data-testid="expandable-text-box"><p>${esc(post.text)}</p></div>
+      <div class="social-counts"><span>${existing.length + 17} reactions</span> · <span>${existing.length} comments</span></div>
+      <div class="actions">
+        <button aria-label="React Like">Like</button>
+        <button class="mock-open-comments"
+                ${post.navigate && !detail ? `data-navigate="${detailUrl}"` : ''}><svg id="comment-small" width="16" height="16"></svg><span>Comment</span></button>
+        <button>Repost</button>
+      </div>${commentsSection(post, existing)}`;
+}
+
+function feedPage(state) {
+  const cards = state.posts.filter((p) => p.onFeed !== false && !p.unavailable).map((post) => `
+    <div role="listitem" class="card" data-post-id="${post.id}"
+         componentkey="expanded${encodeComponentKey(post.id)}FeedType_MAIN_FEED_RELEVANCE">${postInner(post, commentsFor(state, post.id))}
+    </div>`).join('');
+  return layout('Feed', `<div class="feed-list">${cards}</div>`);
+}
+
+function postPage(state, id) {
+  const post = state.posts.find((p) => p.id === id);
+  if (!post || post.unavailable) {
+    return layout('Post', `
+    <div class="card">
+      <h2>This post cannot be displayed</h2>
+      <p>It may have been deleted, or its author limited who can see it.</p>
+      <a href="/feed/">Go to your feed</a>
+    </div>`);
+  }
+  return layout('Post', `
+    <div class="card feed-shared-update-v2" data-urn="urn:li:activity:${post.id}" data-post-id="${post.id}">${postInner(post, commentsFor(state, post.id), { detail: true })}
+    </div>`);
+}
+
+function profileActions(p) {
+  const invite = `aria-label="Invite ${esc(p.name)} to connect"`;
+  switch (p.state) {
+    case 'connect':
+      return `<button ${invite} data-mock-connect>Connect</button>
+        <button aria-label="More actions" data-mock-more>More</button>`;
+    case 'email':
+      return `<button ${invite} data-mock-connect data-gate="email">Connect</button>
+        <button aria-label="More actions" data-mock-more>More</button>`;
+    case 'more':
+      return `<button aria-label="Follow ${esc(p.name)}">Follow</button>
+        <button aria-label="More actions" data-mock-more>More</button>
+        <div class="menu" role="menu" hidden>
+          <div role="menuitem">Save to PDF</div>
+          <div role="menuitem" ${invite} data-mock-connect>Connect</div>
+          <div role="menuitem">Report / Block</div>
+        </div>`;
+    case 'pending':
+      return `<button aria-label="Pending, click to withdraw invitation sent to ${esc(p.name)}">Pending</button>`;
+    case 'message':
+      return `<a href="/messaging/compose/?recipient=${esc(p.vanity)}" aria-label="Message ${esc(p.name)}">Message</a>`;
+    default:
+      return '';
+  }
+}
+
+function profilePage(p) {
+  return layout(p.name, `
+    <section class="card pv-top-card" data-vanity="${esc(p.vanity)}" data-name="${esc(p.name)}">
+      <h1>${esc(p.name)}</h1>
+      <div class="text-body-medium">${esc(p.headline)}</div>
+      <span class="text-body-small">${esc(p.location)}</span>
+      <div class="actions pvs-profile-actions">${profileActions(p)}</div>
+    </section>`);
+}
+
+function searchPage(state) {
+  const items = state.profiles.map((p) => {
+    const action = p.state === 'message'
+      ? `<button aria-label="Message ${esc(p.name)}">Message</button>`
+      : p.state === 'pending'
+        ? `<button aria-label="Pending">Pending</button>`
+        : `<a href="/preload/custom-invite/?vanityName=${esc(p.vanity)}" aria-label="Invite ${esc(p.name)} to connect">Connect</a>`;
+    return `
+      <li class="reusable-search__result-container card">
+        <div><a href="/in/${esc(p.vanity)}/"><span aria-hidden="true">${esc(p.name)}</span></a></div>
+        <div>• ${esc(p.degree)}</div>
+        <div>${esc(p.headline)}</div>
+        <div>${esc(p.location)}</div>
+        ${action}
+      </li>`;
+  }).join('');
+  return layout('Search', `<ul class="reusable-search__entity-result-list" role="list">${items}</ul>
+    <div class="artdeco-pagination"><button aria-label="Next" disabled>Next</button></div>`);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  In-page behaviour (served as /__mock/app.js)
+// ─────────────────────────────────────────────────────────────────
+
+function clientApp() {
+  const via = (e) => (!e.isTrusted ? 'dom-click' : e.detail > 0 ? 'mouse' : 'keyboard');
+  const post = (url, body) => fetch(url, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+  });
+
+  // ── Comments ──
+  async function submitComment(card, how) {
+    const editor = card.querySelector('[contenteditable="true"]');
+    const text   = editor.innerText.trim();
+    if (!text) return;
+    await post('/__mock/comment', { postId: card.dataset.postId, text, via: how });
+    const item = document.createElement('article');
+    item.className = 'comment-item';
+    item.innerHTML = '<a href="/in/me/">You</a><p></p>';
+    item.querySelector('p').textContent = text;
+    card.querySelector('.comments-list').prepend(item);
+    editor.innerHTML = '';
+  }
+
+  document.addEventListener('click', (e) => {
+    const open = e.target.closest('.mock-open-comments');
+    if (open) {
+      if (open.dataset.navigate) { location.href = open.dataset.navigate; return; }
+      const section = open.closest('[data-post-id]').querySelector('.comments');
+      section.hidden = false;
+      section.querySelector('[contenteditable="true"]').focus();
+      return;
+    }
+    const submit = e.target.closest('[data-mock-submit]');
+    if (submit) { submitComment(submit.closest('[data-post-id]'), via(e)); return; }
+
+    // ── Profile: More menu ──
+    const more = e.target.closest('[data-mock-more]');
+    if (more) {
+      const menu = document.querySelector('.menu');
+      if (menu) menu.hidden = !menu.hidden;
+      return;
+    }
+    const connect = e.target.closest('[data-mock-connect]');
+    if (connect) { openInviteModal(connect.dataset.gate); return; }
+
+    const action = e.target.closest('[data-mock-modal]');
+    if (action) modalAction(action.dataset.mockModal, via(e));
+  });
+
+  document.addEventListener('keydown', (e) => {
+    const editor = e.target.closest && e.target.closest('[data-enter-submits]');
+    if (editor && e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitComment(editor.closest('[data-post-id]'), 'enter');
+    }
+    if (e.key === 'Escape') closeModal();
+  });
+
+  // ── Profile: invite modal ──
+  const modal   = document.querySelector('.artdeco-modal');
+  const profile = () => document.querySelector('.pv-top-card');
+
+  function openInviteModal(gate) {
+    const name = profile().dataset.name;
+    const menu = document.querySelector('.menu');
+    if (menu) menu.hidden = true;
+    modal.innerHTML = gate === 'email'
+      ? `<h2>How do you know ${name}?</h2>
+         <p>To verify this member knows you, please enter their email to connect.</p>
+         <label>Email <input type="email" name="email"></label>
+         <button data-mock-modal="dismiss" aria-label="Dismiss">Cancel</button>
+         <button disabled>Send</button>`
+      : `<h2>Add a note to your invitation?</h2>
+         <p>Personalize your invitation to ${name} by adding a note.</p>
+         <button aria-label="Add a note" data-mock-modal="add-note">Add a note</button>
+         <button aria-label="Send without a note" data-mock-modal="send-plain">Send without a note</button>`;
+    modal.hidden = false;
+  }
+
+  function closeModal() {
+    if (modal) { modal.hidden = true; modal.innerHTML = ''; }
+  }
+
+  async function modalAction(kind, how) {
+    if (kind === 'dismiss') { closeModal(); return; }
+    if (kind === 'add-note') {
+      modal.innerHTML = `<h2>Add a note</h2>
+        <textarea id="custom-message" name="message" maxlength="300"
+                  placeholder="Ex: We know each other from…"></textarea>
+        <button data-mock-modal="dismiss">Cancel</button>
+        <button aria-label="Send invitation" data-mock-modal="send-note">Send</button>`;
+      return;
+    }
+    const note = kind === 'send-note' ? modal.querySelector('textarea').value : '';
+    await post('/__mock/invite', { vanity: profile().dataset.vanity, note, via: how });
+    closeModal();
+    profile().querySelector('.actions').innerHTML =
+      `<button aria-label="Pending, click to withdraw invitation">Pending</button>`;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Server
+// ─────────────────────────────────────────────────────────────────
+
+function commentsFor(state, postId) {
+  return state.seedComments.filter((c) => c.postId === postId)
+    .concat(state.comments.filter((c) => c.postId === postId)
+      .map((c) => ({ ...c, vanity: 'me', author: 'You' })));
+}
+
+function freshState(posts, profiles) {
+  return {
+    posts:    posts.map((p) => ({ ...p })),
+    profiles: profiles.map((p) => ({ ...p })),
+    seedComments: [
+      { postId: '7303000000000000104', vanity: 'ada-kim', author: 'Ada Kim', text: 'Paying for pages changed our alert hygiene too.' },
+    ],
+    comments:    [],
+    invitations: [],
+    loggedOut:   false,
+  };
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => { try { resolve(JSON.parse(body || '{}')); } catch { resolve({}); } });
+  });
+}
+
+/**
+ * Start the mock on 127.0.0.1.
+ * @param {object} [opts]
+ * @param {number} [opts.port=0]        0 = random free port
+ * @param {Array}  [opts.posts]         defaults to DEFAULT_POSTS
+ * @param {Array}  [opts.profiles]      defaults to DEFAULT_PROFILES
+ * @returns {Promise<{ baseUrl: string, state: object, reset: () => void, close: () => Promise<void> }>}
+ */
+function startMockLinkedIn({ port = 0, posts = DEFAULT_POSTS, profiles = DEFAULT_PROFILES } = {}) {
+  let state = freshState(posts, profiles);
+  const appJs = `(${clientApp.toString()})();`;
+
+  const send = (res, status, body, type = 'text/html; charset=utf-8', extra = {}) => {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', ...extra });
+    res.end(body);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url  = new URL(req.url, 'http://mock');
+    const p    = decodeURIComponent(url.pathname);
+    let m;
+
+    if (req.method === 'POST' && p === '/__mock/comment') {
+      const { postId, text, via } = await readJson(req);
+      state.comments.push({ postId, text, via });
+      return send(res, 204, '');
+    }
+    if (req.method === 'POST' && p === '/__mock/invite') {
+      const { vanity, note, via } = await readJson(req);
+      state.invitations.push({ vanity, note, via });
+      const prof = state.profiles.find((x) => x.vanity === vanity);
+      if (prof) prof.state = 'pending';
+      return send(res, 204, '');
+    }
+    if (p === '/__mock/app.js') return send(res, 200, appJs, 'application/javascript; charset=utf-8');
+    if (p === '/__mock/state')  return send(res, 200, JSON.stringify(state, null, 2), 'application/json');
+
+    if (p === '/login') {
+      return send(res, 200, layout('Sign In', '<div class="card"><h2>Sign in</h2>' +
+        '<input id="username" type="text"><input id="password" type="password"><button type="submit">Sign in</button></div>'));
+    }
+    if (state.loggedOut) return send(res, 302, '', 'text/plain', { Location: '/login' });
+
+    if (p === '/' || p === '/feed' || p === '/feed/') return send(res, 200, feedPage(state));
+    if ((m = p.match(/^\/feed\/update\/urn:li:activity:(\d{19})\/?$/)) ||
+        (m = p.match(/^\/posts\/[^/]*-activity-(\d{19})(?:-[^/]*)?\/?$/))) {
+      return send(res, 200, postPage(state, m[1]));
+    }
+    if ((m = p.match(/^\/in\/([^/]+)\/?$/))) {
+      const prof = state.profiles.find((x) => x.vanity === m[1]);
+      if (!prof) return send(res, 404, layout('Not found', '<div class="card"><h2>This page doesn’t exist</h2></div>'));
+      if (prof.state === 'checkpoint') return send(res, 302, '', 'text/plain', { Location: '/checkpoint/challenge' });
+      return send(res, 200, profilePage(prof));
+    }
+    if (p.startsWith('/checkpoint/')) {
+      return send(res, 200, layout('Security Verification', '<div class="card"><h2>Let’s do a quick security check</h2></div>'));
+    }
+    if (p.startsWith('/search/results/people')) return send(res, 200, searchPage(state));
+
+    return send(res, 404, layout('Not found', `<div class="card"><h2>No mock page for ${esc(p)}</h2></div>`));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        get state() { return state; },   // replaced on reset()
+        reset: () => { state = freshState(posts, profiles); },
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_PORT || '4010', 10);
+  startMockLinkedIn({ port }).then(({ baseUrl }) => {
+    console.log(`Mock LinkedIn running at ${baseUrl}`);
+    console.log(`Point the bots at it:  LINKEDIN_BASE_URL=${baseUrl} node bot.js`);
+    console.log(`Submitted comments / invitations: ${baseUrl}/__mock/state`);
+  });
+}
+
+module.exports = { DEFAULT_POSTS, DEFAULT_PROFILES, encodeComponentKey, startMockLinkedIn };
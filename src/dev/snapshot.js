@@ -0,0 +1,228 @@
+'use strict';
+/**
+ * snapshot.js — Capture the live LinkedIn DOM as a sanitized offline fixture
+ *
+ * Used by `node debug-feed.js --capture` and `node debug-search.js --capture`
+ * to turn whatever LinkedIn is serving today into a file under fixtures/ that
+ * test-fixtures.js can replay against feed.js / scrapeSearchPage.
+ *
+ * What is KEPT (the things the scrapers anchor on):
+ *   • element structure and class names (obfuscated or not)
+ *   • componentkey, data-urn, data-id, data-entity-urn, data-view-name, role, aria-*
+ *   • activity / ugcPost / share IDs inside hrefs and URNs
+ *   • the computed display of every element (written inline when it differs
+ *     from the tag default) so innerText line splitting stays the same
+ *
+ * What is SCRUBBED:
+ *   • member names       → "Member1 Sample", "Member2 Sample", … (first-seen order)
+ *   • /in/<vanity> URLs  → /in/member-1, /in/member-2, …
+ *   • post / comment text and any long text run → deterministic lorem words
+ *     (same word count, numbers and punctuation kept)
+ *   • scripts, styles, iframes, hidden hydration blobs, images, query strings
+ *
+ * EXPORTS:
+ *   captureSanitizedHtml(page)     → Promise<string>   full HTML document
+ *   saveFixture(kind, name, html)  → string            path written
+ *   defaultFixtureName()           → "captured-YYYY-MM-DD-HHmm"
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { FIXTURES_DIR } = require('./fixtureServer');
+
+/**
+ * Runs INSIDE the page (self-contained — Playwright serialises it).
+ * Works on a clone of the document so the live tab is left untouched.
+ */
+function sanitizeDocument() {
+  const LOREM = (
+    'lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor ' +
+    'incididunt ut labore et dolore magna aliqua enim ad minim veniam quis nostrud ' +
+    'exercitation ullamco laboris nisi aliquip ex ea commodo consequat duis aute irure ' +
+    'in reprehenderit voluptate velit esse cillum fugiat nulla pariatur excepteur sint ' +
+    'occaecat cupidatat non proident sunt culpa qui officia deserunt mollit anim id est laborum'
+  ).split(' ');
+
+  const BODY_SELECTORS = [
+    '.update-components-text',
+    '.feed-shared-inline-show-more-text',
+    '[data-view-name="feed-commentary"]',
+    '.comments-comment-item__main-content',
+    '[data-testid="expandable-text-box"]',
+  ].join(',');
+
+  const KEEP_ATTRS = new Set([
+    'class', 'role', 'componentkey', 'data-urn', 'data-id', 'data-entity-urn',
+    'data-view-name', 'data-testid', 'href', 'type', 'contenteditable',
+    'data-placeholder', 'placeholder', 'name', 'disabled', 'alt', 'style',
+  ]);
+  const DROP_TAGS = 'script, noscript, iframe, link, meta, style, template, object, embed';
+  const INLINE_TAGS = new Set([
+    'A', 'SPAN', 'STRONG', 'EM', 'B', 'I', 'U', 'SMALL', 'TIME', 'ABBR', 'CODE',
+    'LABEL', 'BUTTON', 'IMG', 'VIDEO', 'SVG', 'INPUT', 'SELECT', 'TEXTAREA', 'BR', 'SUP', 'SUB',
+  ]);
+  const SOCIAL_PROOF = /\bmutual connections?\b|\b(follows|reacted to|commented on|likes this|reposted this)\b/i;
+  const PIXEL = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+
+  // ── 1. Snapshot computed display while the live DOM still has its CSS ──
+  const live  = [...document.body.querySelectorAll('*')];
+  const shown = live.map((el) => {
+    const d = getComputedStyle(el).display;
+    if (d === 'none') return 'none';
+    const inlineDefault = INLINE_TAGS.has(el.tagName.toUpperCase());
+    const inlineNow     = d.startsWith('inline') || d === 'contents';
+    if (inlineDefault && !inlineNow) return 'block';
+    if (!inlineDefault && inlineNow) return 'inline';
+    return '';
+  });
+
+  const root  = document.documentElement.cloneNode(true);
+  const body  = root.querySelector('body');
+  const clone = [...body.querySelectorAll('*')];   // same order as `live`
+
+  for (let i = clone.length - 1; i >= 0; i--) {
+    const el = clone[i];
+    el.removeAttribute('style');
+    if (shown[i] === 'none') el.remove();
+    else if (shown[i]) el.setAttribute('style', `display:${shown[i]}`);
+  }
+  root.querySelectorAll(DROP_TAGS).forEach((el) => el.remove());
+  root.querySelectorAll('svg').forEach((el) => { el.innerHTML = ''; });
+
+  // ── 2. Build the member map from profile links (first-seen order) ──
+  const vanityIds = new Map();   // vanity → N
+  const names     = new Map();   // "Jane Doe" → "Member1 Sample"
+  const firsts    = new Map();   // "Jane"     → "Member1"
+
+  const memberFor = (vanity) => {
+    if (!vanityIds.has(vanity)) vanityIds.set(vanity, vanityIds.size + 1);
+    return vanityIds.get(vanity);
+  };
+
+  for (const a of body.querySelectorAll('a[href*="/in/"]')) {
+    const m = (a.getAttribute('href') || '').match(/\/in\/([^/?#]+)/);
+    if (!m) continue;
+    const n = memberFor(decodeURIComponent(m[1]));
+    // Look at each text node on its own — the visible name and the
+    // "View X's profile" label are often adjacent spans with no whitespace.
+    const parts = [];
+    const tw = document.createTreeWalker(a, NodeFilter.SHOW_TEXT);
+    while (tw.nextNode()) parts.push(tw.currentNode.nodeValue);
+    const line = parts
+      .map((l) => l.replace(/\s*•\s*(1st|2nd|3rd\+?).*$/i, '').trim())
+      .find((l) => l.length >= 3 && l.length <= 70 && /^\p{L}/u.test(l) &&
+                   l.split(/\s+/).length <= 5 && !/^View\b|profile|connections?|followers?/i.test(l));
+    if (!line || names.has(line)) continue;
+    names.set(line, `Member${n} Sample`);
+    const first = line.split(/\s+/)[0];
+    if (first.length >= 3 && !firsts.has(first)) firsts.set(first, `Member${n}`);
+  }
+
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const swaps = [
+    ...[...names].sort((a, b) => b[0].length - a[0].length)
+      .map(([from, to]) => [new RegExp(escape(from), 'g'), to]),
+    ...[...firsts].map(([from, to]) => [new RegExp(`(^|[^\\p{L}])${escape(from)}(?![\\p{L}])`, 'gu'), `$1${to}`]),
+  ];
+  const scrubNames = (s) => swaps.reduce((acc, [re, to]) => acc.replace(re, to), s);
+
+  // ── 3. Text: lorem for bodies and long runs, names everywhere else ──
+  let seed = 0;
+  const loremize = (text) => {
+    seed++;
+    let w = 0;
+    return text.replace(/[\p{L}\p{M}'’-]+/gu, (word) => {
+      const out = LOREM[(seed * 7 + w++) % LOREM.length];
+      return /^\p{Lu}/u.test(word) ? out[0].toUpperCase() + out.slice(1) : out;
+    });
+  };
+
+  const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+  const texts  = [];
+  while (walker.nextNode()) texts.push(walker.currentNode);
+  for (const node of texts) {
+    const t = node.nodeValue;
+    if (!t.trim()) continue;
+    const inBody = node.parentElement && node.parentElement.closest(BODY_SELECTORS);
+    const long   = t.trim().split(/\s+/).length >= 12 || t.trim().length >= 100;
+    if (inBody || long) node.nodeValue = loremize(t);
+    // "Tomás Ruiz and 4 other mutual connections" — names without a profile link
+    else if (SOCIAL_PROOF.test(t)) node.nodeValue = scrubNames(t).replace(/(?<![\p{L}\d]|Member\d+ )\p{Lu}[\p{L}'’-]*(?![\p{L}\d])/gu, 'Someone');
+    else node.nodeValue = scrubNames(t);
+  }
+
+  // ── 4. Attributes ──
+  const scrubHref = (href) => {
+    let h = href.replace(/^https?:\/\/(www\.)?linkedin\.com/i, '');
+    const [p, q] = h.split('?');
+    h = p.replace(/\/in\/([^/?#]+)/, (_, v) => `/in/member-${memberFor(decodeURIComponent(v))}`)
+         .replace(/\/posts\/([^/]+?)_[^/]*?-(activity|ugcPost|share)-(\d{19})/,
+                  (_, v, kind, id) => `/posts/member-${memberFor(decodeURIComponent(v))}_post-${kind}-${id}`);
+    if (q && /urn%3Ali%3A(activity|ugcPost|share)/i.test(q)) return `${h}?${q}`;
+    // Connect buttons: /preload/custom-invite/?vanityName=<vanity>
+    const vanity = q && q.match(/(?:^|&)vanityName=([^&]+)/);
+    return vanity ? `${h}?vanityName=member-${memberFor(decodeURIComponent(vanity[1]))}` : h;
+  };
+
+  for (const el of root.querySelectorAll('*')) {
+    for (const { name } of [...el.attributes]) {
+      if (!KEEP_ATTRS.has(name) && !name.startsWith('aria-')) el.removeAttribute(name);
+    }
+    if (el.hasAttribute('href')) el.setAttribute('href', scrubHref(el.getAttribute('href')));
+    if (el.hasAttribute('alt'))  el.setAttribute('alt', '');
+    for (const name of ['aria-label', 'data-placeholder', 'placeholder']) {
+      if (el.hasAttribute(name)) el.setAttribute(name, scrubNames(el.getAttribute(name)));
+    }
+    if (el.tagName === 'IMG' || el.tagName === 'VIDEO') el.setAttribute('src', PIXEL);
+  }
+
+  const head = root.querySelector('head');
+  head.innerHTML = '<meta charset="utf-8"><title>LinkedIn (sanitized fixture)</title>';
+
+  return {
+    html: root.outerHTML,
+    path: scrubHref(location.pathname),
+    members: vanityIds.size,
+  };
+}
+
+/**
+ * Serialise the current page as a sanitized, self-contained HTML document.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string>}
+ */
+async function captureSanitizedHtml(page) {
+  const { html, path: urlPath, members } = await page.evaluate(sanitizeDocument);
+  const stamp = new Date().toISOString().slice(0, 10);
+  return [
+    '<!DOCTYPE html>',
+    `<!-- Captured from ${urlPath} on ${stamp}. Sanitized by src/dev/snapshot.js: ` +
+      `${members} member(s) renamed, post text replaced with placeholder words. -->`,
+    html,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Write a captured document to fixtures/<kind>/<name>.html.
+ * @param {'feed'|'search'} kind
+ * @param {string} name
+ * @param {string} html
+ * @returns {string} absolute path written
+ */
+function saveFixture(kind, name, html) {
+  const dir = path.join(FIXTURES_DIR, kind);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${name.replace(/[^\w.-]+/g, '-')}.html`);
+  fs.writeFileSync(file, html);
+  return file;
+}
+
+function defaultFixtureName() {
+  const d   = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `captured-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+module.exports = { captureSanitizedHtml, saveFixture, defaultFixtureName };
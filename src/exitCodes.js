@@ -0,0 +1,39 @@
+'use strict';
+/**
+ * exitCodes.js — What the exit status of a --non-interactive run means
+ *
+ * With --non-interactive (systemd, cron, CI) bot.js and connection-bot.js
+ * never wait for Enter, close the browser when they are done and tell a
+ * supervisor how the run went:
+ *   0  SUCCESS          — made at least one comment / request (or queued draft / note)
+ *   1  ERROR            — anything unexpected, LinkedIn unreachable included; see the run log
+ *   2  NO_WORK          — nothing to do: outside the schedule window, an
+ *                         inactivity day, nothing that passed the filters
+ *   3  SESSION_EXPIRED  — LinkedIn wants a login; run `npm run login` in a terminal
+ *   4  QUOTA_REACHED    — the daily connection limit or the monthly AI budget
+ *                         is used up, and nothing was made
+ * Interactive runs keep exiting 0 (or 1 on errors). daemon.js, which is
+ * never interactive, uses the same codes when it stops.
+ *
+ * EXPORTS:
+ *   EXIT                 { SUCCESS, ERROR, NO_WORK, SESSION_EXPIRED, QUOTA_REACHED }
+ *   exitCodeFor(err)     → SESSION_EXPIRED for a login error, else ERROR
+ */
+
+const EXIT = Object.freeze({
+  SUCCESS:         0,
+  ERROR:           1,
+  NO_WORK:         2,
+  SESSION_EXPIRED: 3,
+  QUOTA_REACHED:   4,
+});
+
+/** createSession() throws code 'LOGIN_REQUIRED' instead of prompting (src/browser/session.js) */
+function exitCodeFor(err) {
+  return err && err.code === 'LOGIN_REQUIRED' ? EXIT.SESSION_EXPIRED : EXIT.ERROR;
+}
+
+module.exports = {
+  EXIT,
+  exitCodeFor,
+};
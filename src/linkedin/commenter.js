@@ -1,4 +1,8 @@
 'use strict';
+const config = require('../config');
+
+const FEED_URL = `${config.linkedin.baseUrl}/feed/`;
+
 /** Plain-Promise sleep — page.waitForTimeout removed in modern Playwright */
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
@@ -328,7 +332,9 @@ async function typeAndSubmit(page, commentText, cardKey = null) {
     if (!editors.length) return false;
     const editor = editors[editors.length - 1]; // last visible = the open comment box
 
-    // Walk UP to find the comment editor container (max 12 levels)
+    // Walk UP to find the comment editor container (max 12 levels),
+    // but never past the post card itself — above it are other posts'
+    // action bars, whose "Comment" buttons look exactly like a submit.
     let container = editor.parentElement;
     for (let i = 0; i < 12 && container; i++) {
       // Look for a submit-type button INSIDE this container
@@ -337,6 +343,9 @@ async function typeAndSubmit(page, commentText, cardKey = null) {
         if (!btn.offsetParent) continue; // skip hidden
         const rect = btn.getBoundingClientRect();
         if (rect.width < 10) continue; // skip invisible
+        // Submit sits after the editor; the card's own action-bar "Comment"
+        // toggle sits before it
+        if (!(editor.compareDocumentPosition(btn) & Node.DOCUMENT_POSITION_FOLLOWING)) continue;
         const label = (btn.innerText || btn.getAttribute('aria-label') || '').trim().toLowerCase();
         // Must be a submit-ish button but NOT an emoji/image/toolbar icon
         if (
@@ -350,6 +359,7 @@ async function typeAndSubmit(page, commentText, cardKey = null) {
           return btn.innerText.trim() || btn.getAttribute('aria-label') || 'submit';
         }
       }
+      if (container.matches('[role="listitem"], [data-urn], main')) break;
       container = container.parentElement;
     }
     return false;
@@ -414,6 +424,19 @@ async function typeAndSubmit(page, commentText, cardKey = null) {
   return true;
 }
 
+// ─────────────────────────────────────────────────────────────────
+//  Verify — is the comment rendered in the thread?
+//  Text still sitting in an unsent editor does not count.
+// ─────────────────────────────────────────────────────────────────
+async function isCommentVisible(page, commentText) {
+  const snippet = commentText.slice(0, 40).toLowerCase();
+  return page.evaluate((snip) => {
+    const clone = document.body.cloneNode(true);
+    clone.querySelectorAll('[contenteditable="true"]').forEach((el) => el.remove());
+    return (clone.textContent || '').toLowerCase().includes(snip);
+  }, snippet).catch(() => false);
+}
+
 // ─────────────────────────────────────────────────────────────────
 //  MAIN — postComment
 // ─────────────────────────────────────────────────────────────────
@@ -423,8 +446,8 @@ async function postComment(page, postUrl, commentText) {
     const activityId    = activityMatch ? activityMatch[1] : null;
 
     // ── Ensure we are on the feed ──
-    if (!page.url().includes('linkedin.com/feed')) {
-      await page.goto('https://www.linkedin.com/feed/', { waitUntil: 'domcontentloaded', timeout: 30000 });
+    if (!page.url().startsWith(`${config.linkedin.baseUrl}/feed`)) {
+      await page.goto(FEED_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
       await sleep(3000);
     }
     if (page.url().includes('/login') || page.url().includes('/checkpoint')) {
@@ -457,7 +480,8 @@ async function postComment(page, postUrl, commentText) {
         // Give the UI time to react — then check if LinkedIn navigated away from feed
         await sleep(2000);
         const urlAfterClick = page.url();
-        const stillOnFeed   = urlAfterClick.includes('linkedin.com/feed');
+        const stillOnFeed   = urlAfterClick.startsWith(`${config.linkedin.baseUrl}/feed`) &&
+                              !urlAfterClick.includes('/feed/update/');
 
         if (!stillOnFeed) {
           // LinkedIn navigated to the post detail page — handle it there
@@ -512,9 +536,7 @@ async function postComment(page, postUrl, commentText) {
         await sleep(3500);
 
         // Verify
-        const snippet  = commentText.slice(0, 40).toLowerCase();
-        const pageText = await page.evaluate(() => document.body.innerText.toLowerCase()).catch(() => '');
-        if (pageText.includes(snippet)) {
+        if (await isCommentVisible(page, commentText)) {
           console.log('    ✓ Comment verified in page'); return true;
         }
         console.log('    ✓ Submitted (verification: text not yet visible in DOM)');
@@ -606,9 +628,7 @@ async function postComment(page, postUrl, commentText) {
 
     if (page.url().includes('/login')) return false;
 
-    const snippet  = commentText.slice(0, 40).toLowerCase();
-    const pageText = await page.evaluate(() => document.body.innerText.toLowerCase()).catch(() => '');
-    if (pageText.includes(snippet)) { console.log('    ✓ Comment verified in page'); return true; }
+    if (await isCommentVisible(page, commentText)) { console.log('    ✓ Comment verified in page'); return true; }
     console.log('    ✓ Submitted (verification: text not yet visible in DOM)');
     return true;
 
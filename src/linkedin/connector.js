@@ -22,7 +22,7 @@ function randomBetween(min, max) {
 //  Extract vanity name from profile URL
 // ─────────────────────────────────────────────────────────────────
 function extractVanityName(profileUrl) {
-  const m = profileUrl.match(/linkedin\.com\/in\/([^/?#]+)/);
+  const m = profileUrl.match(/\/in\/([^/?#]+)/);
   return m ? m[1] : null;
 }
 
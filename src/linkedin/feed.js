@@ -6,13 +6,16 @@
  * Applies hard filters + composite scoring to all candidates.
  * Returns the HIGHEST-SCORED post the bot hasn't already interacted with.
  *
- * Accepts recentAuthors so the 7-day author cooldown is enforced
+ * Accepts an author-cooldown check so the cooldown is enforced
  * INSIDE the ranking loop — not outside — so we fall through to
  * the next-best post instead of exiting.
  */
 
 const { shouldSkip, compositeScore } = require('./filters');
-const { extractPostId } = require('../data/csv');
+const { postIdentity, findSeen, rememberIdentity } = require('../data/postIdentity');
+const config = require('../config');
+
+const FEED_URL = `${config.linkedin.baseUrl}/feed/`;
 
 // ─────────────────────────────────────────────────────────────────
 //  NAVIGATION
@@ -20,19 +23,19 @@ const { extractPostId } = require('../data/csv');
 
 async function ensureOnFeed(page) {
   const url = page.url();
-  if (url.includes('linkedin.com/feed')) {
+  if (url.startsWith(`${config.linkedin.baseUrl}/feed`)) {
     console.log('  ✓ Already on LinkedIn feed.');
     return;
   }
   console.log('  Navigating to LinkedIn feed...');
-  const clicked = await page.evaluate(() => {
+  const clicked = await page.evaluate((feedUrl) => {
     const l = document.querySelector('a[href="/feed/"]') ||
-              document.querySelector('a[href="https://www.linkedin.com/feed/"]');
+              document.querySelector(`a[href="${feedUrl}"]`);
     if (l) { l.click(); return true; }
     return false;
-  });
+  }, FEED_URL);
   if (!clicked) {
-    await page.goto('https://www.linkedin.com/feed/', {
+    await page.goto(FEED_URL, {
       waitUntil: 'domcontentloaded', timeout: 30000,
     });
   }
@@ -274,7 +277,7 @@ function parseAuthorFromLines(lines) {
 // ─────────────────────────────────────────────────────────────────
 
 async function collectByLinkWalk(page) {
-  return page.evaluate(() => {
+  return page.evaluate((baseUrl) => {
     function isRealAuthorName(name = '') {
       if (!name || name.length < 3 || name.length > 80) return false;
       const lower = name.toLowerCase();
@@ -322,6 +325,21 @@ async function collectByLinkWalk(page) {
       return { authorName: authorName || 'Unknown', authorHeadline, postText, isConnection };
     }
 
+    // Every URN / permalink on the card that can name a post (activity, ugcPost,
+    // share — a reshare also carries the original's). postIdentity.js sorts them out.
+    function collectPostRefs(card) {
+      const refs = new Set();
+      const wrapper = card.closest('[data-urn],[data-id],[data-entity-urn]');
+      for (const n of [card, wrapper, ...card.querySelectorAll('[data-urn],[data-id],[data-entity-urn],a[href]')]) {
+        if (!n) continue;
+        for (const attr of ['data-urn', 'data-id', 'data-entity-urn', 'href']) {
+          const v = n.getAttribute(attr) || '';
+          if (/activity|ugcPost|share/i.test(v)) refs.add(v);
+        }
+      }
+      return [...refs];
+    }
+
     const results  = [];
     const seenUrls = new Set();
 
@@ -340,7 +358,7 @@ async function collectByLinkWalk(page) {
 
       const url = href.startsWith('http')
         ? href.split('?')[0]
-        : 'https://www.linkedin.com' + href.split('?')[0];
+        : baseUrl + href.split('?')[0];
 
       if (seenUrls.has(url)) continue;
       seenUrls.add(url);
@@ -396,13 +414,14 @@ async function collectByLinkWalk(page) {
         profileUrl = authorLinks[0].getAttribute('href') || '';
       }
       if (profileUrl && !profileUrl.startsWith('http')) {
-        profileUrl = 'https://www.linkedin.com' + profileUrl.split('?')[0];
+        profileUrl = baseUrl + profileUrl.split('?')[0];
       } else if (profileUrl) {
         profileUrl = profileUrl.split('?')[0];
       }
 
       results.push({ 
         postUrl: url, 
+        postRefs: collectPostRefs(el),
         cardText,
         authorName: authorInfo.authorName,
         authorHeadline: authorInfo.authorHeadline,
@@ -417,7 +436,7 @@ async function collectByLinkWalk(page) {
     }
 
     return results;
-  }).then((raw) => raw.filter((p) => p.postText.length >= 80));
+  }, config.linkedin.baseUrl).then((raw) => raw.filter((p) => p.postText.length >= 80));
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -425,7 +444,7 @@ async function collectByLinkWalk(page) {
 // ─────────────────────────────────────────────────────────────────
 
 async function collectByDataUrn(page) {
-  return page.evaluate(() => {
+  return page.evaluate((baseUrl) => {
     function isRealAuthorName(name = '') {
       if (!name || name.length < 3 || name.length > 80) return false;
       const lower = name.toLowerCase();
@@ -473,6 +492,21 @@ async function collectByDataUrn(page) {
       return { authorName: authorName || 'Unknown', authorHeadline, postText, isConnection };
     }
 
+    // Every URN / permalink on the card that can name a post (activity, ugcPost,
+    // share — a reshare also carries the original's). postIdentity.js sorts them out.
+    function collectPostRefs(card) {
+      const refs = new Set();
+      const wrapper = card.closest('[data-urn],[data-id],[data-entity-urn]');
+      for (const n of [card, wrapper, ...card.querySelectorAll('[data-urn],[data-id],[data-entity-urn],a[href]')]) {
+        if (!n) continue;
+        for (const attr of ['data-urn', 'data-id', 'data-entity-urn', 'href']) {
+          const v = n.getAttribute(attr) || '';
+          if (/activity|ugcPost|share/i.test(v)) refs.add(v);
+        }
+      }
+      return [...refs];
+    }
+
     /**
      * Decode a base64url-encoded LinkedIn componentkey proto into an activity ID.
      *
@@ -537,25 +571,25 @@ async function collectByDataUrn(page) {
       const ckMatch = ckAttr.match(/^expanded([A-Za-z0-9_\-]{20,})FeedType_/);
       if (ckMatch) {
         const decoded = decodeUrnBase64(ckMatch[1]);
-        if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:${decoded}/` };
+        if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `${baseUrl}/feed/update/urn:li:activity:${decoded}/` };
       }
 
       // 2. New layout: inner card componentkey (bare base64url, no expanded prefix)
       //    e.g. componentkey="UiufKd42P1_vf6lC5XXljq2DSiIUdmd1-dyCPSlIUDc"
       if (/^[A-Za-z0-9_\-]{30,60}$/.test(ckAttr)) {
         const decoded = decodeUrnBase64(ckAttr);
-        if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:${decoded}/` };
+        if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `${baseUrl}/feed/update/urn:li:activity:${decoded}/` };
       }
 
       const html = el.innerHTML || '';
 
       // 3. Plaintext URN embedded in HTML
       const plain = html.match(/urn:li:activity:(\d{15,})/);
-      if (plain) return { urn: `urn:li:activity:${plain[1]}`, postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:${plain[1]}/` };
+      if (plain) return { urn: `urn:li:activity:${plain[1]}`, postUrl: `${baseUrl}/feed/update/urn:li:activity:${plain[1]}/` };
 
       // 4. URL-encoded URN (e.g. in share hrefs)
       const encoded = html.match(/urn%3Ali%3Aactivity%3A(\d{15,})/);
-      if (encoded) return { urn: `urn:li:activity:${encoded[1]}`, postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:${encoded[1]}/` };
+      if (encoded) return { urn: `urn:li:activity:${encoded[1]}`, postUrl: `${baseUrl}/feed/update/urn:li:activity:${encoded[1]}/` };
 
       // 5. Directly search child componentkeys of inner card wrappers for the base64 pattern
       const innerCards = el.querySelectorAll('[componentkey]');
@@ -565,7 +599,7 @@ async function collectByDataUrn(page) {
         if (/^[0-9a-f]{8}-[0-9a-f]{4}-/.test(ick)) continue;
         if (/^[A-Za-z0-9_\-]{30,60}$/.test(ick)) {
           const decoded = decodeUrnBase64(ick);
-          if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:${decoded}/` };
+          if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `${baseUrl}/feed/update/urn:li:activity:${decoded}/` };
         }
       }
 
@@ -573,7 +607,7 @@ async function collectByDataUrn(page) {
       const testIdMatch = html.match(/data-testid="([A-Za-z0-9_\-]+)-commentLists/);
       if (testIdMatch) {
         const decoded = decodeUrnBase64(testIdMatch[1]);
-        if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:${decoded}/` };
+        if (decoded) return { urn: `urn:li:activity:${decoded}`, postUrl: `${baseUrl}/feed/update/urn:li:activity:${decoded}/` };
       }
 
       return null;
@@ -600,7 +634,7 @@ async function collectByDataUrn(page) {
       if (urn) {
         // Old layout: build URL from data attribute directly
         const match = urn.match(/activity[:\-](\d+)/);
-        if (match) postUrl = `https://www.linkedin.com/feed/update/urn:li:activity:${match[1]}/`;
+        if (match) postUrl = `${baseUrl}/feed/update/urn:li:activity:${match[1]}/`;
       }
 
       // New layout (or old layout that didn't yield a URL yet): try all extraction methods
@@ -665,18 +699,15 @@ async function collectByDataUrn(page) {
         profileUrl = authorLinks[0].getAttribute('href') || '';
       }
       if (profileUrl && !profileUrl.startsWith('http')) {
-        profileUrl = 'https://www.linkedin.com' + profileUrl.split('?')[0];
+        profileUrl = baseUrl + profileUrl.split('?')[0];
       } else if (profileUrl) {
         profileUrl = profileUrl.split('?')[0];
       }
 
-      const finalMatch = urn.match(/activity[:\-](\d+)/);
-      const postId = finalMatch ? finalMatch[1] : (postUrl ? postUrl.split('activity:')[1].replace('/', '') : urn);
-
       results.push({ 
         urn,
-        postId,
         postUrl, 
+        postRefs: [...new Set([urn, ...collectPostRefs(el)])],
         cardText,
         authorName: authorInfo.authorName,
         authorHeadline: authorInfo.authorHeadline,
@@ -690,7 +721,7 @@ async function collectByDataUrn(page) {
       });
     }
     return results;
-  }).then((raw) => raw.filter((p) => p.postText.length >= 80));
+  }, config.linkedin.baseUrl).then((raw) => raw.filter((p) => p.postText.length >= 80));
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -731,20 +762,21 @@ async function collectByBodyText(page) {
 //  DEDUP
 // ─────────────────────────────────────────────────────────────────
 
+/**
+ * Drop posts already in the batch under any of their ids, or with the same
+ * text (a reshare / copy). Each kept post gets postId, postAliases and
+ * fingerprint (postIdentity.js).
+ */
 function dedup(posts) {
-  const seenUrls = new Set();
-  const seenText = new Set();
-  return posts.filter((p) => {
-    const textKey = p.postText.slice(0, 60);
-    if (seenText.has(textKey)) return false;
-    seenText.add(textKey);
-    if (p.postUrl) {
-      const id = extractPostId(p.postUrl);
-      if (seenUrls.has(id)) return false;
-      seenUrls.add(id);
-    }
-    return true;
-  });
+  const seen = { ids: new Set(), fingerprints: new Set() };
+  const kept = [];
+  for (const p of posts) {
+    const identity = postIdentity(p);
+    if (findSeen(identity, seen)) continue;
+    rememberIdentity(identity, seen);
+    kept.push({ ...p, postId: identity.id, postAliases: identity.aliases, fingerprint: identity.fingerprint });
+  }
+  return kept;
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -755,11 +787,12 @@ function dedup(posts) {
  * Finds the highest-scored interesting post from the feed.
  *
  * @param {Page}    page
- * @param {Set}     commentedUrls  - Post URLs already commented on
+ * @param {object}  commented      - { ids, fingerprints } of posts already commented on (store.getCommentedPostKeys)
+ * @param {function} authorCooldown - post → null, or { tier, cooldownDays } while its author is cooling down (authors.checkAuthorCooldown)
  * @param {Array<number>} thresholds     - Array of fallback thresholds to use (e.g. [80, 70, 60])
  * @returns {Promise<object|null>}
  */
-async function findOneInterestingPost(page, commentedUrls = new Set(), recentAuthors = new Set(), thresholds = [80, 70, 60]) {
+async function findOneInterestingPost(page, commented = { ids: new Set(), fingerprints: new Set() }, authorCooldown = () => null, thresholds = [80, 70, 60]) {
   await ensureOnFeed(page);
   await scrollFeed(page, 10);
 
@@ -806,10 +839,10 @@ async function findOneInterestingPost(page, commentedUrls = new Set(), recentAut
       continue;
     }
 
-    // URL dedup
-    const postId = extractPostId(post.postUrl);
-    if (commentedUrls.has(postId)) {
-      console.log(`  [SKIP] Already commented → ${post.authorName}`);
+    // Already commented — under any of its ids, or the same text
+    const seenAs = findSeen({ aliases: post.postAliases, fingerprint: post.fingerprint }, commented);
+    if (seenAs) {
+      console.log(`  [SKIP] Already commented (${seenAs}) → ${post.authorName}`);
       continue;
     }
 
@@ -820,9 +853,10 @@ async function findOneInterestingPost(page, commentedUrls = new Set(), recentAut
       continue;
     }
 
-    // 7-day author cooldown — skip here inside loop so we fall to next candidate
-    if (recentAuthors.has((post.authorName || '').toLowerCase())) {
-      console.log(`  [SKIP] Author cooldown (7d) → ${post.authorName}`);
+    // Author cooldown — skip here inside loop so we fall to next candidate
+    const cooldown = authorCooldown(post);
+    if (cooldown) {
+      console.log(`  [SKIP] Author cooldown (${cooldown.tier}, ${cooldown.cooldownDays}d) → ${post.authorName}`);
       continue;
     }
 
@@ -992,4 +1026,13 @@ async function getFeedPostsBatch(page, passes = 5) {
   return dedupd;
 }
 
-module.exports = { findOneInterestingPost, scrapeProfilePosts, getFeedPostsBatch, parseEngagement };
+module.exports = {
+  findOneInterestingPost,
+  scrapeProfilePosts,
+  getFeedPostsBatch,
+  parseEngagement,
+  // Individual extraction strategies — exported for the offline fixture suite
+  collectByLinkWalk,
+  collectByDataUrn,
+  collectByBodyText,
+};
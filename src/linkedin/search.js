@@ -0,0 +1,243 @@
+'use strict';
+/**
+ * search.js — LinkedIn People Search scraping
+ *
+ * Extracted from connection-bot.js so the same scraper can run against
+ * saved search-page fixtures (see test-fixtures.js / debug-search.js --capture).
+ *
+ * EXPORTS:
+ *   scrollToLoadResults(page)  — trigger lazy-loading of every result card
+ *   scrapeSearchPage(page)     → [{ name, headline, location, profileUrl, degree, inviteUrl }]
+ *   clickNextPage(page)        → boolean (true if the next results page opened)
+ */
+
+const config = require('../config');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ─────────────────────────────────────────────────────────────────
+//  SEARCH PAGE SCRAPING
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Scroll down the current page gradually so LinkedIn's Intersection-Observer
+ * lazy-loader renders each result card before we try to read its text.
+ */
+async function scrollToLoadResults(page) {
+  await page.evaluate(async () => {
+    const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+    // Scroll in chunks — triggers the IntersectionObserver on each card
+    for (let i = 0; i < 10; i++) {
+      window.scrollBy(0, 500);
+      await delay(500);
+    }
+    // Scroll back to top so pagination button is still in view later
+    window.scrollTo(0, 0);
+    await delay(400);
+  });
+  await sleep(1200);
+}
+
+/**
+ * Scrape profile cards from the current LinkedIn People Search results page.
+ *
+ * LinkedIn now uses randomised/obfuscated CSS class names that change with
+ * every deploy. Instead of relying on class selectors we:
+ *   1. Scroll the page to trigger lazy-loading of all result cards.
+ *   2. Anchor on `a[href*="/in/"]` links — these are stable.
+ *   3. Walk UP the DOM from each link until we find a container that:
+ *        • has exactly ONE unique /in/ URL (= this profile's card boundary)
+ *        • has enough text to contain name + headline + location.
+ *   4. Parse name / headline / location from the card's innerText lines.
+ */
+async function scrapeSearchPage(page) {
+  await scrollToLoadResults(page);
+
+  // Make sure at least one profile link is visible before evaluating
+  try {
+    await page.waitForSelector('a[href*="/in/"]', { timeout: 8000 });
+  } catch {
+    console.log('  [!] No profile links found on this page — may be a CAPTCHA / redirect.');
+    return [];
+  }
+
+  return page.evaluate((baseUrl) => {
+    const results  = [];
+    const seenUrls = new Set();
+
+    // UI noise that should never appear as name / headline / location
+    const NOISE = new Set([
+      'Connect', 'Follow', 'Message', 'Pending', 'Withdraw',
+      'Promoted', 'Sponsored', 'LinkedIn Member', '...',
+    ]);
+    const isDegree = (s) => /^•?\s*(1st|2nd|3rd\+)/i.test(s);
+    const isNoise  = (s) => NOISE.has(s) || isDegree(s) || /^\d+$/.test(s) || s.length < 2;
+
+    const allLinks = Array.from(document.querySelectorAll('a[href*="/in/"]'));
+
+    for (const link of allLinks) {
+      // Skip nav / header links (user's own profile in the top bar)
+      if (link.closest('nav, header, [role="navigation"]')) continue;
+
+      const href = (link.href || '').split('?')[0];
+      if (!href.includes('/in/'))       continue;
+      if (href.includes('/messaging/')) continue;
+      if (href.includes('/jobs/'))      continue;
+      if (href.includes('/company/'))   continue;
+      if (seenUrls.has(href))           continue;
+      seenUrls.add(href);
+
+      // ── Step 1: find the nearest <li> ancestor ──────────────────────
+      // LinkedIn renders each search result as a <li>.
+      // We validate that the FIRST /in/ link inside that <li> is ours —
+      // mutual-connection links appear later in the card markup, not first.
+      let card = null;
+      let liFound = false;
+
+      let el = link.parentElement;
+      for (let d = 0; d < 20 && el && el.tagName !== 'BODY'; d++) {
+        if (el.tagName === 'LI') {
+          liFound = true;
+          const firstIn   = el.querySelector('a[href*="/in/"]');
+          const firstHref = firstIn ? firstIn.href.split('?')[0] : '';
+          if (firstHref === href) {
+            card = el;    // ✓ this li belongs to our profile
+          }
+          // Either way (match or reject), stop at the first <li>
+          break;
+        }
+        el = el.parentElement;
+      }
+
+      // If we found a <li> but it's not ours, this is a mutual-connection
+      // link inside someone else's card — skip it entirely.
+      if (liFound && !card) continue;
+
+      // ── Step 2: fallback walk-up (only if no <li> found) ───────────
+      if (!card) {
+        let walker = link.parentElement;
+        for (let d = 0; d < 15 && walker && walker.tagName !== 'BODY'; d++) {
+          const firstIn   = walker.querySelector('a[href*="/in/"]');
+          const firstHref = firstIn ? firstIn.href.split('?')[0] : '';
+          const cardLen   = (walker.innerText || '').trim().length;
+          if (firstHref === href && cardLen > 50) {
+            card = walker;
+            // Keep walking up while the first link is still ours
+            const parent = walker.parentElement;
+            if (parent && parent.tagName !== 'BODY') {
+              const pFirst = parent.querySelector('a[href*="/in/"]');
+              const pHref  = pFirst ? pFirst.href.split('?')[0] : '';
+              if (pHref === href) { walker = parent; continue; }
+            }
+            break;
+          }
+          walker = walker.parentElement;
+        }
+      }
+
+      if (!card) continue;
+
+      // ── Only include cards whose action button is "Connect" ─────────
+      // Skip cards that show "Message" (already 1st degree) or
+      // "Follow" (creator/public figure) — no Connect link present.
+      const hasConnect =
+        card.querySelector('a[href*="custom-invite"]') !== null ||
+        card.querySelector('a[aria-label*="connect" i]') !== null ||
+        card.querySelector('button[aria-label*="connect" i]') !== null;
+      if (!hasConnect) continue;
+
+      // ── Parse card text ─────────────────────────────────────────────
+      const rawText = (card.innerText || card.textContent || '').trim();
+      if (!rawText || rawText.length < 10) continue;
+
+
+      const allRaw = rawText.split(/[\n\r]+/).map((l) => l.trim());
+      const lines  = allRaw.filter((l) => !isNoise(l));
+
+      const name     = lines[0] || '';
+      const headline = lines[1] || '';
+
+      // Skip if name looks like a mutual-connections blurb or nav UI text
+      // e.g. "Rohail Rathore, Om Kirshana and 2 mutual connections"
+      // e.g. "0 notifications", "Home", "Jobs"
+      if (!name || name.length < 3 || name.length > 70) continue;
+      if (/^\d/.test(name)) continue;                          // starts with a digit
+      if (/,/.test(name) || /\bmutual\b/i.test(name)) continue;
+      if (/ and \d/i.test(name)) continue;
+      // Common LinkedIn nav labels that bleed through
+      const UI_LABELS = new Set(['home','my network','jobs','messaging','notifications','search','me','for business']);
+      if (UI_LABELS.has(name.toLowerCase())) continue;
+
+      // Location: 3rd non-noise line, skipping connection-count lines
+      let location = '';
+      for (let i = 2; i < Math.min(lines.length, 8); i++) {
+        const ln = lines[i];
+        if (/connections?|followers?/i.test(ln)) continue;
+        if (ln.length < 3) continue;
+        // Skip if line looks like a job title / headline, not a location
+        // Locations are short, no pipes, no '@', no job-role keywords
+        if (ln.includes('|')) continue;
+        if (ln.includes('@')) continue;
+        if (ln.length > 65) continue;
+        if (/\bat\s+[A-Z]/i.test(ln) && ln.split(' ').length > 4) continue; // "Director at Acme Corp"
+        location = ln;
+        break;
+      }
+
+      // Degree
+      const degreeLine = allRaw.find((l) => isDegree(l)) || '';
+      const degree     = degreeLine.replace(/^•?\s*/, '').trim();
+
+      // Extract invite URL from the Connect <a> tag in the card
+      const connectEl = card.querySelector('a[href*="custom-invite"]') ||
+                        card.querySelector('a[aria-label*="Invite" i]');
+      const inviteHref = connectEl ? (connectEl.getAttribute('href') || '') : '';
+      const inviteUrl  = inviteHref
+        ? (inviteHref.startsWith('http') ? inviteHref : baseUrl + inviteHref)
+        : null;
+
+      results.push({ name, headline, location, profileUrl: href, degree, inviteUrl });
+    }
+
+    return results;
+  }, config.linkedin.baseUrl);
+}
+
+/**
+ * Click the pagination "Next" button.
+ * Returns true if navigation to next page succeeded.
+ */
+async function clickNextPage(page) {
+  // Scroll to bottom so the Next button/link is rendered and visible
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+  await sleep(1200);
+
+  // LinkedIn 2026: pagination uses <a> tags, not <button> — try both
+  const nextSel =
+    'button[aria-label="Next"], ' +
+    'a[aria-label="Next"], ' +
+    'button[aria-label*="next page" i], ' +
+    'a[aria-label*="next page" i], ' +
+    'li.artdeco-pagination__indicator--number:last-child button, ' +
+    'li.artdeco-pagination__indicator--number:last-child a';
+
+  const nextBtn = page.locator(nextSel).first();
+
+  if (!(await nextBtn.isVisible({ timeout: 5000 }).catch(() => false))) {
+    // Last resort: look for any element containing the text "Next" near the footer
+    const textNext = page.locator('button:has-text("Next"), a:has-text("Next")').last();
+    if (!(await textNext.isVisible({ timeout: 2000 }).catch(() => false))) return false;
+    if (await textNext.isDisabled().catch(() => true)) return false;
+    await textNext.click();
+    await sleep(3500);
+    return true;
+  }
+
+  if (await nextBtn.isDisabled().catch(() => true)) return false;
+
+  await nextBtn.click();
+  await sleep(3500);
+  return true;
+}
+
+module.exports = { scrollToLoadResults, scrapeSearchPage, clickNextPage };
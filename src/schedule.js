@@ -0,0 +1,179 @@
+'use strict';
+/**
+ * schedule.js — The hours and days the bots may run
+ *
+ * A schedule is { timezone, startHour, endHour, activeDays }: runs may go on
+ * from startHour:00 until endHour:00 local time, on the listed days
+ * (0 = Sunday … 6 = Saturday). endHour 24 is midnight. A window that crosses
+ * midnight (startHour 22, endHour 6) belongs to the day it starts on.
+ * bot.js uses config.schedule (SCHEDULE_*); connection-bot.js uses the
+ * schedule in connection-config.js, which defaults to the same values.
+ *
+ * Both bots refuse to start outside their window and stop at the end of it,
+ * printing when the next window opens; --ignore-schedule runs anyway.
+ * daemon.js plans each day's sessions inside windowAt().
+ *
+ * EXPORTS:
+ *   validateSchedule(schedule, [where])       → schedule, or throws naming the bad setting
+ *   isOpen(schedule, [date])                  → boolean
+ *   closesAt(schedule, [date])                → Date when the current window ends | null when closed (or never closes)
+ *   nextStart(schedule, [date])               → Date when the next window opens
+ *   windowAt(schedule, [date])                → { day, start, end } of the window open now, or else the next one
+ *   createWindowGuard(schedule, [opts])       → { open() } — true until the window closes, then false for good
+ *   formatLocal(date, timezone)               → "Mon 19 Oct, 09:00 (Asia/Karachi)"
+ *   describeSchedule(schedule)                → "Mon–Sat 09:00–22:00 (Asia/Karachi)"
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Every UTC offset is a multiple of 15 minutes, so windows open and close on these steps
+const STEP_MS   = 15 * 60 * 1000;
+const MAX_STEPS = 8 * 24 * 4;  // a week and a day
+
+function validateSchedule(schedule, where = 'schedule') {
+  const { timezone, startHour, endHour, activeDays } = schedule;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`${where}: unknown timezone "${timezone}"`);
+  }
+  if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) {
+    throw new Error(`${where}: startHour must be a whole hour from 0 to 23 (got ${startHour})`);
+  }
+  if (!Number.isInteger(endHour) || endHour < 1 || endHour > 24) {
+    throw new Error(`${where}: endHour must be a whole hour from 1 to 24 (got ${endHour})`);
+  }
+  if (startHour === endHour) throw new Error(`${where}: startHour and endHour are the same — the window would be empty`);
+  if (!Array.isArray(activeDays) || activeDays.length === 0 || activeDays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw new Error(`${where}: activeDays must list days from 0 (Sunday) to 6 (Saturday)`);
+  }
+  return schedule;
+}
+
+/** Local date ('YYYY-MM-DD') and wall-clock time at `date` in `timezone` */
+function localClock(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return { date: `${part('year')}-${part('month')}-${part('day')}`, hour: Number(part('hour')), minute: Number(part('minute')) };
+}
+
+/** Day of the week and hour at `date` in `timezone` */
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, weekday: 'short', hour: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return { day: DAY_NAMES.indexOf(part('weekday')), hour: Number(part('hour')) };
+}
+
+function isOpen(schedule, date = new Date()) {
+  const { day, hour } = localParts(date, schedule.timezone);
+  const { startHour, endHour, activeDays } = schedule;
+  if (startHour < endHour) return activeDays.includes(day) && hour >= startHour && hour < endHour;
+  // Crosses midnight: the early hours belong to yesterday's window
+  if (hour >= startHour) return activeDays.includes(day);
+  if (hour < endHour) return activeDays.includes((day + 6) % 7);
+  return false;
+}
+
+/** First step at or after `from` where isOpen() is `open` */
+function nextChange(schedule, from, open) {
+  let t = Math.ceil(from.getTime() / STEP_MS) * STEP_MS;
+  for (let i = 0; i < MAX_STEPS; i++, t += STEP_MS) {
+    if (isOpen(schedule, new Date(t)) === open) return new Date(t);
+  }
+  return null;  // only for a schedule validateSchedule() rejects
+}
+
+function closesAt(schedule, date = new Date()) {
+  return isOpen(schedule, date) ? nextChange(schedule, date, false) : null;
+}
+
+/** The next window's opening — after the current one when it's open now */
+function nextStart(schedule, date = new Date()) {
+  return nextChange(schedule, closesAt(schedule, date) || date, true);
+}
+
+/**
+ * One day's window: it opens at startHour:00 on `day` (local date) and ends at
+ * the next endHour:00. Back-to-back windows (0–24 on consecutive days) are
+ * still one per day, so a day plan never spans more than one.
+ */
+function windowAt(schedule, date = new Date()) {
+  const { timezone, startHour, endHour } = schedule;
+  const at = (t, hour) => {
+    const c = localClock(new Date(t), timezone);
+    return c.hour === hour % 24 && c.minute === 0;
+  };
+  let t;
+  if (isOpen(schedule, date)) {
+    t = Math.floor(date.getTime() / STEP_MS) * STEP_MS;
+    for (let i = 0; i < MAX_STEPS && !at(t, startHour); i++) t -= STEP_MS;
+  } else {
+    t = nextStart(schedule, date).getTime();
+  }
+  const start = new Date(t);
+  let e = t + STEP_MS;
+  for (let i = 0; i < MAX_STEPS && !at(e, endHour); i++) e += STEP_MS;
+  return { day: localClock(start, timezone).date, start, end: new Date(e) };
+}
+
+/**
+ * For the loops of a run: open() stays true until the window closes, then
+ * calls onClose once and stays false, even if a new window opens meanwhile.
+ *
+ * @param {object}   schedule
+ * @param {object}   [opts]
+ * @param {boolean}  [opts.ignore=false]        - --ignore-schedule: always open
+ * @param {Function} [opts.onClose]             - (nextStart: Date) => void
+ * @param {Function} [opts.now=() => new Date()]
+ */
+function createWindowGuard(schedule, { ignore = false, onClose = () => {}, now = () => new Date() } = {}) {
+  let closed = false;
+  return {
+    open() {
+      if (ignore || closed) return !closed;
+      const at = now();
+      if (isOpen(schedule, at)) return true;
+      closed = true;
+      onClose(nextStart(schedule, at));
+      return false;
+    },
+  };
+}
+
+function formatLocal(date, timezone) {
+  const text = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).format(date);
+  return `${text} (${timezone})`;
+}
+
+function describeDays(days) {
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  if (sorted.length === 7) return 'every day';
+  const runs = [];
+  for (const d of sorted) {
+    const last = runs[runs.length - 1];
+    if (last && d === last[1] + 1) last[1] = d;
+    else runs.push([d, d]);
+  }
+  return runs.map(([a, b]) => (b - a >= 2 ? `${DAY_NAMES[a]}–${DAY_NAMES[b]}` : DAY_NAMES.slice(a, b + 1).join(', '))).join(', ');
+}
+
+function describeSchedule(schedule) {
+  const hh = (h) => `${String(h).padStart(2, '0')}:00`;
+  return `${describeDays(schedule.activeDays)} ${hh(schedule.startHour)}–${hh(schedule.endHour)} (${schedule.timezone})`;
+}
+
+module.exports = {
+  validateSchedule,
+  isOpen,
+  closesAt,
+  nextStart,
+  windowAt,
+  createWindowGuard,
+  formatLocal,
+  describeSchedule,
+};
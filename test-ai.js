@@ -0,0 +1,1145 @@
+'use strict';
+/**
+ * test-ai.js — Offline suite for the AI parsing / cleaning / fallback paths
+ *
+ * Run:   node test-ai.js              (every case)
+ *        node test-ai.js note         (only cases whose label contains "note")
+ *
+ * Runs scorePostInterest(), generateComment() and generateConnectionNote()
+ * against the fake provider (src/ai/fakeProvider.js) with a scripted reply
+ * queue per case, so every branch is reached on purpose and without network:
+ *   malformed / fenced JSON, empty comments, banned openers (cleanComment),
+ *   the raw-text comment fallback, thrown provider errors, the heuristic
+ *   scorer and the static connection-note templates. The "rules" cases check
+ *   the comment rules (commentRules.js): each violation, the one rewrite and
+ *   the per-provider stats; the "repetition" cases check the guard against
+ *   our own earlier comments (repetition.js) and its phrase suggestions; the
+ *   "overlap" cases check the comparison with the post's own comments (postOverlap.js);
+ *   the "persona" cases check the fact sheet (persona.js): loading, the claims
+ *   it backs, and what comments and notes may say; the "candidates" cases
+ *   check writing several comments and ranking them (ranker.js), by heuristic and by critic.
+ * The "registry" cases swap the chain for stub adapters to check priority
+ * order, fallback, skipped providers and per-task model / sampling settings;
+ * the "retry" cases feed them HTTP-style errors to check backoff, rate-limit
+ * headers and the circuit breaker; the "usage" cases check token / cost
+ * accounting and the monthly budget stop (written to a temp file, not data/);
+ * the "prompts" cases check template rendering and version selection; the
+ * "experiments" cases check arm assignment, its overrides and the per-arm report.
+ *
+ * No browser, no API keys. Exits 1 if any assertion fails.
+ */
+
+// config.js reads the environment once at require time
+process.env.AI_PROVIDER = 'fake';
+delete process.env.AI_FAKE_SCRIPT;
+
+const fs    = require('fs');
+const os    = require('os');
+const path  = require('path');
+const chalk = require('chalk');
+
+const { scorePostInterest, generateComment } = require('./src/ai/gemini');
+const { generateConnectionNote }             = require('./src/ai/connectionNote');
+const { setFakeScript, resetFake, getFakeCalls } = require('./src/ai/fakeProvider');
+const { hasBannedOpener }                    = require('./src/ai/bannedPhrases');
+const { validateComment, lengthBand }        = require('./src/ai/commentRules');
+const { checkRepetition, findRecurringPhrases, recentComments, suggestBannedPhrases } = require('./src/ai/repetition');
+const { measureOverlap }                     = require('./src/ai/postOverlap');
+const { loadPersona, describePersona, findClaims, unbackedClaims } = require('./src/ai/persona');
+const { CRITERIA, heuristicScores }          = require('./src/ai/ranker');
+const { COMMENT_STYLES, pickCandidateStyles } = require('./src/ai/commentStyles');
+const {
+  generate, availableProviders, registerProvider,
+  getProviderStats, formatProviderStats, resetProviderStats,
+} = require('./src/ai/providers');
+const {
+  estimateCost, getMonthUsage, getRunUsage, resetRunUsage, getSchemaFailureStats, getRuleViolationStats, formatRunUsage,
+} = require('./src/data/usage');
+const { parseJsonReply, validate, SCORE_SCHEMA, generateValidated } = require('./src/ai/schema');
+const { renderTemplate, renderPrompt, activePromptVersion } = require('./src/ai/prompts');
+const { assignArms, getExperimentReport, loadExperiments, resetArms } = require('./src/data/experiments');
+const { logCommentPerformance, updateCommentOutcome } = require('./src/data/learning');
+const { openStore, closeStore, queueDraft } = require('./src/data/store');
+const config = require('./src/config');
+
+// Keep the stub providers' usage out of data/ai_usage.json, and test comments / experiments out of data/
+// (the legacy-file paths point nowhere, so a fresh test store imports nothing)
+config.data.aiUsagePath     = path.join(os.tmpdir(), `test-ai-usage-${process.pid}.json`);
+config.data.dbPath          = path.join(os.tmpdir(), `test-ai-${process.pid}.db`);
+config.data.experimentsPath = path.join(os.tmpdir(), `test-ai-experiments-${process.pid}.json`);
+config.data.personaPath     = path.join(os.tmpdir(), `test-ai-persona-${process.pid}.json`);
+for (const key of ['commentedPostsPath', 'targetProfilesPath', 'sentConnectionsPath', 'commentPerformancePath']) {
+  config.data[key] = path.join(os.tmpdir(), `test-ai-missing-${process.pid}`, key);
+}
+
+function writeExperiments(experiments) {
+  fs.writeFileSync(config.data.experimentsPath, JSON.stringify({ experiments }));
+}
+
+const PERSONA = {
+  summary:  'Full-stack developer, mostly B2B SaaS.',
+  projects: [{ name: 'Invoice sync for a logistics client', when: '2025', stack: ['Node.js', 'Postgres'],
+    facts: ['cut month-end reconciliation from 2 days to 3 hours'] }],
+  stack:    ['Docker'],
+  opinions: ['Most CI pipelines have a stage nobody would miss.'],
+};
+
+/** Runs fn with the fact sheet in place, then removes it */
+async function withPersona(persona, fn) {
+  fs.writeFileSync(config.data.personaPath, JSON.stringify(persona));
+  try {
+    return await fn();
+  } finally {
+    fs.rmSync(config.data.personaPath, { force: true });
+  }
+}
+
+const filter = process.argv.slice(2).find((a) => !a.startsWith('--')) || '';
+
+let passed = 0;
+let failed = 0;
+
+// Results go straight to stdout so they still show while the module logs are muted
+const out = (line) => process.stdout.write(line + '\n');
+
+function pass(msg) { passed++; out(chalk.green('  ✓ ') + msg); }
+function fail(msg) { failed++; out(chalk.red('  ✗ ') + msg); }
+function check(ok, msg, detail) {
+  if (ok) pass(msg);
+  else { fail(msg); if (detail !== undefined) out(chalk.gray(`      got: ${JSON.stringify(detail)}`)); }
+}
+
+const POST = 'We cut our deploy time from 40 minutes to 6 by deleting half our CI steps. ' +
+  'Nobody on the team missed them. The lesson I learned: most pipeline stages exist because ' +
+  'someone was scared once, not because they catch anything. Audit yours this quarter.';
+
+// ── Stub adapters for the provider chain ──
+const stubCalls = [];
+const stubs = { primary: { fail: false, errors: [] }, backup: { fail: false, errors: [] } };
+for (const name of Object.keys(stubs)) {
+  registerProvider(name, {
+    label: `Stub ${name}`,
+    defaultModel: () => `${name}-default`,
+    generate: async (req) => {
+      stubCalls.push({ provider: name, ...req });
+      if (stubs[name].errors.length) throw stubs[name].errors.shift();
+      if (stubs[name].fail) throw new Error(`${name} down`);
+      return `  reply from ${name}  `;
+    },
+  });
+}
+registerProvider('offline', { available: () => false, generate: async () => 'never' });
+registerProvider('metered', {
+  defaultModel: () => 'gpt-4o-mini',
+  generate: async (req) => {
+    stubCalls.push({ provider: 'metered', ...req });
+    return { text: 'metered reply', usage: { promptTokens: 1000, completionTokens: 500 } };
+  },
+});
+registerProvider('sloppy', {
+  defaultModel: () => 'sloppy-1',
+  generate: async () => JSON.stringify({
+    interest_score: 60, why_interesting: 'x', best_angle: 'y',
+    comment: 'Deleting CI stages nobody misses is the cheapest speedup there is 🚀 How did you pick the first ones to drop, and why those? #devops',
+  }),
+});
+
+/** Error shaped like the OpenAI SDK's APIError */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`${status} status code`), { status, headers });
+}
+
+/** Run fn with the real chain (AI_PROVIDER unset) set to `chain`, then restore */
+async function withChain(chain, fn) {
+  const saved = { provider: config.ai.provider, chain: config.ai.chain, retry: config.ai.retry, pricing: config.ai.pricing };
+  Object.assign(config.ai, {
+    provider: '',
+    chain,
+    retry:   { ...config.ai.retry, maxRetries: 2, baseDelayMs: 5, maxDelayMs: 200, breakerThreshold: 3 },
+    pricing: { ...config.ai.pricing, monthlyBudgetUsd: 0 },
+  });
+  fs.rmSync(config.data.aiUsagePath, { force: true });
+  stubCalls.length = 0;
+  for (const st of Object.values(stubs)) { st.fail = false; st.errors = []; }
+  try { await fn(); } finally { Object.assign(config.ai, saved); }
+}
+
+const TEMPLATES = ['Hi {firstName}, your work as {role} caught my eye. Would love to connect!'];
+
+// ─────────────────────────────────────────────────────────────────
+//  Cases
+// ─────────────────────────────────────────────────────────────────
+
+const CASES = [
+  // ── scorePostInterest ──
+  {
+    label: 'score: valid JSON is parsed',
+    script: { scoring: [{ json: { score: 82, reason: 'Concrete numbers', interesting: true } }] },
+    run: async () => {
+      const r = await scorePostInterest(POST, 'Member1 Sample');
+      check(r.score === 82 && r.interesting === true && r.reason === 'Concrete numbers', 'score, reason, interesting taken from the reply', r);
+    },
+  },
+  {
+    label: 'score: ```json fences are stripped',
+    script: { scoring: ['```json\n{"score": 64, "reason": "Fenced", "interesting": true}\n```'] },
+    run: async () => {
+      const r = await scorePostInterest(POST, 'Member1 Sample');
+      check(r.score === 64 && r.reason === 'Fenced', 'fenced reply parsed', r);
+    },
+  },
+  {
+    label: 'score: malformed JSON is repaired on the second try',
+    script: { scoring: ['{"score": 82, "reason": "cut off mid', { json: { score: 82, reason: 'Repaired', interesting: true } }] },
+    run: async () => {
+      const r = await scorePostInterest(POST, 'Member1 Sample');
+      check(r.score === 82 && r.reason === 'Repaired', 'repaired reply used', r);
+      const calls = getFakeCalls();
+      check(calls.length === 2 && /could not be used/.test(calls[1].user) && /- \(reply\): no JSON object/.test(calls[1].user), 'repair prompt lists the parse error', calls.length);
+    },
+  },
+  {
+    label: 'score: malformed JSON twice falls back to the heuristic',
+    script: { scoring: ['{"score": 82, "reason": "cut off mid', 'Sure! Here is the score: 82'] },
+    run: async () => {
+      const r = await scorePostInterest(POST, 'Member1 Sample');
+      check(r.reason === 'Heuristic (AI unavailable)', 'heuristic reason', r.reason);
+      check(typeof r.score === 'number' && r.score >= 0 && r.score <= 100, 'heuristic score in 0-100', r.score);
+    },
+  },
+  {
+    label: 'score: provider error falls back to the heuristic',
+    script: { scoring: [{ error: '503 Service Unavailable' }] },
+    run: async () => {
+      const r = await scorePostInterest(POST, 'Member1 Sample');
+      check(r.reason === 'Heuristic (AI unavailable)', 'heuristic reason', r.reason);
+    },
+  },
+  {
+    label: 'score: wrong field types are repaired, not defaulted',
+    script: { scoring: [{ json: { score: 'high', interesting: 'yes' } }, { json: { score: 71, reason: 'Fixed types', interesting: true } }] },
+    run: async () => {
+      const r = await scorePostInterest(POST, 'Member1 Sample');
+      check(r.score === 71 && r.reason === 'Fixed types', 'repaired reply used', r);
+      const repair = getFakeCalls()[1]?.user || '';
+      check(/score: must be a number/.test(repair) && /reason: is required/.test(repair) && /interesting: must be a boolean/.test(repair),
+        'repair prompt names every bad field', repair.slice(-400));
+    },
+  },
+
+  // ── generateComment ──
+  {
+    label: 'comment: valid JSON is returned as-is',
+    script: { commenting: [{ json: {
+      interest_score: 77, why_interesting: 'Numbers', best_angle: 'Ask about audits',
+      comment: 'Deleting stages nobody misses is the cheapest speedup there is. How did you decide which ones were safe to drop first, ' +
+        'and did anyone push back once the builds got faster? Most teams I know keep every stage forever because nobody wants to own removing one.',
+    } }] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(r.comment.startsWith('Deleting stages'), 'comment text kept', r.comment);
+      check(r.interestScore === 77 && r.whyInteresting === 'Numbers' && r.bestAngle === 'Ask about audits', 'metadata fields mapped', r);
+      check(getFakeCalls().length === 1, 'one AI call, no fallback', getFakeCalls().length);
+    },
+  },
+  {
+    label: 'comment: banned opener is auto-cleaned',
+    script: { commenting: [{ json: {
+      interest_score: 60, why_interesting: 'x', best_angle: 'y',
+      comment: 'Love this. Most pipeline stages really do exist because someone got burned once. Which one did the team expect to miss the most, and did it come back?',
+    } }] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(!hasBannedOpener(r.comment).banned, 'cleaned comment has no banned opener', r.comment);
+      check(r.comment.startsWith('Most pipeline stages'), 'rest of the comment kept', r.comment);
+    },
+  },
+  {
+    label: 'comment: empty comment in JSON takes the raw-text fallback',
+    script: { commenting: [
+      { json: { interest_score: 70, why_interesting: 'x', best_angle: 'y', comment: '' } },
+      { json: { interest_score: 70, why_interesting: 'x', best_angle: 'y', comment: 'Too short' } },
+      'Which of the deleted stages did you expect to miss the most, and did any of them quietly come back once the faster builds became the new normal for everyone?',
+    ] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(r.whyInteresting === 'Fallback mode' && r.interestScore === 50, 'fallback metadata', r);
+      check(r.comment === 'Which of the deleted stages did you expect to miss the most, and did any of them quietly come back once the faster builds became the new normal for everyone?', 'fallback text used', r.comment);
+      check(r.fallback === true && r.ruleViolations.length === 0, 'checked against the comment rules', r);
+      const calls = getFakeCalls();
+      check(calls.length === 3 && calls[0].json && calls[1].json && !calls[2].json, 'JSON call, JSON repair, then a plain-text call', calls.map((c) => c.json));
+    },
+  },
+  {
+    label: 'comment: malformed JSON takes the raw-text fallback',
+    script: { commenting: ['{"interest_score": 70, "comment": "unterminated', '{"interest_score": 70,', '  Six minutes is a different team culture than forty. People stop batching changes when the feedback comes back before they have moved on to something else.  '] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(r.whyInteresting === 'Fallback mode', 'fallback mode', r.whyInteresting);
+      check(r.comment === 'Six minutes is a different team culture than forty. People stop batching changes when the feedback comes back before they have moved on to something else.', 'fallback text trimmed', r.comment);
+    },
+  },
+  {
+    label: 'comment: a raw-text fallback that breaks the rules is rewritten once, in plain text',
+    script: { commenting: [
+      '{"interest_score": 70,', '{"interest_score": 70,',
+      'So true. Six minutes is a different team culture than forty 🚀 #devops',
+      'Love this. Six minutes is a different team culture than forty #devops',
+    ] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      const calls = getFakeCalls();
+      check(calls.length === 4 && !calls[3].json && /- hashtag: uses #devops/.test(calls[3].user) &&
+        /reply again with ONLY the comment text\.$/.test(calls[3].user), 'one plain-text rewrite listing what to fix', calls.map((c) => c.user.slice(-300)));
+      check(!hasBannedOpener(r.comment).banned && r.comment.startsWith('Six minutes'), 'banned opener cleaned', r.comment);
+      check(r.fallback === true && r.ruleViolations.map((v) => v.rule).join(',') === 'hashtag,length', 'what it still breaks is returned', r.ruleViolations);
+    },
+  },
+  {
+    label: 'comment: missing fields are repaired, not defaulted',
+    script: { commenting: [
+      { json: { comment: 'Deleting stages nobody misses is the cheapest speedup there is.' } },
+      { json: { interest_score: 66, why_interesting: 'Numbers', best_angle: 'Audit',
+        comment: 'Deleting stages nobody misses is the cheapest speedup there is. Which one did the team expect to miss the most, and did it come back?' } },
+    ] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(r.interestScore === 66 && r.whyInteresting === 'Numbers' && r.bestAngle === 'Audit', 'fields from the repaired reply', r);
+    },
+  },
+  {
+    label: 'comment: both calls throwing surfaces a single error',
+    script: { commenting: [{ error: 'model not found' }, { error: 'quota exceeded for this month' }] },
+    run: async () => {
+      let err = null;
+      try { await generateComment(POST, 'Member1 Sample'); } catch (e) { err = e; }
+      check(err && /completely failed/.test(err.message), 'throws "AI generation completely failed"', err && err.message);
+      check(err && /quota exceeded/.test(err.message), 'keeps the last provider error', err && err.message);
+    },
+  },
+
+  // ── Comment rules ──
+  {
+    label: 'rules: every hard rule of the comment prompt is checked',
+    script: {},
+    run: async () => {
+      const ok = 'Deleting stages nobody misses is the cheapest speedup there is. Which one did the team expect to miss the most, and did it ever come back?';
+      const rules = (text, opts) => validateComment(text, { profileName: 'Ubaid Waris', ...opts }).map((v) => v.rule).join(',');
+      check(rules(ok, { interestScore: 60 }) === '', 'a clean comment passes', validateComment(ok, { interestScore: 60 }));
+      check(rules(`${ok} 🚀`, { interestScore: 60 }) === 'emoji', 'emoji');
+      check(rules(`${ok} #devops`, { interestScore: 60 }) === 'hashtag', 'hashtag');
+      check(rules(ok.replace('. Which', ' — which'), { interestScore: 60 }) === 'dash' && rules(ok.replace('. Which', ' - which'), { interestScore: 60 }) === 'dash',
+        'long dash or spaced hyphen between thoughts');
+      check(rules(ok.replace('cheapest', 'low-cost'), { interestScore: 60 }) === '', 'a hyphenated word is fine');
+      check(rules(ok, { interestScore: 85 }) === 'length' && JSON.stringify(lengthBand(85)) === '{"min":220,"max":350}', 'too short for a score of 70+');
+      check(rules(`${ok} Ubaid here.`, { interestScore: 60 }) === 'self-name', 'own first name');
+      check(rules(`${ok} Ubaid, right?`, { interestScore: 60, authorName: 'Ubaid Khan' }) === '', 'unless the author shares it');
+      check(rules(`${ok}\n- one\n- two`, { interestScore: 60 }) === 'list', 'list structure');
+      check(rules(`Game changer. ${ok}`, { interestScore: 60 }) === 'filler', 'banned filler');
+      check(rules(`So true. ${ok}`, { interestScore: 60 }) === 'opener', 'banned opener');
+    },
+  },
+  {
+    label: 'rules: a comment that breaks one is rewritten once, with what to fix',
+    script: { commenting: [
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'Deleting stages nobody misses is the cheapest speedup there is 🚀 #devops' } },
+      { json: { interest_score: 62, why_interesting: 'Numbers', best_angle: 'Audit',
+        comment: 'Deleting stages nobody misses is the cheapest speedup there is. Which one did the team expect to miss the most, and did it come back?' } },
+    ] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(r.comment.endsWith('did it come back?') && r.interestScore === 62 && r.ruleViolations.length === 0, 'the rewrite is used', r);
+      const calls = getFakeCalls();
+      check(calls.length === 2 && /- emoji: uses 🚀/.test(calls[1].user) && /- hashtag: uses #devops/.test(calls[1].user) &&
+        /- length: is \d+ characters, must be 120–220/.test(calls[1].user), 'the rewrite prompt lists each broken rule', calls.map((c) => c.user.slice(-500)));
+      check(calls[1].user.includes('Previous comment:\n"Deleting stages'), 'and quotes the comment');
+    },
+  },
+  {
+    label: 'rules: a rewrite that is no better keeps the first comment',
+    script: { commenting: [
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'Deleting stages nobody misses is the cheapest speedup there is. Which one did the team expect to miss the most, and why? #devops' } },
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y', comment: 'Deleting stages is great 🚀 #devops' } },
+    ] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(r.comment.endsWith('#devops') && r.comment.startsWith('Deleting stages nobody'), 'first comment kept', r.comment);
+      check(r.ruleViolations.map((v) => v.rule).join(',') === 'hashtag', 'what it still breaks is returned', r.ruleViolations);
+      check(getFakeCalls().length === 2, 'only one rewrite', getFakeCalls().length);
+    },
+  },
+  {
+    label: 'rules: broken rules are counted per provider and model',
+    script: {},
+    run: () => withChain(['sloppy'], async () => {
+      const r = await generateComment(POST, 'Member1 Sample');
+      check(r.ruleViolations.map((v) => v.rule).join(',') === 'emoji,hashtag', 'comment returned with its violations', r.ruleViolations);
+      const stats = getRuleViolationStats();
+      check(stats.length === 1 && stats[0].provider === 'sloppy' && stats[0].model === 'sloppy-1' && stats[0].comments === 2 &&
+        stats[0].rules.emoji === 2 && stats[0].rules.hashtag === 2, 'initial + rewrite saved against sloppy / sloppy-1', stats);
+      const saved = JSON.parse(fs.readFileSync(config.data.aiUsagePath, 'utf-8')).ruleViolations;
+      check(saved.map((v) => v.stage).join(',') === 'initial,rewrite' && saved[0].task === 'commenting', 'stage and task recorded', saved);
+      check(/2 off-rule comments/.test(formatRunUsage()), 'run summary mentions them', formatRunUsage());
+    }),
+  },
+
+  // ── Self-repetition ──
+  {
+    label: 'repetition: overlap with one earlier comment and recurring phrases',
+    script: {},
+    run: async () => {
+      const history = [
+        'We shipped something similar last quarter and the hard part was getting the team to trust the new pipeline.',
+        'Shipped something similar last quarter for a client, and the rollbacks were what made people trust it.',
+        'Curious how the on-call rotation changed after the move to managed Postgres.',
+      ];
+      const draft = 'We shipped something similar last quarter, and the real win was fewer pages at night.';
+      const r = checkRepetition(draft, history);
+      check(r.similarity > 0.4 && r.closest === history[0], 'closest earlier comment and its 3-gram overlap', r);
+      check(r.phrases.length === 1 && r.phrases[0].phrase === 'shipped something similar last quarter' && r.phrases[0].uses === 2,
+        'the habit phrase, longest form only', r.phrases);
+      const fresh = checkRepetition('Deleting stages nobody misses is the cheapest speedup there is.', history);
+      check(fresh.similarity === 0 && fresh.phrases.length === 0, 'an unrelated comment shares nothing', fresh);
+      check(findRecurringPhrases([...history, 'Shipped something similar last quarter too.'], 3).map((p) => p.phrase).join('|') === 'shipped something similar last quarter',
+        'phrases in 3 comments recur; stopword runs like "and the" do not');
+    },
+  },
+  {
+    label: 'repetition: a comment that repeats us is rewritten, with what it repeats',
+    script: { commenting: [
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'We shipped something similar last quarter and the hard part was getting the team to trust the new pipeline, not building it.' } },
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'Deleting stages nobody misses is the cheapest speedup there is. Which one did the team expect to miss the most, and did it come back?' } },
+    ] },
+    run: async () => {
+      const pastComments = ['We shipped something similar last quarter and the hard part was getting the team to trust the new pipeline.'];
+      const r = await generateComment(POST, 'Member1 Sample', null, { pastComments });
+      check(r.comment.startsWith('Deleting stages') && r.ruleViolations.length === 0, 'the rewrite is used', r);
+      const repair = getFakeCalls()[1]?.user || '';
+      check(/- repetition: \d+% the same as an earlier comment: "We shipped something similar/.test(repair), 'rewrite prompt quotes the earlier comment', repair.slice(-500));
+    },
+  },
+  {
+    label: 'repetition: history is our posted comments and open drafts; suggestions skip banned phrases',
+    script: {},
+    run: async () => {
+      closeStore();
+      fs.rmSync(config.data.dbPath, { force: true });
+      await openStore();
+      const said = (n, comment) => logCommentPerformance({ postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:9${n}/`, comment });
+      said(1, 'Shipped something similar last quarter, and honestly it was a game changer for the team.');
+      said(2, 'We shipped something similar last quarter. The migration was a game changer for on-call.');
+      const draftId = queueDraft({ post: { postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:93/', postText: 'p', authorName: 'A' },
+        comment: 'Shipped something similar last quarter and it was a game changer, mostly for hiring.' });
+      check(recentComments().length === 3 && recentComments({ excludeDraftId: draftId }).length === 2, 'posted comments + the pending draft, which can be left out');
+      check(recentComments({ limit: 1 })[0].startsWith('Shipped something similar last quarter and it'), 'the newest last');
+      const phrases = suggestBannedPhrases().map((p) => p.phrase);
+      check(phrases.includes('shipped something similar last quarter') && !phrases.some((p) => p.includes('game changer')),
+        'habit phrase suggested, an already banned one is not', phrases);
+    },
+  },
+
+  // ── Overlap with the post's comments ──
+  {
+    label: 'overlap: shared keywords and the same claim make a near-duplicate',
+    script: {},
+    run: async () => {
+      const existing = [
+        'Great read. Removing CI stages nobody misses is the cheapest speedup, and your build times prove it.',
+        'Congrats on the launch!',
+      ];
+      const same = measureOverlap('Removing the CI stages nobody misses is the cheapest speedup you can get. Did build times drop right away?', existing);
+      check(same.score >= 0.5 && same.closest === existing[0], 'a reworded copy of a comment scores high', same);
+      const fresh = measureOverlap('Which stage did the team expect to miss the most after the cut, and did anyone ask for it back?', existing);
+      check(fresh.score < 0.5, 'a different question about the same post does not', fresh);
+      check(measureOverlap('Anything at all.', []) === null && measureOverlap('Anything at all.', ['  ']) === null, 'no comments on the post → null');
+    },
+  },
+  {
+    label: 'overlap: a near-duplicate is rewritten away from the comment it copies',
+    script: { commenting: [
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'Removing the CI stages nobody misses is the cheapest speedup you can get, and the build times in this post show it pretty clearly.' } },
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'Which stage did the team expect to miss the most after the cut, and did anyone actually ask for it back a month or two later?' } },
+    ] },
+    run: async () => {
+      const existingComments = ['Removing CI stages nobody misses is the cheapest speedup, and your build times prove it.'];
+      const r = await generateComment(POST, 'Member1 Sample', null, { existingComments, pastComments: [] });
+      check(r.comment.startsWith('Which stage') && r.ruleViolations.length === 0, 'the rewrite is used', r);
+      check(typeof r.existingOverlap === 'number' && r.existingOverlap < config.bot.existingOverlapMax, 'its overlap is returned', r.existingOverlap);
+      const repair = getFakeCalls()[1]?.user || '';
+      check(/- overlap: makes the same point as a comment already on the post \(\d+% overlap\)\. Avoid this angle: "Removing CI stages/.test(repair),
+        'rewrite prompt names the angle to avoid', repair.slice(-500));
+      const none = await generateComment(POST, 'Member1 Sample', null, { pastComments: [] });
+      check(none.existingOverlap === null, 'no comments on the post → null overlap', none.existingOverlap);
+    },
+  },
+
+  // ── Fact sheet ──
+  {
+    label: 'persona: the fact sheet is loaded and checked',
+    script: {},
+    run: () => {
+      check(loadPersona() === null, 'no file → no fact sheet');
+      return withPersona(PERSONA, () => {
+        const persona = loadPersona();
+        check(persona.projects[0].stack.join(',') === 'Node.js,Postgres' && persona.opinions.length === 1, 'projects, stack and opinions read', persona);
+        check(describePersona(persona) === '1 project, 3 tools, 1 opinion', 'described', describePersona(persona));
+        fs.writeFileSync(config.data.personaPath, JSON.stringify({ projects: [{ name: 'X', facts: 'cut costs' }] }));
+        let error = '';
+        try { loadPersona(); } catch (e) { error = e.message; }
+        check(/project "X": facts must be a list of non-empty strings/.test(error), 'a bad field is named', error);
+      });
+    },
+  },
+  {
+    label: 'persona: first-person tools, metrics and timelines need the sheet or the post behind them',
+    script: {},
+    run: () => {
+      const now = new Date('2026-10-19T12:00:00Z');
+      const invented = 'We shipped something similar last quarter with Kafka and cut latency by 40%.';
+      check(findClaims(invented, now).map((c) => `${c.kind}:${c.text}`).join('|') === 'tool:Kafka|metric:40%|timeline:last quarter',
+        'each kind of claim found', findClaims(invented, now));
+      check(unbackedClaims(invented, PERSONA, { now }).length === 3, 'none of them on the sheet');
+      const real = 'When I built our invoice sync on Node.js and Postgres last year, reconciliation went from 2 days to 3 hours.';
+      check(unbackedClaims(real, PERSONA, { now }).length === 0, 'the sheet backs tools, numbers and "last year" (a 2025 project)', unbackedClaims(real, PERSONA, { now }));
+      check(unbackedClaims('We went from 40 minutes to 6 the same way.', PERSONA, { sources: [POST], now }).length === 0, 'numbers quoted from the post are fine');
+      check(findClaims('Did Kafka cut latency by 40% last quarter?', now).length === 0, 'questions about the author are not claims');
+      check(findClaims('We react fast.', now).length === 0, '"react" the verb is not React');
+    },
+  },
+  {
+    label: 'persona: comments draw on the fact sheet and invented experience is rewritten',
+    script: { commenting: [
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'We shipped something similar last quarter with Kafka and the deploy time dropped 35%. The stages nobody misses are the cheapest win.' } },
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'y',
+        comment: 'Same lesson on our invoice sync: the stage nobody would miss was the one we were most afraid to delete. Which one scared your team most?' } },
+    ] },
+    run: () => withPersona(PERSONA, async () => {
+      const r = await generateComment(POST, 'Member1 Sample', null, { pastComments: [] });
+      check(r.comment.startsWith('Same lesson') && r.ruleViolations.length === 0, 'the rewrite is used', r);
+      const [first, repair] = getFakeCalls().map((c) => c.user);
+      check(first.includes('- Project: Invoice sync for a logistics client (2025) built with Node.js, Postgres') &&
+        first.includes('  - cut month-end reconciliation from 2 days to 3 hours'), 'fact sheet in the prompt', first.slice(0, 900));
+      check(/- claim: claims what the fact sheet doesn't back: "Kafka" \(tool\), "35%" \(metric\), "last quarter" \(timeline\)/.test(repair || ''),
+        'rewrite prompt names each unbacked claim', (repair || '').slice(-500));
+    }),
+  },
+  {
+    label: 'persona: without a fact sheet the prompt forbids experience claims',
+    script: {},
+    run: async () => {
+      await generateComment(POST, 'Member1 Sample', null, { pastComments: [] });
+      const user = getFakeCalls()[0].user;
+      check(/You know nothing about .+'s past projects/.test(user) && !user.includes('- Project:'), 'no fact sheet, no claims', user.slice(0, 600));
+    },
+  },
+
+  // ── Several candidates, ranked ──
+  {
+    label: 'candidates: each is written in its own style and the best one is kept',
+    script: { commenting: [
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'culture',
+        comment: 'Good point about engineering culture in general. Small habits compound over years, and most organisations underestimate how much friction slows people down.' } },
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'which stage',
+        comment: 'Deleting half the CI steps and nobody missing them says a lot. Which pipeline stage did the team expect to miss most, and did the deploy time gain stick?' } },
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'emoji',
+        comment: 'Deleting CI steps is so underrated 🚀 Which stage did the team argue hardest to keep, and what finally made them agree to cut it from the pipeline?' } },
+      { json: { interest_score: 60, why_interesting: 'x', best_angle: 'emoji',
+        comment: 'Deleting CI steps is still underrated 🚀 Which stage did the team argue hardest to keep, and what finally made them agree to cut it from the pipeline?' } },
+    ] },
+    run: async () => {
+      const r = await generateComment(POST, 'Member1 Sample', COMMENT_STYLES[0], { pastComments: [], candidates: 3 });
+      check(r.comment.startsWith('Deleting half the CI steps') && r.bestAngle === 'which stage', 'the post-specific candidate is kept', r.comment);
+      check(r.candidates.length === 3 && r.candidates.filter((c) => c.chosen).length === 1 && r.candidates[0].chosen,
+        'every candidate recorded, the chosen one first', r.candidates);
+      check(new Set(r.candidates.map((c) => c.style)).size === 3 && r.styleId === r.candidates[0].style, 'three styles, the winner\'s returned',
+        r.candidates.map((c) => c.style));
+      check(r.candidates.every((c, i) => CRITERIA.every((k) => typeof c.scores[k] === 'number') && c.ranker === 'heuristic' &&
+        (i === 0 || c.total <= r.candidates[i - 1].total)), 'scored on every criterion, best total first', r.candidates);
+      const emoji = r.candidates.find((c) => c.comment.includes('🚀'));
+      check(emoji.violations.join(',') === 'emoji' && emoji.scores.rules === 0.75, 'a candidate still breaking a rule loses points', emoji);
+      check(getFakeCalls().filter((c) => c.task === 'commenting').length === 4, 'one rewrite, for the broken one only', getFakeCalls().length);
+    },
+  },
+  {
+    label: 'candidates: COMMENT_RANKER=ai asks the critic per candidate, a failed critique keeps the heuristic scores',
+    script: {
+      commenting: [
+        { json: { interest_score: 60, why_interesting: 'x', best_angle: 'culture',
+          comment: 'Good point about engineering culture in general. Small habits compound over years, and most organisations underestimate how much friction slows people down.' } },
+        { json: { interest_score: 60, why_interesting: 'x', best_angle: 'which stage',
+          comment: 'Deleting half the CI steps and nobody missing them says a lot. Which pipeline stage did the team expect to miss most, and did the deploy time gain stick?' } },
+        { json: { interest_score: 60, why_interesting: 'x', best_angle: 'audit',
+          comment: 'Audits like this are worth doing once a year at least. Most teams never look back at the tooling they set up, and it quietly costs them every single week.' } },
+      ],
+      critic: [
+        { json: { specificity: 9, novelty: 9, tone: 9, reason: 'ties the comment to the wider culture point' } },
+        { json: { specificity: 2, novelty: 3, tone: 6, reason: 'restates the post' } },
+        { error: 'critic down' },
+      ],
+    },
+    run: async () => {
+      const saved = config.bot.commentRanker;
+      config.bot.commentRanker = 'ai';
+      try {
+        const r = await generateComment(POST, 'Member1 Sample', COMMENT_STYLES[0], { pastComments: [], candidates: 3, sameStyle: true });
+        check(r.comment.startsWith('Good point about engineering culture'), 'the critic\'s favourite is kept', r.candidates);
+        check(r.candidates.every((c) => c.style === COMMENT_STYLES[0].id), 'sameStyle keeps every candidate in the given style');
+        const byAngle = Object.fromEntries(r.candidates.map((c) => [c.comment.slice(0, 12), c]));
+        check(byAngle['Good point a'].ranker === 'ai' && byAngle['Good point a'].scores.specificity === 0.9 &&
+          byAngle['Good point a'].scores.rules === 1, 'critic scores /10, rules still from the checks', byAngle['Good point a']);
+        check(byAngle['Audits like '].ranker === 'heuristic', 'a failed critique keeps the heuristic scores', byAngle['Audits like ']);
+        const critic = getFakeCalls().filter((c) => c.task === 'critic');
+        check(critic.length === 3 && critic[1].user.includes('Deleting half the CI steps') && critic[1].user.includes('We cut our deploy time'),
+          'one critic call per candidate, with the post and the candidate', critic.map((c) => c.user.slice(-300)));
+
+        resetFake();
+        setFakeScript({});
+        const single = await generateComment(POST, 'Member1 Sample', null, { pastComments: [], candidates: 1 });
+        check(single.candidates.length === 1 && single.candidates[0].ranker === 'heuristic' &&
+          !getFakeCalls().some((c) => c.task === 'critic'), 'one candidate → no critic call', single.candidates);
+      } finally {
+        config.bot.commentRanker = saved;
+      }
+    },
+  },
+  {
+    label: 'candidates: candidate styles and heuristic scores',
+    script: {},
+    run: () => {
+      const first  = COMMENT_STYLES[2];
+      const styles = pickCandidateStyles(first, 3);
+      check(styles[0] === first && new Set(styles.map((s) => s.id)).size === 3, 'the run\'s style first, then others', styles.map((s) => s.id));
+      check(pickCandidateStyles(first, 2, true).every((s) => s === first) && pickCandidateStyles(null, 2).every((s) => s === null),
+        'same style, or none at all');
+
+      const comment = 'Deleting half the CI steps and nobody missing them says a lot. But which pipeline stage did the team expect to miss most?';
+      const plain   = heuristicScores({ comment, violations: [] }, { postText: POST });
+      check(plain.specificity === 1 && plain.novelty === 1 && plain.rules === 1 && plain.tone === 1, 'specific, new, clean', plain);
+      const sad = heuristicScores({ comment, violations: [] }, { postText: POST, tone: 'empathetic' });
+      check(sad.tone === 0.5, 'pushback on an empathetic post costs tone', sad);
+      const repeat = heuristicScores({ comment, violations: [{ rule: 'repetition', message: 'x' }] }, { postText: POST });
+      check(repeat.rules === 0, 'a repeat of our own comment scores 0 on rules', repeat);
+      const copied = heuristicScores({ comment, violations: [] }, { postText: POST, existingComments: [comment] });
+      check(copied.novelty === 0, 'a copy of a comment on the post scores 0 on novelty', copied);
+    },
+  },
+
+  // ── generateConnectionNote ──
+  {
+    label: 'note: quotes are stripped',
+    script: { notes: ['"Hi Amara, freight APIs are a space I keep coming back to. Would love to connect!"'] },
+    run: async () => {
+      const n = await generateConnectionNote('Amara Okafor', 'Head of Platform at Freightly', 'Lagos');
+      check(n === 'Hi Amara, freight APIs are a space I keep coming back to. Would love to connect!', 'note without surrounding quotes', n);
+    },
+  },
+  {
+    label: 'note: long note is cut to 190 chars',
+    script: { notes: ['Hi Amara, your platform work at Freightly is exactly the kind of infrastructure I like reading about. ' +
+      'I build SaaS and AI tooling and keep running into freight data problems. Would love to connect and compare notes sometime!'] },
+    run: async () => {
+      const n = await generateConnectionNote('Amara Okafor', 'Head of Platform at Freightly', 'Lagos');
+      check(n.length <= 190, 'note is at most 190 chars', n.length);
+      check(n.startsWith('Hi Amara'), 'note keeps its opening', n);
+    },
+  },
+  {
+    label: 'note: too-short reply uses the static template',
+    script: { notes: ['Hi!'] },
+    run: async () => {
+      const n = await generateConnectionNote('Amara Okafor', 'Head of Platform at Freightly', 'Lagos', TEMPLATES);
+      check(n === 'Hi Amara, your work as Head of Platform caught my eye. Would love to connect!', 'template filled in', n);
+    },
+  },
+  {
+    label: 'note: provider error uses the static template',
+    script: { notes: [{ error: 'invalid_api_key' }] },
+    run: async () => {
+      const n = await generateConnectionNote('Jonas Lindqvist', 'Founder | Climate data', 'Stockholm', TEMPLATES);
+      check(n === 'Hi Jonas, your work as Founder caught my eye. Would love to connect!', 'template filled in', n);
+    },
+  },
+
+  {
+    label: 'note: the fact sheet is in the prompt, and a note it does not back uses the static template',
+    script: { notes: [
+      'Hi Amara, I cut our AWS bill by 60% last year by moving freight data off Kafka. Would love to connect!',
+      'Hi Amara, I built an invoice sync for a logistics client on Node.js, so freight data is close to home. Would love to connect!',
+    ] },
+    run: () => withPersona(PERSONA, async () => {
+      const invented = await generateConnectionNote('Amara Okafor', 'Head of Platform at Freightly', 'Lagos', TEMPLATES);
+      check(invented === 'Hi Amara, your work as Head of Platform caught my eye. Would love to connect!', 'invented claims → template', invented);
+      check(getFakeCalls()[0].user.includes('- Project: Invoice sync for a logistics client'), 'fact sheet in the note prompt');
+      const backed = await generateConnectionNote('Amara Okafor', 'Head of Platform at Freightly', 'Lagos', TEMPLATES);
+      check(backed.startsWith('Hi Amara, I built an invoice sync'), 'a note the sheet backs is kept', backed);
+    }),
+  },
+
+  // ── Rule-based replies (empty script) ──
+  {
+    label: 'rules: unscripted replies are deterministic and usable',
+    script: {},
+    run: async () => {
+      const a = await scorePostInterest(POST, 'Member1 Sample');
+      const b = await scorePostInterest(POST, 'Member1 Sample');
+      check(a.score === b.score && a.reason === b.reason, 'same post, same score', [a, b]);
+      check(a.reason !== 'Heuristic (AI unavailable)', 'rule-based score parses as JSON', a);
+
+      const c1 = await generateComment(POST, 'Member1 Sample');
+      const c2 = await generateComment(POST, 'Member1 Sample');
+      check(c1.comment === c2.comment, 'same post, same comment', [c1.comment, c2.comment]);
+      check(c1.whyInteresting !== 'Fallback mode' && c1.comment.length >= 10, 'rule-based comment parses as JSON', c1);
+      check(c1.ruleViolations.length === 0 && getFakeCalls().filter((c) => c.task === 'commenting').length === 2, 'and keeps the comment rules', c1.ruleViolations);
+
+      const n = await generateConnectionNote('Priya Natarajan', 'VP Engineering at Loomwork', 'Pune');
+      check(n.startsWith('Hi Priya') && n.includes('VP Engineering') && n.length <= 190, 'rule-based note uses first name and role', n);
+    },
+  },
+
+  // ── Provider registry ──
+  {
+    label: 'registry: AI_PROVIDER=fake replaces the whole chain',
+    script: {},
+    run: async () => {
+      check(JSON.stringify(availableProviders()) === '["fake"]', 'only the fake provider is active', availableProviders());
+    },
+  },
+  {
+    label: 'registry: first available provider answers, unavailable ones are skipped',
+    script: {},
+    run: () => withChain(['offline', 'primary', 'backup'], async () => {
+      check(JSON.stringify(availableProviders()) === '["primary","backup"]', 'offline provider skipped', availableProviders());
+      const text = await generate('commenting', 'sys', 'usr', { json: true });
+      check(text === 'reply from primary', 'reply trimmed, from the first provider', text);
+      check(stubCalls.length === 1 && stubCalls[0].json === true && stubCalls[0].system === 'sys', 'one call with prompts and json flag', stubCalls);
+    }),
+  },
+  {
+    label: 'registry: a failing provider hands over to the next',
+    script: {},
+    run: () => withChain(['primary', 'backup'], async () => {
+      stubs.primary.fail = true;
+      const text = await generate('scoring', 'sys', 'usr');
+      check(text === 'reply from backup', 'backup answered', text);
+      check(stubCalls.map((c) => c.provider).join(',') === 'primary,backup', 'primary tried first', stubCalls.map((c) => c.provider));
+    }),
+  },
+  {
+    label: 'registry: all providers failing re-throws the last error',
+    script: {},
+    run: () => withChain(['primary', 'backup'], async () => {
+      stubs.primary.fail = stubs.backup.fail = true;
+      let err = null;
+      try { await generate('notes', 'sys', 'usr'); } catch (e) { err = e; }
+      check(err && err.message === 'backup down', 'last provider error surfaces', err && err.message);
+    }),
+  },
+  {
+    label: 'registry: empty chain fails, notes fall back to templates',
+    script: {},
+    run: () => withChain(['offline'], async () => {
+      let err = null;
+      try { await generate('commenting', 'sys', 'usr'); } catch (e) { err = e; }
+      check(err && /No working AI provider/.test(err.message), 'generate() throws "No working AI provider"', err && err.message);
+      const n = await generateConnectionNote('Wei Zhang', 'Data Engineer', 'Singapore', TEMPLATES);
+      check(n === 'Hi Wei, your work as Data Engineer caught my eye. Would love to connect!', 'static template without calling a provider', n);
+    }),
+  },
+  {
+    label: 'registry: per-task model, temperature and max tokens',
+    script: {},
+    run: () => withChain(['primary'], async () => {
+      const saved = JSON.parse(JSON.stringify(config.ai.tasks));
+      try {
+        config.ai.tasks.notes.models.primary = 'primary-small';
+        await generate('notes', 'sys', 'usr');
+        await generate('scoring', 'sys', 'usr');
+        const [note, score] = stubCalls;
+        check(note.model === 'primary-small' && note.temperature === 0.8 && note.maxTokens === 120, 'notes: task model and settings', note);
+        check(score.model === 'primary-default' && score.temperature === 0.75 && score.maxTokens === 400, 'scoring: provider default model', score);
+        check(note.task === 'notes' && score.task === 'scoring', 'adapter sees the task', [note.task, score.task]);
+      } finally {
+        config.ai.tasks = saved;
+      }
+    }),
+  },
+
+  // ── Retry + circuit breaker ──
+  {
+    label: 'retry: 429 and 503 are retried on the same provider',
+    script: {},
+    run: () => withChain(['primary', 'backup'], async () => {
+      stubs.primary.errors = [httpError(429), httpError(503)];
+      const text = await generate('commenting', 'sys', 'usr');
+      check(text === 'reply from primary', 'primary answered on the third attempt', text);
+      check(stubCalls.every((c) => c.provider === 'primary') && stubCalls.length === 3, 'backup never called', stubCalls.map((c) => c.provider));
+      const st = getProviderStats().primary;
+      check(st.retries === 2 && st.successes === 1 && st.failures === 0, 'counted as 2 retries, 1 success', st);
+    }),
+  },
+  {
+    label: 'retry: retry-after-ms header sets the wait',
+    script: {},
+    run: () => withChain(['primary'], async () => {
+      stubs.primary.errors = [httpError(429, { 'retry-after-ms': '120' })];
+      const t0 = Date.now();
+      await generate('commenting', 'sys', 'usr');
+      const waited = Date.now() - t0;
+      check(waited >= 115, 'waited as long as the header asked', waited);
+    }),
+  },
+  {
+    label: 'retry: Retry-After beyond the max wait moves on to the next provider',
+    script: {},
+    run: () => withChain(['primary', 'backup'], async () => {
+      stubs.primary.errors = [httpError(429, { 'retry-after': '3600' })];
+      const t0 = Date.now();
+      const text = await generate('commenting', 'sys', 'usr');
+      check(text === 'reply from backup' && Date.now() - t0 < 100, 'backup answered without waiting', text);
+      check(getProviderStats().primary.retries === 0, 'no retry on primary', getProviderStats().primary);
+    }),
+  },
+  {
+    label: 'retry: 400 and 409 are not retried',
+    script: {},
+    run: () => withChain(['primary', 'backup'], async () => {
+      stubs.primary.errors = [httpError(400)];
+      await generate('commenting', 'sys', 'usr');
+      check(stubCalls.map((c) => c.provider).join(',') === 'primary,backup', 'one primary attempt, then backup', stubCalls.map((c) => c.provider));
+      stubCalls.length = 0;
+      stubs.primary.errors = [httpError(409)];
+      await generate('commenting', 'sys', 'usr');
+      check(stubCalls.map((c) => c.provider).join(',') === 'primary,backup', '409 is not a transient error either', stubCalls.map((c) => c.provider));
+    }),
+  },
+  {
+    label: 'retry: circuit opens after repeated failures and stays open',
+    script: {},
+    run: () => withChain(['primary', 'backup'], async () => {
+      stubs.primary.fail = true;
+      for (let i = 0; i < 3; i++) await generate('scoring', 'sys', 'usr');
+      check(getProviderStats().primary.open === true, 'primary circuit open after 3 failed calls', getProviderStats().primary);
+
+      stubs.primary.fail = false;
+      stubCalls.length = 0;
+      const text = await generate('scoring', 'sys', 'usr');
+      check(text === 'reply from backup' && stubCalls.every((c) => c.provider === 'backup'), 'primary skipped even though it recovered', stubCalls.map((c) => c.provider));
+      check(formatProviderStats() === 'Stub primary ✓0 ✗3 (circuit open) | Stub backup ✓4 ✗0', 'summary line', formatProviderStats());
+    }),
+  },
+  {
+    label: 'retry: 401 opens the circuit at once',
+    script: {},
+    run: () => withChain(['primary'], async () => {
+      stubs.primary.errors = [httpError(401)];
+      let err = null;
+      try { await generate('notes', 'sys', 'usr'); } catch (e) { err = e; }
+      check(err && err.status === 401 && getProviderStats().primary.open, 'auth error thrown, circuit open', getProviderStats().primary);
+      try { await generate('notes', 'sys', 'usr'); err = null; } catch (e) { err = e; }
+      check(err && /paused for this run/.test(err.message), 'later calls fail fast', err && err.message);
+      check(stubCalls.length === 1, 'provider called only once', stubCalls.length);
+    }),
+  },
+
+  // ── Usage + budget ──
+  {
+    label: 'usage: reported tokens are priced and saved',
+    script: {},
+    run: () => withChain(['metered'], async () => {
+      await generate('commenting', 'sys', 'usr');
+      await generate('notes', 'sys', 'usr');
+      const month = getMonthUsage();
+      check(month.calls === 2 && month.promptTokens === 2000 && month.completionTokens === 1000, 'month totals on disk', month);
+      check(Math.abs(month.costUsd - 0.0009) < 1e-9, 'gpt-4o-mini price applied ($0.00045 per call)', month.costUsd);
+      const saved = JSON.parse(fs.readFileSync(config.data.aiUsagePath, 'utf-8')).calls;
+      check(saved.length === 2 && saved[0].provider === 'metered' && saved[0].model === 'gpt-4o-mini' && saved[1].task === 'notes', 'one row per call with provider, model, task', saved);
+      check(saved[0].estimated === false, 'reported usage is not marked estimated', saved[0]);
+      check(getRunUsage().calls === 2, 'run totals updated', getRunUsage());
+    }),
+  },
+  {
+    label: 'usage: only the newest rows are kept, month totals in full',
+    script: {},
+    run: () => withChain(['metered'], async () => {
+      const saved = config.data.aiUsageKeep;
+      config.data.aiUsageKeep = 3;
+      try {
+        for (const task of ['scoring', 'commenting', 'critic', 'notes', 'notes']) await generate(task, 'sys', 'usr');
+        const calls = JSON.parse(fs.readFileSync(config.data.aiUsagePath, 'utf-8')).calls;
+        check(calls.map((c) => c.task).join(',') === 'critic,notes,notes', 'the 3 newest calls kept', calls.map((c) => c.task));
+        check(getMonthUsage().calls === 5 && Math.abs(getMonthUsage().costUsd - 0.00225) < 1e-9, 'month totals count all 5', getMonthUsage());
+      } finally {
+        config.data.aiUsageKeep = saved;
+      }
+    }),
+  },
+  {
+    label: 'usage: missing usage is estimated, unknown models cost nothing',
+    script: {},
+    run: () => withChain(['primary'], async () => {
+      await generate('scoring', 'x'.repeat(400), 'y'.repeat(400));
+      const [row] = JSON.parse(fs.readFileSync(config.data.aiUsagePath, 'utf-8')).calls;
+      check(row.estimated === true && row.promptTokens === 200, 'chars/4 estimate', row);
+      check(row.costUsd === 0 && row.priced === false, 'unpriced model is $0', row);
+    }),
+  },
+  {
+    label: 'usage: dated model names use the longest matching price',
+    script: {},
+    run: async () => {
+      const mini = estimateCost('gpt-4o-mini-2024-07-18', 1e6, 0);
+      const full = estimateCost('gpt-4o-2024-08-06', 1e6, 0);
+      check(mini.costUsd === 0.15 && full.costUsd === 2.5, 'gpt-4o-mini-… vs gpt-4o-…', [mini, full]);
+    },
+  },
+  {
+    label: 'usage: fake provider calls are counted but not saved',
+    script: {},
+    run: async () => {
+      fs.rmSync(config.data.aiUsagePath, { force: true });
+      await scorePostInterest(POST, 'Member1 Sample');
+      check(getRunUsage().calls === 1, 'counted for the run', getRunUsage());
+      check(!fs.existsSync(config.data.aiUsagePath), 'nothing written to the usage file', config.data.aiUsagePath);
+    },
+  },
+  {
+    label: 'usage: monthly budget stops AI calls',
+    script: {},
+    run: () => withChain(['metered'], async () => {
+      config.ai.pricing.monthlyBudgetUsd = 0.0008;
+      await generate('commenting', 'sys', 'usr');
+      await generate('commenting', 'sys', 'usr');   // $0.0009 — now over budget
+      let err = null;
+      try { await generate('commenting', 'sys', 'usr'); } catch (e) { err = e; }
+      check(err && err.code === 'AI_BUDGET_EXCEEDED', 'throws AI_BUDGET_EXCEEDED', err && err.message);
+      check(stubCalls.length === 2, 'provider not called once over budget', stubCalls.length);
+      let commentErr = null;
+      try { await generateComment(POST, 'Member1 Sample', null, { pastComments: [], candidates: 3 }); } catch (e) { commentErr = e; }
+      check(commentErr && commentErr.code === 'AI_BUDGET_EXCEEDED', 'generateComment passes AI_BUDGET_EXCEEDED on unchanged', commentErr && commentErr.message);
+      const n = await generateConnectionNote('Sara Haddad', 'Product Lead', 'Dubai', TEMPLATES);
+      check(n === 'Hi Sara, your work as Product Lead caught my eye. Would love to connect!', 'notes fall back to templates', n);
+      check(getProviderStats().metered.open === false, 'budget stop does not trip the circuit breaker', getProviderStats().metered);
+    }),
+  },
+
+  // ── Schema validation ──
+  {
+    label: 'schema: JSON is found inside fences and chatter',
+    script: {},
+    run: async () => {
+      const a = parseJsonReply('Here you go:\n```json\n{"score": 5, "reason": "r", "interesting": false}\n```');
+      check(a.value && a.value.score === 5, 'object extracted', a);
+      const b = parseJsonReply('no json here');
+      check(b.error && !b.value, 'missing object reported', b);
+    },
+  },
+  {
+    label: 'schema: field-level errors',
+    script: {},
+    run: async () => {
+      const errors = validate(SCORE_SCHEMA, { score: 140, reason: '   ', interesting: 'true' });
+      const byField = Object.fromEntries(errors.map((e) => [e.field, e.message]));
+      check(/<= 100/.test(byField.score), 'score out of range', byField);
+      check(/must not be empty/.test(byField.reason), 'blank reason', byField);
+      check(/must be a boolean/.test(byField.interesting), 'string instead of boolean', byField);
+      check(validate(SCORE_SCHEMA, { score: 40, reason: 'ok', interesting: false }).length === 0, 'valid object has no errors');
+    },
+  },
+  {
+    label: 'schema: failures are logged with provider and model',
+    script: {},
+    run: () => withChain(['primary'], async () => {
+      let err = null;
+      try { await generateValidated('scoring', SCORE_SCHEMA, 'sys', 'usr'); } catch (e) { err = e; }
+      check(err && err.code === 'AI_SCHEMA_INVALID' && err.errors.length > 0, 'throws AI_SCHEMA_INVALID with the errors', err && err.message);
+      const stats = getSchemaFailureStats();
+      check(stats.length === 1 && stats[0].provider === 'primary' && stats[0].model === 'primary-default' && stats[0].count === 2,
+        'initial + repair failure saved against primary / primary-default', stats);
+      const saved = JSON.parse(fs.readFileSync(config.data.aiUsagePath, 'utf-8')).schemaFailures;
+      check(saved.map((f) => f.stage).join(',') === 'initial,repair' && saved[0].schema === 'score', 'stage and schema recorded', saved);
+      check(/2 invalid JSON replies/.test(formatRunUsage()), 'run summary mentions them', formatRunUsage());
+    }),
+  },
+
+  // ── Prompt templates ──
+  {
+    label: 'prompts: variables, sections, lists and inverted sections',
+    script: {},
+    run: async () => {
+      const tpl = 'Hi {{profile.name}}.\n{{#tone}}\nTone: {{tone}}\n{{/tone}}\n{{^items}}\nnone\n{{/items}}\n{{#items}}- {{text}}\n{{/items}}end';
+      const a = renderTemplate(tpl, { profile: { name: 'Ann' }, tone: 'warm', items: [{ text: 'x' }, { text: 'y' }] });
+      check(a === 'Hi Ann.\nTone: warm\n- x\n- y\nend', 'filled in, standalone tags leave no blank lines', JSON.stringify(a));
+      const b = renderTemplate(tpl, { profile: { name: 'Ann' }, tone: '', items: [] });
+      check(b === 'Hi Ann.\nnone\nend', 'empty section skipped, inverted one rendered', JSON.stringify(b));
+      let err = null;
+      try { renderTemplate('Hello {{nmae}}', { name: 'Ann' }); } catch (e) { err = e; }
+      check(err && /unknown variable \{\{nmae\}\}/.test(err.message), 'unknown variable throws', err && err.message);
+    },
+  },
+  {
+    label: 'prompts: newest version is used unless one is pinned',
+    script: {},
+    run: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+      const orig = { dir: config.prompts.dir, versions: config.prompts.versions };
+      try {
+        fs.writeFileSync(path.join(dir, 'greet.v2.txt'), '# v2\n=== user ===\nHello v2 {{name}}\n');
+        fs.writeFileSync(path.join(dir, 'greet.v10.txt'), '=== system ===\nsys\n=== user ===\nHello v10 {{name}}\n');
+        config.prompts.dir = dir;
+        config.prompts.versions = {};
+        check(activePromptVersion('greet') === 'v10', 'v10 sorts after v2', activePromptVersion('greet'));
+        const latest = renderPrompt('greet', { name: 'Ann' });
+        check(latest.version === 'greet@v10' && latest.system === 'sys' && latest.user === 'Hello v10 Ann', 'every section rendered', latest);
+        config.prompts.versions = { greet: 'v2' };
+        const pinned = renderPrompt('greet', { name: 'Ann' });
+        check(pinned.version === 'greet@v2' && pinned.user === 'Hello v2 Ann', 'pinned version used', pinned);
+      } finally {
+        Object.assign(config.prompts, orig);
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    },
+  },
+  {
+    label: 'prompts: comments and scores are stamped with the prompt version',
+    script: {},
+    run: async () => {
+      const expected = `comment@${activePromptVersion('comment')}`;
+      const r = await generateComment(POST, 'Member1 Sample', null, { existingComments: ['Nice numbers'] });
+      check(r.promptVersion === expected, `comment stamped ${expected}`, r.promptVersion);
+      const [call] = getFakeCalls();
+      check(call.user.includes('1. "Nice numbers"') && call.user.includes(POST), 'existing comments and post rendered into the prompt', call.user.slice(0, 200));
+      const s = await scorePostInterest(POST, 'Member1 Sample');
+      check(s.promptVersion === `score@${activePromptVersion('score')}`, 'score stamped', s.promptVersion);
+    },
+  },
+
+  // ── Experiments ──
+  {
+    label: 'experiments: one arm per active experiment, by weight',
+    script: {},
+    run: async () => {
+      writeExperiments([
+        { id: 'prompt', arms: [{ id: 'a', weight: 3 }, { id: 'b', weight: 1 }] },
+        { id: 'paused', active: false, arms: [{ id: 'x' }, { id: 'y' }] },
+      ]);
+      check(JSON.stringify(assignArms(() => 0.7)) === '{"prompt":"a"}', '0.7 of 4 lands in arm a (weight 3)', assignArms(() => 0.7));
+      check(assignArms(() => 0.8).prompt === 'b', '0.8 lands in arm b', assignArms(() => 0.8));
+      resetArms();
+    },
+  },
+  {
+    label: 'experiments: arm overrides prompt version and comment-type weights',
+    script: {},
+    run: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+      const origDir = config.prompts.dir;
+      try {
+        for (const v of ['v1', 'v2']) fs.writeFileSync(path.join(dir, `greet.${v}.txt`), `=== user ===\n${v}\n`);
+        config.prompts.dir = dir;
+        writeExperiments([
+          { id: 'greet-prompt', arms: [{ id: 'old', prompts: { greet: 'v1' } }, { id: 'new', prompts: { greet: 'v2' } }] },
+          { id: 'questions', arms: [{ id: 'only', commentTypeWeights: { curious_question: 100, micro_insight: 0, builder_feedback: 0, mini_story: 0, agreement: 0, supportive: 0, simple_reaction: 0, celebratory: 0 } }, { id: 'never', weight: 0 }] },
+        ]);
+        assignArms(() => 0.1);
+        check(renderPrompt('greet', {}).version === 'greet@v1', 'arm pins the older prompt', activePromptVersion('greet'));
+        config.prompts.dir = origDir;
+        const r = await generateComment(POST, 'Member1 Sample');
+        check(r.commentType === 'curious_question', 'reweighted comment type used and returned', r.commentType);
+        check(getFakeCalls()[0].user.includes('Comment Type to aim for: Curious Question'), 'type reaches the prompt');
+      } finally {
+        config.prompts.dir = origDir;
+        resetArms();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    },
+  },
+  {
+    label: 'experiments: outcome rates per arm',
+    script: {},
+    run: async () => {
+      closeStore();
+      fs.rmSync(config.data.dbPath, { force: true });
+      await openStore();
+      writeExperiments([{ id: 'prompt', arms: [{ id: 'a' }, { id: 'b' }, { id: 'unused' }] }]);
+      const log = (url, arm) => logCommentPerformance({ postUrl: url, comment: 'c', experiments: { prompt: arm } });
+      log('u1', 'a'); log('u2', 'a'); log('u3', 'a'); log('u4', 'b');
+      updateCommentOutcome('u1', { authorReplied: true, connectionReceived: false });
+      updateCommentOutcome('u2', { authorReplied: false });
+      check(updateCommentOutcome('nope', { authorReplied: true }) === false, 'unknown post reported');
+
+      const byArm = Object.fromEntries(getExperimentReport().map((r) => [r.arm, r]));
+      check(byArm.a.comments === 3 && byArm.a.replied.known === 2 && byArm.a.replied.rate === 0.5, 'arm a: 1 of 2 known replied (unknown ignored)', byArm.a);
+      check(byArm.a.connected.known === 1 && byArm.a.connected.rate === 0, 'arm a: connection rate', byArm.a.connected);
+      check(byArm.b.comments === 1 && byArm.b.replied.rate === null, 'arm b: no outcomes yet → no rate', byArm.b);
+      check(byArm.unused && byArm.unused.comments === 0, 'unassigned arm listed with 0 comments', byArm.unused);
+    },
+  },
+  {
+    label: 'experiments: invalid definitions are rejected',
+    script: {},
+    run: async () => {
+      const errorFor = (experiments) => {
+        writeExperiments(experiments);
+        try { loadExperiments(); return ''; } catch (e) { return e.message; }
+      };
+      check(/at least 2 arms/.test(errorFor([{ id: 'x', arms: [{ id: 'a' }] }])), 'single arm');
+      check(/two arms called "a"/.test(errorFor([{ id: 'x', arms: [{ id: 'a' }, { id: 'a' }] }])), 'duplicate arm ids');
+      check(/defined twice/.test(errorFor([{ id: 'x', arms: [{ id: 'a' }, { id: 'b' }] }, { id: 'x', arms: [{ id: 'a' }, { id: 'b' }] }])), 'duplicate experiment ids');
+      fs.rmSync(config.data.experimentsPath, { force: true });
+      check(loadExperiments().length === 0, 'no file → no experiments');
+    },
+  },
+];
+
+// ─────────────────────────────────────────────────────────────────
+//  Main
+// ─────────────────────────────────────────────────────────────────
+
+async function main() {
+  // The AI modules narrate fallbacks — only replay that log when a case fails
+  const origLog = console.log;
+  await openStore();
+
+  for (const c of CASES.filter((x) => x.label.includes(filter))) {
+    out(chalk.bold.blue(`\n── ${c.label} ──`));
+    resetFake();
+    resetProviderStats();
+    resetRunUsage();
+    setFakeScript(c.script);
+
+    const buffered = [];
+    const failedBefore = failed;
+    console.log = (...m) => buffered.push(m.join(' '));
+    try {
+      await c.run();
+    } catch (e) {
+      fail(`threw: ${e.message}`);
+    } finally {
+      console.log = origLog;
+      if (failed > failedBefore) {
+        for (const line of buffered) console.log(chalk.gray(`      │ ${line.trim()}`));
+      }
+    }
+  }
+
+  closeStore();
+  for (const file of [config.data.aiUsagePath, config.data.dbPath, config.data.experimentsPath]) {
+    fs.rmSync(file, { force: true });
+  }
+
+  console.log('');
+  console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`\n[ERROR] ${e.message}`));
+  process.exit(1);
+});
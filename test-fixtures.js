@@ -0,0 +1,278 @@
+'use strict';
+/**
+ * test-fixtures.js — Offline regression suite for the feed.js extraction strategies
+ *                    and the People Search scraper (src/linkedin/search.js)
+ *
+ * Run:   node test-fixtures.js              (every fixture)
+ *        node test-fixtures.js legacy       (only fixtures whose name contains "legacy")
+ *        node test-fixtures.js --update     (rewrite *.expected.json from current output)
+ *
+ * For every fixtures/feed/<name>.html with a matching <name>.expected.json:
+ *   1. Serve fixtures/ from a local HTTP server (src/dev/fixtureServer.js).
+ *   2. Open the fixture in headless Chromium with LINKEDIN_BASE_URL pointed at it.
+ *   3. Run collectByLinkWalk, collectByDataUrn and collectByBodyText one by one,
+ *      then the full getFeedPostsBatch pipeline.
+ *   4. Compare postUrl, authorName, authorHeadline, postFormat, commentsData
+ *      and postAge of each expected card against what was extracted.
+ *
+ * Expected file format:
+ *   {
+ *     "description": "...",
+ *     "minBodyTextChunks": 1,
+ *     "posts": [
+ *       { "strategies": ["linkWalk", "dataUrn"], "postUrl": "{baseUrl}/feed/update/urn:li:activity:…/",
+ *         "authorName": "…", "authorHeadline": "…", "postFormat": "text",
+ *         "commentsData": [], "postAge": "" }
+ *     ]
+ *   }
+ * "{baseUrl}" is replaced with the fixture server origin at run time.
+ * Posts are matched across strategies by their post id (src/data/postIdentity.js).
+ *
+ * For every fixtures/search/<name>.html, scrapeSearchPage() runs on the page and
+ * its candidates are compared in order against <name>.expected.json:
+ *   { "description": "...",
+ *     "candidates": [ { "name": "…", "headline": "…", "location": "…",
+ *                       "profileUrl": "{baseUrl}/in/member-1/", "degree": "2nd" } ] }
+ *
+ * New fixtures come from `node debug-feed.js --capture` / `node debug-search.js --capture`.
+ *
+ * Needs a Chromium build: `npx playwright install chromium`, or CHROMIUM_PATH.
+ * Exits 1 if any assertion fails.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const { FIXTURES_DIR, startFixtureServer } = require('./src/dev/fixtureServer');
+const { postIdentity } = require('./src/data/postIdentity');
+
+const FEED_FIXTURES   = path.join(FIXTURES_DIR, 'feed');
+const SEARCH_FIXTURES = path.join(FIXTURES_DIR, 'search');
+const COMPARED_FIELDS = ['postUrl', 'authorName', 'authorHeadline', 'postFormat', 'commentsData', 'postAge'];
+const CANDIDATE_FIELDS = ['name', 'headline', 'location', 'profileUrl', 'degree'];
+const postKey = (url) => postIdentity({ postUrl: url }).id;
+
+const args    = process.argv.slice(2);
+const update  = args.includes('--update');
+const filter  = args.find((a) => !a.startsWith('--')) || '';
+
+let passed = 0;
+let failed = 0;
+
+function pass(msg) { passed++; console.log(chalk.green('  ✓ ') + msg); }
+function fail(msg) { failed++; console.log(chalk.red('  ✗ ') + msg); }
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Replace "{baseUrl}" placeholders (and back, for --update) */
+function withBase(value, baseUrl) {
+  return JSON.parse(JSON.stringify(value).split('{baseUrl}').join(baseUrl));
+}
+function withoutBase(value, baseUrl) {
+  return JSON.parse(JSON.stringify(value).split(baseUrl).join('{baseUrl}'));
+}
+
+function pick(post) {
+  const out = {};
+  for (const f of COMPARED_FIELDS) out[f] = post[f];
+  return out;
+}
+
+function comparePost(label, expected, actual, { checkUrl = true } = {}) {
+  const fields = COMPARED_FIELDS.filter((f) => (checkUrl || f !== 'postUrl') && f in expected);
+  const diffs  = fields.filter((f) => !same(expected[f], actual[f]));
+  if (diffs.length === 0) {
+    pass(`${label} — ${expected.authorName}`);
+    return;
+  }
+  fail(`${label} — ${expected.authorName}`);
+  for (const f of diffs) {
+    console.log(chalk.gray(`      ${f}: expected ${JSON.stringify(expected[f])}`));
+    console.log(chalk.gray(`      ${' '.repeat(f.length)}  actual   ${JSON.stringify(actual[f])}`));
+  }
+}
+
+async function runFixture(browser, baseUrl, name, feed) {
+  const expectedPath = path.join(FEED_FIXTURES, `${name}.expected.json`);
+  const hasExpected  = fs.existsSync(expectedPath);
+  if (!hasExpected && !update) {
+    console.log(chalk.yellow(`\n[SKIP] ${name} — no ${name}.expected.json (run with --update to create it)`));
+    return;
+  }
+
+  console.log(chalk.bold.blue(`\n── ${name} ──`));
+  const expected = hasExpected ? withBase(JSON.parse(fs.readFileSync(expectedPath, 'utf-8')), baseUrl) : { posts: [] };
+
+  const page = await browser.newPage({ viewport: { width: 1366, height: 900 } });
+  try {
+    await page.goto(`${baseUrl}/feed/${name}`, { waitUntil: 'domcontentloaded' });
+
+    const strategies = {
+      linkWalk: await feed.collectByLinkWalk(page),
+      dataUrn:  await feed.collectByDataUrn(page),
+      bodyText: await feed.collectByBodyText(page),
+    };
+    const batch = await feed.getFeedPostsBatch(page, 1);
+
+    if (update) {
+      const byId = new Map();
+      for (const key of ['linkWalk', 'dataUrn']) {
+        for (const p of strategies[key]) {
+          const id = postKey(p.postUrl);
+          if (!byId.has(id)) byId.set(id, { strategies: [], ...pick(batch.find((b) => b.postUrl && postKey(b.postUrl) === id) || p) });
+          byId.get(id).strategies.push(key);
+        }
+      }
+      const out = {
+        description: expected.description || '',
+        minBodyTextChunks: strategies.bodyText.length,
+        posts: [...byId.values()],
+      };
+      fs.writeFileSync(expectedPath, JSON.stringify(withoutBase(out, baseUrl), null, 2) + '\n');
+      console.log(chalk.yellow(`  ↻ Wrote ${path.relative(process.cwd(), expectedPath)} (${out.posts.length} post(s))`));
+      return;
+    }
+
+    // ── Per-strategy checks ──
+    for (const key of ['linkWalk', 'dataUrn']) {
+      const wanted = expected.posts.filter((p) => p.strategies.includes(key));
+      const found  = strategies[key];
+      if (found.length === wanted.length) pass(`${key}: ${found.length} post(s)`);
+      else fail(`${key}: expected ${wanted.length} post(s), got ${found.length}`);
+
+      for (const exp of wanted) {
+        const id  = postKey(exp.postUrl);
+        const act = found.find((p) => postKey(p.postUrl) === id);
+        if (!act) { fail(`${key}: activity ${id} not extracted`); continue; }
+        comparePost(`${key}`, exp, act, { checkUrl: false });
+      }
+    }
+
+    const minChunks = expected.minBodyTextChunks || 0;
+    if (strategies.bodyText.length >= minChunks) pass(`bodyText: ${strategies.bodyText.length} chunk(s) (min ${minChunks})`);
+    else fail(`bodyText: expected at least ${minChunks} chunk(s), got ${strategies.bodyText.length}`);
+
+    // ── Full batch pipeline ──
+    const withUrl = batch.filter((p) => p.postUrl);
+    if (withUrl.length === expected.posts.length) pass(`getFeedPostsBatch: ${withUrl.length} post(s) with URL`);
+    else fail(`getFeedPostsBatch: expected ${expected.posts.length} post(s) with URL, got ${withUrl.length}`);
+
+    for (const exp of expected.posts) {
+      const id  = postKey(exp.postUrl);
+      const act = withUrl.find((p) => postKey(p.postUrl) === id);
+      if (!act) { fail(`batch: activity ${id} missing`); continue; }
+      comparePost('batch', exp, act);
+    }
+  } finally {
+    await page.close();
+  }
+}
+
+async function runSearchFixture(browser, baseUrl, name, search) {
+  const expectedPath = path.join(SEARCH_FIXTURES, `${name}.expected.json`);
+  const hasExpected  = fs.existsSync(expectedPath);
+  if (!hasExpected && !update) {
+    console.log(chalk.yellow(`\n[SKIP] search/${name} — no ${name}.expected.json (run with --update to create it)`));
+    return;
+  }
+
+  console.log(chalk.bold.blue(`\n── search/${name} ──`));
+  const expected = hasExpected ? withBase(JSON.parse(fs.readFileSync(expectedPath, 'utf-8')), baseUrl) : {};
+
+  const page = await browser.newPage({ viewport: { width: 1366, height: 900 } });
+  try {
+    await page.goto(`${baseUrl}/search/${name}`, { waitUntil: 'domcontentloaded' });
+    const found = (await search.scrapeSearchPage(page)).map((c) => {
+      const out = {};
+      for (const f of CANDIDATE_FIELDS) out[f] = c[f];
+      return out;
+    });
+
+    if (update) {
+      const out = { description: expected.description || '', candidates: found };
+      fs.writeFileSync(expectedPath, JSON.stringify(withoutBase(out, baseUrl), null, 2) + '\n');
+      console.log(chalk.yellow(`  ↻ Wrote ${path.relative(process.cwd(), expectedPath)} (${found.length} candidate(s))`));
+      return;
+    }
+
+    const wanted = expected.candidates || [];
+    if (found.length === wanted.length) pass(`scrapeSearchPage: ${found.length} candidate(s)`);
+    else fail(`scrapeSearchPage: expected ${wanted.length} candidate(s), got ${found.length}`);
+
+    for (const exp of wanted) {
+      const act = found.find((c) => c.profileUrl === exp.profileUrl);
+      if (!act) { fail(`candidate ${exp.profileUrl} not extracted`); continue; }
+      const diffs = CANDIDATE_FIELDS.filter((f) => f in exp && !same(exp[f], act[f]));
+      if (diffs.length === 0) { pass(`candidate — ${exp.name}`); continue; }
+      fail(`candidate — ${exp.name}`);
+      for (const f of diffs) {
+        console.log(chalk.gray(`      ${f}: expected ${JSON.stringify(exp[f])}`));
+        console.log(chalk.gray(`      ${' '.repeat(f.length)}  actual   ${JSON.stringify(act[f])}`));
+      }
+    }
+  } finally {
+    await page.close();
+  }
+}
+
+function listFixtures(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.html'))
+    .map((f) => f.replace(/\.html$/, ''))
+    .filter((n) => n.includes(filter))
+    .sort();
+}
+
+async function main() {
+  const server = await startFixtureServer();
+
+  // config.js reads the environment once at require time — set the base URL
+  // before anything that depends on it is loaded.
+  process.env.LINKEDIN_BASE_URL = server.baseUrl;
+  const { chromium } = require('playwright');
+  const config = require('./src/config');
+  const feed   = require('./src/linkedin/feed');
+  const search = require('./src/linkedin/search');
+
+  const names       = listFixtures(FEED_FIXTURES);
+  const searchNames = listFixtures(SEARCH_FIXTURES);
+
+  console.log(chalk.bold(`Feed fixtures: ${names.length}  Search fixtures: ${searchNames.length} (server: ${server.baseUrl})`));
+
+  const browser = await chromium.launch({
+    headless: true,
+    executablePath: config.browser.executablePath || undefined,
+  });
+
+  // feed.js logs every step — keep the suite output readable
+  const origLog = console.log;
+  const quiet = (fn) => async (...a) => {
+    console.log = (...m) => { if (typeof m[0] === 'string' && /^\s+(\[DEBUG\]|\[\d+\] url=|Scrolling|✓ Already|Navigating)/.test(m[0])) return; origLog(...m); };
+    try { return await fn(...a); } finally { console.log = origLog; }
+  };
+
+  try {
+    for (const name of names) {
+      await quiet(runFixture)(browser, server.baseUrl, name, feed);
+    }
+    for (const name of searchNames) {
+      await quiet(runSearchFixture)(browser, server.baseUrl, name, search);
+    }
+  } finally {
+    await browser.close();
+    await server.close();
+  }
+
+  console.log('');
+  console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`\n[ERROR] ${e.message}`));
+  process.exit(1);
+});
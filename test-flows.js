@@ -0,0 +1,311 @@
+'use strict';
+/**
+ * test-flows.js — End-to-end comment + connect flows against the local mock LinkedIn
+ *
+ * Run:   node test-flows.js              (every case)
+ *        node test-flows.js connect      (only cases whose label contains "connect")
+ *
+ * Starts src/dev/mockLinkedIn.js, points LINKEDIN_BASE_URL at it and drives the
+ * real postComment() / sendConnectionRequest() in headless Chromium. The mock
+ * records every submitted comment and invitation together with HOW it was
+ * submitted, so each typeAndSubmit() fallback is checked explicitly:
+ *   scoped submit → 'dom-click'   aria submit → 'mouse'
+ *   Tab+Space     → 'keyboard'    Enter       → 'enter'
+ * and runs connection-bot.js --non-interactive against it as a child process,
+ * stdin left open: it must close the browser and exit with the right status
+ * by itself, also when the mock is logged out or can't be reached.
+ * The "daemon" case runs two daemon.js jobs back to back on one browser: each
+ * must start with the AI provider's circuit breaker closed and its usage at zero.
+ *
+ * Needs a Chromium build: `npx playwright install chromium`, or CHROMIUM_PATH.
+ * Slow on purpose (the flows keep their human-like delays) — a few minutes.
+ * Exits 1 if any assertion fails.
+ */
+
+const fs    = require('fs');
+const os    = require('os');
+const path  = require('path');
+const chalk = require('chalk');
+const { spawn } = require('child_process');
+
+const { startMockLinkedIn } = require('./src/dev/mockLinkedIn');
+
+const filter = process.argv.slice(2).find((a) => !a.startsWith('--')) || '';
+
+let passed = 0;
+let failed = 0;
+
+// Results go straight to stdout so they still show while the flow logs are muted
+const out = (line) => process.stdout.write(line + '\n');
+
+function pass(msg) { passed++; out(chalk.green('  ✓ ') + msg); }
+function fail(msg) { failed++; out(chalk.red('  ✗ ') + msg); }
+function check(ok, msg, detail) {
+  if (ok) pass(msg);
+  else { fail(msg); if (detail !== undefined) out(chalk.gray(`      got: ${JSON.stringify(detail)}`)); }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Cases
+// ─────────────────────────────────────────────────────────────────
+
+const COMMENT_CASES = [
+  { label: 'comment: feed card, scoped submit',     postId: '7303000000000000101', via: 'dom-click' },
+  { label: 'comment: feed card, aria submit',       postId: '7303000000000000102', via: 'mouse' },
+  { label: 'comment: feed card, Tab+Space submit',  postId: '7303000000000000103', via: 'keyboard' },
+  { label: 'comment: feed card, Enter submit',      postId: '7303000000000000104', via: 'enter' },
+  { label: 'comment: Comment button opens post page', postId: '7303000000000000105', via: 'dom-click' },
+  { label: 'comment: off-feed post, detail page',   postId: '7303000000000000106', via: 'dom-click' },
+  { label: 'comment: post cannot be displayed',     postId: '7303000000000000107', via: null },
+];
+
+const CONNECT_CASES = [
+  { label: 'connect: direct Connect + Add a note', vanity: 'amara-okafor',    note: 'Enjoyed your take on freight APIs, would love to connect.', sent: true, via: 'mouse' },
+  { label: 'connect: same profile is now Pending', vanity: 'amara-okafor',    note: 'Second try', sent: false, reason: /pending/i, keepState: true },
+  { label: 'connect: Connect inside More menu',    vanity: 'jonas-lindqvist', note: '', sent: true, via: 'mouse' },
+  { label: 'connect: email gate',                  vanity: 'sara-haddad',     note: 'Hi Sara', sent: false, reason: /email/i },
+  { label: 'connect: already pending',             vanity: 'liam-oconnell',   note: 'Hi Liam', sent: false, reason: /pending/i },
+  { label: 'connect: 1st degree (Message)',        vanity: 'priya-natarajan', note: 'Hi Priya', sent: false, reason: /already connected/i },
+  { label: 'connect: checkpoint redirect',         vanity: 'wei-zhang',       note: 'Hi Wei', sent: false, reason: /checkpoint/i },
+  { label: 'connect: dry run never navigates',     vanity: 'amara-okafor',    note: 'Hi', sent: false, reason: /DRY RUN/, dryRun: true },
+];
+
+// Whole runs: stdin stays open and is never written to, so a prompt would hang until the timeout
+const RUN_CASES = [
+  { label: 'non-interactive: logged out, fails fast', loggedOut: true,  code: 3, output: /npm run login/ },
+  { label: 'non-interactive: nothing to do, browser closed', loggedOut: false, code: 2, output: /Exit status 2/ },
+  { label: 'non-interactive: LinkedIn unreachable is an error, not a login', unreachable: true, code: 1,
+    output: /Could not reach LinkedIn/, notOutput: /npm run login/ },
+];
+
+async function runCommentCase(browser, mock, postComment, c) {
+  mock.reset();
+  const text = `Test comment ${c.postId.slice(-3)}: the boring fixes are usually the ones that stick.`;
+  const page = await browser.newPage({ viewport: { width: 1366, height: 900 } });
+  try {
+    const postUrl = `${mock.baseUrl}/feed/update/urn:li:activity:${c.postId}/`;
+    const ok = await postComment(page, postUrl, text);
+    const { comments } = mock.state;
+
+    if (c.via === null) {
+      check(ok === false, 'postComment returned false', ok);
+      check(comments.length === 0, 'nothing was submitted', comments);
+      return;
+    }
+    check(ok === true, 'postComment returned true', ok);
+    const mine = comments.filter((x) => x.postId === c.postId);
+    check(mine.length === 1 && mine[0].text === text, 'exactly one comment with the full text on the target post', mine);
+    check(comments.length === mine.length, 'no comment landed on another post', comments);
+    if (mine[0]) check(mine[0].via === c.via, `submitted via ${c.via}`, mine[0].via);
+  } finally {
+    await page.close();
+  }
+}
+
+async function runConnectCase(browser, mock, sendConnectionRequest, c) {
+  if (!c.keepState) mock.reset();
+  const before = mock.state.invitations.length;
+  const page = await browser.newPage({ viewport: { width: 1366, height: 900 } });
+  try {
+    const result = await sendConnectionRequest(page, `${mock.baseUrl}/in/${c.vanity}/`, c.note, !!c.dryRun);
+    const added  = mock.state.invitations.slice(before);
+
+    check(result.sent === c.sent, `sent === ${c.sent}`, result);
+    if (c.reason) check(c.reason.test(result.reason), `reason matches ${c.reason}`, result.reason);
+    if (!c.sent) {
+      check(added.length === 0, 'no invitation recorded', added);
+      return;
+    }
+    check(added.length === 1 && added[0].vanity === c.vanity, 'one invitation to the right profile', added);
+    if (added[0]) {
+      check(added[0].note === c.note, c.note ? 'note text sent in full' : 'sent without a note', added[0].note);
+      check(added[0].via === c.via, `send clicked via ${c.via}`, added[0].via);
+    }
+  } finally {
+    await page.close();
+  }
+}
+
+function runBot(script, args, env, timeoutMs = 180000) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, script), ...args], { env, cwd: env.RUN_DIR, stdio: ['pipe', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', (d) => { output += d; });
+    child.stderr.on('data', (d) => { output += d; });
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, output });
+    });
+  });
+}
+
+/** Two comment jobs in a row, the schedule window closed so each session ends at once */
+async function runDaemonCase(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-daemon-'));
+  const saved = {
+    browser: { ...config.browser }, data: { ...config.data }, daemon: { ...config.daemon },
+    schedule: { ...config.schedule }, ai: { provider: config.ai.provider, chain: config.ai.chain, retry: config.ai.retry },
+  };
+  Object.assign(config.browser, { headless: true, sessionDir: path.join(dir, 'session') });
+  Object.assign(config.data, { dbPath: path.join(dir, 'linkedin.db'), aiUsagePath: path.join(dir, 'ai_usage.json') });
+  config.daemon.stateFile = path.join(dir, 'daemon.json');
+  const hour = new Date().getUTCHours();
+  Object.assign(config.schedule, { timezone: 'UTC', startHour: (hour + 2) % 24, endHour: (hour + 3) % 24 || 24, activeDays: [0, 1, 2, 3, 4, 5, 6] });
+  Object.assign(config.ai, { provider: '', chain: ['flaky'], retry: { ...config.ai.retry, maxRetries: 0, breakerThreshold: 3 } });
+
+  const { generate, registerProvider, getProviderStats } = require('./src/ai/providers');
+  const { openStore, closeStore } = require('./src/data/store');
+  const { runJob, closeBrowser } = require('./daemon');
+  const flaky = { down: false };
+  registerProvider('flaky', {
+    defaultModel: () => 'flaky-1',
+    generate: async () => { if (flaky.down) throw new Error('flaky down'); return 'ok'; },
+  });
+  /** A successful call, then three failures: the breaker opens */
+  const tripBreaker = async () => {
+    flaky.down = false;
+    await generate('scoring', 'sys', 'usr');
+    flaky.down = true;
+    for (let i = 0; i < 3; i++) await generate('scoring', 'sys', 'usr').catch(() => {});
+  };
+  const runLogged = async (job) => {
+    const lines = [];
+    const origLog = console.log;
+    console.log = (...m) => lines.push(m.join(' '));
+    try { await runJob(state, job, { defaultCooldownDays: 7, tiers: [] }); } finally { console.log = origLog; }
+    return lines.join('\n');
+  };
+
+  const now  = new Date();
+  const day  = now.toISOString().slice(0, 10);
+  const jobs = [1, 2].map((n) => ({ id: `comment-${day}-${n}`, kind: 'comment', at: now.toISOString(), quota: 1, status: 'planned', made: 0 }));
+  const state = { plans: { comment: {
+    kind: 'comment', day, windowStart: now.toISOString(), windowEnd: new Date(now.getTime() + 3600000).toISOString(),
+    quota: 2, rest: false, createdAt: now.toISOString(), jobs,
+  } } };
+
+  try {
+    await openStore();
+    await tripBreaker();
+    check(getProviderStats().flaky.open === true, 'breaker open before the first job', getProviderStats().flaky);
+    const first = await runLogged(jobs[0]);
+    check(jobs[0].status === 'done', 'first job done', jobs[0]);
+    check(/AI usage: 0 AI calls/.test(first), 'first job counts its own AI usage from zero', first.slice(-400));
+    flaky.down = false;
+    check(await generate('scoring', 'sys', 'usr').then(() => true, () => false), 'the provider works again after the job started');
+
+    await tripBreaker();
+    const second = await runLogged(jobs[1]);
+    check(jobs[1].status === 'done' && /AI usage: 0 AI calls/.test(second), 'second job: its totals start from zero too', second.slice(-400));
+    check(!getProviderStats().flaky || getProviderStats().flaky.open === false, 'second job: breaker closed again', getProviderStats().flaky);
+  } finally {
+    await closeBrowser();
+    closeStore();
+    Object.assign(config.browser, saved.browser);
+    Object.assign(config.data, saved.data);
+    Object.assign(config.daemon, saved.daemon);
+    Object.assign(config.schedule, saved.schedule);
+    Object.assign(config.ai, saved.ai);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runRunCase(mock, c) {
+  mock.reset();
+  mock.state.loggedOut = !!c.loggedOut;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-run-'));
+  try {
+    const { code, signal, output } = await runBot('connection-bot.js', ['--non-interactive'], {
+      ...process.env,
+      RUN_DIR: dir,
+      // Port 9 (discard) has nothing listening: the navigation itself fails
+      LINKEDIN_BASE_URL: c.unreachable ? 'http://127.0.0.1:9' : mock.baseUrl,
+      HEADLESS: 'true',
+      AI_PROVIDER: 'fake',
+      FORCE_COLOR: '0',
+      DB_PATH: path.join(dir, 'linkedin.db'),
+      LOGS_DIR: path.join(dir, 'logs'),
+      SESSION_DIR: path.join(dir, 'session'),
+      CONNECTION_SCHEDULE_TIMEZONE: 'UTC',
+      CONNECTION_SCHEDULE_START_HOUR: '0',
+      CONNECTION_SCHEDULE_END_HOUR: '24',
+      CONNECTION_SCHEDULE_ACTIVE_DAYS: '0,1,2,3,4,5,6',
+    });
+    check(signal === null, 'exited by itself, without waiting for stdin', signal);
+    check(code === c.code, `exit status ${c.code}`, code);
+    check(c.output.test(output), `output matches ${c.output}`, output.slice(-600));
+    if (c.notOutput) check(!c.notOutput.test(output), `output does not match ${c.notOutput}`, output.slice(-600));
+    check(!/Press ENTER/.test(output), 'never prompted');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Main
+// ─────────────────────────────────────────────────────────────────
+
+async function main() {
+  const mock = await startMockLinkedIn();
+
+  // config.js reads the environment once at require time
+  process.env.LINKEDIN_BASE_URL = mock.baseUrl;
+  const { chromium } = require('playwright');
+  const config = require('./src/config');
+  const { postComment }           = require('./src/linkedin/commenter');
+  const { sendConnectionRequest } = require('./src/linkedin/connector');
+
+  console.log(chalk.bold(`Mock LinkedIn: ${mock.baseUrl}`));
+
+  const browser = await chromium.launch({
+    headless: true,
+    executablePath: config.browser.executablePath || undefined,
+  });
+
+  // The flows narrate every step — only replay that log when a case fails
+  const origLog = console.log;
+  const quiet = (fn) => async (...a) => {
+    const buffered = [];
+    const failedBefore = failed;
+    console.log = (...m) => buffered.push(m.join(' '));
+    try { return await fn(...a); } finally {
+      console.log = origLog;
+      if (failed > failedBefore) {
+        for (const line of buffered) console.log(chalk.gray(`      │ ${line.trim()}`));
+      }
+    }
+  };
+
+  try {
+    for (const c of COMMENT_CASES.filter((x) => x.label.includes(filter))) {
+      console.log(chalk.bold.blue(`\n── ${c.label} ──`));
+      await quiet(runCommentCase)(browser, mock, postComment, c);
+    }
+    for (const c of CONNECT_CASES.filter((x) => x.label.includes(filter))) {
+      console.log(chalk.bold.blue(`\n── ${c.label} ──`));
+      await quiet(runConnectCase)(browser, mock, sendConnectionRequest, c);
+    }
+    for (const c of RUN_CASES.filter((x) => x.label.includes(filter))) {
+      console.log(chalk.bold.blue(`\n── ${c.label} ──`));
+      await runRunCase(mock, c);
+    }
+    const daemonLabel = 'daemon: two jobs back to back, each with fresh AI stats';
+    if (daemonLabel.includes(filter)) {
+      console.log(chalk.bold.blue(`\n── ${daemonLabel} ──`));
+      await runDaemonCase(config);
+    }
+  } finally {
+    await browser.close();
+    await mock.close();
+  }
+
+  console.log('');
+  console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`\n[ERROR] ${e.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,1024 @@
+'use strict';
+/**
+ * test-store.js — Offline suite for the SQLite data store (src/data/store.js)
+ *
+ * Run:   node test-store.js              (every case)
+ *        node test-store.js import       (only cases whose label contains "import")
+ *
+ * Every case gets a fresh database in a temp directory, next to hand-written
+ * legacy files (commented_posts.csv with quoted commas, comment_performance.json,
+ * sent_connections.csv, target_profiles.csv), and checks:
+ *   the one-time import and that running it again adds nothing,
+ *   the dedup keys bot.js and connection-bot.js read,
+ *   comments / outcomes / connection requests written through the repository,
+ *   that a write from another process is seen before the next read,
+ *   the locks: atomic writes, concurrent writers losing nothing, stale
+ *   lock take-over (one winner when several race for it) and the run
+ *   lock that keeps a second bot from starting,
+ *   the data doctor: malformed rows reported by line, names / URLs
+ *   normalized, clean files written next to a backup,
+ *   post identity: activity / ugcPost / share ids and /posts/ permalinks
+ *   of one post match, reshares match by text, older databases are migrated,
+ *   the author registry: people keyed by profile URL with their name /
+ *   headline history, and the cooldown per author tier,
+ *   the review queue: drafts queued once per post, edited / regenerated /
+ *   approved / rejected (also through review.js on stdin), rejection stats,
+ *   the dashboard: the connection note queue, run logs and the local
+ *   HTTP API (queues, history, stats, approve / edit / reject, its guards),
+ *   the schedule window: open / closed, next start, both bots refusing
+ *   to start outside it, the exit status of a --non-interactive run, and
+ *   the daemon's day plan: the quota split into sessions inside the window,
+ *   saved, resumed and settled after a restart.
+ *
+ * No browser, no network. Exits 1 if any assertion fails.
+ */
+
+const fs    = require('fs');
+const os    = require('os');
+const path  = require('path');
+const chalk = require('chalk');
+const http  = require('http');
+const { execFileSync, spawn } = require('child_process');
+
+const store  = require('./src/data/store');
+const { writeFileAtomic, withFileLock, acquireRunLock } = require('./src/data/lock');
+const { parseCsv } = require('./src/data/csv');
+const { normalizeName, normalizeProfileUrl, normalizePostUrl } = require('./src/data/normalize');
+const { runDoctor } = require('./src/data/doctor');
+const { parsePostRefs, postIdentity, findSeen } = require('./src/data/postIdentity');
+const { loadAuthorTiers, authorTier, checkAuthorCooldown } = require('./src/data/authors');
+const { rejectDraft, getReviewStats, getSummary } = require('./src/data/learning');
+const { listRuns, readRunLog } = require('./src/data/runLog');
+const { startDashboard } = require('./src/dashboard/server');
+const schedule = require('./src/schedule');
+const dayPlan  = require('./src/data/dayPlan');
+const { EXIT, exitCodeFor } = require('./src/exitCodes');
+const config = require('./src/config');
+
+const filter = process.argv.slice(2).find((a) => !a.startsWith('--')) || '';
+
+let passed = 0;
+let failed = 0;
+
+function pass(msg) { passed++; console.log(chalk.green('  ✓ ') + msg); }
+function fail(msg) { failed++; console.log(chalk.red('  ✗ ') + msg); }
+function check(ok, msg, detail) {
+  if (ok) pass(msg);
+  else { fail(msg); if (detail !== undefined) console.log(chalk.gray(`      got: ${JSON.stringify(detail)}`)); }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Legacy files
+// ─────────────────────────────────────────────────────────────────
+
+const POST_A = 'https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000001/';
+const POST_B = 'https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000002';
+const RECENT = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+const OLD    = '2025-01-10T09:00:00.000Z';
+
+const LEGACY = {
+  commentedPostsPath: [
+    'post_url,author_name,comment_text,commented_at,profile_url',
+    `"${POST_A}","Ann Lee","Fair point, but the cache hides it, ""mostly"".","${RECENT}",https://www.linkedin.com/in/ann-lee/`,
+    `${POST_B},Bob Stone,Short one,${OLD},`,
+    '',
+  ].join('\n'),
+  commentPerformancePath: JSON.stringify({
+    comments: [
+      { postUrl: POST_A, authorName: 'Ann Lee', authorHeadline: 'CTO at Acme', comment: 'Fair point…', style: 'experiential',
+        type: 'micro_insight', score: 72, bestAngle: 'caching', existingCommentCount: 4, timestamp: RECENT,
+        authorReplied: true, profileViewSpike: null, connectionReceived: null },
+    ],
+    stats: { totalComments: 1 },
+  }),
+  sentConnectionsPath: [
+    'profileUrl,name,headline,location,noteSent,timestamp',
+    '"https://www.linkedin.com/in/marco-renai","Marco Renai • 2nd","Founder","Southport, Queensland, Australia","Hi Marco, would love to connect!","2026-03-09T20:00:36.781Z"',
+    '"https://www.linkedin.com/in/sara-haddad/?miniProfileUrn=x","Sara Haddad","Product Lead","Dubai","","2026-03-10T08:00:00.000Z"',
+    '',
+  ].join('\n'),
+  targetProfilesPath: [
+    'profile_url,name,category',
+    'https://www.linkedin.com/in/ann-lee,Ann Lee,"founders, SaaS"',
+    '',
+  ].join('\n'),
+};
+
+let dir = '';
+
+function freshDir() {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-store-'));
+  config.data.dbPath = path.join(dir, 'linkedin.db');
+  for (const [key, content] of Object.entries(LEGACY)) {
+    config.data[key] = path.join(dir, key);
+    fs.writeFileSync(config.data[key], content);
+  }
+}
+
+/** Plain http.request, so tests can send any Host / Content-Type */
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf-8');
+      res.on('data', (c) => { text += c; });
+      res.on('end', () => {
+        const type = res.headers['content-type'] || '';
+        resolve({ status: res.statusCode, type, body: type.startsWith('application/json') ? JSON.parse(text) : text });
+      });
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+const postJson = (url, body) => request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+/** A child process that starts a run log, prints `line` and exits with `code` */
+function fakeRun(logsDir, line, code) {
+  const script = `require('./src/data/runLog').startRunLog('bot', { dir: ${JSON.stringify(logsDir)}, keep: 2 });` +
+    `console.log(${JSON.stringify(line)}); process.exit(${code});`;
+  try {
+    execFileSync(process.execPath, ['-e', script], { cwd: __dirname, stdio: 'ignore', timeout: 30000 });
+  } catch { /* non-zero exit on purpose */ }
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  Cases
+// ─────────────────────────────────────────────────────────────────
+
+const CASES = [
+  {
+    label: 'import: legacy files on first open',
+    run: async () => {
+      const { created, imported } = await store.openStore();
+      check(created, 'database created');
+      check(imported.comments === 2 && imported.commentDetails === 1 && imported.connections === 2 && imported.targets === 1,
+        'comments, metadata, connections and targets imported', imported);
+
+      const comments = store.listComments();
+      const a = comments.find((c) => c.postUrl.endsWith('0001'));
+      check(a.comment === 'Fair point, but the cache hides it, "mostly".', 'quoted comma + escaped quotes kept', a.comment);
+      check(a.style === 'experiential' && a.score === 72 && a.authorHeadline === 'CTO at Acme', 'metadata merged onto the CSV row', a);
+      check(a.authorReplied === true && a.connectionReceived === null, 'known outcome imported, unknown stays null', a);
+      check(comments.length === 2, 'JSON entry for the same post is not a second comment', comments.length);
+
+      const targets = store.listTargetProfiles();
+      check(targets.length === 1 && targets[0].category === 'founders, SaaS' && targets[0].name === 'Ann Lee', 'target profile with quoted category', targets);
+    },
+  },
+  {
+    label: 'import: running it again adds nothing',
+    run: async () => {
+      await store.openStore();
+      const again = await store.importLegacyFiles();
+      check(again.comments === 0 && again.connections === 0, 'no new comments or requests', again);
+      check(store.listComments().length === 2, 'still 2 comments');
+      check(store.countConnectionsSince('2000-01-01') === 2, 'still 2 connection requests');
+      store.closeStore();
+      const reopened = await store.openStore();
+      check(!reopened.created && reopened.imported === null, 'existing database is not re-imported', reopened);
+    },
+  },
+  {
+    label: 'import: a request without a time is not sent today, and imports once',
+    run: async () => {
+      await store.openStore();
+      const sentPath = path.join(dir, 'sent_untimed.csv');
+      fs.writeFileSync(sentPath, [
+        'profileUrl,name,headline,location,noteSent,timestamp',
+        '"https://www.linkedin.com/in/omar-farouk","Omar Farouk","CTO","Cairo","Hi Omar, enjoyed your post!",""',
+        '"https://www.linkedin.com/in/omar-farouk","Omar Farouk","CTO","Cairo","",""',
+        '',
+      ].join('\n'));
+      const paths = { sentConnectionsPath: sentPath, commentedPostsPath: '', commentPerformancePath: '', targetProfilesPath: '' };
+      const today = new Date(new Date().setHours(0, 0, 0, 0)).toISOString();
+      const before = store.listConnectionRequests().length;
+
+      const first = await store.importLegacyFiles(paths);
+      const again = await store.importLegacyFiles(paths);
+      const omar  = store.listConnectionRequests().filter((r) => r.name === 'Omar Farouk');
+      check(first.connections === 2 && again.connections === 0, 'both notes imported the first time, nothing the second', { first, again });
+      check(store.listConnectionRequests().length === before + 2, 'two requests added in all', omar);
+      check(omar.every((r) => r.sentAt === '1970-01-01T00:00:00.000Z'), 'stored at the epoch', omar);
+      check(store.countConnectionsSince(today) === 0, "not counted in today's quota", store.countConnectionsSince(today));
+    },
+  },
+  {
+    label: 'dedup: commented post keys and author cooldown',
+    run: async () => {
+      await store.openStore();
+      const { ids } = store.getCommentedPostKeys();
+      check(ids.has('7300000000000000001') && ids.has('7300000000000000002'), 'activity ids', [...ids]);
+      check(store.hasCommented(`${POST_A}?utm=x`) && !store.hasCommented('urn:li:activity:7300000000000000009'), 'hasCommented by activity id');
+      check(store.hasCommented('https://www.linkedin.com/posts/ann-lee_caching-activity-7300000000000000001-AbCd'), '/posts/ permalink of the same post');
+      const ann = checkAuthorCooldown({ profileUrl: 'https://www.linkedin.com/in/ann-lee', authorName: 'Ann Lee' });
+      const bob = checkAuthorCooldown({ authorName: 'Bob Stone' });
+      check(ann && ann.tier === 'default' && ann.cooldownDays === 7 && !bob, 'only authors from the last 7 days', { ann, bob });
+    },
+  },
+  {
+    label: 'connections: sent URLs are normalized, today counted',
+    run: async () => {
+      await store.openStore();
+      const sent = store.getSentProfileUrls();
+      check(sent.has('https://www.linkedin.com/in/sara-haddad'), 'query string and slash stripped', [...sent]);
+      const today = new Date().toISOString().slice(0, 10);
+      check(store.countConnectionsSince(today) === 0, 'none sent today yet');
+      store.recordConnectionRequest({ profileUrl: 'https://www.linkedin.com/in/wei-zhang/', name: 'Wei Zhang', headline: 'CEO', note: 'Hi Wei' });
+      check(store.countConnectionsSince(today) === 1, 'new request counted today');
+      check(store.getSentProfileUrls().has('https://www.linkedin.com/in/wei-zhang'), 'new request deduped');
+    },
+  },
+  {
+    label: 'comments: recordComment, outcomes, one author per profile',
+    run: async () => {
+      await store.openStore();
+      store.recordComment({
+        postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000003/', comment: 'New one',
+        authorName: 'Ann Lee', profileUrl: 'https://www.linkedin.com/in/ann-lee/', style: 'contrarian',
+        promptVersion: 'comment@v1', experiments: { prompt: 'b' },
+      });
+      const last = store.listComments().pop();
+      check(last.promptVersion === 'comment@v1' && last.experiments.prompt === 'b' && last.authorHeadline === 'CTO at Acme',
+        'metadata saved, author row reused', last);
+      check(store.setCommentOutcome(last.postUrl, { connectionReceived: true }), 'outcome saved');
+      check(store.setCommentOutcome(last.postUrl, { authorReplied: false }), 'second outcome saved');
+      const updated = store.listComments().pop();
+      check(updated.connectionReceived === true && updated.authorReplied === false && updated.profileViewSpike === null,
+        'outcomes merge, unset ones stay null', updated);
+      check(!store.setCommentOutcome('https://example.com/nope', { authorReplied: true }), 'unknown post reported');
+    },
+  },
+  {
+    label: 'sync: a write from another process is seen on the next read',
+    run: async () => {
+      await store.openStore();
+      check(!store.getCommentedPostKeys().ids.has('7300000000000000004'), 'not commented yet');
+      const script = `
+        const config = require(${JSON.stringify(path.resolve('src/config'))});
+        config.data.dbPath = ${JSON.stringify(config.data.dbPath)};
+        const s = require(${JSON.stringify(path.resolve('src/data/store'))});
+        s.openStore().then(() => s.recordComment({ postUrl: 'urn:li:activity:7300000000000000004', comment: 'from elsewhere' }));`;
+      execFileSync(process.execPath, ['-e', script], { timeout: 30000 });
+      check(store.getCommentedPostKeys().ids.has('7300000000000000004'), 'pre-post re-read sees the other run');
+    },
+  },
+  {
+    label: 'lock: two processes writing at once lose nothing',
+    run: async () => {
+      await store.openStore();
+      const before = store.listComments().length;
+      const writer = (n) => `
+        const config = require(${JSON.stringify(path.resolve('src/config'))});
+        config.data.dbPath = ${JSON.stringify(config.data.dbPath)};
+        const s = require(${JSON.stringify(path.resolve('src/data/store'))});
+        s.openStore().then(() => {
+          for (let i = 0; i < 10; i++) s.recordComment({ postUrl: 'urn:li:activity:74000000000000000' + ${n} + i, comment: 'w${n}' });
+        });`;
+      const exitCodes = await Promise.all([1, 2].map((n) => new Promise((resolve) => {
+        const child = spawn(process.execPath, ['-e', writer(n)], { stdio: 'inherit', timeout: 60000 });
+        child.on('exit', resolve);
+      })));
+      check(exitCodes.every((c) => c === 0), 'both writers finished', exitCodes);
+      check(store.listComments().length === before + 20, 'all 20 comments kept', store.listComments().length - before);
+      const leftovers = fs.readdirSync(dir).filter((f) => /\.(tmp|lock)$/.test(f));
+      check(leftovers.length === 0, 'no temp or lock files left behind', leftovers);
+    },
+  },
+  {
+    label: 'lock: atomic write, timeout and stale lock take-over',
+    run: async () => {
+      const file = path.join(dir, 'atomic.json');
+      writeFileAtomic(file, '{"a":1}');
+      writeFileAtomic(file, '{"a":2}');
+      check(fs.readFileSync(file, 'utf-8') === '{"a":2}', 'content replaced');
+
+      // Held by a live process (this one's parent) → times out
+      fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: process.ppid, host: os.hostname(), since: new Date().toISOString() }));
+      let err = null;
+      try { withFileLock(file, () => {}, { timeoutMs: 200 }); } catch (e) { err = e; }
+      check(err && err.code === 'LOCK_TIMEOUT' && /held by pid/.test(err.message), 'live holder → LOCK_TIMEOUT', err && err.message);
+
+      // Held by a process that has exited → taken over
+      const dead = execFileSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']).toString();
+      fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: Number(dead), host: os.hostname(), since: new Date().toISOString() }));
+      check(withFileLock(file, () => 'ran', { timeoutMs: 200 }) === 'ran', 'dead holder → lock taken over');
+      check(!fs.existsSync(`${file}.lock`), 'lock released afterwards');
+    },
+  },
+  {
+    label: 'lock: contenders racing for a stale lock, one wins',
+    run: async () => {
+      const lockFile = path.join(dir, 'race.run.lock');
+      const dead = Number(execFileSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']).toString());
+      // Each contender waits for the same instant, then tries once; a winner holds the lock a while before exiting
+      const contender = (startAt) => `
+        const config = require(${JSON.stringify(path.resolve('src/config'))});
+        config.data.dbPath = ${JSON.stringify(config.data.dbPath)};
+        const { acquireRunLock } = require(${JSON.stringify(path.resolve('src/data/lock'))});
+        while (Date.now() < ${startAt}) {}
+        acquireRunLock('race').then(
+          () => { process.stdout.write('won'); setTimeout(() => {}, 400); },
+          (e) => process.stdout.write(e.code));`;
+      const rounds = [];
+      for (let round = 0; round < 5; round++) {
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: dead, host: os.hostname(), since: '2026-10-19T08:00:00.000Z' }));
+        const startAt = Date.now() + 1500;
+        rounds.push(await Promise.all([1, 2, 3].map(() => new Promise((resolve) => {
+          let output = '';
+          const child = spawn(process.execPath, ['-e', contender(startAt)], { stdio: ['ignore', 'pipe', 'inherit'], timeout: 30000 });
+          child.stdout.on('data', (d) => { output += d; });
+          child.on('exit', () => resolve(output));
+        }))));
+      }
+      check(rounds.every((r) => r.filter((o) => o === 'won').length === 1 && r.filter((o) => o === 'RUN_LOCKED').length === 2),
+        'exactly one takes the stale lock over, every round', rounds);
+      check(!fs.existsSync(lockFile) && !fs.existsSync(`${lockFile}.takeover`), 'lock and takeover lock gone afterwards');
+    },
+  },
+  {
+    label: 'lock: a second bot refuses to start, or waits with --wait',
+    run: async () => {
+      const lockFile = path.join(dir, 'bot.run.lock');
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname(), since: '2026-10-19T08:00:00.000Z' }));
+      let err = null;
+      try { await acquireRunLock('bot'); } catch (e) { err = e; }
+      check(err && err.code === 'RUN_LOCKED' && err.message.includes(`pid ${process.ppid}`), 'refuses while the first copy runs', err && err.message);
+
+      let waited = false;
+      setTimeout(() => fs.rmSync(lockFile, { force: true }), 150);
+      const release = await acquireRunLock('bot', { wait: true, pollMs: 50, onWait: () => { waited = true; } });
+      check(waited && JSON.parse(fs.readFileSync(lockFile, 'utf-8')).pid === process.pid, 'queued, then took the lock');
+      release();
+      check(!fs.existsSync(lockFile), 'released');
+    },
+  },
+  {
+    label: 'doctor: CSV parser and normalizers',
+    run: async () => {
+      const { header, rows } = parseCsv('a,b,c\r\n"x, y","CEO "Big" Corp",z\n\n"multi\nline",w"e,3\n"open,1');
+      check(header.join() === 'a,b,c' && rows.length === 3, 'header + 3 records, blank line skipped', rows);
+      check(rows[0].fields[1] === 'CEO "Big" Corp' && rows[0].issues[0] === 'unescaped quote in column 2', 'unescaped quote kept and reported', rows[0]);
+      check(rows[1].line === 4 && rows[1].fields[0] === 'multi\nline' && rows[1].issues[0] === 'quote inside unquoted column 2', 'multi-line field, line numbers', rows[1]);
+      check(rows[2].line === 6 && rows[2].issues[0] === 'unterminated quoted field', 'unterminated quote', rows[2]);
+
+      check(normalizeName('Santosh Kumar Singh • 2nd') === 'Santosh Kumar Singh' && normalizeName(' Ann  Lee · 3rd+') === 'Ann Lee', 'degree marker stripped');
+      check(normalizeName('Henry 3rd') === 'Henry 3rd', 'a name ending in "3rd" is left alone');
+      check(normalizeProfileUrl('uk.linkedin.com/in/ann-lee/?trk=x') === 'https://www.linkedin.com/in/ann-lee', 'profile URL host, query, slash');
+      const canonical = 'https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000001';
+      check(normalizePostUrl('https://www.linkedin.com/posts/ann-lee_ai-activity-7300000000000000001-AbCd?utm_source=share') === canonical &&
+        normalizePostUrl(`${canonical}/`) === canonical, '/posts/ and /feed/update/ forms agree');
+      check(normalizePostUrl('http://127.0.0.1:4010/feed/update/urn:li:activity:7300000000000000001/') === 'http://127.0.0.1:4010/feed/update/urn:li:activity:7300000000000000001',
+        'other hosts keep their host');
+    },
+  },
+  {
+    label: 'doctor: report, then fix with a backup',
+    run: async () => {
+      const docDir = path.join(dir, 'doctor');
+      fs.mkdirSync(docDir);
+      const paths = {
+        commentedPostsPath:     path.join(docDir, 'commented_posts.csv'),
+        sentConnectionsPath:    path.join(docDir, 'sent_connections.csv'),
+        targetProfilesPath:     path.join(docDir, 'target_profiles.csv'),
+        commentPerformancePath: path.join(docDir, 'comment_performance.json'),
+        dbPath:                 path.join(docDir, 'linkedin.db'),
+      };
+      fs.writeFileSync(paths.commentedPostsPath, [
+        'post_url,author_name,comment_text,commented_at,profile_url',
+        'https://www.linkedin.com/posts/ann_x-activity-7300000000000000001-AbCd?utm_source=share,Ann Lee • 2nd,Fair point, but no,2026-03-01T10:00:00.000Z,https://www.linkedin.com/in/ann-lee/',
+        'https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000001/,Ann Lee,again,2026-03-02T10:00:00.000Z,',
+        ',Nobody,no url,2026-03-02T10:00:00.000Z,',
+        '',
+      ].join('\n'));
+      fs.writeFileSync(paths.sentConnectionsPath, LEGACY.sentConnectionsPath +
+        '"https://www.linkedin.com/in/x-y/","X Y • 3rd+","CEO "Big" Corp","Paris, France","Hi","2026-03-11T08:00:00.000Z"\n');
+      fs.writeFileSync(paths.commentPerformancePath, JSON.stringify({ comments: [{ postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000001/', authorName: 'Ann Lee • 2nd' }, { comment: 'orphan' }], stats: {} }));
+      const before = fs.readFileSync(paths.commentedPostsPath, 'utf-8');
+
+      const { files, store: db } = await runDoctor({ paths });
+      const [commented, sent, targets, perf] = files;
+      const lines = (r) => r.problems.map((p) => `${p.line}: ${p.issues.join('; ')}`);
+      check(commented.rows === 3 && commented.dropped === 2 && commented.changed, 'commented_posts: 3 rows, 2 dropped', commented);
+      check(lines(commented).join('|') === '2: 6 fields, expected 5 — surplus joined into comment_text|3: duplicate of line 2 — row dropped|4: no post_url — row dropped',
+        'malformed rows reported by line', lines(commented));
+      check(sent.normalized === 3 && lines(sent)[0] === '4: unescaped quote in headline', 'sent_connections: names / URLs normalized, bad quote reported', lines(sent));
+      check(!targets.exists && perf.dropped === 1 && perf.normalized === 1, 'missing file skipped, JSON entries normalized', perf);
+      check(!db.exists, 'no data store created');
+      check(fs.readFileSync(paths.commentedPostsPath, 'utf-8') === before && !fs.existsSync(paths.dbPath), 'report only: nothing written');
+
+      const fixed = await runDoctor({ paths, fix: true });
+      const backups = fs.readdirSync(docDir).filter((f) => f.endsWith('.bak'));
+      check(backups.length === 3 && fs.readFileSync(fixed.files[0].backup, 'utf-8') === before, 'originals kept as .bak', backups);
+      const clean = parseCsv(fs.readFileSync(paths.commentedPostsPath, 'utf-8')).rows;
+      check(clean.length === 1 && clean[0].fields.join('|') === 'https://www.linkedin.com/feed/update/urn:li:activity:7300000000000000001|Ann Lee|Fair point, but no|2026-03-01T10:00:00.000Z|https://www.linkedin.com/in/ann-lee',
+        'clean commented_posts row', clean);
+      const again = await runDoctor({ paths });
+      check(again.files.every((f) => !f.changed) && again.files[1].problems.length === 0, 'second run finds nothing to change', again.files.map((f) => f.problems));
+    },
+  },
+  {
+    label: 'identity: URN and permalink forms, text fingerprint',
+    run: async () => {
+      check(parsePostRefs('https://www.linkedin.com/posts/jane_topic-activity-7310000000000000001-Xq9z?utm_source=share').join() === '7310000000000000001', '/posts/ activity permalink');
+      check(parsePostRefs('https://www.linkedin.com/feed/update/urn%3Ali%3AugcPost%3A7310000000000000002/').join() === 'ugcPost:7310000000000000002', 'URL-encoded ugcPost');
+      check(parsePostRefs('urn:li:fsd_update:(urn:li:share:7310000000000000003,MAIN_FEED)').join() === 'share:7310000000000000003', 'share inside an update URN');
+      check(parsePostRefs('https://www.linkedin.com/in/jane/recent-activity/').length === 0, 'no id, no ref');
+
+      const text = 'Most teams do not have a scaling problem. They have a caching problem, and a metrics problem hiding behind it.';
+      const id = postIdentity({
+        postUrl:  'https://www.linkedin.com/feed/update/urn:li:ugcPost:7310000000000000002/',
+        postRefs: ['urn:li:activity:7310000000000000001', '/posts/jane_topic-activity-7310000000000000001-Xq9z'],
+        postText: text,
+      });
+      check(id.id === '7310000000000000001' && id.aliases.join() === 'ugcPost:7310000000000000002,7310000000000000001', 'activity id wins, every id kept', id);
+
+      const reshare = postIdentity({ postUrl: 'urn:li:activity:7319999999999999999', postText: `${text.toUpperCase().replace(/\./g, '!')} …see more` });
+      check(reshare.fingerprint === id.fingerprint, 'case, punctuation and "…see more" do not change the fingerprint');
+      check(postIdentity({ postText: `${text} And a different ending.` }).fingerprint !== id.fingerprint, 'different text, different fingerprint');
+      check(postIdentity({ postText: 'Congrats!' }).fingerprint === '', 'short texts get no fingerprint');
+
+      const seen = { ids: new Set(['7310000000000000001']), fingerprints: new Set() };
+      check(findSeen(postIdentity({ postUrl: 'urn:li:ugcPost:7310000000000000002', postRefs: ['urn:li:activity:7310000000000000001'] }), seen) === 'id', 'findSeen by alias');
+      check(findSeen(reshare, { ids: new Set(), fingerprints: new Set([id.fingerprint]) }) === 'content', 'findSeen by text');
+    },
+  },
+  {
+    label: 'identity: one post under several ids in the store',
+    run: async () => {
+      await store.openStore();
+      const text = 'We cut our cloud bill by a third without touching a single instance type. Here is what we changed first.';
+      store.recordComment({
+        postUrl:  'https://www.linkedin.com/feed/update/urn:li:ugcPost:7320000000000000002/',
+        postRefs: ['urn:li:activity:7320000000000000001'],
+        postText: text,
+        comment:  'Which change paid off first?',
+        authorName: 'Dana Fox',
+      });
+      const { ids, fingerprints } = store.getCommentedPostKeys();
+      check(ids.has('7320000000000000001') && ids.has('ugcPost:7320000000000000002'), 'both ids are commented keys', [...ids]);
+      check(store.hasCommented('https://www.linkedin.com/posts/dana-fox_cloud-activity-7320000000000000001-Ab12'), 'seen later as an activity permalink');
+      check(store.hasCommented({ postUrl: 'urn:li:activity:7320000000000000099', postText: `${text} …more` }), 'a reshare with the same text');
+      check(fingerprints.size > 0, 'fingerprint kept');
+      check(store.setCommentOutcome('urn:li:activity:7320000000000000001', { authorReplied: true }), 'outcome by the other id');
+
+      store.recordComment({ postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7320000000000000001/', comment: 'again' });
+      const posts = store.listComments().filter((c) => c.comment === 'again' || c.comment === 'Which change paid off first?');
+      check(posts.length === 2 && posts[0].postUrl === posts[1].postUrl, 'second comment lands on the same post', posts.map((c) => c.postUrl));
+    },
+  },
+  {
+    label: 'identity: a database from before post_aliases is migrated',
+    run: async () => {
+      const initSqlJs = require('sql.js');
+      const SQL = await initSqlJs();
+      const old = new SQL.Database();
+      old.run(`
+        CREATE TABLE posts (id INTEGER PRIMARY KEY, post_key TEXT NOT NULL UNIQUE, url TEXT NOT NULL, author_id INTEGER, format TEXT NOT NULL DEFAULT '', first_seen TEXT NOT NULL);
+        CREATE TABLE comments (id INTEGER PRIMARY KEY, post_id INTEGER NOT NULL, text TEXT NOT NULL, commented_at TEXT NOT NULL,
+          style TEXT NOT NULL DEFAULT '', type TEXT NOT NULL DEFAULT '', score REAL, best_angle TEXT NOT NULL DEFAULT '',
+          existing_comment_count INTEGER, prompt_version TEXT NOT NULL DEFAULT '', experiments TEXT NOT NULL DEFAULT '{}', source TEXT NOT NULL DEFAULT 'bot');
+        INSERT INTO posts VALUES (1, '7330000000000000001', 'https://www.linkedin.com/posts/old_x-activity-7330000000000000001-Zz', NULL, '', '2026-01-01T00:00:00.000Z');
+        INSERT INTO comments (post_id, text, commented_at) VALUES (1, 'old comment', '2026-01-01T00:00:00.000Z');`);
+      const oldFile = path.join(dir, 'old.db');
+      fs.writeFileSync(oldFile, Buffer.from(old.export()));
+      old.close();
+
+      const opened = await store.openStore(oldFile);
+      check(!opened.created, 'opened as an existing database');
+      check(store.hasCommented('urn:li:activity:7330000000000000001'), 'old post found by id');
+      store.recordComment({ postUrl: 'urn:li:activity:7330000000000000002', postText: 'A fresh post with enough words in it to get a fingerprint of its own.', comment: 'new', existingOverlap: 0.62,
+        candidates: [{ style: 'question', comment: 'new', total: 0.8, chosen: true }] });
+      check(store.getCommentedPostKeys().fingerprints.size === 1, 'fingerprint column added and written');
+      store.closeStore();
+      await store.openStore(oldFile);
+      const comments = store.listComments();
+      check(comments.length === 2, 'migrated database saved and reopened');
+      check(comments[0].existingOverlap === null && comments[1].existingOverlap === 0.62, 'existing_overlap column added: unknown for old comments, kept for new ones',
+        comments.map((c) => c.existingOverlap));
+      check(comments[0].candidates.length === 0 && comments[1].candidates[0].total === 0.8, 'candidates column added: none for old comments',
+        comments.map((c) => c.candidates));
+    },
+  },
+  {
+    label: 'authors: one person per profile URL, with name and headline history',
+    run: async () => {
+      await store.openStore();
+      const A = 'https://www.linkedin.com/in/john-smith-a1';
+      store.recordComment({ postUrl: 'urn:li:activity:7340000000000000001', authorName: 'John Smith', authorHeadline: 'Founder at Foo', profileUrl: A, comment: 'one' });
+
+      const other = { profileUrl: 'https://www.linkedin.com/in/john-smith-b2', authorName: 'John Smith' };
+      check(!checkAuthorCooldown(other), 'another John Smith is not blocked');
+      check(!!checkAuthorCooldown({ profileUrl: 'https://uk.linkedin.com/in/John-Smith-A1/', authorName: 'John Smith' }), 'same profile in another URL form is blocked');
+      check(!!checkAuthorCooldown({ profileUrl: A, authorName: 'Johnny Smith' }), 'a renamed author is still blocked');
+
+      store.recordComment({ postUrl: 'urn:li:activity:7340000000000000002', authorName: 'Johnny Smith', authorHeadline: 'CEO at Foo', profileUrl: A, comment: 'two' });
+      const john = store.findAuthor({ profileUrl: A });
+      check(john.name === 'Johnny Smith' && john.names.join() === 'John Smith,Johnny Smith', 'latest name + every name seen', john);
+      check(john.headlines.map((h) => h.headline).join() === 'Founder at Foo,CEO at Foo', 'headline history', john.headlines);
+      check(store.findAuthor({ name: 'john smith' }).id === john.id, 'a card without a profile link matches an old name');
+      check(store.findAuthor(other) === null, 'unknown profile URL is nobody');
+    },
+  },
+  {
+    label: 'authors: cooldown per tier from author_tiers.json',
+    run: async () => {
+      await store.openStore();
+      const saved = config.data.authorTiersPath;
+      config.data.authorTiersPath = path.join(dir, 'author_tiers.json');
+      try {
+        check(loadAuthorTiers().tiers.length === 0 && loadAuthorTiers().defaultCooldownDays === 7, 'no file: everyone gets AUTHOR_COOLDOWN_DAYS');
+
+        fs.writeFileSync(config.data.authorTiersPath, JSON.stringify({
+          defaultCooldownDays: 14,
+          tiers: [
+            { id: 'icp-founder', cooldownDays: 3, headline: ['founder', 'ceo'] },
+            { id: 'targets', cooldownDays: 0, categories: ['Founders, SaaS'] },
+          ],
+        }));
+        const tiers = loadAuthorTiers();
+        check(authorTier({ headline: 'Co-Founder & CEO' }, tiers).id === 'icp-founder', 'headline keyword picks the tier');
+        check(authorTier({ headline: 'Engineer', category: 'founders, saas' }, tiers).id === 'targets', 'target category picks the tier');
+        check(authorTier({ headline: 'Engineer' }, tiers).cooldownDays === 14, 'no match: file default');
+
+        const DAY = 24 * 60 * 60 * 1000;
+        const when = Date.now() - 5 * DAY;
+        store.recordComment({
+          postUrl: 'urn:li:activity:7350000000000000001', authorName: 'Priya Nair', authorHeadline: 'Founder at Bar',
+          profileUrl: 'https://www.linkedin.com/in/priya-nair', comment: 'x', commentedAt: new Date(when).toISOString(),
+        });
+        const founder = { profileUrl: 'https://www.linkedin.com/in/priya-nair', authorName: 'Priya Nair', authorHeadline: 'Founder at Bar' };
+        check(!checkAuthorCooldown(founder, { tiers }), '3-day tier: free again after 5 days');
+        check(checkAuthorCooldown({ ...founder, authorHeadline: 'Designer' }, { tiers }).cooldownDays === 14, 'new headline moves her to the 14-day default');
+        check(!!checkAuthorCooldown(founder, { tiers, now: when + 2 * DAY }), '3-day tier: blocked after 2 days');
+        check(!checkAuthorCooldown({ profileUrl: 'https://www.linkedin.com/in/ann-lee', authorName: 'Ann Lee' }, { tiers }), '0-day tier never cools down');
+
+        const bad = (tiers, msg) => {
+          fs.writeFileSync(config.data.authorTiersPath, JSON.stringify({ tiers }));
+          let err = '';
+          try { loadAuthorTiers(); } catch (e) { err = e.message; }
+          check(err.includes(msg), `rejected: ${msg}`, err);
+        };
+        bad([{ cooldownDays: 3, headline: ['cto'] }], 'has no id');
+        bad([{ id: 'x', cooldownDays: -1, headline: ['cto'] }], 'cooldownDays must be a number >= 0');
+        bad([{ id: 'x', cooldownDays: 3 }], 'matches nobody');
+        bad([{ id: 'x', cooldownDays: 3, headline: 'cto' }], 'headline must be a list');
+      } finally {
+        config.data.authorTiersPath = saved;
+      }
+    },
+  },
+  {
+    label: 'authors: a database from before the name history is migrated',
+    run: async () => {
+      const initSqlJs = require('sql.js');
+      const SQL = await initSqlJs();
+      const old = new SQL.Database();
+      old.run(`
+        CREATE TABLE authors (id INTEGER PRIMARY KEY, name TEXT NOT NULL DEFAULT '', profile_url TEXT UNIQUE, headline TEXT NOT NULL DEFAULT '',
+          location TEXT NOT NULL DEFAULT '', country TEXT NOT NULL DEFAULT '', target_category TEXT, created_at TEXT NOT NULL);
+        CREATE TABLE connection_requests (id INTEGER PRIMARY KEY, author_id INTEGER NOT NULL, note TEXT NOT NULL DEFAULT '', sent_at TEXT NOT NULL, source TEXT NOT NULL DEFAULT 'bot');
+        INSERT INTO authors VALUES (1, 'Ann Lee', 'https://www.linkedin.com/in/Ann-Lee', 'CTO', '', '', NULL, '2026-01-01T00:00:00.000Z');
+        INSERT INTO authors VALUES (2, 'Ann M. Lee', 'https://www.linkedin.com/in/ann-lee', 'VP Eng', '', '', 'founders', '2026-02-01T00:00:00.000Z');
+        INSERT INTO connection_requests (author_id, sent_at) VALUES (1, '2026-01-02T00:00:00.000Z');`);
+      const oldFile = path.join(dir, 'old-authors.db');
+      fs.writeFileSync(oldFile, Buffer.from(old.export()));
+      old.close();
+
+      await store.openStore(oldFile);
+      const ann = store.findAuthor({ profileUrl: 'https://www.linkedin.com/in/ann-lee' });
+      check(ann && ann.names.join() === 'Ann Lee,Ann M. Lee' && ann.category === 'founders', 'both URL spellings merged into one person', ann);
+      check(ann.headlines[0].firstSeen === '2026-01-01T00:00:00.000Z', 'history starts at created_at', ann.headlines);
+      check(store.getSentProfileUrls().has('https://www.linkedin.com/in/ann-lee'), 'connection request moved to the merged author');
+    },
+  },
+  {
+    label: 'review: drafts are queued once per post and decided',
+    run: async () => {
+      await store.openStore();
+      const post = (n, extra = {}) => ({
+        postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:73600000000000000${n}/`,
+        postText: `Post ${n}: we moved the nightly batch job to a queue and the on-call pages dropped by half.`,
+        authorName: `Author ${n} • 2nd`, authorHeadline: 'Staff Engineer', commentsData: ['nice'], ...extra,
+      });
+      const first = store.queueDraft({ post: post(11), comment: 'Queues hide the load, not the cost.', style: 'analytical', type: 'micro_insight',
+        bestAngle: 'queue cost', score: 71, breakdown: { heuristic: 60 }, experiments: { x: 'a' },
+        candidates: [{ style: 'analytical', comment: 'Queues hide the load, not the cost.', total: 0.9, chosen: true },
+          { style: 'builder', comment: 'We did the same.', total: 0.4, chosen: false }] });
+      check(typeof first === 'number', 'draft queued', first);
+      check(store.queueDraft({ post: post(11, { postUrl: 'https://www.linkedin.com/posts/a_x-activity-7360000000000000011-Ab' }), comment: 'again' }) === null,
+        'same post under another URL is not queued twice');
+      check(findSeen(postIdentity(post(11)), store.getQueuedPostKeys()) === 'id', 'queued post is skipped by the feed loop');
+
+      const d = store.getDraft(first);
+      check(d.status === 'pending' && d.post.authorName === 'Author 11' && d.breakdown.heuristic === 60 && d.experiments.x === 'a',
+        'post snapshot, breakdown and arms kept', d);
+      check(d.candidates.length === 2 && d.candidates[0].chosen && d.candidates[1].style === 'builder', 'candidates kept', d.candidates);
+
+      store.reviseDraft(first, { comment: 'Queues hide the load; the bill still comes.' });
+      check(store.getDraft(first).edited && store.getDraft(first).generatedComment === 'Queues hide the load, not the cost.', 'edit keeps what the AI wrote');
+      store.reviseDraft(first, { regenerated: true, comment: 'Which alert went quiet first?', style: 'question', type: 'curious_question' });
+      const re = store.getDraft(first);
+      check(!re.edited && re.style === 'question' && re.regenerations === 1 && re.candidates.length === 0, 'regenerate replaces text, style and candidates', re);
+
+      store.setDraftStatus(first, 'approved');
+      check(store.markDraftFailed(first, 'no box') === 'approved' && store.markDraftFailed(first, 'no box') === 'approved', 'failed attempt stays approved');
+      check(store.markDraftFailed(first, 'no box') === 'failed', 'given up after 3 attempts');
+
+      const second = store.queueDraft({ post: post(12), comment: 'Great post, thanks for sharing this!', style: 'builder', type: 'agreement' });
+      rejectDraft(second, 'Too generic ');
+      const third = store.queueDraft({ post: post(13), comment: 'Half the pages were retries of one job.', style: 'builder', type: 'micro_insight' });
+      store.setDraftStatus(third, 'approved');
+      const commentId = store.recordComment({ ...post(13), comment: 'Half the pages were retries of one job.' });
+      store.markDraftPosted(third, commentId);
+      check(store.getDraft(third).status === 'posted' && store.getQueuedPostKeys().ids.size === 0, 'posted draft leaves the queue');
+
+      const stats = getReviewStats();
+      const builder = stats.byStyle.find((x) => x.style === 'builder');
+      check(stats.reviewed === 3 && stats.rejected === 1 && stats.regenerated === 1, 'review totals', stats);
+      check(builder.rejected === 1 && builder.reviewed === 2 && stats.reasons[0].reason === 'too generic', 'rejections by style + reason', stats);
+      check(getSummary().includes('Review: 1/3 drafts rejected (most: builder 1/2)'), 'learning summary mentions rejections', getSummary());
+    },
+  },
+  {
+    label: 'review: review.js approves, edits, regenerates and rejects from stdin',
+    run: async () => {
+      await store.openStore();
+      const post = (n) => ({
+        postUrl: `https://www.linkedin.com/feed/update/urn:li:activity:73700000000000000${n}/`,
+        postText: `Post ${n}: three years of migrations taught us that the rollback plan matters more than the rollout plan.`,
+        authorName: `Writer ${n}`,
+      });
+      const ids = [21, 22, 23].map((n) => store.queueDraft({ post: post(n), comment: `Draft ${n} about rollback plans.`, style: 'experiential' }));
+      store.closeStore();
+
+      const input = [
+        'e', 'Rollback plans are the real launch checklist.', 'a',   // edit, then approve
+        'r', '4', 'x', 'wrong angle',                               // regenerate as style 4, then reject
+        's',                                                        // leave pending
+      ].join('\n');
+      const output = execFileSync(process.execPath, [path.join(__dirname, 'review.js')], {
+        cwd: dir, input, encoding: 'utf-8', timeout: 60000,
+        env: { ...process.env, DB_PATH: config.data.dbPath, AI_PROVIDER: 'fake', COMMENT_CANDIDATES: '2', FORCE_COLOR: '0' },
+      });
+
+      await store.openStore();
+      const [a, b, c] = ids.map((id) => store.getDraft(id));
+      check(a.status === 'approved' && a.comment === 'Rollback plans are the real launch checklist.' && a.edited, 'edited + approved', a);
+      check(b.status === 'rejected' && b.reason === 'wrong angle' && b.regenerations === 1 && b.style === 'question', 'regenerated as "question", then rejected', b);
+      check(b.candidates.length === 2 && b.candidates.every((x) => x.style === 'question') && /Candidates \(heuristic ranker\):\n  → \d\.\d\d  spec/.test(output),
+        'both candidates in the picked style, listed with their scores', b.candidates);
+      check(c.status === 'pending', 'skipped draft stays pending', c.status);
+      check(output.includes('Approved: 1  Rejected: 1  Still pending: 1'), 'summary line', output.slice(-300));
+    },
+  },
+  {
+    label: 'dashboard: connection notes are queued once per profile, history listed',
+    run: async () => {
+      await store.openStore();
+      const id = store.queueNoteDraft({ profileUrl: 'https://uk.linkedin.com/in/Nadia-Reyes/', name: 'Nadia Reyes • 2nd',
+        headline: 'Founder at Shipyard', location: 'Austin, TX', note: 'Hi Nadia, enjoyed your post on freight APIs.' });
+      check(typeof id === 'number', 'note draft queued', id);
+      check(store.queueNoteDraft({ profileUrl: 'https://www.linkedin.com/in/nadia-reyes', note: 'again' }) === null, 'same profile is not queued twice');
+      check(store.getQueuedProfileUrls().has('https://www.linkedin.com/in/nadia-reyes'), 'queued profile is skipped by the search loop');
+
+      store.reviseNoteDraft(id, 'Hi Nadia, your freight API post was spot on.');
+      const n = store.getNoteDraft(id);
+      check(n.name === 'Nadia Reyes' && n.edited && n.generatedNote === 'Hi Nadia, enjoyed your post on freight APIs.', 'edit keeps what the AI wrote', n);
+
+      store.setNoteDraftStatus(id, 'approved');
+      check(store.markNoteDraftFailed(id, 'no Connect button') === 'approved', 'failed attempt stays approved');
+      const requestId = store.recordConnectionRequest({ profileUrl: n.profileUrl, name: n.name, headline: n.headline, location: n.location, note: n.note });
+      store.markNoteDraftSent(id, requestId);
+      const sent = store.getNoteDraft(id);
+      check(sent.status === 'sent' && sent.requestId === requestId && store.getQueuedProfileUrls().size === 0, 'sent note leaves the queue', sent);
+
+      const history = store.listConnectionRequests();
+      const last = history[history.length - 1];
+      check(last.name === 'Nadia Reyes' && last.note === 'Hi Nadia, your freight API post was spot on.' && last.location === 'Austin, TX',
+        'sent request in the connection history', last);
+      check(history.some((r) => r.source === 'import'), 'imported requests listed too', history.map((r) => r.source));
+    },
+  },
+  {
+    label: 'dashboard: every run keeps its console output',
+    run: async () => {
+      const logsDir = path.join(dir, 'logs');
+      fakeRun(logsDir, '\u001b[32m[✓] first run\u001b[39m', 0);
+      fakeRun(logsDir, 'second run', 3);
+      fakeRun(logsDir, 'third run', 0);
+
+      const runs = listRuns({ dir: logsDir });
+      check(runs.length === 2, 'only the newest LOGS_KEEP logs are kept', runs.map((r) => r.id));
+      check(runs[0].status === 'ok' && runs[1].status === 'failed' && runs[1].exitCode === 3, 'newest first, exit code read back', runs);
+      check(runs[0].bot === 'bot' && runs[0].startedAt <= runs[0].finishedAt, 'bot, start and end time', runs[0]);
+
+      const text = readRunLog(runs[1].id, { dir: logsDir });
+      check(text.includes('second run') && text.trimEnd().endsWith(`at ${runs[1].finishedAt}`), 'log text with the exit line', text);
+      fakeRun(logsDir, '\u001b[32mcoloured\u001b[39m', 0);
+      check(readRunLog(listRuns({ dir: logsDir })[0].id, { dir: logsDir }).includes('\ncoloured\n'), 'colours stripped');
+      check(readRunLog('../linkedin.db', { dir: logsDir }) === null, 'only log file names are read');
+
+      fs.writeFileSync(path.join(logsDir, 'bot-2020-01-01T00-00-00-000Z.log'), `# run bot pid ${2 ** 22 + 1} started 2020-01-01T00:00:00.000Z\nhalf`);
+      const killed = listRuns({ dir: logsDir }).find((r) => r.startedAt === '2020-01-01T00:00:00.000Z');
+      check(killed && killed.status === 'killed', 'log without an exit line and no process: killed', killed);
+    },
+  },
+  {
+    label: 'dashboard: HTTP API on localhost',
+    run: async () => {
+      await store.openStore();
+      const logsDir = path.join(dir, 'logs');
+      const dash = await startDashboard({ port: 0, logsDir });
+      const api  = (p) => new URL(p, dash.url).href;
+      try {
+        const page = await request(dash.url);
+        check(page.status === 200 && page.type.startsWith('text/html') && page.body.includes('/app.js'), 'page served', page.status);
+        const app = await request(api('/app.js'));
+        check(app.status === 200 && app.body.includes('/api/drafts') && !/https?:\/\//.test(page.body + app.body), 'script served, no outside URLs');
+
+        const post = {
+          postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7380000000000000031/',
+          postText: 'We cut our cloud bill by 40% by deleting the staging cluster nobody used.', authorName: 'Omar Haddad',
+        };
+        const draftId = store.queueDraft({ post, comment: 'Which team noticed first?', style: 'question', type: 'curious_question' });
+        const noteId  = store.queueNoteDraft({ profileUrl: 'https://www.linkedin.com/in/lena-fischer', name: 'Lena Fischer', note: 'Hi Lena!' });
+
+        const drafts = await request(api('/api/drafts'));
+        check(drafts.status === 200 && drafts.body.some((d) => d.id === draftId), 'pending comment drafts listed', drafts.body);
+        const notes = await request(api('/api/notes?status=pending'));
+        check(notes.body.length === 1 && notes.body[0].id === noteId, 'pending note drafts listed', notes.body);
+        check((await request(api('/api/notes?status=nope'))).status === 400, 'unknown status rejected');
+
+        const edited = await postJson(api(`/api/drafts/${draftId}/approve`), { comment: 'Which team noticed the bill first?' });
+        check(edited.status === 200 && edited.body.status === 'approved' && edited.body.edited, 'edit + approve in one step', edited.body);
+        check((await postJson(api(`/api/drafts/${draftId}/approve`), {})).status === 409, 'approving twice is refused');
+
+        const tooLong = await postJson(api(`/api/notes/${noteId}/edit`), { note: 'x'.repeat(301) });
+        check(tooLong.status === 400 && /300/.test(tooLong.body.error), 'note over 300 characters refused', tooLong.body);
+        const note = await postJson(api(`/api/notes/${noteId}/edit`), { note: '  Hi Lena, loved your talk on CI caching.  ' });
+        check(note.body.note === 'Hi Lena, loved your talk on CI caching.' && note.body.status === 'pending', 'note edited, still pending', note.body);
+        const rejected = await postJson(api(`/api/notes/${noteId}/reject`), { reason: 'not a buyer' });
+        check(rejected.body.status === 'rejected' && rejected.body.reason === 'not a buyer', 'note rejected with reason', rejected.body);
+        check((await postJson(api('/api/notes/9999/approve'), {})).status === 404, 'unknown draft: 404');
+
+        const form = await request(api(`/api/drafts/${draftId}/reject`), {
+          method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'reason=x',
+        });
+        check(form.status === 415 && store.getDraft(draftId).status === 'approved', 'form posts are refused');
+        const rebound = await request(api('/api/drafts'), { headers: { Host: 'evil.example:80' } });
+        check(rebound.status === 403, 'other Host header refused', rebound.status);
+
+        const comments = await request(api('/api/comments'));
+        check(comments.body.length === store.listComments().length && comments.body[0].timestamp >= comments.body[comments.body.length - 1].timestamp,
+          'comment history, newest first');
+        const connections = await request(api('/api/connections'));
+        check(connections.body[0].name === 'Nadia Reyes', 'connection history, newest first', connections.body[0]);
+        const stats = await request(api('/api/stats'));
+        check(['styles', 'types', 'countries', 'angles'].every((k) => Array.isArray(stats.body[k])) && stats.body.review.reviewed >= 1,
+          'style / type / country / angle / review stats', Object.keys(stats.body));
+        const overview = await request(api('/api/overview'));
+        check(overview.body.drafts.approved >= 1 && overview.body.notes.pending === 0, 'overview counts', overview.body);
+
+        const runs = await request(api('/api/runs'));
+        const log  = await request(api(`/api/runs/${encodeURIComponent(runs.body[0].id)}`));
+        check(runs.body.length >= 2 && log.type.startsWith('text/plain') && log.body.startsWith('# run bot'), 'run list and one log', runs.body);
+        check((await request(api('/api/runs/..%2Flinkedin.db'))).status === 404, 'no files outside the logs folder');
+      } finally {
+        await dash.close();
+      }
+    },
+  },
+  {
+    label: 'schedule: window, closing time and next start',
+    run: async () => {
+      const pk = { timezone: 'Asia/Karachi', startHour: 9, endHour: 22, activeDays: [1, 2, 3, 4, 5, 6] };  // UTC+5
+      const at = (iso) => new Date(iso);
+      check(!schedule.isOpen(pk, at('2026-10-19T03:59:00Z')) && schedule.isOpen(pk, at('2026-10-19T04:00:00Z')), 'opens at 09:00 local');
+      check(schedule.isOpen(pk, at('2026-10-19T16:59:00Z')) && !schedule.isOpen(pk, at('2026-10-19T17:00:00Z')), 'closes at 22:00 local');
+      check(schedule.closesAt(pk, at('2026-10-19T10:17:00Z')).toISOString() === '2026-10-19T17:00:00.000Z', 'closing time of the open window');
+      check(schedule.nextStart(pk, at('2026-10-19T10:17:00Z')).toISOString() === '2026-10-20T04:00:00.000Z', 'next start after an open window: tomorrow 09:00');
+      check(schedule.nextStart(pk, at('2026-10-24T18:00:00Z')).toISOString() === '2026-10-26T04:00:00.000Z', 'Saturday night → Monday 09:00 (Sunday is off)');
+      check(schedule.formatLocal(at('2026-10-26T04:00:00Z'), pk.timezone) === 'Mon 26 Oct, 09:00 (Asia/Karachi)', 'local time shown with its zone');
+      check(schedule.describeSchedule(pk) === 'Mon–Sat 09:00–22:00 (Asia/Karachi)', 'description', schedule.describeSchedule(pk));
+
+      const night = { timezone: 'America/New_York', startHour: 22, endHour: 6, activeDays: [5] };  // Friday night, EDT
+      check(schedule.isOpen(night, at('2026-10-24T02:00:00Z')) && schedule.isOpen(night, at('2026-10-24T09:59:00Z')) &&
+        !schedule.isOpen(night, at('2026-10-25T03:00:00Z')), 'a window across midnight belongs to its start day');
+
+      let now = at('2026-10-19T16:45:00Z');
+      const closed = [];
+      const guard = schedule.createWindowGuard(pk, { now: () => now, onClose: (next) => closed.push(next.toISOString()) });
+      const before = guard.open();
+      now = at('2026-10-19T17:05:00Z');
+      const after = guard.open();
+      now = at('2026-10-20T05:00:00Z');
+      check(before && !after && !guard.open() && closed.join() === '2026-10-20T04:00:00.000Z', 'guard closes once, with the next start', closed);
+
+      const bad = (s) => { try { schedule.validateSchedule(s); return ''; } catch (e) { return e.message; } };
+      check(/timezone/.test(bad({ ...pk, timezone: 'Mars/Olympus' })) && /endHour/.test(bad({ ...pk, endHour: 25 })) &&
+        /activeDays/.test(bad({ ...pk, activeDays: [7] })) && /empty/.test(bad({ ...pk, startHour: 8, endHour: 8 })), 'bad settings are named');
+      check(bad({ ...pk, startHour: 0, endHour: 24 }) === '' && schedule.isOpen({ ...pk, startHour: 0, endHour: 24 }, at('2026-10-19T18:59:00Z')),
+        '0–24 is the whole day');
+    },
+  },
+  {
+    label: 'schedule: both bots refuse to start outside their window',
+    run: async () => {
+      const hour = new Date().getUTCHours();
+      const closedNow = { SCHEDULE_TIMEZONE: 'UTC', SCHEDULE_START_HOUR: String((hour + 2) % 24), SCHEDULE_END_HOUR: String((hour + 3) % 24 || 24) };
+      const start = (script, env) => {
+        try {
+          return { code: 0, out: execFileSync(process.execPath, [path.join(__dirname, script)], {
+            cwd: dir, encoding: 'utf-8', timeout: 60000, stdio: ['ignore', 'pipe', 'pipe'],
+            env: { ...process.env, ...env, LOGS_DIR: path.join(dir, 'logs'), DB_PATH: config.data.dbPath, AI_PROVIDER: 'fake', FORCE_COLOR: '0' },
+          }) };
+        } catch (e) {
+          return { code: e.status, out: `${e.stdout}${e.stderr}` };
+        }
+      };
+
+      const bot = start('bot.js', closedNow);
+      check(bot.code === 0 && /Outside the schedule window/.test(bot.out) && /Next allowed start: .+ \(UTC\)/.test(bot.out), 'bot.js exits with the next start', bot.out);
+      check(!/Step 1/.test(bot.out), 'before doing anything else');
+      const conn = start('connection-bot.js', { CONNECTION_SCHEDULE_TIMEZONE: 'UTC', CONNECTION_SCHEDULE_START_HOUR: closedNow.SCHEDULE_START_HOUR,
+        CONNECTION_SCHEDULE_END_HOUR: closedNow.SCHEDULE_END_HOUR });
+      check(conn.code === 0 && /Outside the schedule window/.test(conn.out), 'connection-bot.js has its own schedule', conn.out);
+      const badDays = start('connection-bot.js', { CONNECTION_SCHEDULE_ACTIVE_DAYS: '1,9' });
+      check(badDays.code === 1 && /activeDays/.test(badDays.out), 'a bad schedule stops the bot', badDays.out);
+    },
+  },
+  {
+    label: 'exit codes: --non-interactive runs say why they stopped',
+    run: async () => {
+      const hour = new Date().getUTCHours();
+      const start = (script, env) => {
+        try {
+          return { code: 0, out: execFileSync(process.execPath, [path.join(__dirname, script), '--non-interactive'], {
+            cwd: dir, encoding: 'utf-8', timeout: 60000, stdio: ['ignore', 'pipe', 'pipe'],
+            env: { ...process.env, ...env, LOGS_DIR: path.join(dir, 'logs'), DB_PATH: config.data.dbPath, AI_PROVIDER: 'fake', FORCE_COLOR: '0' },
+          }) };
+        } catch (e) {
+          return { code: e.status, out: `${e.stdout}${e.stderr}` };
+        }
+      };
+
+      const closed = start('bot.js', { SCHEDULE_TIMEZONE: 'UTC', SCHEDULE_START_HOUR: String((hour + 2) % 24), SCHEDULE_END_HOUR: String((hour + 3) % 24 || 24) });
+      check(closed.code === EXIT.NO_WORK && /Outside the schedule window/.test(closed.out), 'outside the window: 2 (no work)', closed.out);
+      const full = start('connection-bot.js', { CONNECTION_DAILY_LIMIT: '0', CONNECTION_SCHEDULE_TIMEZONE: 'UTC',
+        CONNECTION_SCHEDULE_START_HOUR: '0', CONNECTION_SCHEDULE_END_HOUR: '24', CONNECTION_SCHEDULE_ACTIVE_DAYS: '0,1,2,3,4,5,6' });
+      check(full.code === EXIT.QUOTA_REACHED && /Daily limit of 0 already reached/.test(full.out), 'daily limit reached: 4 (quota)', full.out);
+      check(!/Step 3/.test(full.out), 'before launching a browser');
+      check(exitCodeFor(Object.assign(new Error('x'), { code: 'LOGIN_REQUIRED' })) === EXIT.SESSION_EXPIRED && exitCodeFor(new Error('x')) === EXIT.ERROR,
+        'a login error is 3, anything else 1');
+
+      // --login only logs in: no schedule check, and it leaves a running bot's session alone
+      const lockFile = path.join(path.dirname(config.data.dbPath), 'bot.run.lock');
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname(), since: '2026-10-19T08:00:00.000Z' }));
+      let login;
+      try {
+        execFileSync(process.execPath, [path.join(__dirname, 'bot.js'), '--login'], {
+          cwd: dir, encoding: 'utf-8', timeout: 60000, stdio: ['ignore', 'pipe', 'pipe'],
+          env: { ...process.env, LOGS_DIR: path.join(dir, 'logs'), DB_PATH: config.data.dbPath, AI_PROVIDER: 'fake', FORCE_COLOR: '0',
+            SCHEDULE_TIMEZONE: 'UTC', SCHEDULE_START_HOUR: String((hour + 2) % 24), SCHEDULE_END_HOUR: String((hour + 3) % 24 || 24) },
+        });
+        login = { code: 0, out: '' };
+      } catch (e) {
+        login = { code: e.status, out: `${e.stdout}${e.stderr}` };
+      } finally {
+        fs.rmSync(lockFile, { force: true });
+      }
+      check(login.code === EXIT.ERROR && /has the browser session open/.test(login.out) && !/schedule window|Step 1/.test(login.out),
+        '--login skips the schedule and every bot step, and waits for no running bot', login.out);
+    },
+  },
+  {
+    label: 'schedule: one window per day, for the daemon plan',
+    run: async () => {
+      const pk = { timezone: 'Asia/Karachi', startHour: 9, endHour: 22, activeDays: [1, 2, 3, 4, 5, 6] };
+      const iso = (w) => `${w.day} ${w.start.toISOString()}–${w.end.toISOString()}`;
+      check(iso(schedule.windowAt(pk, new Date('2026-10-19T10:17:00Z'))) === '2026-10-19 2026-10-19T04:00:00.000Z–2026-10-19T17:00:00.000Z',
+        'the open window, from its start', iso(schedule.windowAt(pk, new Date('2026-10-19T10:17:00Z'))));
+      check(schedule.windowAt(pk, new Date('2026-10-24T18:00:00Z')).day === '2026-10-26', 'closed: the next one (Monday)');
+      const night = { timezone: 'UTC', startHour: 22, endHour: 6, activeDays: [0, 1, 2, 3, 4, 5, 6] };
+      check(iso(schedule.windowAt(night, new Date('2026-10-20T03:00:00Z'))) === '2026-10-19 2026-10-19T22:00:00.000Z–2026-10-20T06:00:00.000Z',
+        'across midnight: the day it started on', iso(schedule.windowAt(night, new Date('2026-10-20T03:00:00Z'))));
+      const always = { timezone: 'UTC', startHour: 0, endHour: 24, activeDays: [0, 1, 2, 3, 4, 5, 6] };
+      check(iso(schedule.windowAt(always, new Date('2026-10-20T13:07:00Z'))) === '2026-10-20 2026-10-20T00:00:00.000Z–2026-10-21T00:00:00.000Z',
+        '0–24 every day is still one window per day');
+    },
+  },
+  {
+    label: 'daemon: the day plan is split, saved, resumed and settled',
+    run: async () => {
+      const pk = { timezone: 'Asia/Karachi', startHour: 9, endHour: 22, activeDays: [1, 2, 3, 4, 5, 6] };
+      const window = schedule.windowAt(pk, new Date('2026-10-19T02:00:00Z'));
+      const plan = dayPlan.planDay('comment', { window, sessions: 3, quota: 7, now: new Date('2026-10-19T02:00:00Z') });
+      const times = plan.jobs.map((j) => new Date(j.at).getTime());
+      check(plan.jobs.length === 3 && plan.jobs.reduce((n, j) => n + j.quota, 0) === 7 &&
+        plan.jobs.every((j) => j.quota === 2 || j.quota === 3), 'quota 7 → three sessions of 2–3', plan.jobs.map((j) => j.quota));
+      check(times.every((t, i) => t >= window.start.getTime() && t < window.end.getTime() - 30 * 60000 && (i === 0 || t > times[i - 1])),
+        'sessions in order, inside the window, before its last half hour', plan.jobs.map((j) => j.at));
+
+      const late = dayPlan.planDay('connection', { window, sessions: 4, quota: 2, now: new Date('2026-10-19T15:00:00Z') });
+      check(late.jobs.length === 2 && late.jobs.every((j) => new Date(j.at) >= new Date('2026-10-19T15:00:00Z')),
+        'started mid-window: only the rest of it, no more sessions than the quota', late.jobs.map((j) => j.at));
+      check(dayPlan.planDay('comment', { window, sessions: 3, quota: 6, rest: true }).jobs.length === 0, 'a rest day has no sessions');
+      check(dayPlan.planDay('comment', { window, sessions: 3, quota: 6, now: new Date('2026-10-19T16:45:00Z') }).jobs.length === 0,
+        'no sessions in the window\'s last half hour');
+
+      const file = path.join(dir, 'daemon.json');
+      const state = { plans: { comment: plan, connection: late } };
+      check(dayPlan.nextJob(state) === plan.jobs[0], 'next job: the earliest planned one');
+      plan.jobs[0].status = 'done';
+      plan.jobs[0].made = 1;
+      check(dayPlan.jobLimit(plan, plan.jobs[1]) === 3, 'a slow session is made up by the later ones', dayPlan.jobLimit(plan, plan.jobs[1]));
+      Object.assign(plan.jobs[1], { status: 'running', limit: 3 });
+      dayPlan.saveDaemonState(state, file);
+
+      // The process died mid-session: a restart resumes the same plan
+      const resumed = dayPlan.loadDaemonState(file);
+      const settled = dayPlan.settleJobs(resumed.plans.comment, new Date('2026-10-19T12:00:00Z'));
+      check(resumed.plans.comment.day === '2026-10-19' && settled.length === 1 && settled[0].status === 'interrupted',
+        'the job left running is interrupted', settled);
+      check(dayPlan.madeToday(resumed.plans.comment).used === 4 && dayPlan.jobLimit(resumed.plans.comment, resumed.plans.comment.jobs[2]) === 3,
+        'an interrupted job counts as having used its limit', dayPlan.madeToday(resumed.plans.comment));
+      check(resumed.plans.comment.jobs[2].status === 'planned' && resumed.plans.connection.jobs.every((j) => j.status === 'planned'),
+        'the remaining jobs are still planned');
+      dayPlan.settleJobs(resumed.plans.connection, new Date('2026-10-19T17:00:00Z'));
+      check(resumed.plans.connection.jobs.every((j) => j.status === 'missed'), 'planned jobs are missed once the window is over');
+
+      fs.writeFileSync(file, '{ nope');
+      let error = '';
+      try { dayPlan.loadDaemonState(file); } catch (e) { error = e.message; }
+      check(/not valid JSON/.test(error), 'a broken state file is named', error);
+    },
+  },
+  {
+    label: 'daemon: what the store already has for the window counts against the day plan',
+    run: async () => {
+      await store.openStore();
+      const utc    = { timezone: 'UTC', startHour: 0, endHour: 24, activeDays: [0, 1, 2, 3, 4, 5, 6] };
+      const window = schedule.windowAt(utc);
+      const since  = window.start.toISOString();
+      const before = store.countConnectionsSince(since);
+      for (const vanity of ['dana-ruiz', 'eli-novak']) {
+        store.recordConnectionRequest({ profileUrl: `https://www.linkedin.com/in/${vanity}`, name: vanity, note: 'Hi' });
+      }
+      const recorded = store.countConnectionsSince(since);
+      check(recorded === before + 2, 'requests sent by hand in this window', recorded);
+
+      const now  = new Date(Math.min(Date.now(), window.end.getTime() - 2 * 60 * 60000));
+      const plan = dayPlan.planDay('connection', { window, sessions: 3, quota: recorded + 4, made: recorded, now });
+      check(plan.quota === recorded + 4 && plan.jobs.reduce((n, j) => n + j.quota, 0) === 4,
+        'sessions share only what is left of the quota', plan.jobs.map((j) => j.quota));
+      check(dayPlan.jobLimit(plan, plan.jobs[0], recorded) === 2, 'first limit: the rest shared among the sessions', dayPlan.jobLimit(plan, plan.jobs[0], recorded));
+
+      // The first session sends 2; the store then has them as well, which are not counted twice
+      Object.assign(plan.jobs[0], { status: 'done', made: 2 });
+      check(dayPlan.madeToday(plan, recorded + 2).made === recorded + 2 && dayPlan.jobLimit(plan, plan.jobs[1], recorded + 2) === 1,
+        'the plan\'s own requests are not counted twice', dayPlan.madeToday(plan, recorded + 2));
+      check(dayPlan.jobLimit(plan, plan.jobs[1], recorded + 6) === 0, 'a run by hand that used the rest leaves nothing',
+        dayPlan.jobLimit(plan, plan.jobs[1], recorded + 6));
+      check(dayPlan.planDay('connection', { window, sessions: 3, quota: 2, made: 5, now }).jobs.length === 0, 'quota already met: no sessions');
+    },
+  },
+  {
+    label: 'doctor: author names are normalized in the store',
+    run: async () => {
+      await store.openStore();
+      check(store.repairAuthorNames({ dryRun: true }) === 0, 'imported "Marco Renai • 2nd" saved without the marker');
+      store.recordConnectionRequest({ profileUrl: 'https://www.linkedin.com/in/li-wei', name: 'Li Wei • 1st', note: 'Hi' });
+      check(store.repairAuthorNames({ dryRun: true }) === 0, 'new request saved without the marker');
+    },
+  },
+];
+
+// ─────────────────────────────────────────────────────────────────
+//  Main
+// ─────────────────────────────────────────────────────────────────
+
+async function main() {
+  freshDir();
+  for (const c of CASES.filter((x) => x.label.includes(filter))) {
+    console.log(chalk.bold.blue(`\n── ${c.label} ──`));
+    try {
+      await c.run();
+    } catch (e) {
+      fail(`threw: ${e.stack}`);
+    } finally {
+      store.closeStore();
+    }
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log('');
+  console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(chalk.red(`\n[ERROR] ${e.message}`));
+  process.exit(1);
+});